@@ -47,7 +47,10 @@ export default [
                 ready: 'readonly',
                 debounce: 'readonly',
                 escapeHtml: 'readonly',
-                sanitizeHtml: 'readonly'
+                sanitizeHtml: 'readonly',
+
+                // Defined only by the per-component ESM build (scripts/component-module-plugin.js)
+                vanduoModule: 'readonly'
             }
         },
         rules: {
@@ -73,8 +76,8 @@ export default [
         }
     },
     {
-        // Override for ES module entry point
-        files: ['js/index.js'],
+        // Override for ES module entry points
+        files: ['js/index.js', 'js/core.js'],
         languageOptions: {
             sourceType: 'module'
         }
@@ -6,12 +6,30 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Code Snippet Component
    */
   const CodeSnippet = {
+    // Registered component name (used by Vanduo.use)
+    name: 'codeSnippet',
+
     _snippetIdCounter: 0,
 
+    // Default options (override via Vanduo.config.codeSnippet, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      expanded: false
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      expanded: 'data-expanded'
+    },
+
     getSnippetInstanceId: function (snippet) {
       if (snippet.dataset.codeSnippetId) {
         return snippet.dataset.codeSnippetId;
@@ -37,6 +55,18 @@
       snippet._codeSnippetCleanup.push(() => target.removeEventListener(event, handler));
     },
 
+    /**
+     * Resolve options for a code snippet
+     * @param {HTMLElement} snippet - Code snippet container element
+     * @returns {Object} Options
+     */
+    getOptions: function (snippet) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(snippet, 'codeSnippet', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Initialize all code snippet components
      */
@@ -57,13 +87,14 @@
     initSnippet: function (snippet) {
       snippet.dataset.initialized = 'true';
       snippet._codeSnippetCleanup = [];
+      const options = this.getOptions(snippet);
 
       // Handle collapsible toggle
       const toggle = snippet.querySelector('.vd-code-snippet-toggle');
       const content = snippet.querySelector('.vd-code-snippet-content');
 
       if (toggle && content) {
-        this.initCollapsible(snippet, toggle, content);
+        this.initCollapsible(snippet, toggle, content, options.expanded === true);
       }
 
       // Handle tabs
@@ -98,10 +129,11 @@
      * @param {HTMLElement} snippet - Code snippet container
      * @param {HTMLElement} toggle - Toggle button
      * @param {HTMLElement} content - Collapsible content
+     * @param {boolean} isExpanded - Initial state
      */
-    initCollapsible: function (snippet, toggle, content) {
+    initCollapsible: function (snippet, toggle, content, isExpanded) {
       // Set initial state
-      const isExpanded = snippet.dataset.expanded === 'true';
+      snippet.dataset.expanded = isExpanded;
       toggle.setAttribute('aria-expanded', isExpanded);
       content.dataset.visible = isExpanded;
 
@@ -628,6 +660,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = CodeSnippet;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('codeSnippet', CodeSnippet);
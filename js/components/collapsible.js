@@ -6,13 +6,31 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Collapsible Component
    */
   const Collapsible = {
+    // Registered component name (used by Vanduo.use)
+    name: 'collapsible',
+
     // Store initialized containers and their cleanup functions
     instances: new Map(),
 
+    // Default options (override via Vanduo.config.collapsible, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      persist: ''
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      persist: 'data-collapsible-persist'
+    },
+
     /**
      * Initialize collapsible components
      */
@@ -27,12 +45,25 @@
       });
     },
 
+    /**
+     * Resolve options for a collapsible container (once, at init)
+     * @param {HTMLElement} container - Collapsible container
+     * @returns {Object} Options
+     */
+    getOptions: function(container) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(container, 'collapsible', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Initialize a collapsible container
      * @param {HTMLElement} container - Collapsible container
      */
     initCollapsible: function(container) {
       const isAccordion = container.classList.contains('accordion');
+      const options = this.getOptions(container);
       const items = container.querySelectorAll('.vd-collapsible-item, .accordion-item');
       const cleanupFunctions = [];
 
@@ -61,7 +92,284 @@
         cleanupFunctions.push(() => trigger.removeEventListener('click', clickHandler));
       });
 
-      this.instances.set(container, { cleanup: cleanupFunctions });
+      this.instances.set(container, { options: options, cleanup: cleanupFunctions });
+
+      // Stored state wins over the markup's is-open classes
+      if (options.persist) {
+        this.restoreState(container, isAccordion);
+
+        const saveHandler = (e) => {
+          if (e.target.closest('.vd-collapsible, .accordion') === container) {
+            this.saveState(container);
+          }
+        };
+        container.addEventListener('collapsible:open', saveHandler);
+        container.addEventListener('collapsible:close', saveHandler);
+        cleanupFunctions.push(() => {
+          container.removeEventListener('collapsible:open', saveHandler);
+          container.removeEventListener('collapsible:close', saveHandler);
+        });
+      }
+
+      // Expand all / collapse all buttons
+      this.getTriggers(container).forEach(({ trigger, expand }) => {
+        const triggerHandler = (e) => {
+          e.preventDefault();
+          if (expand) {
+            this.expandAll(container);
+          } else {
+            this.collapseAll(container);
+          }
+        };
+        trigger.addEventListener('click', triggerHandler);
+        cleanupFunctions.push(() => trigger.removeEventListener('click', triggerHandler));
+      });
+
+      // Deep links to an item (or to anything inside one)
+      const hashHandler = () => {
+        this.openFromHash(container, true);
+      };
+      window.addEventListener('hashchange', hashHandler);
+      cleanupFunctions.push(() => window.removeEventListener('hashchange', hashHandler));
+      this.openFromHash(container, false);
+    },
+
+    /**
+     * Items of a container (items of nested collapsibles excluded)
+     * @param {HTMLElement} container - Collapsible container
+     * @returns {Array<HTMLElement>}
+     */
+    getItems: function(container) {
+      return Array.from(container.querySelectorAll('.vd-collapsible-item, .accordion-item'))
+        .filter(item => item.closest('.vd-collapsible, .accordion') === container);
+    },
+
+    /**
+     * Identifier stored for an item: its id, else its position
+     * @param {HTMLElement} item - Collapsible item
+     * @param {number} index - Position among the container's items
+     * @returns {string}
+     */
+    getItemKey: function(item, index) {
+      return item.id || String(index);
+    },
+
+    /**
+     * localStorage key for a data-collapsible-persist name
+     * @param {string} name - data-collapsible-persist value
+     * @returns {string}
+     */
+    getStorageKey: function(name) {
+      return typeof window.storageKey === 'function'
+        ? window.storageKey('collapsible-' + name)
+        : 'vanduo-collapsible-' + name;
+    },
+
+    /**
+     * Open the items stored for a persisted container and close the rest
+     * Nothing changes until a state has been stored.
+     * @param {HTMLElement} container - Collapsible container
+     * @param {boolean} isAccordion - Whether in accordion mode
+     */
+    restoreState: function(container, isAccordion) {
+      const instance = this.instances.get(container);
+      const raw = this.getStorageValue(this.getStorageKey(instance.options.persist), null);
+      if (raw === null) return;
+
+      let keys;
+      try {
+        keys = JSON.parse(raw);
+      } catch (_e) {
+        return;
+      }
+      if (!Array.isArray(keys)) return;
+
+      // Accordions keep only the first stored item open
+      let opened = false;
+      this.getItems(container).forEach((item, index) => {
+        const body = item.querySelector('.vd-collapsible-body, .accordion-body');
+        if (!body) return;
+
+        const shouldOpen = keys.includes(this.getItemKey(item, index)) && !(isAccordion && opened);
+        if (shouldOpen) {
+          opened = true;
+          if (!item.classList.contains('is-open')) {
+            this.openItem(item, body, false);
+          }
+        } else if (item.classList.contains('is-open')) {
+          this.closeItem(item, body, false);
+        }
+      });
+    },
+
+    /**
+     * Store the open items of a persisted container
+     * @param {HTMLElement} container - Collapsible container
+     */
+    saveState: function(container) {
+      const instance = this.instances.get(container);
+      if (!instance || !instance.options.persist) return;
+
+      const keys = [];
+      this.getItems(container).forEach((item, index) => {
+        if (item.classList.contains('is-open')) {
+          keys.push(this.getItemKey(item, index));
+        }
+      });
+      this.setStorageValue(this.getStorageKey(instance.options.persist), JSON.stringify(keys));
+    },
+
+    getStorageValue: function(key, fallback) {
+      if (typeof window.safeStorageGet === 'function') {
+        return window.safeStorageGet(key, fallback);
+      }
+      try {
+        const value = localStorage.getItem(key);
+        return value !== null ? value : fallback;
+      } catch (_e) {
+        return fallback;
+      }
+    },
+
+    setStorageValue: function(key, value) {
+      if (typeof window.safeStorageSet === 'function') {
+        return window.safeStorageSet(key, value);
+      }
+      try {
+        localStorage.setItem(key, value);
+        return true;
+      } catch (_e) {
+        return false;
+      }
+    },
+
+    /**
+     * Expand/collapse-all buttons for a container
+     * An empty attribute targets the collapsible the button sits in,
+     * otherwise the value is a selector for the container.
+     * @param {HTMLElement} container - Collapsible container
+     * @returns {Array<{trigger: HTMLElement, expand: boolean}>}
+     */
+    getTriggers: function(container) {
+      const targets = (trigger, attribute) => {
+        const selector = trigger.getAttribute(attribute);
+        if (!selector) {
+          return trigger.closest('.vd-collapsible, .accordion') === container;
+        }
+        try {
+          return container.matches(selector);
+        } catch (_e) {
+          return false;
+        }
+      };
+
+      return Array.from(document.querySelectorAll('[data-collapsible-expand-all], [data-collapsible-collapse-all]'))
+        .map(trigger => ({ trigger, expand: trigger.hasAttribute('data-collapsible-expand-all') }))
+        .filter(({ trigger, expand }) => targets(trigger, expand ? 'data-collapsible-expand-all' : 'data-collapsible-collapse-all'));
+    },
+
+    /**
+     * Open the item the URL hash points to, and scroll it into view
+     * @param {HTMLElement} container - Collapsible container
+     * @param {boolean} animate - Whether to animate
+     * @returns {boolean} True if the hash named something in the container
+     */
+    openFromHash: function(container, animate) {
+      let id = window.location.hash.slice(1);
+      if (!id) return false;
+      try {
+        id = decodeURIComponent(id);
+      } catch (_e) {
+        // Keep the raw hash
+      }
+
+      const target = document.getElementById(id);
+      if (!target || !container.contains(target)) return false;
+
+      // The container's own item around the target (nested collapsibles handle their items)
+      let item = target.closest('.vd-collapsible-item, .accordion-item');
+      while (item && item.closest('.vd-collapsible, .accordion') !== container) {
+        item = item.parentElement && item.parentElement.closest('.vd-collapsible-item, .accordion-item');
+      }
+      if (!item) return false;
+
+      const isAccordion = container.classList.contains('accordion');
+      if (!item.classList.contains('is-open')) {
+        this.openWithin(item, container, isAccordion, animate);
+      }
+      if (typeof target.scrollIntoView === 'function') {
+        target.scrollIntoView({ block: 'start', behavior: animate ? 'smooth' : 'auto' });
+      }
+      return true;
+    },
+
+    /**
+     * Open an item, closing its siblings in accordion mode
+     * @param {HTMLElement} item - Collapsible item
+     * @param {HTMLElement} container - Collapsible container
+     * @param {boolean} isAccordion - Whether in accordion mode
+     * @param {boolean} [animate=true] - Whether to animate
+     * @returns {boolean} False if a listener cancelled opening
+     */
+    openWithin: function(item, container, isAccordion, animate = true) {
+      const body = item.querySelector('.vd-collapsible-body, .accordion-body');
+      if (!body || !this.canOpen(item)) {
+        return false;
+      }
+
+      // If accordion mode, close other open items
+      if (isAccordion) {
+        const otherOpenItems = container.querySelectorAll('.vd-collapsible-item.is-open, .accordion-item.is-open');
+        otherOpenItems.forEach(otherItem => {
+          if (otherItem !== item) {
+            const otherBody = otherItem.querySelector('.vd-collapsible-body, .accordion-body');
+            this.closeItem(otherItem, otherBody, animate);
+          }
+        });
+      }
+
+      this.openItem(item, body, animate);
+      return true;
+    },
+
+    /**
+     * Open every item of a container
+     * Accordions keep one item open: the first one opens if none is.
+     * @param {HTMLElement|string} container - Collapsible container or selector
+     */
+    expandAll: function(container) {
+      const el = typeof container === 'string' ? document.querySelector(container) : container;
+      if (!el) return;
+
+      const items = this.getItems(el);
+      if (el.classList.contains('accordion')) {
+        if (items.length && !items.some(item => item.classList.contains('is-open'))) {
+          this.openWithin(items[0], el, true);
+        }
+        return;
+      }
+
+      items.forEach(item => {
+        if (!item.classList.contains('is-open')) {
+          this.openWithin(item, el, false);
+        }
+      });
+    },
+
+    /**
+     * Close every item of a container
+     * @param {HTMLElement|string} container - Collapsible container or selector
+     */
+    collapseAll: function(container) {
+      const el = typeof container === 'string' ? document.querySelector(container) : container;
+      if (!el) return;
+
+      this.getItems(el).forEach(item => {
+        const body = item.querySelector('.vd-collapsible-body, .accordion-body');
+        if (body && item.classList.contains('is-open')) {
+          this.closeItem(item, body);
+        }
+      });
     },
     
     /**
@@ -77,21 +385,19 @@
       if (isOpen) {
         this.closeItem(item, body);
       } else {
-        // If accordion mode, close other open items
-        if (isAccordion) {
-          const otherOpenItems = container.querySelectorAll('.vd-collapsible-item.is-open, .accordion-item.is-open');
-          otherOpenItems.forEach(otherItem => {
-            if (otherItem !== item) {
-              const otherBody = otherItem.querySelector('.vd-collapsible-body, .accordion-body');
-              this.closeItem(otherItem, otherBody);
-            }
-          });
-        }
-        
-        this.openItem(item, body);
+        this.openWithin(item, container, isAccordion);
       }
     },
     
+    /**
+     * Dispatch the cancelable collapsible:beforeopen event
+     * @param {HTMLElement} item - Collapsible item
+     * @returns {boolean} False if a listener cancelled opening
+     */
+    canOpen: function(item) {
+      return item.dispatchEvent(new CustomEvent('collapsible:beforeopen', { bubbles: true, cancelable: true }));
+    },
+
     /**
      * Open collapsible item
      * @param {HTMLElement} item - Collapsible item
@@ -148,16 +454,15 @@
     },
     
     /**
-     * Open item programmatically
+     * Open item programmatically (closing its siblings in an accordion)
      * @param {HTMLElement|string} item - Collapsible item or selector
      */
     open: function(item) {
       const el = typeof item === 'string' ? document.querySelector(item) : item;
       if (el) {
-        const body = el.querySelector('.vd-collapsible-body, .accordion-body');
-        if (body) {
-          this.openItem(el, body);
-        }
+        const container = el.closest('.vd-collapsible, .accordion');
+        const isAccordion = container && container.classList.contains('accordion');
+        this.openWithin(el, container, isAccordion);
       }
     },
     
@@ -214,6 +519,12 @@
     }
   };
   
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Collapsible;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('collapsible', Collapsible);
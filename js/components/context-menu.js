@@ -0,0 +1,344 @@
+/**
+ * Vanduo Framework - Context Menu Component
+ * Opens a dropdown menu at the pointer for elements with data-context-menu.
+ * Keyboard navigation, submenus, checkable items and the dropdown:select
+ * event come from the Dropdown component, which must be loaded (or
+ * registered with Vanduo.use) as well.
+ */
+
+(function() {
+  'use strict';
+
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  // Finger movement (px) that cancels a long-press
+  const LONG_PRESS_TOLERANCE = 10;
+
+  /**
+   * Context Menu Component
+   */
+  const ContextMenu = {
+    // Registered component name (used by Vanduo.use)
+    name: 'contextMenu',
+
+    // Target element -> { menu, cleanup }
+    instances: new Map(),
+
+    // Default options (override via Vanduo.config.contextMenu, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      longPress: 500   // Touch hold (ms) that opens the menu; 0 disables long-press
+    },
+
+    /**
+     * Initialize context menu targets
+     */
+    init: function() {
+      const targets = document.querySelectorAll('[data-context-menu]');
+
+      targets.forEach(target => {
+        if (this.instances.has(target)) {
+          return;
+        }
+        this.initTarget(target);
+      });
+    },
+
+    /**
+     * Resolve options for a target element
+     * @param {HTMLElement} target - Element with data-context-menu
+     * @returns {Object} Options
+     */
+    getOptions: function(target) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(target, 'contextMenu', this.DEFAULTS);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
+    /**
+     * Initialize a single target
+     * @param {HTMLElement} target - Element with data-context-menu="#menu"
+     */
+    initTarget: function(target) {
+      const selector = target.getAttribute('data-context-menu');
+      let menu = null;
+      try {
+        menu = selector ? document.querySelector(selector) : null;
+      } catch (_e) {
+        // Invalid selector: warned below
+      }
+
+      if (!menu || !menu.classList.contains('vd-dropdown-menu')) {
+        console.warn('[Vanduo] data-context-menu="' + selector + '" does not point to a .vd-dropdown-menu');
+        return;
+      }
+
+      const options = this.getOptions(target);
+      const cleanupFunctions = [];
+
+      // Right-click (and the browser's own keyboard/long-press context menu event)
+      const contextmenuHandler = (e) => {
+        e.preventDefault();
+        // Browsers follow Shift+F10 / the ContextMenu key with this event;
+        // the menu is already open below the target
+        const Dropdown = this.getDropdown();
+        const instance = Dropdown && Dropdown.instances.get(menu);
+        if (menu.classList.contains('is-open') && instance && instance.reference === target) {
+          return;
+        }
+        this.open(target, { x: e.clientX, y: e.clientY });
+      };
+      target.addEventListener('contextmenu', contextmenuHandler);
+      cleanupFunctions.push(() => target.removeEventListener('contextmenu', contextmenuHandler));
+
+      // Keyboard: Shift+F10 or the ContextMenu key opens below the target
+      const keydownHandler = (e) => {
+        if (e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey)) {
+          e.preventDefault();
+          this.open(target);
+        }
+      };
+      target.addEventListener('keydown', keydownHandler);
+      cleanupFunctions.push(() => target.removeEventListener('keydown', keydownHandler));
+
+      // Long-press for touch devices that fire no contextmenu event (iOS)
+      if (options.longPress > 0) {
+        let timer = null;
+        let start = null;
+        let pressed = false;
+
+        const cancel = () => {
+          clearTimeout(timer);
+          timer = null;
+        };
+
+        const pointerdownHandler = (e) => {
+          if (e.pointerType !== 'touch' || !e.isPrimary) return;
+          cancel();
+          pressed = false;
+          start = { x: e.clientX, y: e.clientY };
+          timer = setTimeout(() => {
+            timer = null;
+            pressed = true;
+            this.open(target, start);
+          }, options.longPress);
+        };
+
+        const pointermoveHandler = (e) => {
+          if (timer && start &&
+            Math.hypot(e.clientX - start.x, e.clientY - start.y) > LONG_PRESS_TOLERANCE) {
+            cancel();
+          }
+        };
+
+        // The click that ends a long-press would close the menu again
+        const clickHandler = (e) => {
+          if (pressed) {
+            pressed = false;
+            e.preventDefault();
+            e.stopPropagation();
+          }
+        };
+
+        target.addEventListener('pointerdown', pointerdownHandler);
+        target.addEventListener('pointermove', pointermoveHandler);
+        target.addEventListener('pointerup', cancel);
+        target.addEventListener('pointercancel', cancel);
+        target.addEventListener('click', clickHandler, true);
+        cleanupFunctions.push(() => {
+          cancel();
+          target.removeEventListener('pointerdown', pointerdownHandler);
+          target.removeEventListener('pointermove', pointermoveHandler);
+          target.removeEventListener('pointerup', cancel);
+          target.removeEventListener('pointercancel', cancel);
+          target.removeEventListener('click', clickHandler, true);
+        });
+      }
+
+      target.setAttribute('aria-haspopup', 'menu');
+
+      this.instances.set(target, {
+        menu,
+        cleanup: cleanupFunctions
+      });
+    },
+
+    /**
+     * The Dropdown component (registered with Vanduo, or the global)
+     * @returns {Object|null}
+     */
+    getDropdown: function() {
+      if (window.Vanduo && window.Vanduo.components && window.Vanduo.components.dropdown) {
+        return window.Vanduo.components.dropdown;
+      }
+      return window.VanduoDropdown || null;
+    },
+
+    /**
+     * Dropdown instance driving a context menu, set up on first use
+     * @param {HTMLElement} menu - .vd-dropdown-menu element
+     * @returns {Object|null} Dropdown instance
+     */
+    getMenuInstance: function(menu) {
+      const Dropdown = this.getDropdown();
+      if (!Dropdown) {
+        console.warn('[Vanduo] The context menu needs the dropdown component');
+        return null;
+      }
+
+      if (!Dropdown.instances.has(menu)) {
+        menu.classList.add('vd-context-menu');
+        const instance = Dropdown.initMenu(menu, null, menu);
+        instance.placement = 'bottom-start';
+        instance.strategy = 'fixed';
+        instance.openTarget = null;
+
+        // Dropdown only closes on outside clicks; a right-click or press
+        // elsewhere must close the menu too (bound while it is open)
+        instance.outsideHandler = (e) => {
+          const target = instance.openTarget;
+          if (!target || menu.contains(e.target) || target.contains(e.target)) return;
+          Dropdown.closeDropdown(menu, instance.toggle, menu);
+        };
+
+        const unbindOutside = () => {
+          document.removeEventListener('pointerdown', instance.outsideHandler, true);
+          document.removeEventListener('contextmenu', instance.outsideHandler, true);
+        };
+        instance.cleanup.push(unbindOutside);
+
+        instance.onClose = () => {
+          const target = instance.openTarget;
+          if (!target) return;
+          instance.openTarget = null;
+          unbindOutside();
+          target.dispatchEvent(new CustomEvent('contextMenu:close', {
+            bubbles: true,
+            detail: { target: target, menu: menu }
+          }));
+        };
+      }
+      return Dropdown.instances.get(menu);
+    },
+
+    /**
+     * Open a target's context menu
+     * Without a point the menu opens below the target (keyboard invocation).
+     * @param {HTMLElement|string} target - Element with data-context-menu, or selector
+     * @param {{x: number, y: number}} [point] - Viewport coordinates to open at
+     */
+    open: function(target, point) {
+      const el = typeof target === 'string' ? document.querySelector(target) : target;
+      const data = el && this.instances.get(el);
+      if (!data) return;
+
+      const menu = data.menu;
+      const instance = this.getMenuInstance(menu);
+      if (!instance) return;
+
+      const Dropdown = this.getDropdown();
+
+      // Reopening for another target (or at another point) starts over
+      if (menu.classList.contains('is-open')) {
+        Dropdown.closeDropdown(menu, instance.toggle, menu);
+      }
+
+      instance.toggle = el;
+      instance.reference = point ? this.getVirtualReference(point) : el;
+      Dropdown.openDropdown(menu, el, menu);
+
+      // Not vetoed by a dropdown:beforeopen listener
+      if (menu.classList.contains('is-open')) {
+        instance.openTarget = el;
+        document.addEventListener('pointerdown', instance.outsideHandler, true);
+        document.addEventListener('contextmenu', instance.outsideHandler, true);
+        el.dispatchEvent(new CustomEvent('contextMenu:open', {
+          bubbles: true,
+          detail: { target: el, menu: menu, point: point || null }
+        }));
+      }
+    },
+
+    /**
+     * Close a target's context menu if it is open
+     * @param {HTMLElement|string} target - Element with data-context-menu, or selector
+     */
+    close: function(target) {
+      const el = typeof target === 'string' ? document.querySelector(target) : target;
+      const data = el && this.instances.get(el);
+      const Dropdown = this.getDropdown();
+      if (!data || !Dropdown) return;
+
+      const instance = Dropdown.instances.get(data.menu);
+      if (instance && instance.toggle === el && data.menu.classList.contains('is-open')) {
+        Dropdown.closeDropdown(data.menu, el, data.menu);
+      }
+    },
+
+    /**
+     * Zero-size virtual element at a viewport point, for the position engine
+     * @param {{x: number, y: number}} point - Viewport coordinates
+     * @returns {Object} Object with getBoundingClientRect()
+     */
+    getVirtualReference: function(point) {
+      return {
+        getBoundingClientRect: function() {
+          return {
+            x: point.x, y: point.y,
+            top: point.y, left: point.x, right: point.x, bottom: point.y,
+            width: 0, height: 0
+          };
+        }
+      };
+    },
+
+    /**
+     * Destroy a target and clean up its event listeners
+     * The shared menu is released once no target uses it.
+     * @param {HTMLElement} target - Element with data-context-menu
+     */
+    destroy: function(target) {
+      const data = this.instances.get(target);
+      if (!data) return;
+
+      this.close(target);
+      data.cleanup.forEach(fn => fn());
+      target.removeAttribute('aria-haspopup');
+      this.instances.delete(target);
+
+      const inUse = Array.from(this.instances.values()).some(other => other.menu === data.menu);
+      const Dropdown = this.getDropdown();
+      if (!inUse && Dropdown && Dropdown.instances.has(data.menu)) {
+        Dropdown.destroy(data.menu);
+        data.menu.classList.remove('vd-context-menu');
+      }
+    },
+
+    /**
+     * Destroy all context menu targets
+     */
+    destroyAll: function() {
+      this.instances.forEach((data, target) => {
+        this.destroy(target);
+      });
+    }
+  };
+
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = ContextMenu;
+    return;
+  }
+
+  // Register with Vanduo framework if available
+  if (typeof window.Vanduo !== 'undefined') {
+    window.Vanduo.register('contextMenu', ContextMenu);
+  }
+
+  // Expose globally
+  window.VanduoContextMenu = ContextMenu;
+
+})();
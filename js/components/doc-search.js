@@ -33,6 +33,11 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Default configuration
    */
@@ -92,7 +97,11 @@
    * @returns {Object} Search instance
    */
   function createSearch(options) {
-    var config = Object.assign({}, DEFAULTS, options || {});
+    // Built-in defaults < Vanduo.config.docSearch < instance options
+    var base = typeof window.resolveOptions === 'function'
+      ? window.resolveOptions(null, 'docSearch', DEFAULTS)
+      : DEFAULTS;
+    var config = Object.assign({}, base, options || {});
     
     // Instance state
     var state = {
@@ -841,6 +850,9 @@
    * Search Component (singleton for backward compatibility)
    */
   var Search = {
+    // Registered component name (used by Vanduo.use)
+    name: 'docSearch',
+
     // Factory method — creates and auto-initializes a new independent instance.
     // Always returns the instance so callers retain a reference even if the
     // DOM container is not yet available (they can retry init() later).
@@ -855,8 +867,8 @@
     // Default instance
     _instance: null,
     
-    // Configuration (for default instance)
-    config: Object.assign({}, DEFAULTS),
+    // Options for the default instance (applied over DEFAULTS and Vanduo.config.docSearch)
+    config: {},
 
     /**
      * Initialize the default search instance
@@ -923,6 +935,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Search;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('docSearch', Search);
@@ -6,10 +6,18 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Draggable Component
    */
   const Draggable = {
+    // Registered component name (used by Vanduo.use)
+    name: 'draggable',
+
     // Store initialized draggables and their cleanup functions
     instances: new Map(),
     // Store current drag state
@@ -715,6 +723,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Draggable;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('draggable', Draggable);
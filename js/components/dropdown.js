@@ -6,12 +6,29 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Dropdown Component
    */
   const Dropdown = {
+    // Registered component name (used by Vanduo.use)
+    name: 'dropdown',
+
     // Store initialized dropdowns and their cleanup functions
     instances: new Map(),
+
+    // Default options (override via Vanduo.config.dropdown, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      submenuDelay: 150   // Hover intent delay (ms) before a submenu opens or closes
+    },
+
+    // Enabled menu items
+    ITEM_SELECTOR: '.vd-dropdown-item:not(.disabled):not(.is-disabled)',
+
     // Typeahead state
     _typeaheadBuffer: '',
     _typeaheadTimer: null,
@@ -30,6 +47,18 @@
       });
     },
 
+    /**
+     * Resolve options for a dropdown element
+     * @param {HTMLElement} dropdown - Dropdown container
+     * @returns {Object} Options
+     */
+    getOptions: function(dropdown) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(dropdown, 'dropdown', this.DEFAULTS);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Initialize a single dropdown
      * @param {HTMLElement} dropdown - Dropdown container
@@ -42,13 +71,11 @@
         return;
       }
 
-      const cleanupFunctions = [];
-
       // Set ARIA attributes
       toggle.setAttribute('aria-haspopup', 'true');
       toggle.setAttribute('aria-expanded', 'false');
-      menu.setAttribute('role', 'menu');
-      menu.setAttribute('aria-hidden', 'true');
+
+      const instance = this.initMenu(dropdown, toggle, menu);
 
       // Toggle on click
       const toggleClickHandler = (e) => {
@@ -57,30 +84,106 @@
         this.toggleDropdown(dropdown, toggle, menu);
       };
       toggle.addEventListener('click', toggleClickHandler);
-      cleanupFunctions.push(() => toggle.removeEventListener('click', toggleClickHandler));
+      instance.cleanup.push(() => toggle.removeEventListener('click', toggleClickHandler));
+    },
+
+    /**
+     * Set up a menu (items, submenus, keyboard, outside click) and register
+     * the instance
+     * The context menu uses this for menus without a toggle: it keys the
+     * instance by the menu itself and sets `toggle` to the element the menu
+     * was opened for.
+     * @param {HTMLElement} dropdown - Dropdown container (or the menu itself)
+     * @param {HTMLElement|null} toggle - Toggle button
+     * @param {HTMLElement} menu - Dropdown menu
+     * @returns {Object} Instance
+     */
+    initMenu: function(dropdown, toggle, menu) {
+      const cleanupFunctions = [];
+      const instance = {
+        toggle,
+        menu,
+        placement: this.getPlacement(dropdown, menu),
+        options: this.getOptions(dropdown),
+        reference: null,      // Element or virtual element to position against (default: dropdown)
+        strategy: 'absolute', // CSS position of the menu
+        submenuTimers: new Map(),
+        stopAutoUpdate: null,
+        onClose: null,        // function(toggle), called once the menu has closed
+        cleanup: cleanupFunctions
+      };
+
+      menu.setAttribute('role', 'menu');
+      menu.setAttribute('aria-hidden', 'true');
+
+      menu.querySelectorAll('.vd-dropdown-item').forEach(item => {
+        if (!item.hasAttribute('role')) {
+          item.setAttribute('role', 'menuitem');
+        }
+        if (this.isCheckable(item) && !item.hasAttribute('aria-checked')) {
+          item.setAttribute('aria-checked', 'false');
+        }
+      });
 
       // Close on outside click
       const documentClickHandler = (e) => {
         if (!dropdown.contains(e.target) && menu.classList.contains('is-open')) {
-          this.closeDropdown(dropdown, toggle, menu);
+          this.closeDropdown(dropdown, instance.toggle, menu);
         }
       };
       document.addEventListener('click', documentClickHandler);
       cleanupFunctions.push(() => document.removeEventListener('click', documentClickHandler));
 
-      // Keyboard navigation
+      // Keyboard navigation (toggle and menu items, including submenus)
       const keydownHandler = (e) => {
-        this.handleKeydown(e, dropdown, toggle, menu);
+        this.handleKeydown(e, dropdown, instance.toggle, menu);
       };
-      toggle.addEventListener('keydown', keydownHandler);
-      cleanupFunctions.push(() => toggle.removeEventListener('keydown', keydownHandler));
+      dropdown.addEventListener('keydown', keydownHandler);
+      cleanupFunctions.push(() => dropdown.removeEventListener('keydown', keydownHandler));
+
+      // Nested submenus: click toggles, hover opens after a short delay
+      menu.querySelectorAll('.vd-dropdown-submenu').forEach(submenu => {
+        const trigger = this.getSubmenuTrigger(submenu);
+        const subMenu = this.getSubmenuMenu(submenu);
+        if (!trigger || !subMenu) return;
+
+        submenu.setAttribute('role', 'none');
+        trigger.setAttribute('aria-haspopup', 'menu');
+        trigger.setAttribute('aria-expanded', 'false');
+        subMenu.setAttribute('role', 'menu');
+        subMenu.setAttribute('aria-hidden', 'true');
+
+        const triggerClickHandler = (e) => {
+          e.preventDefault();
+          if (submenu.classList.contains('is-open')) {
+            this.closeSubmenu(dropdown, submenu);
+          } else {
+            this.openSubmenu(dropdown, submenu);
+          }
+        };
+        trigger.addEventListener('click', triggerClickHandler);
+        cleanupFunctions.push(() => trigger.removeEventListener('click', triggerClickHandler));
+
+        const enterHandler = () => this.scheduleSubmenu(dropdown, submenu, true);
+        const leaveHandler = () => this.scheduleSubmenu(dropdown, submenu, false);
+        submenu.addEventListener('mouseenter', enterHandler);
+        submenu.addEventListener('mouseleave', leaveHandler);
+        cleanupFunctions.push(() => {
+          submenu.removeEventListener('mouseenter', enterHandler);
+          submenu.removeEventListener('mouseleave', leaveHandler);
+        });
+      });
 
       // Handle item clicks
-      const items = menu.querySelectorAll('.vd-dropdown-item:not(.disabled):not(.is-disabled)');
+      const items = menu.querySelectorAll(this.ITEM_SELECTOR);
       items.forEach(item => {
+        if (this.getSubmenu(item)) {
+          return;
+        }
+
         const itemClickHandler = (e) => {
           e.preventDefault();
-          this.selectItem(item, dropdown, toggle, menu);
+          this.selectItem(item, dropdown, instance.toggle, menu);
         };
         item.addEventListener('click', itemClickHandler);
         cleanupFunctions.push(() => item.removeEventListener('click', itemClickHandler));
@@ -88,14 +191,15 @@
         const itemKeydownHandler = (e) => {
           if (e.key === 'Enter' || e.key === ' ') {
             e.preventDefault();
-            this.selectItem(item, dropdown, toggle, menu);
+            this.selectItem(item, dropdown, instance.toggle, menu);
           }
         };
         item.addEventListener('keydown', itemKeydownHandler);
         cleanupFunctions.push(() => item.removeEventListener('keydown', itemKeydownHandler));
       });
 
-      this.instances.set(dropdown, { toggle, menu, cleanup: cleanupFunctions });
+      this.instances.set(dropdown, instance);
+      return instance;
     },
     
     /**
@@ -121,26 +225,42 @@
      * @param {HTMLElement} menu - Dropdown menu
      */
     openDropdown: function(dropdown, toggle, menu) {
-      // Close other open dropdowns
-      const otherOpen = document.querySelectorAll('.vd-dropdown-menu.is-open');
-      otherOpen.forEach(otherMenu => {
-        if (otherMenu !== menu) {
-          const otherDropdown = otherMenu.closest('.vd-dropdown');
-          const otherToggle = otherDropdown.querySelector('.vd-dropdown-toggle');
-          this.closeDropdown(otherDropdown, otherToggle, otherMenu);
+      // Allow listeners to veto opening
+      const beforeOpen = new CustomEvent('dropdown:beforeopen', {
+        bubbles: true,
+        cancelable: true,
+        detail: { dropdown, toggle, menu }
+      });
+      if (!dropdown.dispatchEvent(beforeOpen)) {
+        return;
+      }
+
+      // Close other open dropdowns (and context menus)
+      this.instances.forEach((other, otherDropdown) => {
+        if (otherDropdown !== dropdown && other.menu.classList.contains('is-open')) {
+          this.closeDropdown(otherDropdown, other.toggle, other.menu);
         }
       });
       
       dropdown.classList.add('is-open');
       menu.classList.add('is-open');
-      toggle.setAttribute('aria-expanded', 'true');
+      // Context menu targets carry no aria-expanded
+      if (toggle.hasAttribute('aria-expanded')) {
+        toggle.setAttribute('aria-expanded', 'true');
+      }
       menu.setAttribute('aria-hidden', 'false');
       
-      // Position menu
+      // Position menu and keep it in place while open
       this.positionMenu(dropdown, menu);
+      const instance = this.instances.get(dropdown);
+      if (instance && !instance.stopAutoUpdate && window.VanduoPosition) {
+        instance.stopAutoUpdate = window.VanduoPosition.autoUpdate(instance.reference || dropdown, menu, () => {
+          this.positionMenu(dropdown, menu);
+        });
+      }
       
       // Focus first item
-      const firstItem = menu.querySelector('.vd-dropdown-item:not(.disabled):not(.is-disabled)');
+      const firstItem = this.getItems(menu)[0];
       if (firstItem) {
         setTimeout(() => firstItem.focus(), 0);
       }
@@ -153,47 +273,259 @@
      * @param {HTMLElement} menu - Dropdown menu
      */
     closeDropdown: function(dropdown, toggle, menu) {
+      this.stopAutoUpdate(dropdown);
+      menu.querySelectorAll('.vd-dropdown-submenu.is-open').forEach(submenu => {
+        this.closeSubmenu(dropdown, submenu);
+      });
+      const instance = this.instances.get(dropdown);
+      if (instance) {
+        instance.submenuTimers.forEach(timer => clearTimeout(timer));
+        instance.submenuTimers.clear();
+      }
+
       dropdown.classList.remove('is-open');
       menu.classList.remove('is-open');
-      toggle.setAttribute('aria-expanded', 'false');
+      if (toggle.hasAttribute('aria-expanded')) {
+        toggle.setAttribute('aria-expanded', 'false');
+      }
       menu.setAttribute('aria-hidden', 'true');
       
       // Return focus to toggle
       toggle.focus();
+
+      if (instance && typeof instance.onClose === 'function') {
+        instance.onClose(toggle);
+      }
     },
     
+    /**
+     * Preferred menu placement: data-dropdown-placement (e.g. "top-end"),
+     * otherwise derived from the vd-dropdown-menu-top / -end modifier classes
+     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLElement} menu - Dropdown menu
+     * @returns {string} Placement
+     */
+    getPlacement: function(dropdown, menu) {
+      if (dropdown.dataset.dropdownPlacement) {
+        return dropdown.dataset.dropdownPlacement;
+      }
+
+      const side = menu.classList.contains('vd-dropdown-menu-top') ? 'top' : 'bottom';
+      const end = menu.classList.contains('vd-dropdown-menu-end') || menu.classList.contains('vd-dropdown-menu-right');
+      return side + (end ? '-end' : '-start');
+    },
+
     /**
      * Position dropdown menu
+     * Flips above/below and shifts sideways to stay inside the viewport and
+     * any scrolling container.
      * @param {HTMLElement} dropdown - Dropdown container
      * @param {HTMLElement} menu - Dropdown menu
      */
     positionMenu: function(dropdown, menu) {
-      const rect = dropdown.getBoundingClientRect();
-      const menuRect = menu.getBoundingClientRect();
-      const viewportWidth = window.innerWidth;
-      const viewportHeight = window.innerHeight;
-      const padding = 8;
-      
-      // Check if menu overflows right
-      if (rect.left + menuRect.width > viewportWidth - padding) {
-        menu.classList.add('vd-dropdown-menu-end');
-        menu.classList.remove('vd-dropdown-menu-start');
+      if (!window.VanduoPosition) return;
+
+      const instance = this.instances.get(dropdown);
+      const result = window.VanduoPosition.position(instance && instance.reference || dropdown, menu, {
+        placement: instance ? instance.placement : this.getPlacement(dropdown, menu),
+        offset: 2,
+        strategy: instance ? instance.strategy : 'absolute'
+      });
+      menu.setAttribute('data-placement', result.placement);
+    },
+
+    /**
+     * Stop repositioning a dropdown menu on scroll/resize
+     * @param {HTMLElement} dropdown - Dropdown container
+     */
+    stopAutoUpdate: function(dropdown) {
+      const instance = this.instances.get(dropdown);
+      if (instance && instance.stopAutoUpdate) {
+        instance.stopAutoUpdate();
+        instance.stopAutoUpdate = null;
       }
-      
-      // Check if menu overflows bottom (for top positioning)
-      if (menu.classList.contains('dropdown-menu-top')) {
-        if (rect.top - menuRect.height < padding) {
-          menu.classList.remove('vd-dropdown-menu-top');
+    },
+    
+    /**
+     * Enabled items of one menu level (items inside its submenus excluded)
+     * @param {HTMLElement} menu - Dropdown menu or submenu
+     * @returns {HTMLElement[]} Items
+     */
+    getItems: function(menu) {
+      return Array.from(menu.querySelectorAll(this.ITEM_SELECTOR))
+        .filter(item => item.closest('.vd-dropdown-menu') === menu);
+    },
+
+    /**
+     * Whether an item is a menuitemcheckbox or menuitemradio
+     * @param {HTMLElement} item - Dropdown item
+     * @returns {boolean}
+     */
+    isCheckable: function(item) {
+      const role = item.getAttribute('role');
+      return role === 'menuitemcheckbox' || role === 'menuitemradio';
+    },
+
+    /**
+     * Submenu container opened by an item, if the item is a submenu trigger
+     * @param {HTMLElement} item - Dropdown item
+     * @returns {HTMLElement|null} .vd-dropdown-submenu element
+     */
+    getSubmenu: function(item) {
+      const parent = item && item.parentElement;
+      return parent && parent.classList.contains('vd-dropdown-submenu') && this.getSubmenuTrigger(parent) === item
+        ? parent
+        : null;
+    },
+
+    /**
+     * Item that opens a submenu
+     * @param {HTMLElement} submenu - .vd-dropdown-submenu element
+     * @returns {HTMLElement|null}
+     */
+    getSubmenuTrigger: function(submenu) {
+      return Array.from(submenu.children).find(child => child.classList.contains('vd-dropdown-item')) || null;
+    },
+
+    /**
+     * Menu inside a submenu
+     * @param {HTMLElement} submenu - .vd-dropdown-submenu element
+     * @returns {HTMLElement|null}
+     */
+    getSubmenuMenu: function(submenu) {
+      return Array.from(submenu.children).find(child => child.classList.contains('vd-dropdown-menu')) || null;
+    },
+
+    /**
+     * Open a submenu, closing other submenus on the same level
+     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLElement} submenu - .vd-dropdown-submenu element
+     * @param {boolean} [focusFirst=false] - Move focus to the first submenu item
+     */
+    openSubmenu: function(dropdown, submenu, focusFirst) {
+      const trigger = this.getSubmenuTrigger(submenu);
+      const subMenu = this.getSubmenuMenu(submenu);
+      if (!trigger || !subMenu) return;
+
+      this.clearSubmenuTimer(dropdown, submenu);
+
+      const parentMenu = submenu.closest('.vd-dropdown-menu');
+      parentMenu.querySelectorAll('.vd-dropdown-submenu.is-open').forEach(other => {
+        if (other !== submenu && other.closest('.vd-dropdown-menu') === parentMenu) {
+          this.closeSubmenu(dropdown, other);
         }
-      } else {
-        if (rect.bottom + menuRect.height > viewportHeight - padding) {
-          menu.classList.add('vd-dropdown-menu-top');
+      });
+
+      submenu.classList.add('is-open');
+      subMenu.classList.add('is-open');
+      trigger.setAttribute('aria-expanded', 'true');
+      subMenu.setAttribute('aria-hidden', 'false');
+
+      // Open beside the trigger, flipping to the other side near the viewport edge
+      if (window.VanduoPosition) {
+        const result = window.VanduoPosition.position(submenu, subMenu, { placement: 'right-start', offset: 2 });
+        subMenu.setAttribute('data-placement', result.placement);
+      }
+
+      if (focusFirst) {
+        const firstItem = this.getItems(subMenu)[0];
+        if (firstItem) {
+          firstItem.focus();
         }
       }
     },
-    
+
+    /**
+     * Close a submenu and any submenus open inside it
+     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLElement} submenu - .vd-dropdown-submenu element
+     */
+    closeSubmenu: function(dropdown, submenu) {
+      const trigger = this.getSubmenuTrigger(submenu);
+      const subMenu = this.getSubmenuMenu(submenu);
+      if (!trigger || !subMenu) return;
+
+      this.clearSubmenuTimer(dropdown, submenu);
+      subMenu.querySelectorAll('.vd-dropdown-submenu.is-open').forEach(nested => {
+        this.closeSubmenu(dropdown, nested);
+      });
+
+      submenu.classList.remove('is-open');
+      subMenu.classList.remove('is-open');
+      trigger.setAttribute('aria-expanded', 'false');
+      subMenu.setAttribute('aria-hidden', 'true');
+    },
+
+    /**
+     * Open or close a submenu after the hover intent delay
+     * Passing over a submenu trigger on the way to another item does not
+     * flash its submenu, and moving diagonally into an open submenu does not
+     * close it.
+     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLElement} submenu - .vd-dropdown-submenu element
+     * @param {boolean} open - Open (true) or close (false)
+     */
+    scheduleSubmenu: function(dropdown, submenu, open) {
+      const instance = this.instances.get(dropdown);
+      if (!instance) return;
+
+      this.clearSubmenuTimer(dropdown, submenu);
+      instance.submenuTimers.set(submenu, setTimeout(() => {
+        instance.submenuTimers.delete(submenu);
+        if (open) {
+          this.openSubmenu(dropdown, submenu);
+        } else {
+          this.closeSubmenu(dropdown, submenu);
+        }
+      }, instance.options.submenuDelay));
+    },
+
+    /**
+     * Cancel a pending hover open/close
+     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLElement} submenu - .vd-dropdown-submenu element
+     */
+    clearSubmenuTimer: function(dropdown, submenu) {
+      const instance = this.instances.get(dropdown);
+      if (instance && instance.submenuTimers.has(submenu)) {
+        clearTimeout(instance.submenuTimers.get(submenu));
+        instance.submenuTimers.delete(submenu);
+      }
+    },
+
+    /**
+     * Move focus to the next item whose text starts with the typed characters
+     * Repeating one character cycles through the items starting with it.
+     * @param {string} key - Typed character
+     * @param {HTMLElement[]} items - Items of the focused menu
+     * @param {number} currentIndex - Index of the focused item (-1 if none)
+     */
+    typeahead: function(key, items, currentIndex) {
+      clearTimeout(this._typeaheadTimer);
+      this._typeaheadBuffer += key.toLowerCase();
+
+      const buffer = this._typeaheadBuffer;
+      const repeated = buffer.split('').every(char => char === buffer[0]);
+      const query = repeated ? buffer[0] : buffer;
+      const start = repeated ? currentIndex + 1 : Math.max(currentIndex, 0);
+      const ordered = items.slice(start).concat(items.slice(0, start));
+
+      const match = ordered.find(item =>
+        item.textContent.trim().toLowerCase().startsWith(query)
+      );
+      if (match) {
+        match.focus();
+      }
+
+      this._typeaheadTimer = setTimeout(() => {
+        this._typeaheadBuffer = '';
+      }, 500);
+    },
+
     /**
      * Handle keyboard navigation
+     * Keys act on the menu level that holds focus: the root menu while the
+     * toggle or a top-level item is focused, otherwise the open submenu.
      * @param {KeyboardEvent} e - Keyboard event
      * @param {HTMLElement} dropdown - Dropdown container
      * @param {HTMLElement} toggle - Toggle button
@@ -201,46 +533,81 @@
      */
     handleKeydown: function(e, dropdown, toggle, menu) {
       const isOpen = menu.classList.contains('is-open');
-      const items = Array.from(menu.querySelectorAll('.vd-dropdown-item:not(.disabled):not(.is-disabled)'));
+      const inMenu = menu.contains(e.target);
+
+      // e.g. an item just closed the menu on Enter
+      if (inMenu && !isOpen) return;
+
+      const current = inMenu ? e.target.closest('.vd-dropdown-menu') : menu;
+      const items = this.getItems(current);
       const currentIndex = items.findIndex(item => item === document.activeElement);
-      
+      const submenu = inMenu ? this.getSubmenu(e.target) : null;
+      const parentSubmenu = current !== menu ? current.parentElement : null;
+
       switch (e.key) {
         case 'Enter':
         case ' ':
         case 'ArrowDown':
+          if (inMenu && e.key !== 'ArrowDown') {
+            // Items select themselves; submenu triggers open their submenu
+            if (submenu) {
+              e.preventDefault();
+              this.openSubmenu(dropdown, submenu, true);
+            }
+            break;
+          }
           e.preventDefault();
           if (!isOpen) {
             this.openDropdown(dropdown, toggle, menu);
-          } else if (e.key === 'ArrowDown') {
+          } else if (e.key === 'ArrowDown' && items.length) {
             const nextIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
             items[nextIndex].focus();
           }
           break;
           
         case 'ArrowUp':
-          if (isOpen) {
+          if (isOpen && items.length) {
             e.preventDefault();
             const prevIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
             items[prevIndex].focus();
           }
           break;
+
+        case 'ArrowRight':
+          if (submenu) {
+            e.preventDefault();
+            this.openSubmenu(dropdown, submenu, true);
+          }
+          break;
+
+        case 'ArrowLeft':
+          if (parentSubmenu) {
+            e.preventDefault();
+            this.closeSubmenu(dropdown, parentSubmenu);
+            this.getSubmenuTrigger(parentSubmenu).focus();
+          }
+          break;
           
         case 'Escape':
-          if (isOpen) {
+          if (parentSubmenu) {
+            e.preventDefault();
+            this.closeSubmenu(dropdown, parentSubmenu);
+            this.getSubmenuTrigger(parentSubmenu).focus();
+          } else if (isOpen) {
             e.preventDefault();
             this.closeDropdown(dropdown, toggle, menu);
           }
           break;
           
         case 'Home':
-          if (isOpen) {
+          if (isOpen && items.length) {
             e.preventDefault();
             items[0].focus();
           }
           break;
           
         case 'End':
-          if (isOpen) {
+          if (isOpen && items.length) {
             e.preventDefault();
             items[items.length - 1].focus();
           }
@@ -249,19 +616,7 @@
         default:
           // Typeahead: jump to matching item when typing printable characters
           if (isOpen && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
-            clearTimeout(this._typeaheadTimer);
-            this._typeaheadBuffer += e.key.toLowerCase();
-
-            const match = items.find(item =>
-              item.textContent.trim().toLowerCase().startsWith(this._typeaheadBuffer)
-            );
-            if (match) {
-              match.focus();
-            }
-
-            this._typeaheadTimer = setTimeout(() => {
-              this._typeaheadBuffer = '';
-            }, 500);
+            this.typeahead(e.key, items, currentIndex);
           }
           break;
       }
@@ -269,32 +624,54 @@
     
     /**
      * Select dropdown item
+     * Checkbox and radio items toggle aria-checked and keep the menu open;
+     * other items become active and close it.
      * @param {HTMLElement} item - Dropdown item
      * @param {HTMLElement} dropdown - Dropdown container
      * @param {HTMLElement} toggle - Toggle button
      * @param {HTMLElement} menu - Dropdown menu
      */
     selectItem: function(item, dropdown, toggle, menu) {
-      // Remove active from all items
-      menu.querySelectorAll('.vd-dropdown-item').forEach(i => {
-        i.classList.remove('active', 'is-active');
-      });
-      
-      // Add active to selected item
-      item.classList.add('active', 'is-active');
-      
-      // Update toggle text if it's a button
-      if (toggle.tagName === 'BUTTON' || toggle.classList.contains('btn')) {
-        toggle.textContent = item.textContent.trim();
+      const role = item.getAttribute('role');
+      let checked = null;
+
+      if (role === 'menuitemcheckbox') {
+        checked = item.getAttribute('aria-checked') !== 'true';
+        item.setAttribute('aria-checked', String(checked));
+      } else if (role === 'menuitemradio') {
+        // Radios are grouped by role="group", otherwise by menu level
+        const itemMenu = item.closest('.vd-dropdown-menu');
+        const group = item.closest('[role="group"]');
+        const scope = group && itemMenu.contains(group) ? group : itemMenu;
+        scope.querySelectorAll('[role="menuitemradio"]').forEach(radio => {
+          if (radio.closest('.vd-dropdown-menu') === itemMenu) {
+            radio.setAttribute('aria-checked', String(radio === item));
+          }
+        });
+        checked = true;
+      } else {
+        // Remove active from all items
+        menu.querySelectorAll('.vd-dropdown-item').forEach(i => {
+          i.classList.remove('active', 'is-active');
+        });
+
+        // Add active to selected item
+        item.classList.add('active', 'is-active');
+
+        // Update toggle text if it's a button
+        if (toggle.tagName === 'BUTTON' || toggle.classList.contains('btn')) {
+          toggle.textContent = item.textContent.trim();
+        }
+
+        // Close dropdown
+        this.closeDropdown(dropdown, toggle, menu);
       }
       
-      // Close dropdown
-      this.closeDropdown(dropdown, toggle, menu);
-      
-      // Dispatch event
+      // Dispatch event (checked is null for plain items; target is the
+      // toggle, or the element a context menu was opened for)
       item.dispatchEvent(new CustomEvent('dropdown:select', { 
         bubbles: true,
-        detail: { item, value: item.dataset.value || item.textContent }
+        detail: { item, value: item.dataset.value || item.textContent, checked, target: toggle }
       }));
     },
     
@@ -336,6 +713,8 @@
       const instance = this.instances.get(dropdown);
       if (!instance) return;
 
+      this.stopAutoUpdate(dropdown);
+      instance.submenuTimers.forEach(timer => clearTimeout(timer));
       instance.cleanup.forEach(fn => fn());
       this.instances.delete(dropdown);
     },
@@ -350,6 +729,12 @@
     }
   };
   
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Dropdown;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('dropdown', Dropdown);
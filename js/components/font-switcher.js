@@ -6,7 +6,15 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   const FontSwitcher = {
+    // Registered component name (used by Vanduo.use)
+    name: 'fontSwitcher',
+
     STORAGE_KEY: 'vanduo-font-preference',
     isInitialized: false,
 
@@ -63,6 +71,11 @@
     },
 
     init: function() {
+      // Prefix follows Vanduo.configure({ storagePrefix })
+      if (typeof window.storageKey === 'function') {
+        this.STORAGE_KEY = window.storageKey('font-preference');
+      }
+
       this.state = {
         preference: this.getPreference()
       };
@@ -243,6 +256,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = FontSwitcher;
+    return;
+  }
+
   // Register component
   if (window.Vanduo) {
     window.Vanduo.register('fontSwitcher', FontSwitcher);
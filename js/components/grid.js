@@ -7,6 +7,11 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   var supportsHas = (function () {
     try {
       return CSS.supports('selector(:has(*))');
@@ -19,8 +24,21 @@
    * Grid Layout Component
    */
   var GridLayout = {
+    // Registered component name (used by Vanduo.use)
+    name: 'gridLayout',
+
     instances: new Map(),
 
+    // Default options (override via Vanduo.config.gridLayout, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      layoutMode: 'standard'
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      layoutMode: 'data-layout-mode'
+    },
+
     /**
      * Initialize all grid layout containers
      */
@@ -42,7 +60,7 @@
      * @param {HTMLElement} container - Element with data-layout-mode
      */
     initContainer: function (container) {
-      var mode = container.getAttribute('data-layout-mode') || 'standard';
+      var mode = this.getOptions(container).layoutMode || 'standard';
       var cleanupFunctions = [];
 
       this.applyMode(container, mode);
@@ -56,6 +74,18 @@
       });
     },
 
+    /**
+     * Resolve options for a grid container
+     * @param {HTMLElement} container - Grid container
+     * @returns {Object} Options
+     */
+    getOptions: function (container) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(container, 'gridLayout', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Initialize toggle buttons that target grid containers
      */
@@ -268,6 +298,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = GridLayout;
+    return;
+  }
+
   // Register with Vanduo framework
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('gridLayout', GridLayout);
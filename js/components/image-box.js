@@ -14,10 +14,18 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Image Box Component
    */
   const ImageBox = {
+    // Registered component name (used by Vanduo.use)
+    name: 'imageBox',
+
     backdrop: null,
     container: null,
     img: null,
@@ -31,6 +39,30 @@
     // Store cleanup functions for event listeners
     _cleanupFunctions: [],
 
+    // Default options (override via Vanduo.config.imageBox, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      src: '',
+      caption: ''
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      src: ['data-image-box-full-src', 'data-image-box-src'],
+      caption: 'data-image-box-caption'
+    },
+
+    /**
+     * Resolve options for a trigger
+     * @param {HTMLElement} trigger - The trigger element
+     * @returns {Object} Options
+     */
+    getOptions: function (trigger) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(trigger, 'imageBox', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Initialize Image Box component
      */
@@ -229,8 +261,8 @@
 
       // Get image source - support dual images (thumbnail + full-size)
       // data-image-box-full-src takes precedence for the lightbox
-      const imgSrc = trigger.dataset.imageBoxFullSrc ||
-        trigger.dataset.imageBoxSrc ||
+      const options = this.getOptions(trigger);
+      const imgSrc = options.src ||
         trigger.src ||
         trigger.href;
 
@@ -240,7 +272,7 @@
       }
 
       // Get caption
-      const captionText = trigger.dataset.imageBoxCaption || trigger.alt || '';
+      const captionText = options.caption || trigger.alt || '';
 
       // Set image source
       this.img.src = imgSrc;
@@ -361,6 +393,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = ImageBox;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('imageBox', ImageBox);
@@ -6,10 +6,18 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Modals Component
    */
   const Modals = {
+    // Registered component name (used by Vanduo.use)
+    name: 'modals',
+
     modals: new Map(),
     openModals: [],
     zIndexCounter: 1050,
@@ -17,6 +25,29 @@
     // Store trigger cleanup functions
     _triggerCleanups: [],
 
+    // Fragment URL -> processed HTML, for modals with the cache option
+    _cache: new Map(),
+
+    // Default options (override via Vanduo.config.modals, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      backdrop: true,
+      keyboard: true,
+      // Reuse fetched data-modal-src fragments instead of requesting them again
+      cache: false,
+      // Pass fetched fragments through sanitizeHtml, which keeps inline formatting only
+      // (no component markup); false for trusted markup, or a function(html). JS only.
+      sanitize: true
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      backdrop: 'data-backdrop',
+      keyboard: 'data-keyboard'
+    },
+
+    // Size modifiers accepted by create()
+    SIZES: ['sm', 'lg', 'xl', 'fullscreen'],
+
     /**
      * Initialize modals
      */
@@ -41,6 +72,10 @@
           const modalId = trigger.dataset.modal;
           const modal = document.querySelector(modalId);
           if (modal) {
+            const modalData = this.modals.get(modal);
+            if (modalData) {
+              modalData.src = trigger.getAttribute('data-modal-src');
+            }
             this.open(modal);
           }
         };
@@ -54,7 +89,6 @@
      * @param {HTMLElement} modal - Modal element
      */
     initModal: function (modal) {
-      const backdrop = this.createBackdrop(modal);
       const closeButtons = modal.querySelectorAll('.vd-modal-close, [data-dismiss="modal"]');
       const dialog = modal.querySelector('.vd-modal-dialog');
 
@@ -62,12 +96,24 @@
         return;
       }
 
+      const native = this.isNative(modal);
+      if (!native && modal.hasAttribute('data-modal-native') && modal.tagName !== 'DIALOG') {
+        console.warn('[Vanduo Modals] data-modal-native requires a <dialog> element:', modal);
+      }
+
+      // Resolved once; configure() changes them later
+      const options = this.getOptions(modal);
+
+      // Native dialogs render their backdrop via ::backdrop
+      const backdrop = native ? null : this.createBackdrop(modal);
       const cleanupFunctions = [];
 
-      // Set ARIA attributes
-      modal.setAttribute('role', 'dialog');
-      modal.setAttribute('aria-modal', 'true');
-      modal.setAttribute('aria-hidden', 'true');
+      // Set ARIA attributes (implicit for a modal <dialog>)
+      if (!native) {
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-hidden', 'true');
+      }
 
       // Generate ID if not exists
       if (!modal.id) {
@@ -90,28 +136,143 @@
         cleanupFunctions.push(() => button.removeEventListener('click', closeHandler));
       });
 
-      // Backdrop click handler
-      const backdropClickHandler = (e) => {
-        if (e.target === backdrop && modal.dataset.backdrop !== 'static') {
+      if (native) {
+        this.bindNative(modal, options, cleanupFunctions);
+      } else {
+        // Backdrop click handler
+        const backdropClickHandler = (e) => {
+          if (e.target === backdrop && options.backdrop !== 'static') {
+            this.close(modal);
+          }
+        };
+        backdrop.addEventListener('click', backdropClickHandler);
+        cleanupFunctions.push(() => backdrop.removeEventListener('click', backdropClickHandler));
+
+        // ESC key handler
+        const escKeyHandler = (e) => {
+          if (e.key === 'Escape' && this.openModals.length > 0) {
+            const topModal = this.openModals[this.openModals.length - 1];
+            if (topModal === modal && options.keyboard !== false) {
+              this.close(topModal);
+            }
+          }
+        };
+        document.addEventListener('keydown', escKeyHandler);
+        cleanupFunctions.push(() => document.removeEventListener('keydown', escKeyHandler));
+      }
+
+      this.modals.set(modal, {
+        options,
+        native,
+        backdrop,
+        dialog,
+        trapHandler: null,
+        previousFocus: null,
+        result: undefined,
+        src: null,
+        placeholder: undefined,
+        cleanup: cleanupFunctions
+      });
+    },
+
+    /**
+     * Check whether a modal uses the native <dialog> backend
+     * Opt in with `<dialog class="vd-modal" data-modal-native>`; browsers
+     * without showModal() fall back to the default backend.
+     * @param {HTMLElement} modal - Modal element
+     * @returns {boolean}
+     */
+    isNative: function (modal) {
+      return modal.hasAttribute('data-modal-native') && typeof modal.showModal === 'function';
+    },
+
+    /**
+     * Bind the Escape, backdrop and close handlers of a native dialog
+     * @param {HTMLDialogElement} modal - Modal element
+     * @param {Object} options - Resolved modal options
+     * @param {Array<Function>} cleanupFunctions - Cleanup list to add to
+     */
+    bindNative: function (modal, options, cleanupFunctions) {
+      // Other cancel requests (e.g. a back gesture) fire `cancel`; route them
+      // through close() so modal:beforeclose applies
+      const cancelHandler = (e) => {
+        e.preventDefault();
+        if (options.keyboard !== false) {
           this.close(modal);
         }
       };
-      backdrop.addEventListener('click', backdropClickHandler);
-      cleanupFunctions.push(() => backdrop.removeEventListener('click', backdropClickHandler));
+      modal.addEventListener('cancel', cancelHandler);
+      cleanupFunctions.push(() => modal.removeEventListener('cancel', cancelHandler));
 
-      // ESC key handler
+      // Cancelling only `cancel` is not enough: Chrome's close watcher closes the
+      // dialog on a second Escape anyway. Handle Escape on keydown, which stops
+      // the browser from starting its cancel at all.
       const escKeyHandler = (e) => {
-        if (e.key === 'Escape' && this.openModals.length > 0) {
-          const topModal = this.openModals[this.openModals.length - 1];
-          if (topModal === modal && topModal.dataset.keyboard !== 'false') {
-            this.close(topModal);
-          }
+        if (e.key !== 'Escape' || !modal.open || this.openModals[this.openModals.length - 1] !== modal) {
+          return;
+        }
+        e.preventDefault();
+        if (options.keyboard !== false) {
+          this.close(modal);
         }
       };
       document.addEventListener('keydown', escKeyHandler);
       cleanupFunctions.push(() => document.removeEventListener('keydown', escKeyHandler));
 
-      this.modals.set(modal, { backdrop, dialog, trapHandler: null, cleanup: cleanupFunctions });
+      // The dialog covers the viewport, so clicks outside the content hit the dialog itself
+      const backdropClickHandler = (e) => {
+        if (e.target === modal && options.backdrop !== 'static') {
+          this.close(modal);
+        }
+      };
+      modal.addEventListener('click', backdropClickHandler);
+      cleanupFunctions.push(() => modal.removeEventListener('click', backdropClickHandler));
+
+      // Closed outside of close() (e.g. <form method="dialog"> or dialog.close())
+      const nativeCloseHandler = () => {
+        if (modal.open || this.openModals.indexOf(modal) === -1) {
+          return;
+        }
+        const modalData = this.modals.get(modal);
+        if (modalData && modalData.result === undefined && modal.returnValue) {
+          modalData.result = modal.returnValue;
+        }
+        this.close(modal, true);
+      };
+      modal.addEventListener('close', nativeCloseHandler);
+      cleanupFunctions.push(() => modal.removeEventListener('close', nativeCloseHandler));
+    },
+
+    /**
+     * Resolve options for a modal from config and attributes
+     * @param {HTMLElement} modal - Modal element
+     * @returns {Object} Options
+     */
+    getOptions: function (modal) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(modal, 'modals', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return {
+        backdrop: modal.dataset.backdrop === 'static' ? 'static' : true,
+        keyboard: modal.dataset.keyboard !== 'false',
+        cache: false,
+        sanitize: true
+      };
+    },
+
+    /**
+     * Change options of an initialized modal, e.g. to pass a sanitize
+     * function, which markup attributes cannot carry
+     * @param {HTMLElement|string} modal - Modal element or selector
+     * @param {Object} options - Options to merge (see DEFAULTS)
+     */
+    configure: function (modal, options) {
+      const el = typeof modal === 'string' ? document.querySelector(modal) : modal;
+      const modalData = el && this.modals.get(el);
+      if (!modalData) return;
+
+      // Merged in place: the handlers bound in initModal() read this object
+      Object.assign(modalData.options, options);
     },
 
     /**
@@ -149,22 +310,42 @@
       }
 
       const modalData = this.modals.get(el);
-      const { backdrop, dialog: _dialog } = modalData;
+      const { backdrop, native } = modalData;
+
+      // Remote content: the trigger's data-modal-src, else the modal's own.
+      // Taken before the veto so a vetoed open does not leave it for the next one.
+      const src = modalData.src || el.getAttribute('data-modal-src');
+      modalData.src = null;
 
-      // Increment z-index for stacking
-      this.zIndexCounter += 10;
-      el.style.zIndex = this.zIndexCounter;
-      backdrop.style.zIndex = this.zIndexCounter - 1;
+      // Allow listeners to veto opening
+      const beforeOpen = new CustomEvent('modal:beforeopen', { bubbles: true, cancelable: true });
+      if (!el.dispatchEvent(beforeOpen)) {
+        return;
+      }
 
       // Add to open modals stack
       this.openModals.push(el);
 
-      // Show backdrop
-      backdrop.classList.add('is-visible');
+      if (native) {
+        // The top layer handles stacking and makes the rest of the page inert
+        if (!el.open) {
+          el.returnValue = '';
+          el.showModal();
+        }
+        el.classList.add('is-open');
+      } else {
+        // Increment z-index for stacking
+        this.zIndexCounter += 10;
+        el.style.zIndex = this.zIndexCounter;
+        backdrop.style.zIndex = this.zIndexCounter - 1;
 
-      // Show modal
-      el.classList.add('is-open');
-      el.setAttribute('aria-hidden', 'false');
+        // Show backdrop
+        backdrop.classList.add('is-visible');
+
+        // Show modal
+        el.classList.add('is-open');
+        el.setAttribute('aria-hidden', 'false');
+      }
 
       // Lock body scroll
       if (this.openModals.length === 1) {
@@ -175,27 +356,34 @@
         }
       }
 
-      // Focus trap (store handler for cleanup)
-      const trapHandler = this.trapFocus(el);
-      modalData.trapHandler = trapHandler;
+      // Focus trap (store handler for cleanup); native dialogs keep focus themselves
+      modalData.trapHandler = native ? null : this.trapFocus(el);
+      modalData.previousFocus = document.activeElement;
+      modalData.result = undefined;
 
-      // Auto-focus first focusable element
+      // Auto-focus the [autofocus] element, else the first focusable element
       setTimeout(() => {
-        const firstFocusable = this.getFocusableElements(el)[0];
-        if (firstFocusable) {
-          firstFocusable.focus();
+        const target = el.querySelector('[autofocus]') || this.getFocusableElements(el)[0];
+        if (target) {
+          target.focus();
         }
       }, 100);
 
       // Dispatch event
       el.dispatchEvent(new CustomEvent('modal:open', { bubbles: true }));
+
+      // Fetch remote content
+      if (src) {
+        this.load(el, src);
+      }
     },
 
     /**
      * Close modal
      * @param {HTMLElement|string} modal - Modal element or selector
+     * @param {boolean} [force=false] - Skip the cancelable modal:beforeclose event
      */
-    close: function (modal) {
+    close: function (modal, force) {
       const el = typeof modal === 'string' ? document.querySelector(modal) : modal;
 
       if (!el) {
@@ -208,8 +396,16 @@
         return;
       }
 
+      // Allow listeners to veto closing (e.g. unsaved form changes)
+      if (!force) {
+        const beforeClose = new CustomEvent('modal:beforeclose', { bubbles: true, cancelable: true });
+        if (!el.dispatchEvent(beforeClose)) {
+          return;
+        }
+      }
+
       const modalData = this.modals.get(el);
-      const { backdrop, trapHandler } = modalData;
+      const { backdrop, trapHandler, native } = modalData;
 
       // Remove focus trap event listener to prevent memory leak
       if (trapHandler) {
@@ -225,11 +421,19 @@
 
       // Hide modal
       el.classList.remove('is-open');
-      el.setAttribute('aria-hidden', 'true');
+      if (native) {
+        if (el.open) {
+          el.close();
+        }
+      } else {
+        el.setAttribute('aria-hidden', 'true');
+      }
 
       // Hide backdrop if no other modals open
       if (this.openModals.length === 0) {
-        backdrop.classList.remove('is-visible');
+        if (backdrop) {
+          backdrop.classList.remove('is-visible');
+        }
         document.body.classList.remove('body-modal-open');
         document.body.style.paddingRight = '';
         // Reset z-index counter to prevent indefinite growth
@@ -238,17 +442,144 @@
         // Show backdrop for top modal
         const topModal = this.openModals[this.openModals.length - 1];
         const topBackdrop = this.modals.get(topModal).backdrop;
-        topBackdrop.classList.add('is-visible');
+        if (topBackdrop) {
+          topBackdrop.classList.add('is-visible');
+        }
       }
 
-      // Return focus to trigger
+      // Return focus to trigger, or to whatever had focus before opening
       const trigger = document.querySelector(`[data-modal="#${el.id}"]`);
       if (trigger) {
         trigger.focus();
+      } else if (modalData.previousFocus && modalData.previousFocus.isConnected &&
+        typeof modalData.previousFocus.focus === 'function') {
+        modalData.previousFocus.focus();
       }
+      modalData.previousFocus = null;
 
-      // Dispatch event
-      el.dispatchEvent(new CustomEvent('modal:close', { bubbles: true }));
+      // Tear down fetched content and its components
+      this._unloadContent(el, modalData);
+
+      // Dispatch event (result: value of the create() footer button that closed it)
+      const result = modalData.result;
+      modalData.result = undefined;
+      el.dispatchEvent(new CustomEvent('modal:close', { bubbles: true, detail: { result } }));
+    },
+
+    /**
+     * Load an HTML fragment into the modal body
+     * Shows a spinner while loading and an error with a retry button on
+     * failure. Components in the fragment are initialized once it is inserted
+     * and destroyed when the modal closes, which restores the original body.
+     * The default sanitizer strips component markup, so fragments with
+     * components need sanitize: false or a sanitize function (set from JS).
+     * @param {HTMLElement|string} modal - Modal element or selector
+     * @param {string} url - Fragment URL
+     * @returns {Promise<boolean>} true once the fragment is shown
+     */
+    load: function (modal, url) {
+      const el = typeof modal === 'string' ? document.querySelector(modal) : modal;
+      const modalData = el ? this.modals.get(el) : null;
+      const body = el ? el.querySelector('.vd-modal-body') : null;
+
+      if (!modalData || !body) {
+        console.warn('[Vanduo Modals] Cannot load content into modal:', modal);
+        return Promise.resolve(false);
+      }
+      if (typeof window.loadFragment !== 'function') {
+        console.warn('[Vanduo Modals] Loading content needs js/utils/helpers.js');
+        return Promise.resolve(false);
+      }
+
+      const options = modalData.options;
+      this._unloadContent(el, modalData);
+      modalData.placeholder = body.innerHTML;
+
+      if (options.cache && this._cache.has(url)) {
+        this._showContent(el, body, this._cache.get(url), url);
+        return Promise.resolve(true);
+      }
+
+      return window.loadFragment(body, url, {
+        prefix: 'vd-modal',
+        host: el,
+        sanitize: options.sanitize,
+        labels: {
+          loading: this.t('loading', 'Loading...'),
+          loadError: this.t('loadError', 'The content could not be loaded.'),
+          retry: this.t('retry', 'Retry')
+        },
+        onLoad: content => {
+          if (options.cache) {
+            this._cache.set(url, content);
+          }
+          this._showContent(el, body, content, url);
+        },
+        onError: error => {
+          el.dispatchEvent(new CustomEvent('modal:loaderror', { bubbles: true, detail: { src: url, error } }));
+        },
+        onRetry: () => {
+          this.load(el, url);
+        }
+      });
+    },
+
+    /**
+     * Forget cached fragments
+     * @param {string} [url] - Fragment URL (all fragments when omitted)
+     */
+    clearCache: function (url) {
+      if (url) {
+        this._cache.delete(url);
+      } else {
+        this._cache.clear();
+      }
+    },
+
+    /**
+     * Insert a loaded fragment and initialize its components
+     * @param {HTMLElement} modal - Modal element
+     * @param {HTMLElement} body - Modal body
+     * @param {string} content - Processed HTML
+     * @param {string} url - Fragment URL
+     */
+    _showContent: function (modal, body, content, url) {
+      body.innerHTML = content;
+
+      if (window.Vanduo && typeof window.Vanduo.scope === 'function') {
+        window.Vanduo.scope(body).init();
+      }
+
+      modal.dispatchEvent(new CustomEvent('modal:load', { bubbles: true, detail: { src: url } }));
+    },
+
+    /**
+     * Abort a pending load, destroy fragment components and restore the body
+     * @param {HTMLElement} modal - Modal element
+     * @param {Object} modalData - Modal instance data
+     */
+    _unloadContent: function (modal, modalData) {
+      const body = modal.querySelector('.vd-modal-body');
+      if (body && typeof window.abortFragment === 'function') {
+        window.abortFragment(body);
+      }
+
+      if (modalData.placeholder === undefined) {
+        return;
+      }
+
+      if (body) {
+        if (window.Vanduo && typeof window.Vanduo.scope === 'function') {
+          window.Vanduo.scope(body).destroy();
+        } else if (window.VanduoLifecycle) {
+          window.VanduoLifecycle.destroyAllInContainer(body);
+        }
+        body.innerHTML = modalData.placeholder;
+      }
+
+      modalData.placeholder = undefined;
+      modal.classList.remove('is-loading');
+      modal.removeAttribute('aria-busy');
     },
 
     /**
@@ -316,6 +647,304 @@
       }
     },
 
+    /**
+     * Look up a UI string, overridable via Vanduo.i18n['modals.<key>']
+     * @param {string} key - String key
+     * @param {string} fallback - Default text
+     * @returns {string}
+     */
+    t: function (key, fallback) {
+      return typeof window.translate === 'function' ? window.translate('modals.' + key, fallback) : fallback;
+    },
+
+    /**
+     * Escape text for insertion into markup
+     * @param {*} text - Text to escape
+     * @returns {string} HTML-safe string
+     */
+    escape: function (text) {
+      const value = text === null || text === undefined ? '' : String(text);
+      if (typeof window.escapeHtml === 'function') {
+        return window.escapeHtml(value);
+      }
+      const div = document.createElement('div');
+      div.textContent = value;
+      return div.innerHTML;
+    },
+
+    /**
+     * Create and initialize a modal from options
+     * The modal is appended to the body but not opened; call open() to show it.
+     * Footer buttons close the modal with their `value`, reported as
+     * `event.detail.result` on `modal:close`.
+     * @param {Object} options - Modal options
+     * @param {string} [options.title] - Title text
+     * @param {string|HTMLElement} [options.body] - Body text (escaped) or element
+     * @param {boolean} [options.html=false] - Treat a string body as HTML (sanitized with sanitizeHtml; throws if helpers.js is missing)
+     * @param {Array<Object>} [options.footerButtons] - Buttons:
+     *   { label, value, variant = 'secondary', dismiss = true, autofocus, onClick(event, modal) }
+     *   (onClick returning false keeps the modal open)
+     * @param {string} [options.size] - 'sm', 'lg', 'xl' or 'fullscreen'
+     * @param {boolean|string} [options.backdrop=true] - 'static' ignores backdrop clicks
+     * @param {boolean} [options.keyboard=true] - Close on Escape
+     * @param {boolean} [options.closeButton=true] - Show the header close button
+     * @param {boolean} [options.destroyOnClose=false] - Remove the modal once closed
+     * @param {string} [options.className] - Extra classes for the modal element
+     * @param {boolean} [options.native=false] - Render through a native <dialog>
+     * @returns {HTMLElement} Modal element
+     */
+    create: function (options) {
+      const config = Object.assign({
+        title: '',
+        body: '',
+        html: false,
+        footerButtons: [],
+        size: '',
+        backdrop: true,
+        keyboard: true,
+        closeButton: true,
+        destroyOnClose: false,
+        className: '',
+        native: false
+      }, options);
+
+      const modal = document.createElement(config.native ? 'dialog' : 'div');
+      modal.className = 'vd-modal';
+      modal.id = 'modal-' + Math.random().toString(36).substr(2, 9);
+      modal.setAttribute('data-modal-generated', '');
+      if (config.native) {
+        modal.setAttribute('data-modal-native', '');
+      }
+      if (this.SIZES.indexOf(config.size) !== -1) {
+        modal.classList.add('vd-modal-' + config.size);
+      }
+      if (config.className) {
+        modal.className += ' ' + config.className;
+      }
+      if (config.backdrop === 'static') {
+        modal.setAttribute('data-backdrop', 'static');
+      }
+      if (config.keyboard === false) {
+        modal.setAttribute('data-keyboard', 'false');
+      }
+
+      let html = '<div class="vd-modal-dialog"><div class="vd-modal-content">';
+
+      if (config.title || config.closeButton) {
+        html += '<div class="vd-modal-header">';
+        if (config.title) {
+          html += `<h2 class="vd-modal-title">${this.escape(config.title)}</h2>`;
+        }
+        if (config.closeButton) {
+          html += `<button type="button" class="vd-modal-close" aria-label="${this.escape(this.t('close', 'Close'))}"><span aria-hidden="true">&times;</span></button>`;
+        }
+        html += '</div>';
+      }
+
+      html += `<div class="vd-modal-body" id="${modal.id}-body"></div>`;
+
+      if (config.footerButtons && config.footerButtons.length) {
+        html += '<div class="vd-modal-footer"></div>';
+      }
+
+      html += '</div></div>';
+      modal.innerHTML = html;
+
+      const body = modal.querySelector('.vd-modal-body');
+      if (config.body && config.body.nodeType) {
+        body.appendChild(config.body);
+      } else if (config.body !== '' && config.body !== null && config.body !== undefined) {
+        body.innerHTML = config.html
+          ? window.sanitizeContent(String(config.body), true)
+          : `<p>${this.escape(config.body)}</p>`;
+      }
+      modal.setAttribute('aria-describedby', body.id);
+
+      const footer = modal.querySelector('.vd-modal-footer');
+      const buttons = (config.footerButtons || []).map(buttonConfig => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'vd-btn vd-btn-' + (buttonConfig.variant || 'secondary');
+        button.innerHTML = this.escape(buttonConfig.label);
+        if (buttonConfig.autofocus) {
+          button.setAttribute('autofocus', '');
+        }
+        footer.appendChild(button);
+        return { button, config: buttonConfig };
+      });
+
+      document.body.appendChild(modal);
+      this.initModal(modal);
+
+      const modalData = this.modals.get(modal);
+      buttons.forEach(({ button, config: buttonConfig }) => {
+        const buttonClickHandler = (e) => {
+          if (typeof buttonConfig.onClick === 'function' && buttonConfig.onClick(e, modal) === false) {
+            return;
+          }
+          if (buttonConfig.dismiss !== false) {
+            modalData.result = buttonConfig.value;
+            this.close(modal);
+            // Forget the value if a modal:beforeclose listener kept the modal open
+            modalData.result = undefined;
+          }
+        };
+        button.addEventListener('click', buttonClickHandler);
+        modalData.cleanup.push(() => button.removeEventListener('click', buttonClickHandler));
+      });
+
+      if (config.destroyOnClose) {
+        const removeHandler = () => {
+          this.destroy(modal);
+          if (modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+          }
+        };
+        modal.addEventListener('modal:close', removeHandler);
+        modalData.cleanup.push(() => modal.removeEventListener('modal:close', removeHandler));
+      }
+
+      return modal;
+    },
+
+    /**
+     * Open a generated modal and wait for it to close
+     * @param {Object} options - create() options (destroyOnClose is forced)
+     * @returns {Promise<*>} Resolves with the value of the button that closed it
+     *   (undefined when dismissed via Escape, backdrop or close button, or when
+     *   a modal:beforeopen listener vetoes opening)
+     */
+    dialog: function (options) {
+      const modal = this.create(Object.assign({}, options, { destroyOnClose: true }));
+
+      return new Promise(resolve => {
+        modal.addEventListener('modal:close', (e) => resolve(e.detail ? e.detail.result : undefined), { once: true });
+        this.open(modal);
+
+        // Vetoed: nothing will close it, so remove it and settle now
+        if (this.openModals.indexOf(modal) === -1) {
+          this.destroy(modal);
+          if (modal.parentNode) {
+            modal.parentNode.removeChild(modal);
+          }
+          resolve(undefined);
+        }
+      });
+    },
+
+    /**
+     * Normalize the message/options argument of the dialog helpers
+     * @param {string|Object} options - Message, or options object
+     * @returns {Object} Options
+     */
+    _dialogOptions: function (options) {
+      return typeof options === 'string' ? { message: options } : Object.assign({}, options);
+    },
+
+    /**
+     * Show a confirmation dialog
+     * @param {string|Object} options - Message, or options:
+     *   { title, message, confirmLabel, cancelLabel, variant = 'primary', size, backdrop, native }
+     * @returns {Promise<boolean>} true if confirmed
+     */
+    confirm: function (options) {
+      const config = this._dialogOptions(options);
+
+      return this.dialog({
+        title: config.title,
+        body: config.message,
+        size: config.size || 'sm',
+        backdrop: config.backdrop,
+        keyboard: config.keyboard,
+        native: config.native,
+        className: 'vd-modal-confirm',
+        footerButtons: [
+          { label: config.cancelLabel || this.t('cancel', 'Cancel'), value: false },
+          { label: config.confirmLabel || this.t('ok', 'OK'), value: true, variant: config.variant || 'primary', autofocus: true }
+        ]
+      }).then(result => result === true);
+    },
+
+    /**
+     * Show an alert dialog
+     * @param {string|Object} options - Message, or options: { title, message, okLabel, size }
+     * @returns {Promise<void>} Resolves once dismissed
+     */
+    alert: function (options) {
+      const config = this._dialogOptions(options);
+
+      return this.dialog({
+        title: config.title,
+        body: config.message,
+        size: config.size || 'sm',
+        backdrop: config.backdrop,
+        keyboard: config.keyboard,
+        native: config.native,
+        className: 'vd-modal-alert',
+        footerButtons: [
+          { label: config.okLabel || this.t('ok', 'OK'), value: true, variant: 'primary', autofocus: true }
+        ]
+      }).then(() => undefined);
+    },
+
+    /**
+     * Show a dialog asking for a line of text
+     * @param {string|Object} options - Message, or options:
+     *   { title, message, value, placeholder, inputType = 'text', confirmLabel, cancelLabel, size }
+     * @returns {Promise<string|null>} The entered text, or null if cancelled
+     */
+    prompt: function (options) {
+      const config = this._dialogOptions(options);
+
+      const body = document.createElement('div');
+      const inputId = 'modal-prompt-' + Math.random().toString(36).substr(2, 9);
+      if (config.message) {
+        const label = document.createElement('label');
+        label.setAttribute('for', inputId);
+        label.textContent = config.message;
+        body.appendChild(label);
+      }
+
+      const input = document.createElement('input');
+      input.id = inputId;
+      input.type = config.inputType || 'text';
+      input.className = 'vd-input';
+      input.value = config.value !== undefined && config.value !== null ? String(config.value) : '';
+      if (config.placeholder) {
+        input.placeholder = config.placeholder;
+      }
+      if (!config.message) {
+        input.setAttribute('aria-label', config.title || this.t('input', 'Value'));
+      }
+      input.setAttribute('autofocus', '');
+      body.appendChild(input);
+
+      // Enter submits
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          const submit = input.closest('.vd-modal').querySelector('.vd-modal-footer .vd-btn-primary');
+          if (submit) {
+            submit.click();
+          }
+        }
+      });
+
+      return this.dialog({
+        title: config.title,
+        body: body,
+        size: config.size || 'sm',
+        backdrop: config.backdrop,
+        keyboard: config.keyboard,
+        native: config.native,
+        className: 'vd-modal-prompt',
+        footerButtons: [
+          { label: config.cancelLabel || this.t('cancel', 'Cancel'), value: false },
+          { label: config.confirmLabel || this.t('ok', 'OK'), value: true, variant: 'primary' }
+        ]
+      }).then(result => (result === true ? input.value : null));
+    },
+
     /**
      * Destroy a modal instance and clean up event listeners
      * @param {HTMLElement} modal - Modal element
@@ -326,8 +955,9 @@
 
       // Close if open
       if (modal.classList.contains('is-open')) {
-        this.close(modal);
+        this.close(modal, true);
       }
+      this._unloadContent(modal, modalData);
 
       // Run all cleanup functions
       if (modalData.cleanup) {
@@ -355,6 +985,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Modals;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('modals', Modals);
@@ -6,10 +6,18 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Navbar Component
    */
   const Navbar = {
+    // Registered component name (used by Vanduo.use)
+    name: 'navbar',
+
     // Store initialized navbars and their cleanup functions
     instances: new Map(),
 
@@ -101,13 +109,19 @@
         window.removeEventListener('resize', resizeHandler);
       });
 
-      // Close menu when clicking outside
+      // Close menu (and desktop dropdowns) when clicking outside
       const documentClickHandler = (e) => {
         if (menu.classList.contains('is-open') &&
           !navbar.contains(e.target) &&
           !menu.contains(e.target)) {
           this.closeMenu(navbar, toggle, menu, overlay);
         }
+
+        menu.querySelectorAll('.vd-navbar-dropdown-menu.is-open').forEach(dropdownMenu => {
+          if (!dropdownMenu.parentElement.contains(e.target)) {
+            this.closeDropdown(navbar, dropdownMenu);
+          }
+        });
       };
       document.addEventListener('click', documentClickHandler);
       cleanupFunctions.push(() => document.removeEventListener('click', documentClickHandler));
@@ -117,14 +131,23 @@
       dropdownToggles.forEach(dropdownToggle => {
         const dropdownClickHandler = (e) => {
           const breakpoint = this.getBreakpoint();
+          const dropdown = dropdownToggle.parentElement;
+          const dropdownMenu = dropdown.querySelector('.vd-navbar-dropdown-menu');
+
           if (window.innerWidth < breakpoint) {
             e.preventDefault();
-            const dropdown = dropdownToggle.parentElement;
-            const dropdownMenu = dropdown.querySelector('.vd-navbar-dropdown-menu');
 
             if (dropdownMenu) {
               dropdownMenu.classList.toggle('is-open');
             }
+          } else if (dropdownMenu) {
+            // Desktop: floating menu below the link
+            e.preventDefault();
+            if (dropdownMenu.classList.contains('is-open')) {
+              this.closeDropdown(navbar, dropdownMenu);
+            } else {
+              this.openDropdown(navbar, dropdownToggle, dropdownMenu);
+            }
           }
         };
         dropdownToggle.addEventListener('click', dropdownClickHandler);
@@ -136,6 +159,8 @@
         toggle,
         menu,
         overlay,
+        // Open desktop dropdown menu -> function that stops repositioning it
+        dropdowns: new Map(),
         cleanup: cleanupFunctions
       });
     },
@@ -151,6 +176,8 @@
       }
 
       // Run all cleanup functions
+      instance.dropdowns.forEach(stop => stop());
+      instance.dropdowns.clear();
       instance.cleanup.forEach(fn => fn());
 
       // Remove created overlay if it exists
@@ -232,7 +259,7 @@
       // Close all dropdown menus
       const dropdownMenus = menu.querySelectorAll('.vd-navbar-dropdown-menu.is-open');
       dropdownMenus.forEach(dropdownMenu => {
-        dropdownMenu.classList.remove('is-open');
+        this.closeDropdown(navbar, dropdownMenu);
       });
 
       // Set ARIA attributes
@@ -240,6 +267,62 @@
       menu.setAttribute('aria-hidden', 'true');
     },
 
+    /**
+     * Open a desktop dropdown menu, positioned below its link
+     * @param {HTMLElement} navbar - Navbar element
+     * @param {HTMLElement} dropdownToggle - Dropdown link
+     * @param {HTMLElement} dropdownMenu - Dropdown menu
+     */
+    openDropdown: function (navbar, dropdownToggle, dropdownMenu) {
+      navbar.querySelectorAll('.vd-navbar-dropdown-menu.is-open').forEach(openMenu => {
+        if (openMenu !== dropdownMenu) {
+          this.closeDropdown(navbar, openMenu);
+        }
+      });
+
+      dropdownMenu.classList.add('is-open');
+      dropdownToggle.setAttribute('aria-expanded', 'true');
+
+      if (!window.VanduoPosition) return;
+
+      const dropdown = dropdownToggle.parentElement;
+      const update = () => {
+        window.VanduoPosition.position(dropdown, dropdownMenu, { placement: 'bottom-start', offset: 8 });
+      };
+      update();
+
+      const instance = this.instances.get(navbar);
+      if (instance && !instance.dropdowns.has(dropdownMenu)) {
+        instance.dropdowns.set(dropdownMenu, window.VanduoPosition.autoUpdate(dropdown, dropdownMenu, update));
+      }
+    },
+
+    /**
+     * Close a dropdown menu
+     * @param {HTMLElement} navbar - Navbar element
+     * @param {HTMLElement} dropdownMenu - Dropdown menu
+     */
+    closeDropdown: function (navbar, dropdownMenu) {
+      dropdownMenu.classList.remove('is-open');
+
+      const dropdownToggle = dropdownMenu.parentElement.querySelector(':scope > .vd-nav-link, :scope > .nav-link');
+      if (dropdownToggle && dropdownToggle.hasAttribute('aria-expanded')) {
+        dropdownToggle.setAttribute('aria-expanded', 'false');
+      }
+
+      const instance = this.instances.get(navbar);
+      const stop = instance && instance.dropdowns.get(dropdownMenu);
+      if (stop) {
+        stop();
+        instance.dropdowns.delete(dropdownMenu);
+      }
+
+      // Drop positioning so the stacked mobile layout applies
+      ['top', 'left', 'right', 'bottom'].forEach(prop => {
+        dropdownMenu.style[prop] = '';
+      });
+    },
+
     /**
      * Create overlay element if it doesn't exist
      * @param {HTMLElement} navbar - Navbar element
@@ -253,6 +336,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Navbar;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('navbar', Navbar);
@@ -6,13 +6,35 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Pagination Component
    */
   const Pagination = {
+    // Registered component name (used by Vanduo.use)
+    name: 'pagination',
+
     // Store initialized paginations and their cleanup functions
     instances: new Map(),
 
+    // Default options (override via Vanduo.config.pagination, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      totalPages: 1,
+      currentPage: 1,
+      maxVisible: 7
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      totalPages: 'data-total-pages',
+      currentPage: 'data-current-page',
+      maxVisible: 'data-max-visible'
+    },
+
     /**
      * Initialize pagination components
      */
@@ -27,20 +49,64 @@
       });
     },
 
+    /**
+     * Set translatable link text and labels on rendered markup
+     * @param {HTMLElement} pagination - Pagination container
+     */
+    applyLabels: function(pagination) {
+      const prev = pagination.querySelector('.vd-pagination-prev .vd-pagination-link');
+      const next = pagination.querySelector('.vd-pagination-next .vd-pagination-link');
+
+      if (prev) {
+        prev.textContent = this.t('previous', 'Previous');
+        prev.setAttribute('aria-label', prev.textContent);
+      }
+      if (next) {
+        next.textContent = this.t('next', 'Next');
+        next.setAttribute('aria-label', next.textContent);
+      }
+
+      pagination.querySelectorAll('.vd-pagination-item[data-page] .vd-pagination-link').forEach(link => {
+        link.setAttribute('aria-label', this.t('page', 'Page {page}', { page: link.parentElement.dataset.page }));
+      });
+    },
+
+    /**
+     * Look up a UI string, overridable via Vanduo.i18n['pagination.<key>']
+     * @param {string} key - String key
+     * @param {string} fallback - Default text
+     * @param {Object} [vars] - Placeholder values, e.g. { page: 2 }
+     * @returns {string}
+     */
+    t: function(key, fallback, vars) {
+      if (typeof window.translate === 'function') {
+        return window.translate('pagination.' + key, fallback, vars);
+      }
+      return fallback.replace(/\{(\w+)\}/g, (match, name) => (vars && name in vars ? String(vars[name]) : match));
+    },
+
     /**
      * Initialize a pagination
      * @param {HTMLElement} pagination - Pagination container
      */
     initPagination: function(pagination) {
-      const totalPages = parseInt(pagination.dataset.totalPages) || 1;
-      const currentPage = parseInt(pagination.dataset.currentPage) || 1;
-      const maxVisible = parseInt(pagination.dataset.maxVisible) || 7;
+      const options = this.getOptions(pagination);
 
-      this.render(pagination, {
-        totalPages: totalPages,
-        currentPage: currentPage,
-        maxVisible: maxVisible
-      });
+      // The data attributes hold the live state read by goToPage/prevPage/nextPage
+      pagination.dataset.totalPages = options.totalPages;
+      pagination.dataset.maxVisible = options.maxVisible;
+
+      if (this.isServerRendered(pagination)) {
+        // Keep the server-rendered items; only sync the current page from them
+        const active = pagination.querySelector('.vd-pagination-item.active[data-page]');
+        pagination.dataset.currentPage = active ? active.dataset.page : options.currentPage;
+      } else {
+        this.render(pagination, {
+          totalPages: options.totalPages,
+          currentPage: options.currentPage,
+          maxVisible: options.maxVisible
+        });
+      }
 
       // Handle clicks (event delegation)
       const clickHandler = (e) => {
@@ -69,6 +135,29 @@
       });
     },
     
+    /**
+     * Resolve options for a pagination element
+     * @param {HTMLElement} pagination - Pagination container
+     * @returns {Object} Options
+     */
+    getOptions: function(pagination) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(pagination, 'pagination', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
+    /**
+     * Check whether a pagination already holds server-rendered items to hydrate
+     * @param {HTMLElement} pagination - Pagination container
+     * @returns {boolean}
+     */
+    isServerRendered: function(pagination) {
+      const vanduo = window.Vanduo;
+      return !!(vanduo && typeof vanduo.isHydrating === 'function' && vanduo.isHydrating(pagination) &&
+        pagination.querySelector('.vd-pagination-item'));
+    },
+
     /**
      * Render pagination
      * @param {HTMLElement} pagination - Pagination container
@@ -115,6 +204,7 @@
       html += `</li>`;
       
       pagination.innerHTML = html;
+      this.applyLabels(pagination);
       
       // Update data attributes
       pagination.dataset.currentPage = currentPage;
@@ -274,6 +364,12 @@
     }
   };
   
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Pagination;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('pagination', Pagination);
@@ -6,10 +6,18 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Parallax Component
    */
   const Parallax = {
+    // Registered component name (used by Vanduo.use)
+    name: 'parallax',
+
     parallaxElements: new Map(),
     ticking: false,
     isMobile: window.innerWidth < 768,
@@ -18,6 +26,28 @@
     _onScroll: null,
     _onResize: null,
 
+    // Default layer options (override via Vanduo.config.parallax, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      speed: 1
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      speed: 'data-parallax-speed'
+    },
+
+    /**
+     * Resolve options for a parallax layer (once, at init)
+     * @param {HTMLElement} layer - Parallax layer
+     * @returns {Object} Options
+     */
+    getOptions: function (layer) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(layer, 'parallax', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Initialize parallax components
      */
@@ -76,6 +106,7 @@
 
       this.parallaxElements.set(element, {
         layers: Array.from(layers),
+        layerSpeeds: Array.from(layers, layer => this.getOptions(layer).speed),
         speed: speed,
         direction: direction,
         disableMobile: disableMobile
@@ -149,10 +180,9 @@
       // Calculate offset based on speed and direction
       const offset = (scrollProgress - 0.5) * config.speed * 100;
 
-      config.layers.forEach((layer, _index) => {
+      config.layers.forEach((layer, index) => {
         // Different layers can have different speeds
-        const layerSpeed = layer.dataset.parallaxSpeed ? parseFloat(layer.dataset.parallaxSpeed) : 1;
-        const layerOffset = offset * layerSpeed;
+        const layerOffset = offset * config.layerSpeeds[index];
 
         if (config.direction === 'horizontal') {
           layer.style.transform = `translateX(${layerOffset}px)`;
@@ -204,6 +234,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Parallax;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('parallax', Parallax);
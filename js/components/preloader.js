@@ -6,10 +6,40 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Preloader Component
    */
   const Preloader = {
+    // Registered component name (used by Vanduo.use)
+    name: 'preloader',
+
+    // Default options (override via Vanduo.config.preloader, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      progress: 0
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      progress: 'data-progress'
+    },
+
+    /**
+     * Resolve options for a progress bar
+     * @param {HTMLElement} bar - Progress bar element
+     * @returns {Object} Options
+     */
+    getOptions: function(bar) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(bar, 'preloader', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Initialize preloader components
      */
@@ -30,7 +60,7 @@
     initProgressBar: function(bar) {
       bar.dataset.progressInitialized = 'true';
       
-      const initialValue = parseInt(bar.dataset.progress) || 0;
+      const initialValue = parseInt(this.getOptions(bar).progress) || 0;
       this.setProgress(bar, initialValue, false);
     },
     
@@ -171,6 +201,12 @@
     }
   };
   
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Preloader;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('preloader', Preloader);
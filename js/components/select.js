@@ -6,16 +6,54 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  // Row height (px) used for virtual lists until a row can be measured
+  const DEFAULT_ROW_HEIGHT = 40;
+
+  // Rows rendered above and below the visible part of a virtual list
+  const OVERSCAN = 6;
+
   /**
    * Select Component
    */
   const Select = {
+    // Registered component name (used by Vanduo.use)
+    name: 'select',
+
     // Store initialized selects and their cleanup functions
     instances: new Map(),
     // Typeahead state
     _typeaheadBuffer: '',
     _typeaheadTimer: null,
 
+    // Default options (override via Vanduo.config.select, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      searchable: false,
+      placeholder: '',
+      loadOptions: null,  // function(query, { signal }) or URL with {query}; resolves to [{ value, label }]
+      creatable: false,   // Offer to add the typed text as a new option
+      searchDelay: 150,   // Debounce (ms) for filtering and remote loading
+      virtualize: 100,    // Render only the visible rows of longer lists (0 renders all rows)
+      chips: false,       // Multi-select: show each selection as a removable chip
+      maxSelected: 0,     // Multi-select: maximum number of selections (0 = no limit)
+      actions: false,     // Multi-select: add "Select all" / "Clear all" to the dropdown
+      renderOption: null  // function(option) returning a Node or HTML string for an option row
+    },
+
+    // Rich option fields, read from data-* attributes of <option>s or loadOptions() results
+    RICH_FIELDS: ['icon', 'description', 'avatar', 'badge'],
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      searchable: 'data-searchable',
+      placeholder: 'data-placeholder',
+      maxSelected: 'data-max-selected'
+    },
+
     /**
      * Initialize select components
      */
@@ -35,74 +73,150 @@
      * @param {HTMLSelectElement} select - Select element
      */
     initSelect: function (select) {
+      const rendered = this.getServerRendered(select);
+
       // Skip if already has custom wrapper
-      if (select.closest('.vd-custom-select-wrapper')) {
+      if (!rendered && select.closest('.vd-custom-select-wrapper')) {
         return;
       }
 
       const cleanupFunctions = [];
+      const options = this.getOptions(select);
+      let wrapper, button, dropdown;
 
-      // Create wrapper
-      const wrapper = document.createElement('div');
-      wrapper.className = 'custom-select-wrapper';
-      select.parentNode.insertBefore(wrapper, select);
-      wrapper.appendChild(select);
-
-      // Create custom button
-      const button = document.createElement('button');
-      button.type = 'button';
-      button.className = 'custom-select-button';
-      button.setAttribute('aria-haspopup', 'listbox');
-      button.setAttribute('aria-expanded', 'false');
-      button.setAttribute('aria-labelledby', select.id || this.generateId(select));
-
-      // Create dropdown
-      const dropdown = document.createElement('div');
-      dropdown.className = 'custom-select-dropdown';
-      dropdown.setAttribute('role', 'listbox');
-
-      // Create search input if searchable
-      if (select.dataset.searchable === 'true') {
-        const searchWrapper = document.createElement('div');
-        searchWrapper.className = 'custom-select-search';
-        const searchInput = document.createElement('input');
-        searchInput.type = 'text';
-        searchInput.className = 'input input-sm';
-        searchInput.placeholder = 'Search...';
-        searchInput.setAttribute('aria-label', 'Search options');
-        searchWrapper.appendChild(searchInput);
-        dropdown.appendChild(searchWrapper);
-
-        const filterFn = (e) => {
-          this.filterOptions(dropdown, e.target.value);
-        };
-        const searchHandler = typeof debounce === 'function' ? debounce(filterFn, 150) : filterFn;
-        searchInput.addEventListener('input', searchHandler);
-        cleanupFunctions.push(() => searchInput.removeEventListener('input', searchHandler));
+      if (rendered) {
+        // Hydrate: reuse the server-rendered wrapper, button and search input;
+        // option rows are rendered again from the <select>
+        ({ wrapper, button, dropdown } = rendered);
+        dropdown.querySelectorAll('.custom-select-option, .custom-select-option-group').forEach(row => row.remove());
+      } else {
+        // Create wrapper
+        wrapper = document.createElement('div');
+        wrapper.className = 'custom-select-wrapper';
+        select.parentNode.insertBefore(wrapper, select);
+        wrapper.appendChild(select);
+
+        // Create custom button
+        button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'custom-select-button';
+        button.setAttribute('aria-haspopup', 'listbox');
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-labelledby', select.id || this.generateId(select));
+
+        // Create dropdown
+        dropdown = document.createElement('div');
+        dropdown.className = 'custom-select-dropdown';
+        dropdown.setAttribute('role', 'listbox');
+        if (select.multiple) {
+          dropdown.setAttribute('aria-multiselectable', 'true');
+        }
+
+        wrapper.appendChild(button);
+        wrapper.appendChild(dropdown);
       }
 
-      // Build options
-      this.buildOptions(select, dropdown, button);
+      // Loading / empty / error messages
+      const status = document.createElement('div');
+      status.className = 'custom-select-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+      status.hidden = true;
+
+      // Option rows (absolutely positioned inside it when virtualized)
+      const list = document.createElement('div');
+      list.className = 'custom-select-options';
+      list.setAttribute('role', 'presentation');
+
+      dropdown.appendChild(status);
+      dropdown.appendChild(list);
 
-      wrapper.appendChild(button);
-      wrapper.appendChild(dropdown);
+      const instance = {
+        wrapper,
+        button,
+        dropdown,
+        status,
+        list,
+        searchInput: null,
+        control: null,       // Chip mode: box holding the chips and the button
+        chips: null,         // Chip mode: chip container
+        dragging: null,      // Chip being dragged
+        options,
+        id: select.id || this.generateId(select),
+        items: this.buildItems(select),
+        remoteItems: null,   // Last loadOptions() result (replaces items while set)
+        view: [],            // Entries currently listed (after filtering)
+        query: '',
+        activeIndex: -1,
+        rowHeight: 0,
+        virtual: false,
+        range: null,         // [start, end) of the rendered virtual rows
+        loading: false,
+        error: false,
+        requestId: 0,
+        abort: null,
+        frame: null,
+        cleanup: cleanupFunctions
+      };
+      this.instances.set(select, instance);
 
-      // Update button text
-      this.updateButtonText(select, button);
+      const existingSearch = dropdown.querySelector('.custom-select-search input');
+      if (existingSearch) {
+        this.bindSearch(select, existingSearch);
+      } else if (this.isSearchable(options)) {
+        this.createSearch(select);
+      }
+
+      if (select.multiple && options.actions === true) {
+        this.createActions(select);
+      }
+      if (select.multiple && options.chips === true) {
+        this.createChips(select);
+      }
+
+      // Render the options, button text and chips
+      this.refresh(select);
+      this.renderChips(select);
 
       // Event listeners
       const buttonClickHandler = (e) => {
         e.preventDefault();
         e.stopPropagation();
-        this.toggleDropdown(button, dropdown);
+        this.toggleDropdown(select);
       };
       button.addEventListener('click', buttonClickHandler);
       cleanupFunctions.push(() => button.removeEventListener('click', buttonClickHandler));
 
+      // Option clicks (rows are re-rendered, so listen on the list)
+      const listClickHandler = (e) => {
+        const row = e.target.closest('.custom-select-option');
+        if (!row || !list.contains(row)) return;
+        const entry = instance.view[parseInt(row.dataset.viewIndex, 10)];
+        if (entry) {
+          this.choose(select, entry);
+        }
+      };
+      list.addEventListener('click', listClickHandler);
+      cleanupFunctions.push(() => list.removeEventListener('click', listClickHandler));
+
+      // Virtual lists render the rows that scroll into view
+      const scrollHandler = () => {
+        if (!instance.virtual || instance.frame !== null) return;
+        instance.frame = requestAnimationFrame(() => {
+          instance.frame = null;
+          this.renderWindow(select);
+        });
+      };
+      dropdown.addEventListener('scroll', scrollHandler, { passive: true });
+      cleanupFunctions.push(() => {
+        dropdown.removeEventListener('scroll', scrollHandler);
+        if (instance.frame !== null) cancelAnimationFrame(instance.frame);
+      });
+
       // Close on outside click
       const documentClickHandler = (e) => {
         if (!wrapper.contains(e.target) && dropdown.classList.contains('is-open')) {
-          this.closeDropdown(button, dropdown);
+          this.closeDropdown(select);
         }
       };
       document.addEventListener('click', documentClickHandler);
@@ -110,7 +224,7 @@
 
       // Keyboard navigation
       const keydownHandler = (e) => {
-        this.handleKeydown(e, select, button, dropdown);
+        this.handleKeydown(e, select);
       };
       button.addEventListener('keydown', keydownHandler);
       cleanupFunctions.push(() => button.removeEventListener('keydown', keydownHandler));
@@ -118,92 +232,980 @@
       // Update on select change
       const changeHandler = () => {
         this.updateButtonText(select, button);
-        this.updateSelectedOptions(select, dropdown);
+        this.updateSelectedOptions(select);
+        this.updateStatus(select);
+        this.renderChips(select);
       };
       select.addEventListener('change', changeHandler);
       cleanupFunctions.push(() => select.removeEventListener('change', changeHandler));
+    },
 
-      this.instances.set(select, { wrapper, button, dropdown, cleanup: cleanupFunctions });
+    /**
+     * Resolve options for a select element
+     * @param {HTMLSelectElement} select - Select element
+     * @returns {Object} Options
+     */
+    getOptions: function (select) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(select, 'select', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
+    /**
+     * Change options of an initialized select, e.g. to pass a loadOptions
+     * function, which markup attributes cannot carry
+     * @param {HTMLSelectElement|string} select - Select element or selector
+     * @param {Object} options - Options to merge (see DEFAULTS)
+     */
+    configure: function (select, options) {
+      const el = typeof select === 'string' ? document.querySelector(select) : select;
+      const instance = el && this.instances.get(el);
+      if (!instance) return;
+
+      Object.assign(instance.options, options);
+      if (!instance.searchInput && this.isSearchable(instance.options)) {
+        this.createSearch(el);
+      }
+      if ('loadOptions' in options) {
+        instance.remoteItems = null;
+      }
+      this.refresh(el);
     },
 
     /**
-     * Build options in dropdown
+     * Whether a select needs the search input
+     * @param {Object} options - Resolved options
+     * @returns {boolean}
+     */
+    isSearchable: function (options) {
+      return options.searchable === true || options.creatable === true || !!options.loadOptions;
+    },
+
+    /**
+     * Find server-rendered wrapper markup to reuse while Vanduo.hydrate() runs
+     * @param {HTMLSelectElement} select - Select element
+     * @returns {Object|null} { wrapper, button, dropdown }, or null to build the markup
+     */
+    getServerRendered: function (select) {
+      const vanduo = window.Vanduo;
+      if (!vanduo || typeof vanduo.isHydrating !== 'function' || !vanduo.isHydrating(select)) {
+        return null;
+      }
+
+      const wrapper = select.parentElement;
+      if (!wrapper || !wrapper.matches('.custom-select-wrapper, .vd-custom-select-wrapper')) {
+        return null;
+      }
+
+      const button = wrapper.querySelector(':scope > .custom-select-button, :scope > .custom-select-control > .custom-select-button');
+      const dropdown = wrapper.querySelector(':scope > .custom-select-dropdown');
+      return button && dropdown ? { wrapper, button, dropdown } : null;
+    },
+
+    /**
+     * Add the search input to a select's dropdown
      * @param {HTMLSelectElement} select - Select element
-     * @param {HTMLElement} dropdown - Dropdown container
-     * @param {HTMLElement} button - Button element
      */
-    buildOptions: function (select, dropdown, button) {
-      const options = select.querySelectorAll('option');
+    createSearch: function (select) {
+      const instance = this.instances.get(select);
+      const searchWrapper = document.createElement('div');
+      searchWrapper.className = 'custom-select-search';
+      const searchInput = document.createElement('input');
+      searchInput.type = 'text';
+      searchInput.className = 'input input-sm';
+      searchInput.placeholder = this.t('search', 'Search...');
+      searchInput.setAttribute('aria-label', this.t('searchLabel', 'Search options'));
+      searchInput.setAttribute('autocomplete', 'off');
+      searchWrapper.appendChild(searchInput);
+      instance.dropdown.insertBefore(searchWrapper, instance.dropdown.firstChild);
+      this.bindSearch(select, searchInput);
+    },
+
+    /**
+     * Filter (or load) options as the user types in the search input
+     * @param {HTMLSelectElement} select - Select element
+     * @param {HTMLInputElement} searchInput - Search input
+     */
+    bindSearch: function (select, searchInput) {
+      const instance = this.instances.get(select);
+      instance.searchInput = searchInput;
+
+      // Debounce per instance; helpers.js' debounce is not global in the bundles
+      let searchTimer = null;
+      const searchHandler = (e) => {
+        const term = e.target.value;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+          searchTimer = null;
+          this.filterOptions(select, term);
+        }, instance.options.searchDelay);
+      };
+      searchInput.addEventListener('input', searchHandler);
+
+      const keydownHandler = (e) => {
+        this.handleKeydown(e, select);
+      };
+      searchInput.addEventListener('keydown', keydownHandler);
+
+      instance.cleanup.push(() => {
+        clearTimeout(searchTimer);
+        searchInput.removeEventListener('input', searchHandler);
+        searchInput.removeEventListener('keydown', keydownHandler);
+      });
+    },
+
+    /**
+     * Add the "Select all" / "Clear all" buttons to a multi-select's dropdown
+     * @param {HTMLSelectElement} select - Select element
+     */
+    createActions: function (select) {
+      const instance = this.instances.get(select);
+      const actions = document.createElement('div');
+      actions.className = 'custom-select-actions';
+
+      [['selectAll', 'Select all'], ['clearAll', 'Clear all']].forEach(([action, text]) => {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'custom-select-action';
+        actionButton.dataset.action = action;
+        actionButton.textContent = this.t(action, text);
+        actions.appendChild(actionButton);
+      });
+      instance.dropdown.insertBefore(actions, instance.status);
+
+      const clickHandler = (e) => {
+        const actionButton = e.target.closest('[data-action]');
+        if (actionButton) {
+          this[actionButton.dataset.action](select);
+        }
+      };
+      actions.addEventListener('click', clickHandler);
+      instance.cleanup.push(() => actions.removeEventListener('click', clickHandler));
+    },
+
+    /**
+     * Show a multi-select's selections as removable chips
+     * The chips and the button share a .custom-select-control box; chips
+     * can be dragged (or moved with Alt+Arrow keys) to reorder the options.
+     * @param {HTMLSelectElement} select - Select element
+     */
+    createChips: function (select) {
+      const instance = this.instances.get(select);
+      const { wrapper, button } = instance;
+
+      let control = button.parentElement;
+      if (!control.classList.contains('custom-select-control')) {
+        control = document.createElement('div');
+        control.className = 'custom-select-control';
+        wrapper.insertBefore(control, button);
+        control.appendChild(button);
+      }
+
+      let chips = control.querySelector('.custom-select-chips');
+      if (!chips) {
+        chips = document.createElement('div');
+        chips.className = 'custom-select-chips vd-chip-group';
+        control.insertBefore(chips, button);
+      }
+      chips.setAttribute('role', 'list');
+      chips.setAttribute('aria-label', this.t('chips', 'Selected options'));
+      wrapper.classList.add('custom-select-has-chips');
+      instance.control = control;
+      instance.chips = chips;
+
+      // Remove buttons; clicks on the empty part of the box open the list
+      const clickHandler = (e) => {
+        const close = e.target.closest('.vd-chip-close');
+        if (close && chips.contains(close)) {
+          e.stopPropagation();
+          this.removeChip(select, close.closest('.custom-select-chip'));
+        } else if (e.target === control || e.target === chips) {
+          e.stopPropagation();
+          this.toggleDropdown(select);
+          button.focus();
+        }
+      };
+      control.addEventListener('click', clickHandler);
+
+      const keydownHandler = (e) => {
+        this.handleChipKeydown(e, select);
+      };
+      chips.addEventListener('keydown', keydownHandler);
+
+      // Drag to reorder
+      const dragStartHandler = (e) => {
+        const chip = e.target.closest('.custom-select-chip');
+        if (!chip || !chip.draggable) return;
+        instance.dragging = chip;
+        chip.classList.add('is-dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', chip.dataset.value);
+      };
+      const dragOverHandler = (e) => {
+        if (!instance.dragging) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        const next = this.getChipAfter(chips, e.clientX, e.clientY);
+        if (next !== instance.dragging.nextElementSibling && next !== instance.dragging) {
+          chips.insertBefore(instance.dragging, next);
+        }
+      };
+      const dropHandler = (e) => {
+        if (instance.dragging) {
+          e.preventDefault();
+        }
+      };
+      const dragEndHandler = () => {
+        const chip = instance.dragging;
+        if (!chip) return;
+        instance.dragging = null;
+        chip.classList.remove('is-dragging');
+        this.reorder(select, Array.from(chips.children).map(item => item.dataset.value));
+      };
+      chips.addEventListener('dragstart', dragStartHandler);
+      chips.addEventListener('dragover', dragOverHandler);
+      chips.addEventListener('drop', dropHandler);
+      chips.addEventListener('dragend', dragEndHandler);
+
+      instance.cleanup.push(() => {
+        control.removeEventListener('click', clickHandler);
+        chips.removeEventListener('keydown', keydownHandler);
+        chips.removeEventListener('dragstart', dragStartHandler);
+        chips.removeEventListener('dragover', dragOverHandler);
+        chips.removeEventListener('drop', dropHandler);
+        chips.removeEventListener('dragend', dragEndHandler);
+      });
+    },
+
+    /**
+     * Render a chip for each selected option
+     * @param {HTMLSelectElement} select - Select element
+     */
+    renderChips: function (select) {
+      const instance = this.instances.get(select);
+      if (!instance || !instance.chips) return;
+
+      // Reordering would move options between <optgroup>s
+      const reorderable = !select.querySelector('optgroup');
       const fragment = document.createDocumentFragment();
 
-      options.forEach((option, index) => {
-        if (option.parentElement.tagName === 'OPTGROUP') {
-          // Handle option groups
-          const group = option.parentElement;
-          if (!dropdown.querySelector(`[data-group="${group.label}"]`)) {
-            const groupElement = document.createElement('div');
-            groupElement.className = 'custom-select-option-group';
-            groupElement.textContent = group.label;
-            groupElement.dataset.group = group.label;
-            fragment.appendChild(groupElement);
+      Array.from(select.selectedOptions).forEach(option => {
+        const label = option.textContent.trim();
+        const chip = document.createElement('span');
+        chip.className = 'vd-chip vd-chip-dismissible custom-select-chip';
+        chip.setAttribute('role', 'listitem');
+        chip.dataset.value = option.value;
+        chip.draggable = reorderable;
+
+        const media = this.createMedia(option.dataset);
+        if (media) {
+          chip.classList.toggle('vd-chip-avatar', !!option.dataset.avatar);
+          chip.appendChild(media);
+        }
+
+        const text = document.createElement('span');
+        text.textContent = label;
+        chip.appendChild(text);
+
+        if (!option.disabled) {
+          const close = document.createElement('button');
+          close.type = 'button';
+          close.className = 'vd-chip-close';
+          close.setAttribute('aria-label', this.t('removeChip', 'Remove {label}', { label }));
+          chip.appendChild(close);
+        }
+        fragment.appendChild(chip);
+      });
+
+      instance.chips.replaceChildren(fragment);
+    },
+
+    /**
+     * Chip a dragged chip should be placed before
+     * @param {HTMLElement} chips - Chip container
+     * @param {number} x - Pointer x (viewport)
+     * @param {number} y - Pointer y (viewport)
+     * @returns {HTMLElement|null} Chip, or null for the end
+     */
+    getChipAfter: function (chips, x, y) {
+      return Array.from(chips.children).find(chip => {
+        if (chip.classList.contains('is-dragging')) return false;
+        const box = chip.getBoundingClientRect();
+        return y < box.top || (y <= box.bottom && x < box.left + box.width / 2);
+      }) || null;
+    },
+
+    /**
+     * Handle keys on the chips: Backspace/Delete remove, arrows move focus,
+     * Alt+ArrowLeft/Right reorder
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {HTMLSelectElement} select - Select element
+     */
+    handleChipKeydown: function (e, select) {
+      const instance = this.instances.get(select);
+      const chip = e.target.closest('.custom-select-chip');
+      if (!chip) return;
+
+      const chips = Array.from(instance.chips.children);
+      const index = chips.indexOf(chip);
+
+      switch (e.key) {
+        case 'Backspace':
+        case 'Delete':
+          e.preventDefault();
+          this.removeChip(select, chip);
+          break;
+
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+          e.preventDefault();
+          const target = index + (e.key === 'ArrowLeft' ? -1 : 1);
+          if (e.altKey) {
+            if (target < 0 || target >= chips.length || !chip.draggable) return;
+            const values = chips.map(item => item.dataset.value);
+            values.splice(target, 0, values.splice(index, 1)[0]);
+            this.reorder(select, values);
           }
+          this.focusChip(select, Math.max(target, 0));
+          break;
         }
+      }
+    },
+
+    /**
+     * Focus a chip's remove button (the select button past the last chip)
+     * @param {HTMLSelectElement} select - Select element
+     * @param {number} index - Chip index
+     */
+    focusChip: function (select, index) {
+      const instance = this.instances.get(select);
+      const chip = instance.chips.children[index];
+      const close = chip && chip.querySelector('.vd-chip-close');
+      (close || instance.button).focus();
+    },
+
+    /**
+     * Deselect the option behind a chip
+     * Focus moves to the next chip, or back to the button.
+     * @param {HTMLSelectElement} select - Select element
+     * @param {HTMLElement} chip - Chip element
+     */
+    removeChip: function (select, chip) {
+      const instance = this.instances.get(select);
+      const index = Array.from(instance.chips.children).indexOf(chip);
+      const option = this.findOption(select, chip.dataset.value);
+      if (!option || !option.selected || option.disabled) return;
+
+      option.selected = false;
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+
+      if (instance.chips.contains(document.activeElement) || !document.activeElement || document.activeElement === document.body) {
+        this.focusChip(select, Math.min(index, instance.chips.children.length - 1));
+      }
+    },
+
+    /**
+     * Reorder the selected options (and their chips)
+     * The native <option>s trade places, so forms submit the new order.
+     * Selects with <optgroup>s keep their order.
+     * @param {HTMLSelectElement|string} select - Select element or selector
+     * @param {Array<string>} values - Every selected value, in the new order
+     */
+    reorder: function (select, values) {
+      const el = typeof select === 'string' ? document.querySelector(select) : select;
+      if (!el || !this.instances.has(el) || el.querySelector('optgroup')) return;
+
+      const selected = Array.from(el.selectedOptions);
+      const ordered = values.map(value => selected.find(option => option.value === value));
+      if (ordered.length !== selected.length || ordered.some(option => !option) ||
+        ordered.every((option, index) => option === selected[index])) {
+        this.renderChips(el);
+        return;
+      }
+
+      // Keep the slots of the selected options, swap who sits in them
+      const slots = selected.map(option => {
+        const marker = document.createComment('');
+        option.parentNode.insertBefore(marker, option);
+        return marker;
+      });
+      slots.forEach((marker, index) => {
+        marker.parentNode.replaceChild(ordered[index], marker);
+      });
+
+      this.refresh(el);
+      el.dispatchEvent(new CustomEvent('select:reorder', {
+        bubbles: true,
+        detail: { values: ordered.map(option => option.value) }
+      }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    },
+
+    /**
+     * Select every listed option (within maxSelected)
+     * @param {HTMLSelectElement|string} select - Select element or selector
+     */
+    selectAll: function (select) {
+      const el = typeof select === 'string' ? document.querySelector(select) : select;
+      const instance = el && this.instances.get(el);
+      if (!instance || !el.multiple) return;
+
+      let changed = false;
+      instance.view.forEach(entry => {
+        if (entry.type !== 'option' || entry.disabled || this.isAtLimit(el)) return;
+        const option = this.getNativeOption(el, entry);
+        if (!option.selected && !option.disabled) {
+          option.selected = true;
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        instance.items = this.buildItems(el);
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    },
+
+    /**
+     * Deselect every option (disabled selections stay)
+     * @param {HTMLSelectElement|string} select - Select element or selector
+     */
+    clearAll: function (select) {
+      const el = typeof select === 'string' ? document.querySelector(select) : select;
+      if (!el || !this.instances.has(el)) return;
+
+      let changed = false;
+      Array.from(el.selectedOptions).forEach(option => {
+        if (!option.disabled) {
+          option.selected = false;
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    },
+
+    /**
+     * Whether a multi-select has reached its maxSelected limit
+     * @param {HTMLSelectElement} select - Select element
+     * @returns {boolean}
+     */
+    isAtLimit: function (select) {
+      const instance = this.instances.get(select);
+      const max = instance ? instance.options.maxSelected : 0;
+      return select.multiple && max > 0 && select.selectedOptions.length >= max;
+    },
+
+    /**
+     * Read the native options into list entries
+     * @param {HTMLSelectElement} select - Select element
+     * @returns {Array<Object>} Entries: { type: 'group', label } or
+     *   { type: 'option', value, label, disabled, index }
+     */
+    buildItems: function (select) {
+      const items = [];
+      let group = null;
+
+      Array.from(select.options).forEach((option, index) => {
+        const parent = option.parentElement;
+        const groupLabel = parent && parent.tagName === 'OPTGROUP' ? parent.label : null;
+        if (groupLabel !== null && groupLabel !== group) {
+          items.push({ type: 'group', label: groupLabel });
+        }
+        group = groupLabel;
 
         if (option.value === '' && !option.textContent.trim()) {
           return; // Skip empty options
         }
 
-        const optionElement = document.createElement('div');
-        optionElement.className = 'custom-select-option';
-        optionElement.textContent = option.textContent;
-        optionElement.setAttribute('role', 'option');
-        optionElement.setAttribute('data-value', option.value);
-        optionElement.setAttribute('data-index', index);
+        const entry = {
+          type: 'option',
+          value: option.value,
+          label: option.textContent,
+          disabled: option.disabled,
+          index
+        };
+        this.RICH_FIELDS.forEach(field => {
+          if (option.dataset[field]) {
+            entry[field] = option.dataset[field];
+          }
+        });
+        items.push(entry);
+      });
+
+      return items;
+    },
 
-        if (option.selected) {
-          optionElement.classList.add('is-selected');
-          optionElement.setAttribute('aria-selected', 'true');
+    /**
+     * Normalize loadOptions() results into list entries
+     * @param {Array} results - Strings or { value, label, disabled, icon, description, avatar, badge } objects
+     * @returns {Array<Object>} Entries
+     */
+    normalizeItems: function (results) {
+      return (Array.isArray(results) ? results : []).map(result => {
+        if (result === null || typeof result !== 'object') {
+          return { type: 'option', value: String(result), label: String(result), disabled: false, index: -1 };
         }
+        const value = result.value !== undefined ? String(result.value) : String(result.label);
+        const entry = {
+          type: 'option',
+          value,
+          label: result.label !== undefined ? String(result.label) : value,
+          disabled: !!result.disabled,
+          index: -1
+        };
+        this.RICH_FIELDS.forEach(field => {
+          if (result[field] !== undefined && result[field] !== null && result[field] !== '') {
+            entry[field] = String(result[field]);
+          }
+        });
+        return entry;
+      });
+    },
 
-        if (option.disabled) {
-          optionElement.classList.add('is-disabled');
-          optionElement.setAttribute('aria-disabled', 'true');
-        }
+    /**
+     * Re-read the native options and render the list again
+     * Call after adding or removing <option> elements.
+     * @param {HTMLSelectElement|string} select - Select element or selector
+     */
+    refresh: function (select) {
+      const el = typeof select === 'string' ? document.querySelector(select) : select;
+      const instance = el && this.instances.get(el);
+      if (!instance) return;
+
+      instance.items = this.buildItems(el);
+      this.updateView(el);
+      this.updateButtonText(el, instance.button);
+    },
 
-        optionElement.addEventListener('click', (_e) => {
-          if (!option.disabled) {
-            this.selectOption(select, option, optionElement, button, dropdown);
+    /**
+     * Compute the listed entries from the current source and query
+     * @param {HTMLSelectElement} select - Select element
+     */
+    updateView: function (select) {
+      const instance = this.instances.get(select);
+      const term = instance.query.trim().toLowerCase();
+      const remote = instance.remoteItems !== null;
+      const source = remote ? instance.remoteItems : instance.items;
+      const view = [];
+
+      if (!term || remote) {
+        // Remote results are already filtered by the loader
+        source.forEach(entry => view.push(entry));
+      } else {
+        let pendingGroup = null;
+        source.forEach(entry => {
+          if (entry.type === 'group') {
+            pendingGroup = entry;
+          } else if (this.matches(entry, term)) {
+            if (pendingGroup) {
+              view.push(pendingGroup);
+              pendingGroup = null;
+            }
+            view.push(entry);
           }
         });
+      }
+
+      if (instance.options.creatable === true && term && !instance.loading) {
+        const exists = source.concat(instance.items).some(entry =>
+          entry.type === 'option' && entry.label.trim().toLowerCase() === term
+        );
+        if (!exists) {
+          const value = instance.query.trim();
+          view.push({ type: 'create', value, label: value, disabled: false, index: -1 });
+        }
+      }
+
+      instance.view = view;
+      instance.activeIndex = -1;
+      this.renderList(select);
+      this.updateStatus(select);
+
+      // Highlight the first match while the list is open
+      const isOpen = instance.dropdown.classList.contains('is-open');
+      this.setActive(select, isOpen ? this.step(select, -1, 1) : -1);
+    },
+
+    /**
+     * Whether an entry's label or description matches a lowercase search term
+     * @param {Object} entry - List entry
+     * @param {string} term - Lowercase search term
+     * @returns {boolean}
+     */
+    matches: function (entry, term) {
+      return entry.label.toLowerCase().includes(term) ||
+        (!!entry.description && entry.description.toLowerCase().includes(term));
+    },
+
+    /**
+     * Render the listed entries
+     * Lists longer than the virtualize option only render the rows in view.
+     * @param {HTMLSelectElement} select - Select element
+     */
+    renderList: function (select) {
+      const instance = this.instances.get(select);
+      const { list, view } = instance;
+      const limit = instance.options.virtualize;
+
+      instance.virtual = limit > 0 && view.length > limit;
+      instance.range = null;
+      list.classList.toggle('is-virtual', instance.virtual);
+
+      if (!instance.virtual) {
+        list.style.height = '';
+        const fragment = document.createDocumentFragment();
+        view.forEach((entry, index) => {
+          fragment.appendChild(this.createOptionElement(select, entry, index));
+        });
+        list.replaceChildren(fragment);
+        return;
+      }
+
+      list.style.height = (view.length * this.getRowHeight(select)) + 'px';
+      this.renderWindow(select);
+    },
+
+    /**
+     * Render the rows of a virtual list that are (nearly) in view
+     * @param {HTMLSelectElement} select - Select element
+     * @param {boolean} [force=false] - Render even if the range is unchanged
+     */
+    renderWindow: function (select, force) {
+      const instance = this.instances.get(select);
+      if (!instance || !instance.virtual) return;
+
+      const { dropdown, list, view } = instance;
+      const rowHeight = this.getRowHeight(select);
+      const scrollTop = Math.max(0, dropdown.scrollTop - list.offsetTop);
+      const viewport = dropdown.clientHeight || 300;
+      const start = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+      const end = Math.min(view.length, Math.ceil((scrollTop + viewport) / rowHeight) + OVERSCAN);
+
+      if (!force && instance.range && instance.range[0] === start && instance.range[1] === end) {
+        return;
+      }
+      instance.range = [start, end];
+
+      const fragment = document.createDocumentFragment();
+      for (let index = start; index < end; index++) {
+        const row = this.createOptionElement(select, view[index], index);
+        row.style.top = (index * rowHeight) + 'px';
+        row.style.height = rowHeight + 'px';
+        row.setAttribute('aria-setsize', view.length);
+        row.setAttribute('aria-posinset', index + 1);
+        fragment.appendChild(row);
+      }
+      list.replaceChildren(fragment);
+    },
+
+    /**
+     * Height of one option row, measured once the dropdown is visible
+     * @param {HTMLSelectElement} select - Select element
+     * @returns {number} Height in px
+     */
+    getRowHeight: function (select) {
+      const instance = this.instances.get(select);
+      if (instance.rowHeight) {
+        return instance.rowHeight;
+      }
+
+      if (instance.dropdown.classList.contains('is-open')) {
+        // Rows share one height; measure a real one (rich rows are taller)
+        const sample = instance.view.find(entry => entry.type === 'option') ||
+          { type: 'option', value: '', label: 'M', disabled: false, index: -1 };
+        const probe = this.createOptionElement(select, sample, -1);
+        probe.removeAttribute('id');
+        instance.list.appendChild(probe);
+        instance.rowHeight = probe.offsetHeight;
+        probe.remove();
+      }
+      return instance.rowHeight || DEFAULT_ROW_HEIGHT;
+    },
+
+    /**
+     * Create the row for a list entry
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object} entry - List entry
+     * @param {number} viewIndex - Position in the listed entries
+     * @returns {HTMLElement} Row element
+     */
+    createOptionElement: function (select, entry, viewIndex) {
+      const instance = this.instances.get(select);
+      const row = document.createElement('div');
+
+      if (entry.type === 'group') {
+        row.className = 'custom-select-option-group';
+        row.setAttribute('role', 'presentation');
+        row.textContent = entry.label;
+        row.dataset.group = entry.label;
+        return row;
+      }
+
+      row.className = 'custom-select-option';
+      row.id = instance.id + '-option-' + viewIndex;
+      row.setAttribute('role', 'option');
+      row.dataset.viewIndex = viewIndex;
+
+      if (entry.type === 'create') {
+        row.classList.add('custom-select-create');
+        row.textContent = this.t('create', 'Create "{value}"', { value: entry.value });
+        row.setAttribute('aria-selected', 'false');
+      } else {
+        this.renderOptionContent(select, row, entry);
+        row.setAttribute('data-value', entry.value);
+        if (entry.index >= 0) {
+          row.setAttribute('data-index', entry.index);
+        }
+
+        const selected = this.isSelected(select, entry);
+        row.classList.toggle('is-selected', selected);
+        row.setAttribute('aria-selected', String(selected));
+
+        if (entry.disabled || (!selected && this.isAtLimit(select))) {
+          row.classList.add('is-disabled');
+          row.setAttribute('aria-disabled', 'true');
+        }
+      }
+
+      if (viewIndex === instance.activeIndex) {
+        row.classList.add('is-active');
+      }
+      return row;
+    },
+
+    /**
+     * Fill an option row: the renderOption hook (Nodes as is, strings through
+     * sanitizeHtml), a rich layout for options
+     * with icons, avatars, descriptions or badges, or the plain label
+     * @param {HTMLSelectElement} select - Select element
+     * @param {HTMLElement} row - Option row
+     * @param {Object} entry - List entry
+     */
+    renderOptionContent: function (select, row, entry) {
+      const hook = this.instances.get(select).options.renderOption;
+      if (typeof hook === 'function') {
+        const content = hook(this.getOptionData(select, entry));
+        if (content instanceof Node) {
+          row.appendChild(content);
+          return;
+        }
+        // Labels may come from loadOptions() or user-created entries, so strings
+        // are sanitized; without sanitizeHtml the default rendering is used
+        if (typeof content === 'string' && typeof window.sanitizeHtml === 'function') {
+          row.innerHTML = window.sanitizeHtml(content);
+          return;
+        }
+      }
+
+      if (!this.isRich(entry)) {
+        row.textContent = entry.label;
+        return;
+      }
+
+      row.classList.add('custom-select-option-rich');
+      const media = this.createMedia(entry);
+      if (media) {
+        row.appendChild(media);
+      }
+
+      const text = document.createElement('span');
+      text.className = 'custom-select-option-text';
+      const label = document.createElement('span');
+      label.className = 'custom-select-option-label';
+      label.textContent = entry.label;
+      text.appendChild(label);
+      if (entry.description) {
+        const description = document.createElement('span');
+        description.className = 'custom-select-option-description';
+        description.textContent = entry.description;
+        text.appendChild(description);
+      }
+      row.appendChild(text);
+
+      if (entry.badge) {
+        const badge = document.createElement('span');
+        badge.className = 'vd-badge vd-badge-sm vd-badge-pill custom-select-option-badge';
+        badge.textContent = entry.badge;
+        row.appendChild(badge);
+      }
+    },
+
+    /**
+     * Whether an entry has any rich field
+     * @param {Object} entry - List entry
+     * @returns {boolean}
+     */
+    isRich: function (entry) {
+      return this.RICH_FIELDS.some(field => !!entry[field]);
+    },
 
-        fragment.appendChild(optionElement);
+    /**
+     * Avatar image or icon for an entry
+     * @param {Object} entry - List entry (or data from a native option)
+     * @returns {HTMLElement|null}
+     */
+    createMedia: function (entry) {
+      if (entry.avatar) {
+        const avatar = document.createElement('span');
+        avatar.className = 'vd-avatar vd-avatar-xs custom-select-avatar';
+        const img = document.createElement('img');
+        img.src = entry.avatar;
+        img.alt = '';
+        avatar.appendChild(img);
+        return avatar;
+      }
+      if (entry.icon) {
+        const icon = document.createElement('i');
+        icon.className = entry.icon + ' custom-select-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        return icon;
+      }
+      return null;
+    },
+
+    /**
+     * Option data passed to the renderOption hook
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object} entry - List entry
+     * @returns {Object} { value, label, disabled, selected, icon, description, avatar, badge, element }
+     */
+    getOptionData: function (select, entry) {
+      const data = {
+        value: entry.value,
+        label: entry.label,
+        disabled: entry.disabled,
+        selected: this.isSelected(select, entry),
+        element: entry.index >= 0 ? select.options[entry.index] : this.findOption(select, entry.value)
+      };
+      this.RICH_FIELDS.forEach(field => {
+        data[field] = entry[field] || '';
       });
+      return data;
+    },
 
-      dropdown.appendChild(fragment);
+    /**
+     * Native option for an entry's value
+     * @param {HTMLSelectElement} select - Select element
+     * @param {string} value - Option value
+     * @returns {HTMLOptionElement|null}
+     */
+    findOption: function (select, value) {
+      return Array.from(select.options).find(option => option.value === value) || null;
+    },
+
+    /**
+     * Native option for a list entry, added to the select if missing
+     * (remote results and created values)
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object} entry - List entry
+     * @returns {HTMLOptionElement}
+     */
+    getNativeOption: function (select, entry) {
+      let option = entry.type === 'option' && entry.index >= 0
+        ? select.options[entry.index]
+        : this.findOption(select, entry.value);
+
+      if (!option) {
+        option = document.createElement('option');
+        option.value = entry.value;
+        option.textContent = entry.label;
+        this.RICH_FIELDS.forEach(field => {
+          if (entry[field]) {
+            option.dataset[field] = entry[field];
+          }
+        });
+        select.appendChild(option);
+      }
+      return option;
+    },
+
+    /**
+     * Whether an entry is selected in the native select
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object} entry - List entry
+     * @returns {boolean}
+     */
+    isSelected: function (select, entry) {
+      const option = entry.index >= 0 ? select.options[entry.index] : this.findOption(select, entry.value);
+      return !!option && option.value === entry.value && option.selected;
+    },
+
+    /**
+     * Select (or toggle) the option for a list entry
+     * Remote results and created values get a native <option> first, so the
+     * form submits them like any other option.
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object} entry - List entry
+     */
+    choose: function (select, entry) {
+      const instance = this.instances.get(select);
+      if (!instance || entry.type === 'group' || entry.disabled) return;
+
+      const existing = entry.index >= 0 ? select.options[entry.index] : this.findOption(select, entry.value);
+      if (select.multiple && !(existing && existing.selected) && this.isAtLimit(select)) {
+        // Nothing more to add; the status row says why
+        this.updateStatus(select);
+        return;
+      }
+
+      const option = this.getNativeOption(select, entry);
+      if (option.disabled) return;
+
+      if (entry.type === 'create') {
+        select.dispatchEvent(new CustomEvent('select:create', {
+          bubbles: true,
+          detail: { value: entry.value, option }
+        }));
+      }
+
+      this.selectOption(select, option);
+
+      if (entry.index < 0) {
+        // The new option is part of the local list from now on
+        instance.items = this.buildItems(select);
+      }
+      if (entry.type === 'create' && instance.searchInput) {
+        instance.searchInput.value = '';
+        instance.query = '';
+        this.updateView(select);
+      }
     },
 
     /**
      * Select an option
      * @param {HTMLSelectElement} select - Select element
      * @param {HTMLOptionElement} option - Option element
-     * @param {HTMLElement} optionElement - Custom option element
-     * @param {HTMLElement} button - Button element
-     * @param {HTMLElement} dropdown - Dropdown container
      */
-    selectOption: function (select, option, optionElement, button, dropdown) {
+    selectOption: function (select, option) {
       if (select.multiple) {
-        // Multi-select
+        // Multi-select: toggle and keep the list open
         option.selected = !option.selected;
-        optionElement.classList.toggle('is-selected');
-        optionElement.setAttribute('aria-selected', option.selected);
       } else {
         // Single select
         select.value = option.value;
-        select.dispatchEvent(new Event('change', { bubbles: true }));
-        this.closeDropdown(button, dropdown);
+        this.closeDropdown(select);
+        this.instances.get(select).button.focus();
       }
 
-      this.updateButtonText(select, button);
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    },
+
+    /**
+     * Look up a UI string, overridable via Vanduo.i18n['select.<key>']
+     * @param {string} key - String key
+     * @param {string} fallback - Default text
+     * @param {Object} [vars] - Placeholder values, e.g. { count: 3 }
+     * @returns {string}
+     */
+    t: function (key, fallback, vars) {
+      if (typeof window.translate === 'function') {
+        return window.translate('select.' + key, fallback, vars);
+      }
+      return fallback.replace(/\{(\w+)\}/g, (match, name) => (vars && name in vars ? String(vars[name]) : match));
     },
 
     /**
@@ -212,159 +1214,388 @@
      * @param {HTMLElement} button - Button element
      */
     updateButtonText: function (select, button) {
+      const instance = this.instances.get(select);
+      const placeholder = instance ? instance.options.placeholder : select.dataset.placeholder;
+
       if (select.multiple) {
         const selected = Array.from(select.selectedOptions);
-        if (selected.length === 0) {
-          button.textContent = select.dataset.placeholder || 'Select options...';
+        if (instance && instance.chips && selected.length > 0) {
+          // The chips show the selection; keep a label for screen readers
+          const label = document.createElement('span');
+          label.className = 'sr-only';
+          label.textContent = this.t('selectedCount', '{count} selected', { count: selected.length });
+          button.replaceChildren(label);
+        } else if (selected.length === 0) {
+          button.textContent = placeholder || this.t('placeholderMultiple', 'Select options...');
         } else if (selected.length === 1) {
           button.textContent = selected[0].textContent;
         } else {
-          button.textContent = `${selected.length} selected`;
+          button.textContent = this.t('selectedCount', '{count} selected', { count: selected.length });
         }
       } else {
         const selectedOption = select.options[select.selectedIndex];
-        button.textContent = selectedOption ? selectedOption.textContent : (select.dataset.placeholder || 'Select...');
+        button.textContent = selectedOption ? selectedOption.textContent : (placeholder || this.t('placeholder', 'Select...'));
+
+        // Compact rich display: icon or avatar next to the label
+        const media = selectedOption ? this.createMedia(selectedOption.dataset) : null;
+        if (media) {
+          const label = document.createElement('span');
+          label.className = 'custom-select-value';
+          label.textContent = selectedOption.textContent;
+          button.replaceChildren(media, label);
+        }
       }
     },
 
     /**
      * Update selected options in dropdown
      * @param {HTMLSelectElement} select - Select element
-     * @param {HTMLElement} dropdown - Dropdown container
      */
-    updateSelectedOptions: function (select, dropdown) {
-      const options = dropdown.querySelectorAll('.vd-custom-select-option');
-      const selectedValues = Array.from(select.selectedOptions).map(opt => opt.value);
+    updateSelectedOptions: function (select) {
+      const instance = this.instances.get(select);
+      if (!instance) return;
 
-      options.forEach(optionEl => {
-        const value = optionEl.dataset.value;
-        if (selectedValues.includes(value)) {
-          optionEl.classList.add('is-selected');
-          optionEl.setAttribute('aria-selected', 'true');
+      const limited = this.isAtLimit(select);
+      instance.list.querySelectorAll('.custom-select-option[data-view-index]').forEach(row => {
+        const entry = instance.view[parseInt(row.dataset.viewIndex, 10)];
+        if (!entry || entry.type !== 'option') return;
+        const selected = this.isSelected(select, entry);
+        const disabled = entry.disabled || (!selected && limited);
+        row.classList.toggle('is-selected', selected);
+        row.setAttribute('aria-selected', String(selected));
+        row.classList.toggle('is-disabled', disabled);
+        if (disabled) {
+          row.setAttribute('aria-disabled', 'true');
         } else {
-          optionEl.classList.remove('is-selected');
-          optionEl.setAttribute('aria-selected', 'false');
+          row.removeAttribute('aria-disabled');
         }
       });
     },
 
+    /**
+     * Show loading, empty and error messages
+     * @param {HTMLSelectElement} select - Select element
+     */
+    updateStatus: function (select) {
+      const instance = this.instances.get(select);
+      const { status, dropdown } = instance;
+
+      dropdown.classList.toggle('is-loading', instance.loading);
+      dropdown.setAttribute('aria-busy', String(instance.loading));
+
+      status.textContent = '';
+      if (instance.loading) {
+        const spinner = document.createElement('span');
+        spinner.className = 'vd-spinner vd-spinner-sm';
+        spinner.setAttribute('aria-hidden', 'true');
+        status.append(spinner, this.t('loading', 'Loading...'));
+      } else if (instance.error) {
+        status.textContent = this.t('loadError', 'Could not load options');
+      } else if (instance.view.length === 0 && (instance.query.trim() || instance.remoteItems !== null)) {
+        status.textContent = this.t('noResults', 'No results');
+      } else if (this.isAtLimit(select)) {
+        status.textContent = this.t('maxSelected', 'You can select up to {max} options', { max: instance.options.maxSelected });
+      }
+      instance.wrapper.classList.toggle('is-limit-reached', this.isAtLimit(select));
+      status.hidden = status.textContent === '' && !instance.loading;
+    },
+
+    /**
+     * Fetch options for a query with the loadOptions option
+     * Earlier requests still in flight are aborted and their results ignored.
+     * @param {HTMLSelectElement|string} select - Select element or selector
+     * @param {string} query - Search text
+     * @returns {Promise<void>}
+     */
+    load: function (select, query) {
+      const el = typeof select === 'string' ? document.querySelector(select) : select;
+      const instance = el && this.instances.get(el);
+      if (!instance || !instance.options.loadOptions) return Promise.resolve();
+
+      const loader = instance.options.loadOptions;
+      if (instance.abort) {
+        instance.abort.abort();
+      }
+      const controller = typeof window.AbortController === 'function' ? new window.AbortController() : null;
+      const requestId = ++instance.requestId;
+      instance.abort = controller;
+      instance.loading = true;
+      instance.error = false;
+      this.updateStatus(el);
+
+      let request;
+      try {
+        if (typeof loader === 'function') {
+          request = loader(query, { signal: controller ? controller.signal : undefined });
+        } else {
+          const url = String(loader).replace('{query}', encodeURIComponent(query));
+          request = window.fetch(url, { signal: controller ? controller.signal : undefined }).then(response => {
+            if (!response.ok) {
+              throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+          });
+        }
+      } catch (error) {
+        request = Promise.reject(error);
+      }
+
+      return Promise.resolve(request).then(results => {
+        if (requestId !== instance.requestId || !this.instances.has(el)) return;
+        instance.abort = null;
+        instance.loading = false;
+        instance.remoteItems = this.normalizeItems(results);
+        this.updateView(el);
+        el.dispatchEvent(new CustomEvent('select:load', {
+          bubbles: true,
+          detail: { query, options: instance.remoteItems.slice() }
+        }));
+      }, error => {
+        if (requestId !== instance.requestId || !this.instances.has(el)) return;
+        instance.abort = null;
+        instance.loading = false;
+        instance.error = true;
+        instance.remoteItems = [];
+        console.warn('[Vanduo] Select could not load options:', error);
+        this.updateView(el);
+        el.dispatchEvent(new CustomEvent('select:loaderror', {
+          bubbles: true,
+          detail: { query, error }
+        }));
+      });
+    },
+
     /**
      * Toggle dropdown
-     * @param {HTMLElement} button - Button element
-     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLSelectElement} select - Select element
      */
-    toggleDropdown: function (button, dropdown) {
-      const isOpen = dropdown.classList.contains('is-open');
+    toggleDropdown: function (select) {
+      const instance = this.instances.get(select);
+      if (!instance) return;
 
-      if (isOpen) {
-        this.closeDropdown(button, dropdown);
+      if (instance.dropdown.classList.contains('is-open')) {
+        this.closeDropdown(select);
       } else {
-        this.openDropdown(button, dropdown);
+        this.openDropdown(select);
       }
     },
 
     /**
      * Open dropdown
-     * @param {HTMLElement} button - Button element
-     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLSelectElement} select - Select element
      */
-    openDropdown: function (button, dropdown) {
-      dropdown.classList.add('is-open');
-      button.setAttribute('aria-expanded', 'true');
+    openDropdown: function (select) {
+      const instance = this.instances.get(select);
+      if (!instance) return;
+
+      instance.dropdown.classList.add('is-open');
+      instance.button.setAttribute('aria-expanded', 'true');
+
+      // Rows may be measured now that the list is visible
+      this.renderList(select);
+
+      if (instance.options.loadOptions && instance.remoteItems === null && !instance.loading) {
+        this.load(select, instance.query);
+      }
+
+      // Highlight the selected option (or the first one)
+      const selectedIndex = instance.view.findIndex(entry => entry.type === 'option' && this.isSelected(select, entry));
+      this.setActive(select, selectedIndex >= 0 ? selectedIndex : this.step(select, -1, 1));
 
-      // Focus first option
-      const firstOption = dropdown.querySelector('.vd-custom-select-option:not(.is-disabled)');
-      if (firstOption) {
-        firstOption.focus();
+      if (instance.searchInput) {
+        instance.searchInput.focus();
       }
     },
 
     /**
      * Close dropdown
-     * @param {HTMLElement} button - Button element
-     * @param {HTMLElement} dropdown - Dropdown container
+     * @param {HTMLSelectElement} select - Select element
      */
-    closeDropdown: function (button, dropdown) {
-      dropdown.classList.remove('is-open');
-      button.setAttribute('aria-expanded', 'false');
+    closeDropdown: function (select) {
+      const instance = this.instances.get(select);
+      if (!instance) return;
+
+      instance.dropdown.classList.remove('is-open');
+      instance.button.setAttribute('aria-expanded', 'false');
+      instance.button.removeAttribute('aria-activedescendant');
+      if (instance.searchInput) {
+        instance.searchInput.removeAttribute('aria-activedescendant');
+      }
     },
 
     /**
-     * Handle keyboard navigation
+     * Index of the next selectable entry
+     * @param {HTMLSelectElement} select - Select element
+     * @param {number} from - Start index (exclusive; -1 to start at the top)
+     * @param {number} direction - 1 (down) or -1 (up)
+     * @returns {number} Index, or -1 if nothing is selectable
+     */
+    step: function (select, from, direction) {
+      const view = this.instances.get(select).view;
+      const count = view.length;
+      let index = from < 0 && direction < 0 ? count : from;
+
+      for (let i = 0; i < count; i++) {
+        index = (index + direction + count) % count;
+        const entry = view[index];
+        if (entry.type !== 'group' && !entry.disabled) {
+          return index;
+        }
+      }
+      return -1;
+    },
+
+    /**
+     * Rendered row of a listed entry
+     * Rows follow the view order, from range[0] on in virtual lists.
+     * @param {HTMLSelectElement} select - Select element
+     * @param {number} index - Entry index
+     * @returns {HTMLElement|null} Row, or null if it is not rendered
+     */
+    getRow: function (select, index) {
+      const instance = this.instances.get(select);
+      if (instance.virtual && !instance.range) return null;
+
+      const first = instance.virtual ? instance.range[0] : 0;
+      const row = instance.list.children[index - first] || null;
+      return row && row.dataset.viewIndex === String(index) ? row : null;
+    },
+
+    /**
+     * Highlight an entry and scroll it into view
+     * @param {HTMLSelectElement} select - Select element
+     * @param {number} index - Entry index (-1 clears the highlight)
+     */
+    setActive: function (select, index) {
+      const instance = this.instances.get(select);
+      const { dropdown, list } = instance;
+      instance.activeIndex = index;
+
+      if (index >= 0 && dropdown.classList.contains('is-open')) {
+        let top;
+        let height;
+        if (instance.virtual) {
+          height = this.getRowHeight(select);
+          top = list.offsetTop + index * height;
+        } else {
+          const row = this.getRow(select, index);
+          top = row ? row.offsetTop : 0;
+          height = row ? row.offsetHeight : 0;
+        }
+
+        if (top < dropdown.scrollTop) {
+          dropdown.scrollTop = top;
+        } else if (top + height > dropdown.scrollTop + dropdown.clientHeight) {
+          dropdown.scrollTop = top + height - dropdown.clientHeight;
+        }
+        this.renderWindow(select);
+      }
+
+      list.querySelectorAll('.custom-select-option.is-active').forEach(row => row.classList.remove('is-active'));
+      const activeRow = index >= 0 ? this.getRow(select, index) : null;
+      [instance.button, instance.searchInput].forEach(control => {
+        if (!control) return;
+        if (activeRow) {
+          control.setAttribute('aria-activedescendant', activeRow.id);
+        } else {
+          control.removeAttribute('aria-activedescendant');
+        }
+      });
+      if (activeRow) {
+        activeRow.classList.add('is-active');
+      }
+    },
+
+    /**
+     * Handle keyboard navigation on the button and the search input
+     * Focus stays on the control; the highlighted option is announced via
+     * aria-activedescendant (rows of virtual lists come and go).
      * @param {KeyboardEvent} e - Keyboard event
      * @param {HTMLSelectElement} select - Select element
-     * @param {HTMLElement} button - Button element
-     * @param {HTMLElement} dropdown - Dropdown container
      */
-    handleKeydown: function (e, select, button, dropdown) {
-      const isOpen = dropdown.classList.contains('is-open');
-      const options = Array.from(dropdown.querySelectorAll('.vd-custom-select-option:not(.is-disabled)'));
-      const currentIndex = options.findIndex(opt => opt === document.activeElement);
+    handleKeydown: function (e, select) {
+      const instance = this.instances.get(select);
+      const isOpen = instance.dropdown.classList.contains('is-open');
+      const inSearch = e.target === instance.searchInput;
+      const active = instance.view[instance.activeIndex];
 
       switch (e.key) {
         case 'Enter':
         case ' ':
+          if (inSearch && e.key === ' ') break;
           e.preventDefault();
-          if (isOpen && currentIndex >= 0) {
-            const optionEl = options[currentIndex];
-            const option = select.options[parseInt(optionEl.dataset.index)];
-            this.selectOption(select, option, optionEl, button, dropdown);
-          } else {
-            this.openDropdown(button, dropdown);
+          if (isOpen && active) {
+            this.choose(select, active);
+          } else if (!isOpen) {
+            this.openDropdown(select);
           }
           break;
 
         case 'Escape':
           if (isOpen) {
             e.preventDefault();
-            this.closeDropdown(button, dropdown);
-            button.focus();
+            this.closeDropdown(select);
+            instance.button.focus();
           }
           break;
 
         case 'ArrowDown':
           e.preventDefault();
           if (!isOpen) {
-            this.openDropdown(button, dropdown);
+            this.openDropdown(select);
           } else {
-            const nextIndex = currentIndex < options.length - 1 ? currentIndex + 1 : 0;
-            options[nextIndex].focus();
+            this.setActive(select, this.step(select, instance.activeIndex, 1));
           }
           break;
 
         case 'ArrowUp':
           e.preventDefault();
           if (isOpen) {
-            const prevIndex = currentIndex > 0 ? currentIndex - 1 : options.length - 1;
-            options[prevIndex].focus();
+            this.setActive(select, this.step(select, instance.activeIndex, -1));
+          }
+          break;
+
+        case 'Backspace':
+          // Chip mode: remove the last selection
+          if (instance.chips && instance.chips.lastElementChild && (!inSearch || e.target.value === '')) {
+            e.preventDefault();
+            this.removeChip(select, instance.chips.lastElementChild);
+          }
+          break;
+
+        case 'ArrowLeft':
+          if (instance.chips && !inSearch && instance.chips.lastElementChild) {
+            e.preventDefault();
+            this.focusChip(select, instance.chips.children.length - 1);
           }
           break;
 
         case 'Home':
-          if (isOpen) {
+          if (isOpen && !inSearch) {
             e.preventDefault();
-            options[0].focus();
+            this.setActive(select, this.step(select, -1, 1));
           }
           break;
 
         case 'End':
-          if (isOpen) {
+          if (isOpen && !inSearch) {
             e.preventDefault();
-            options[options.length - 1].focus();
+            this.setActive(select, this.step(select, -1, -1));
           }
           break;
 
         default:
           // Typeahead: jump to matching option when typing printable characters
-          if (isOpen && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          if (isOpen && !inSearch && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
             clearTimeout(this._typeaheadTimer);
             this._typeaheadBuffer += e.key.toLowerCase();
 
-            const match = options.find(opt =>
-              opt.textContent.trim().toLowerCase().startsWith(this._typeaheadBuffer)
+            const match = instance.view.findIndex(entry =>
+              entry.type === 'option' && !entry.disabled &&
+              entry.label.trim().toLowerCase().startsWith(this._typeaheadBuffer)
             );
-            if (match) {
-              match.focus();
+            if (match >= 0) {
+              this.setActive(select, match);
             }
 
             this._typeaheadTimer = setTimeout(() => {
@@ -377,21 +1608,22 @@
 
     /**
      * Filter options by search term
-     * @param {HTMLElement} dropdown - Dropdown container
+     * With loadOptions set, the options for the term are loaded instead.
+     * @param {HTMLSelectElement} select - Select element
      * @param {string} searchTerm - Search term
      */
-    filterOptions: function (dropdown, searchTerm) {
-      const options = dropdown.querySelectorAll('.vd-custom-select-option');
-      const term = searchTerm.toLowerCase();
+    filterOptions: function (select, searchTerm) {
+      const instance = this.instances.get(select);
+      if (!instance) return;
 
-      options.forEach(option => {
-        const text = option.textContent.toLowerCase();
-        if (text.includes(term)) {
-          option.style.display = 'block';
-        } else {
-          option.style.display = 'none';
-        }
-      });
+      instance.query = searchTerm;
+      if (instance.options.loadOptions) {
+        this.load(select, searchTerm);
+        return;
+      }
+
+      instance.dropdown.scrollTop = 0;
+      this.updateView(select);
     },
 
     /**
@@ -414,6 +1646,9 @@
       const instance = this.instances.get(select);
       if (!instance) return;
 
+      if (instance.abort) {
+        instance.abort.abort();
+      }
       instance.cleanup.forEach(fn => fn());
 
       // Unwrap the select element back to its original parent
@@ -435,10 +1670,18 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Select;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('select', Select);
   }
 
-})();
+  // Expose globally
+  window.VanduoSelect = Select;
 
+})();
@@ -6,16 +6,45 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Sidenav Component
    */
   const Sidenav = {
+    // Registered component name (used by Vanduo.use)
+    name: 'sidenav',
+
     sidenavs: new Map(),
     breakpoint: 992, // Desktop breakpoint
+    edgeWidth: 21, // Screen edge (px) that edge swipes start from
     
     // Global cleanup functions (toggles, resize)
     _globalCleanups: [],
 
+    // Drawer following the current edge swipe; when several share an edge,
+    // the first one in the document takes the swipe
+    _edgeSwiping: null,
+
+    // Default options (override via Vanduo.config.sidenav, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      backdrop: true,
+      keyboard: true,
+      // Drag to close on touch screens (needs VanduoGesture)
+      swipe: true,
+      // Swipe in from the screen edge to open (drawer variants only, needs VanduoGesture)
+      edgeSwipe: true
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      backdrop: 'data-backdrop',
+      keyboard: 'data-keyboard'
+    },
+
     isFixedVariant: function(sidenav) {
       return sidenav.classList.contains('vd-sidenav-fixed') || sidenav.classList.contains('sidenav-fixed');
     },
@@ -92,7 +121,7 @@
 
       // Overlay click handler
       const overlayClickHandler = () => {
-        if (sidenav.dataset.backdrop !== 'static') {
+        if (this.getOptions(sidenav).backdrop !== 'static') {
           this.close(sidenav);
         }
       };
@@ -102,7 +131,7 @@
       // ESC key handler
       const escKeyHandler = (e) => {
         if (e.key === 'Escape' && sidenav.classList.contains('is-open')) {
-          if (sidenav.dataset.keyboard !== 'false') {
+          if (this.getOptions(sidenav).keyboard !== false) {
             this.close(sidenav);
           }
         }
@@ -110,9 +139,134 @@
       document.addEventListener('keydown', escKeyHandler);
       cleanupFunctions.push(() => document.removeEventListener('keydown', escKeyHandler));
 
+      if (window.VanduoGesture) {
+        this.bindGestures(sidenav, overlay, cleanupFunctions);
+      }
+
       this.sidenavs.set(sidenav, { overlay, cleanup: cleanupFunctions });
     },
+
+    /**
+     * Set up touch gestures: drag an open sidenav to close it and, for
+     * drawers (unless edgeSwipe is off), swipe in from the screen edge to
+     * open it. The drawer follows the finger unless reduced motion is
+     * preferred.
+     * @param {HTMLElement} sidenav - Sidenav element
+     * @param {HTMLElement} overlay - Overlay element
+     * @param {Array<Function>} cleanupFunctions - Cleanup list to add to
+     */
+    bindGestures: function(sidenav, overlay, cleanupFunctions) {
+      const Gesture = window.VanduoGesture;
+      // Sign of the closing direction
+      const direction = this.isRightVariant(sidenav) ? 1 : -1;
+
+      const enabled = () => {
+        return this.getOptions(sidenav).swipe !== false &&
+          !(this.isFixedVariant(sidenav) && window.innerWidth >= this.breakpoint);
+      };
+
+      const begin = () => {
+        sidenav.classList.add('is-dragging');
+        overlay.classList.add('is-dragging');
+      };
+
+      // Place the drawer `offset` px from its open position (0 = open)
+      const follow = (offset) => {
+        if (Gesture.prefersReducedMotion()) return;
+        const width = sidenav.offsetWidth || 1;
+        const clamped = direction < 0 ? Math.max(-width, Math.min(0, offset)) : Math.max(0, Math.min(width, offset));
+        sidenav.style.transform = `translateX(${clamped}px)`;
+        if (!this.isFixedVariant(sidenav)) {
+          overlay.style.opacity = String(1 - Math.abs(clamped) / width);
+        }
+      };
+
+      // Hand back to the CSS transitions, which animate from the dragged position
+      const finish = () => {
+        sidenav.classList.remove('is-dragging');
+        overlay.classList.remove('is-dragging');
+        sidenav.style.transform = '';
+        overlay.style.opacity = '';
+      };
+
+      // Drag to close
+      Gesture.swipe(sidenav, {
+        name: 'sidenav',
+        mouse: false,
+        onStart: (state) => {
+          if (!sidenav.classList.contains('is-open') || !enabled() || state.delta * direction <= 0) return false;
+          begin();
+        },
+        onMove: (state) => follow(state.delta),
+        onEnd: (state) => {
+          finish();
+          if (Gesture.isSwipe(state, sidenav.offsetWidth, direction)) {
+            this.close(sidenav);
+          }
+        },
+        onCancel: finish
+      });
+
+      cleanupFunctions.push(() => Gesture.release(sidenav));
+
+      if (this.isFixedVariant(sidenav) || this.getOptions(sidenav).edgeSwipe === false) return;
+
+      // Edge swipe to open: watch the whole page, but only react to pointers
+      // that go down within edgeWidth of the screen edge, so nothing covers
+      // the content there
+      const fromEdge = (e) => {
+        return direction < 0 ? e.clientX <= this.edgeWidth : e.clientX >= window.innerWidth - this.edgeWidth;
+      };
+
+      Gesture.swipe(sidenav, {
+        name: 'sidenav',
+        mouse: false,
+        target: document,
+        accept: (e) => fromEdge(e) && !sidenav.classList.contains('is-open') && enabled(),
+        onStart: (state) => {
+          if (this._edgeSwiping || sidenav.classList.contains('is-open') || !enabled() || state.delta * direction >= 0) return false;
+          this._edgeSwiping = sidenav;
+          begin();
+        },
+        onMove: (state) => follow(direction * sidenav.offsetWidth + state.delta),
+        onEnd: (state) => {
+          this._edgeSwiping = null;
+          finish();
+          if (Gesture.isSwipe(state, sidenav.offsetWidth, -direction)) {
+            this.open(sidenav);
+          }
+        },
+        onCancel: () => {
+          this._edgeSwiping = null;
+          finish();
+        }
+      });
+
+      cleanupFunctions.push(() => {
+        if (this._edgeSwiping === sidenav) {
+          this._edgeSwiping = null;
+        }
+      });
+    },
     
+    /**
+     * Resolve options for a sidenav
+     * Read on demand so attribute changes after init still apply.
+     * @param {HTMLElement} sidenav - Sidenav element
+     * @returns {Object} Options
+     */
+    getOptions: function(sidenav) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(sidenav, 'sidenav', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return {
+        backdrop: sidenav.dataset.backdrop === 'static' ? 'static' : true,
+        keyboard: sidenav.dataset.keyboard !== 'false',
+        swipe: true,
+        edgeSwipe: true
+      };
+    },
+
     /**
      * Create overlay element
      * @param {HTMLElement} sidenav - Sidenav element
@@ -167,13 +321,22 @@
     /**
      * Close sidenav
      * @param {HTMLElement|string} sidenav - Sidenav element or selector
+     * @param {boolean} [force=false] - Skip the cancelable sidenav:beforeclose event
      */
-    close: function(sidenav) {
+    close: function(sidenav, force) {
       const el = typeof sidenav === 'string' ? document.querySelector(sidenav) : sidenav;
       
       if (!el || !this.sidenavs.has(el)) {
         return;
       }
+
+      // Allow listeners to veto closing
+      if (!force) {
+        const beforeClose = new CustomEvent('sidenav:beforeclose', { bubbles: true, cancelable: true });
+        if (!el.dispatchEvent(beforeClose)) {
+          return;
+        }
+      }
       
       const { overlay } = this.sidenavs.get(el);
       
@@ -266,7 +429,7 @@
 
       // Close if open
       if (sidenav.classList.contains('is-open')) {
-        this.close(sidenav);
+        this.close(sidenav, true);
       }
 
       data.cleanup.forEach(fn => fn());
@@ -291,6 +454,12 @@
     }
   };
   
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Sidenav;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('sidenav', Sidenav);
@@ -6,13 +6,43 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Tabs Component
    */
   const Tabs = {
+    // Registered component name (used by Vanduo.use)
+    name: 'tabs',
+
     // Store initialized tab containers and their cleanup functions
     instances: new Map(),
 
+    // Default options (override via Vanduo.config.tabs, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      history: '',         // 'hash' or 'query': keep the active tab in the URL
+      param: 'tab',        // Query parameter used with history: 'query'
+      closable: false,     // Close buttons on every tab (per tab: data-tab-closable)
+      reorderable: false,  // Drag (or Alt+Arrow) tabs into a new order
+      overflow: false,     // Collect tabs that do not fit into a "more" menu instead of wrapping
+      sanitize: true       // Pass data-tab-src fragments through sanitizeHtml; false for trusted markup, or a function(html)
+    },
+
+    // Attributes read for each option
+    ATTRIBUTES: {
+      history: 'data-tabs-history',
+      param: 'data-tabs-param',
+      closable: 'data-tabs-closable',
+      reorderable: 'data-tabs-reorder',
+      overflow: 'data-tabs-overflow'
+    },
+
+    // Set while tabs change without a URL update (applying the URL, opening parent tabs)
+    _silent: false,
+
     /**
      * Initialize all tab components
      */
@@ -33,64 +63,359 @@
      */
     initTabs: function(container) {
       const tabList = container.querySelector('.vd-tab-list, [role="tablist"]');
-      const tabLinks = container.querySelectorAll('.vd-tab-link, [data-tab]');
-      const tabPanes = container.querySelectorAll('.vd-tab-pane, [data-tab-pane]');
+      const tabLinks = this.getLinks(container);
+      const tabPanes = this.getPanes(container);
 
       if (!tabList || tabLinks.length === 0) return;
 
       const cleanupFunctions = [];
+      const options = this.getOptions(container);
 
       // Set up ARIA attributes
       tabList.setAttribute('role', 'tablist');
 
       tabLinks.forEach((link, index) => {
-        const tabId = link.dataset.tab || link.getAttribute('href')?.replace('#', '') || `tab-${index}`;
-        const pane = this.findPane(container, tabId, tabPanes);
+        this.setupTab(container, link, index, tabPanes, options);
+      });
+
+      // Delegated, so tabs added later need no handlers of their own
+      const clickHandler = (e) => {
+        const closeButton = e.target.closest('.vd-tab-close');
+        if (closeButton && this.owns(container, closeButton)) {
+          e.preventDefault();
+          const link = this.getLinks(container).find(tab => this.getItem(tab) === closeButton.parentElement);
+          if (link) {
+            this.close(container, link);
+          }
+          return;
+        }
 
-        // Set up tab attributes
-        link.setAttribute('role', 'tab');
-        link.setAttribute('aria-selected', link.classList.contains('is-active') ? 'true' : 'false');
-        link.setAttribute('tabindex', link.classList.contains('is-active') ? '0' : '-1');
+        const link = e.target.closest('.vd-tab-link, [data-tab]');
+        if (!link || !this.owns(container, link)) return;
 
-        if (!link.id) {
-          link.id = `tab-btn-${tabId}`;
+        e.preventDefault();
+        if (!link.classList.contains('disabled') && !link.disabled) {
+          this.activateTab(container, link, this.getLinks(container), this.getPanes(container));
         }
+      };
+      container.addEventListener('click', clickHandler);
+      cleanupFunctions.push(() => container.removeEventListener('click', clickHandler));
 
-        // Set up pane attributes
-        if (pane) {
-          pane.setAttribute('role', 'tabpanel');
-          pane.setAttribute('aria-labelledby', link.id);
-          if (!pane.id) {
-            pane.id = `tab-pane-${tabId}`;
-          }
-          link.setAttribute('aria-controls', pane.id);
+      // Keyboard navigation
+      const keydownHandler = (e) => {
+        const link = e.target.closest('.vd-tab-link, [data-tab]');
+        if (link && this.owns(container, link)) {
+          this.handleKeydown(e, container, link, this.getLinks(container), this.getPanes(container));
         }
+      };
+      container.addEventListener('keydown', keydownHandler);
+      cleanupFunctions.push(() => container.removeEventListener('keydown', keydownHandler));
 
-        // Click handler
-        const clickHandler = (e) => {
-          e.preventDefault();
-          if (!link.classList.contains('disabled') && !link.disabled) {
-            this.activateTab(container, link, tabLinks, tabPanes);
-          }
-        };
-        link.addEventListener('click', clickHandler);
-        cleanupFunctions.push(() => link.removeEventListener('click', clickHandler));
+      const instance = {
+        options,
+        tabList,
+        initialTab: null,        // Shown again when the URL no longer names a tab
+        requests: new Map(),     // Pane -> pending data-tab-src load (promise)
+        loaded: new WeakSet(),   // Panes whose data-tab-src content arrived
+        dragging: null,          // Tab item being dragged
+        more: null,              // Overflow menu item
+        cleanup: cleanupFunctions
+      };
+      this.instances.set(container, instance);
+
+      if (options.reorderable) {
+        this.bindReorder(container, instance);
+      }
+      if (options.overflow) {
+        this.createOverflow(container, instance);
+      }
+
+      // Ensure one tab is active (the initial tab never goes into the URL)
+      let activeTab = tabLinks.find(link => link.classList.contains('is-active'));
+      if (!activeTab) {
+        activeTab = tabLinks[0];
+        this._silent = true;
+        try {
+          this.activateTab(container, activeTab, tabLinks, tabPanes);
+        } finally {
+          this._silent = false;
+        }
+      } else {
+        this.loadPane(container, activeTab, this.findPane(container, this.getTabId(activeTab) || activeTab.id, tabPanes));
+        this.updateOverflow(container);
+      }
+      instance.initialTab = activeTab;
 
-        // Keyboard navigation
-        const keydownHandler = (e) => {
-          this.handleKeydown(e, container, link, tabLinks, tabPanes);
+      if (options.history === 'hash' || options.history === 'query') {
+        // Hash mode: back/forward, edited and linked hashes all fire hashchange.
+        // Query mode: back/forward fire popstate. Listening to both would
+        // restore (and fire tab:change) twice per hash navigation.
+        const navigationEvent = options.history === 'hash' ? 'hashchange' : 'popstate';
+        const navigationHandler = () => {
+          this.restore(container);
         };
-        link.addEventListener('keydown', keydownHandler);
-        cleanupFunctions.push(() => link.removeEventListener('keydown', keydownHandler));
-      });
+        window.addEventListener(navigationEvent, navigationHandler);
+        cleanupFunctions.push(() => window.removeEventListener(navigationEvent, navigationHandler));
+
+        // Deep link on load
+        if (this.readUrl(container)) {
+          this.restore(container);
+        }
+      }
+    },
+
+    /**
+     * Set up ARIA attributes and the close button of a tab
+     * @param {HTMLElement} container - Tabs container
+     * @param {HTMLElement} link - Tab link
+     * @param {number} index - Position among the tabs
+     * @param {Array<HTMLElement>} tabPanes - All tab panes
+     * @param {Object} options - Resolved tabs options
+     */
+    setupTab: function(container, link, index, tabPanes, options) {
+      const tabId = this.getTabId(link) || `tab-${index}`;
+      const pane = this.findPane(container, tabId, tabPanes);
+
+      // Set up tab attributes
+      link.setAttribute('role', 'tab');
+      link.setAttribute('aria-selected', link.classList.contains('is-active') ? 'true' : 'false');
+      link.setAttribute('tabindex', link.classList.contains('is-active') ? '0' : '-1');
+
+      if (!link.id) {
+        link.id = `tab-btn-${tabId}`;
+      }
+
+      // Set up pane attributes
+      if (pane) {
+        pane.setAttribute('role', 'tabpanel');
+        pane.setAttribute('aria-labelledby', link.id);
+        if (!pane.id) {
+          pane.id = `tab-pane-${tabId}`;
+        }
+        link.setAttribute('aria-controls', pane.id);
+
+        // Panes paired by position stay with their tab when tabs move
+        if (this.getTabId(link) && !pane.hasAttribute('data-tab-pane') && tabPanes.includes(pane)) {
+          pane.setAttribute('data-tab-pane', tabId);
+        }
+      }
+
+      const item = this.getItem(link);
+      if (options.reorderable && item !== link) {
+        item.setAttribute('draggable', 'true');
+      }
+
+      // The close button sits next to the link, inside its tab item
+      if (this.isClosable(link, options) && item !== link && !item.querySelector('.vd-tab-close')) {
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'vd-tab-close';
+        closeButton.tabIndex = -1;  // Keyboard users press Delete on the tab
+        closeButton.setAttribute('aria-label', this.t('close', 'Close {label}', { label: link.textContent.trim() }));
+        closeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+        item.appendChild(closeButton);
+        item.classList.add('is-closable');
+      }
+    },
+
+    /**
+     * Resolve options for a tabs container
+     * @param {HTMLElement} container - Tabs container
+     * @returns {Object} Options
+     */
+    getOptions: function(container) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(container, 'tabs', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
+    /**
+     * Look up a UI string, overridable via Vanduo.i18n['tabs.<key>']
+     * @param {string} key - String key
+     * @param {string} fallback - Default text
+     * @param {Object} [vars] - Placeholder values, e.g. { label: 'Billing' }
+     * @returns {string}
+     */
+    t: function(key, fallback, vars) {
+      if (typeof window.translate === 'function') {
+        return window.translate('tabs.' + key, fallback, vars);
+      }
+      return fallback.replace(/\{(\w+)\}/g, (match, name) => (vars && name in vars ? String(vars[name]) : match));
+    },
+
+    /**
+     * Tabs container from an element or selector
+     * @param {HTMLElement|string} container - Tabs container or selector
+     * @returns {HTMLElement|null}
+     */
+    resolve: function(container) {
+      return typeof container === 'string' ? document.querySelector(container) : container;
+    },
+
+    /**
+     * Whether an element belongs to a tabs container rather than to a
+     * tab set nested inside it
+     * @param {HTMLElement} container - Tabs container
+     * @param {HTMLElement} element - Element inside the container
+     * @returns {boolean}
+     */
+    owns: function(container, element) {
+      return element.closest('.vd-tabs, [data-tabs]') === container;
+    },
+
+    /**
+     * Tab links of a container (nested tab sets excluded)
+     * @param {HTMLElement} container - Tabs container
+     * @returns {Array<HTMLElement>}
+     */
+    getLinks: function(container) {
+      return Array.from(container.querySelectorAll('.vd-tab-link, [data-tab]'))
+        .filter(link => this.owns(container, link));
+    },
+
+    /**
+     * Tab panes of a container (nested tab sets excluded)
+     * @param {HTMLElement} container - Tabs container
+     * @returns {Array<HTMLElement>}
+     */
+    getPanes: function(container) {
+      return Array.from(container.querySelectorAll('.vd-tab-pane, [data-tab-pane]'))
+        .filter(pane => this.owns(container, pane));
+    },
+
+    /**
+     * Identifier of a tab: data-tab, else the href fragment
+     * @param {HTMLElement} tab - Tab link
+     * @returns {string}
+     */
+    getTabId: function(tab) {
+      return tab.dataset.tab || tab.getAttribute('href')?.replace('#', '') || '';
+    },
+
+    /**
+     * Element that moves with a tab: its list item, else the link itself
+     * @param {HTMLElement} link - Tab link
+     * @returns {HTMLElement}
+     */
+    getItem: function(link) {
+      const parent = link.parentElement;
+      return parent && parent.matches('.vd-tab-item, .tab-item, li') ? parent : link;
+    },
+
+    /**
+     * Tab link of a container by id or element
+     * @param {HTMLElement} container - Tabs container
+     * @param {string|HTMLElement} tab - Tab id or link
+     * @returns {HTMLElement|null}
+     */
+    findTab: function(container, tab) {
+      const links = this.getLinks(container);
+      if (typeof tab === 'string') {
+        return links.find(link => this.getTabId(link) === tab) || null;
+      }
+      return links.includes(tab) ? tab : null;
+    },
+
+    /**
+     * Whether a tab can be closed by the user
+     * @param {HTMLElement} link - Tab link
+     * @param {Object} options - Resolved tabs options
+     * @returns {boolean}
+     */
+    isClosable: function(link, options) {
+      if (link.hasAttribute('data-tab-closable')) {
+        return link.getAttribute('data-tab-closable') !== 'false';
+      }
+      return Boolean(options.closable);
+    },
+
+    /**
+     * Tab id named by the URL for a container with history enabled
+     * @param {HTMLElement} container - Tabs container
+     * @returns {string} Tab id, or '' if the URL names none
+     */
+    readUrl: function(container) {
+      const instance = this.instances.get(container);
+      if (!instance) return '';
+
+      const url = new URL(window.location.href);
+      if (instance.options.history === 'hash') {
+        try {
+          return decodeURIComponent(url.hash.slice(1));
+        } catch (_e) {
+          return url.hash.slice(1);
+        }
+      }
+      return url.searchParams.get(instance.options.param) || '';
+    },
+
+    /**
+     * Record the active tab in the URL as a new history entry
+     * @param {HTMLElement} container - Tabs container
+     * @param {string} tabId - Tab id
+     */
+    writeUrl: function(container, tabId) {
+      const instance = this.instances.get(container);
+      const mode = instance && instance.options.history;
+      if (this._silent || !tabId || (mode !== 'hash' && mode !== 'query')) return;
+
+      const url = new URL(window.location.href);
+      if (mode === 'hash') {
+        url.hash = tabId;
+      } else {
+        url.searchParams.set(instance.options.param, tabId);
+      }
+
+      if (url.href !== window.location.href) {
+        window.history.pushState(window.history.state, '', url.href);
+      }
+    },
+
+    /**
+     * Show the tab the URL names (or the initial tab once it names none)
+     * Tabs of nested tab sets open their parent tabs as well. URLs naming a
+     * tab of another tab set, or any other anchor, are left alone.
+     * @param {HTMLElement} container - Tabs container
+     */
+    restore: function(container) {
+      const instance = this.instances.get(container);
+      if (!instance) return;
 
-      // Ensure one tab is active
-      const activeTab = container.querySelector('.vd-tab-link.is-active, [data-tab].is-active');
-      if (!activeTab && tabLinks.length > 0) {
-        this.activateTab(container, tabLinks[0], tabLinks, tabPanes);
+      const tabId = this.readUrl(container);
+      const tab = tabId
+        ? this.getLinks(container).find(link => this.getTabId(link) === tabId)
+        : instance.initialTab;
+
+      if (!tab || !tab.isConnected || tab.classList.contains('disabled') || tab.disabled) return;
+
+      this._silent = true;
+      try {
+        if (tabId) {
+          this.showAncestors(container);
+        }
+        this.activateTab(container, tab, this.getLinks(container), this.getPanes(container));
+      } finally {
+        this._silent = false;
       }
+    },
+
+    /**
+     * Activate the tabs whose panes hold a (nested) tabs container
+     * @param {HTMLElement} container - Tabs container
+     */
+    showAncestors: function(container) {
+      const pane = container.parentElement && container.parentElement.closest('.vd-tab-pane, [data-tab-pane]');
+      const parent = pane && pane.closest('.vd-tabs, [data-tabs]');
+      if (!parent || !this.instances.has(parent)) return;
 
-      this.instances.set(container, { cleanup: cleanupFunctions });
+      this.showAncestors(parent);
+      const links = this.getLinks(parent);
+      const panes = this.getPanes(parent);
+      const tab = links.find(link => this.findPane(parent, this.getTabId(link), panes) === pane);
+      if (tab && !tab.classList.contains('is-active')) {
+        this.activateTab(parent, tab, links, panes);
+      }
     },
 
     /**
@@ -101,19 +426,22 @@
      * @returns {HTMLElement|null} The matching pane
      */
     findPane: function(container, tabId, tabPanes) {
-      // Try data attribute first
-      let pane = container.querySelector(`[data-tab-pane="${tabId}"]`);
+      // Panes of nested tab sets never match
+      const own = (element) => (element && this.owns(container, element) ? element : null);
+
+      // Try data attribute first (compared directly: ids need not be valid CSS identifiers)
+      let pane = Array.from(container.querySelectorAll('[data-tab-pane]'))
+        .find(element => element.getAttribute('data-tab-pane') === tabId && this.owns(container, element)) || null;
 
       // Try ID
       if (!pane) {
-        pane = container.querySelector(`#${tabId}`);
+        pane = own(Array.from(container.querySelectorAll('[id]')).find(element => element.id === tabId) || null);
       }
 
       // Try matching by index
       if (!pane) {
-        const tabLinks = container.querySelectorAll('.vd-tab-link, [data-tab]');
-        tabLinks.forEach((link, index) => {
-          const linkTabId = link.dataset.tab || link.getAttribute('href')?.replace('#', '');
+        this.getLinks(container).forEach((link, index) => {
+          const linkTabId = this.getTabId(link);
           if (linkTabId === tabId && tabPanes[index]) {
             pane = tabPanes[index];
           }
@@ -129,9 +457,27 @@
      * @param {HTMLElement} tab - Tab to activate
      * @param {NodeList} allTabs - All tab links
      * @param {NodeList} allPanes - All tab panes
+     * @returns {boolean} False if a tab:beforechange listener cancelled the change
      */
     activateTab: function(container, tab, allTabs, allPanes) {
-      const tabId = tab.dataset.tab || tab.getAttribute('href')?.replace('#', '') || tab.id;
+      const tabId = this.getTabId(tab) || tab.id;
+      const previousTab = Array.from(allTabs).find(t => t.classList.contains('is-active')) || null;
+
+      // Allow listeners to veto the change
+      if (previousTab && previousTab !== tab) {
+        const beforeChange = new CustomEvent('tab:beforechange', {
+          bubbles: true,
+          cancelable: true,
+          detail: {
+            tab: tab,
+            previousTab: previousTab,
+            tabId: tabId
+          }
+        });
+        if (!container.dispatchEvent(beforeChange)) {
+          return false;
+        }
+      }
 
       // Deactivate all tabs
       allTabs.forEach(t => {
@@ -140,7 +486,7 @@
         t.setAttribute('tabindex', '-1');
 
         // Also handle parent li if exists
-        if (t.parentElement && t.parentElement.classList.contains('tab-item')) {
+        if (t.parentElement && t.parentElement.matches('.vd-tab-item, .tab-item')) {
           t.parentElement.classList.remove('is-active');
         }
       });
@@ -156,16 +502,20 @@
       tab.setAttribute('tabindex', '0');
 
       // Also handle parent li if exists
-      if (tab.parentElement && tab.parentElement.classList.contains('tab-item')) {
+      if (tab.parentElement && tab.parentElement.matches('.vd-tab-item, .tab-item')) {
         tab.parentElement.classList.add('is-active');
       }
 
-      // Show corresponding pane
+      // Show corresponding pane, fetching lazy content on first activation
       const pane = this.findPane(container, tabId, allPanes);
       if (pane) {
         pane.classList.add('is-active');
+        this.loadPane(container, tab, pane);
       }
 
+      // Keep the active tab out of the overflow menu
+      this.updateOverflow(container);
+
       // Dispatch custom event
       const event = new CustomEvent('tab:change', {
         bubbles: true,
@@ -176,6 +526,11 @@
         }
       });
       container.dispatchEvent(event);
+
+      if (previousTab !== tab) {
+        this.writeUrl(container, tabId);
+      }
+      return true;
     },
 
     /**
@@ -190,6 +545,28 @@
       const isVertical = container.classList.contains('tabs-vertical');
       const tabs = Array.from(allTabs).filter(t => !t.classList.contains('disabled') && !t.disabled);
       const currentIndex = tabs.indexOf(currentTab);
+      const instance = this.instances.get(container);
+      const options = instance ? instance.options : this.DEFAULTS;
+
+      // Delete closes a closable tab
+      if (e.key === 'Delete' && this.isClosable(currentTab, options)) {
+        e.preventDefault();
+        this.close(container, currentTab);
+        return;
+      }
+
+      // Alt+Arrow moves the tab along the list
+      if (e.altKey && options.reorderable) {
+        const back = isVertical ? 'ArrowUp' : 'ArrowLeft';
+        const forward = isVertical ? 'ArrowDown' : 'ArrowRight';
+        if (e.key === back || e.key === forward) {
+          e.preventDefault();
+          const index = Array.from(allTabs).indexOf(currentTab);
+          this.move(container, currentTab, index + (e.key === forward ? 1 : -1));
+          currentTab.focus();
+          return;
+        }
+      }
 
       let newIndex = currentIndex;
 
@@ -242,10 +619,11 @@
           return;
       }
 
-      // Focus and activate new tab
+      // Activate and focus new tab (stay put if the change was cancelled)
       if (newIndex !== currentIndex) {
-        tabs[newIndex].focus();
-        this.activateTab(container, tabs[newIndex], allTabs, allPanes);
+        if (this.activateTab(container, tabs[newIndex], allTabs, allPanes)) {
+          tabs[newIndex].focus();
+        }
       }
     },
 
@@ -257,7 +635,8 @@
       let tabElement;
 
       if (typeof tab === 'string') {
-        tabElement = document.querySelector(`[data-tab="${tab}"], [href="#${tab}"]`);
+        tabElement = Array.from(document.querySelectorAll('[data-tab], [href]')).find(element =>
+          element.getAttribute('data-tab') === tab || element.getAttribute('href') === '#' + tab) || null;
       } else {
         tabElement = tab;
       }
@@ -267,12 +646,634 @@
       const container = tabElement.closest('.vd-tabs, [data-tabs]');
       if (!container) return;
 
-      const allTabs = container.querySelectorAll('.vd-tab-link, [data-tab]');
-      const allPanes = container.querySelectorAll('.vd-tab-pane, [data-tab-pane]');
+      const allTabs = this.getLinks(container);
+      const allPanes = this.getPanes(container);
 
+      // Only the requested tab goes into the URL history
+      this._silent = true;
+      try {
+        this.showAncestors(container);
+      } finally {
+        this._silent = false;
+      }
       this.activateTab(container, tabElement, allTabs, allPanes);
     },
 
+    /**
+     * Add a tab and its pane
+     * Adding an id that already exists shows that tab instead.
+     * @param {HTMLElement|string} container - Tabs container or selector
+     * @param {Object} config - Tab configuration
+     * @param {string} config.id - Tab id
+     * @param {string|Node} [config.label] - Tab label (defaults to the id)
+     * @param {string|Node} [config.content] - Pane content (text, or a node)
+     * @param {boolean} [config.html=false] - Treat string content as HTML (passed through sanitizeHtml; throws if helpers.js is missing)
+     * @param {string} [config.src] - URL fetched into the pane on first activation
+     * @param {boolean} [config.closable] - Show a close button (defaults to the closable option)
+     * @param {boolean} [config.active=true] - Activate the new tab
+     * @returns {HTMLElement|null} The tab link
+     */
+    add: function(container, config) {
+      const el = this.resolve(container);
+      const instance = el ? this.instances.get(el) : null;
+
+      if (!instance || !config || !config.id) {
+        console.warn('[Vanduo Tabs] Cannot add a tab to:', container);
+        return null;
+      }
+
+      const tabId = String(config.id);
+      let link = this.findTab(el, tabId);
+
+      if (!link) {
+        const tabList = instance.tabList;
+        const item = document.createElement(tabList.tagName === 'UL' || tabList.tagName === 'OL' ? 'li' : 'div');
+        item.className = 'vd-tab-item';
+
+        link = document.createElement('a');
+        link.href = `#${tabId}`;
+        link.className = 'vd-tab-link';
+        link.setAttribute('data-tab', tabId);
+        if (config.label && config.label.nodeType) {
+          link.appendChild(config.label);
+        } else {
+          link.textContent = config.label || tabId;
+        }
+        if (config.src) {
+          link.setAttribute('data-tab-src', config.src);
+        }
+        if (config.closable !== undefined) {
+          link.setAttribute('data-tab-closable', config.closable ? 'true' : 'false');
+        }
+        item.appendChild(link);
+        tabList.insertBefore(item, instance.more);
+
+        const pane = document.createElement('div');
+        pane.className = 'vd-tab-pane';
+        pane.setAttribute('data-tab-pane', tabId);
+        if (config.content && config.content.nodeType) {
+          pane.appendChild(config.content);
+        } else if (config.content !== '' && config.content !== null && config.content !== undefined) {
+          if (config.html) {
+            pane.innerHTML = window.sanitizeContent(String(config.content), true);
+          } else {
+            pane.textContent = String(config.content);
+          }
+        }
+        this.getPaneParent(el).appendChild(pane);
+
+        const links = this.getLinks(el);
+        this.setupTab(el, link, links.indexOf(link), this.getPanes(el), instance.options);
+
+        if (window.Vanduo && typeof window.Vanduo.scope === 'function' && pane.firstElementChild) {
+          window.Vanduo.scope(pane).init();
+        }
+      }
+
+      if (config.active !== false) {
+        this.activateTab(el, link, this.getLinks(el), this.getPanes(el));
+      } else {
+        this.updateOverflow(el);
+      }
+      return link;
+    },
+
+    /**
+     * Element new panes are appended to
+     * @param {HTMLElement} container - Tabs container
+     * @returns {HTMLElement}
+     */
+    getPaneParent: function(container) {
+      const panes = this.getPanes(container);
+      if (panes.length) {
+        return panes[panes.length - 1].parentElement;
+      }
+
+      let content = Array.from(container.querySelectorAll('.vd-tab-content, .tab-content'))
+        .find(element => this.owns(container, element));
+      if (!content) {
+        content = document.createElement('div');
+        content.className = 'vd-tab-content';
+        container.appendChild(content);
+      }
+      return content;
+    },
+
+    /**
+     * Close a tab the way its close button does
+     * Dispatches the cancelable tab:beforeclose event first.
+     * @param {HTMLElement|string} container - Tabs container or selector
+     * @param {string|HTMLElement} tab - Tab id or link
+     * @returns {boolean} False if the tab was not found or a listener cancelled the close
+     */
+    close: function(container, tab) {
+      const el = this.resolve(container);
+      const link = el ? this.findTab(el, tab) : null;
+      if (!link) return false;
+
+      const tabId = this.getTabId(link);
+      const beforeClose = new CustomEvent('tab:beforeclose', {
+        bubbles: true,
+        cancelable: true,
+        detail: { tab: link, tabId: tabId }
+      });
+      if (!el.dispatchEvent(beforeClose)) {
+        return false;
+      }
+
+      const hadFocus = this.getItem(link).contains(document.activeElement);
+      if (!this.remove(el, link)) {
+        return false;
+      }
+
+      // Focus follows the tab that took over
+      const active = this.getLinks(el).find(other => other.classList.contains('is-active'));
+      if (hadFocus && active) {
+        active.focus();
+      }
+      return true;
+    },
+
+    /**
+     * Remove a tab and its pane
+     * The next tab (else the previous one) takes over when the active tab goes.
+     * @param {HTMLElement|string} container - Tabs container or selector
+     * @param {string|HTMLElement} tab - Tab id or link
+     * @returns {boolean} False if the tab was not found, or a tab:beforechange
+     *   listener vetoed handing over from the active tab
+     */
+    remove: function(container, tab) {
+      const el = this.resolve(container);
+      const instance = el ? this.instances.get(el) : null;
+      const link = el ? this.findTab(el, tab) : null;
+      if (!instance || !link) return false;
+
+      const tabId = this.getTabId(link) || link.id;
+      const links = this.getLinks(el);
+      const panes = this.getPanes(el);
+      const pane = this.findPane(el, tabId, panes);
+
+      if (link.classList.contains('is-active')) {
+        const index = links.indexOf(link);
+        const usable = (other) => other !== link && !other.classList.contains('disabled') && !other.disabled;
+        const next = links.slice(index + 1).find(usable) || links.slice(0, index).reverse().find(usable);
+        if (next) {
+          // Closing a tab does not add a history entry for the hand-off
+          this._silent = true;
+          let handedOff;
+          try {
+            handedOff = this.activateTab(el, next, links, panes);
+          } finally {
+            this._silent = false;
+          }
+          // A tab:beforechange listener vetoed it: keep the tab rather than leave none active
+          if (handedOff === false) return false;
+        }
+      }
+
+      if (pane) {
+        if (instance.requests.delete(pane)) {
+          window.abortFragment(pane);
+        }
+        if (window.Vanduo && typeof window.Vanduo.scope === 'function') {
+          window.Vanduo.scope(pane).destroy();
+        }
+        pane.remove();
+      }
+      this.getItem(link).remove();
+
+      if (instance.initialTab === link) {
+        instance.initialTab = this.getLinks(el)[0] || null;
+      }
+      this.updateOverflow(el);
+
+      el.dispatchEvent(new CustomEvent('tab:close', {
+        bubbles: true,
+        detail: { tab: link, pane: pane, tabId: tabId }
+      }));
+      return true;
+    },
+
+    /**
+     * Move a tab to a new position
+     * @param {HTMLElement|string} container - Tabs container or selector
+     * @param {string|HTMLElement} tab - Tab id or link
+     * @param {number} index - New position (clamped to the tab count)
+     * @returns {boolean} False if the tab was not found or did not move
+     */
+    move: function(container, tab, index) {
+      const el = this.resolve(container);
+      const link = el ? this.findTab(el, tab) : null;
+      if (!link) return false;
+
+      const links = this.getLinks(el);
+      const from = links.indexOf(link);
+      const to = Math.max(0, Math.min(links.length - 1, index));
+      if (to === from) return false;
+
+      const item = this.getItem(link);
+      const target = this.getItem(links[to]);
+      target.parentNode.insertBefore(item, to > from ? target.nextSibling : target);
+      this.reordered(el);
+      return true;
+    },
+
+    /**
+     * Announce a new tab order
+     * @param {HTMLElement} container - Tabs container
+     */
+    reordered: function(container) {
+      this.updateOverflow(container);
+      container.dispatchEvent(new CustomEvent('tab:reorder', {
+        bubbles: true,
+        detail: { order: this.getLinks(container).map(link => this.getTabId(link)) }
+      }));
+    },
+
+    /**
+     * Drag tab items into a new order
+     * @param {HTMLElement} container - Tabs container
+     * @param {Object} instance - Tabs instance
+     */
+    bindReorder: function(container, instance) {
+      const tabList = instance.tabList;
+      let startOrder = '';
+
+      const order = () => this.getLinks(container).map(link => this.getTabId(link)).join('\n');
+
+      const dragstartHandler = (e) => {
+        const item = e.target.closest && e.target.closest('[draggable="true"]');
+        if (!item || item.parentElement !== tabList) return;
+
+        instance.dragging = item;
+        startOrder = order();
+        item.classList.add('is-dragging');
+        if (e.dataTransfer) {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', item.textContent.trim());
+        }
+      };
+
+      const dragoverHandler = (e) => {
+        const item = instance.dragging;
+        if (!item) return;
+        e.preventDefault();
+
+        const after = this.getItemAfter(container, e.clientX, e.clientY);
+        const reference = after || instance.more;
+        if (reference !== item && item.nextSibling !== reference) {
+          tabList.insertBefore(item, reference);
+        }
+      };
+
+      const dropHandler = (e) => {
+        if (instance.dragging) {
+          e.preventDefault();
+        }
+      };
+
+      const dragendHandler = () => {
+        const item = instance.dragging;
+        if (!item) return;
+
+        instance.dragging = null;
+        item.classList.remove('is-dragging');
+        if (order() !== startOrder) {
+          this.reordered(container);
+        }
+      };
+
+      tabList.addEventListener('dragstart', dragstartHandler);
+      tabList.addEventListener('dragover', dragoverHandler);
+      tabList.addEventListener('drop', dropHandler);
+      tabList.addEventListener('dragend', dragendHandler);
+      instance.cleanup.push(() => {
+        tabList.removeEventListener('dragstart', dragstartHandler);
+        tabList.removeEventListener('dragover', dragoverHandler);
+        tabList.removeEventListener('drop', dropHandler);
+        tabList.removeEventListener('dragend', dragendHandler);
+      });
+    },
+
+    /**
+     * First tab item past the pointer while dragging
+     * @param {HTMLElement} container - Tabs container
+     * @param {number} x - Pointer x (viewport)
+     * @param {number} y - Pointer y (viewport)
+     * @returns {HTMLElement|null}
+     */
+    getItemAfter: function(container, x, y) {
+      const instance = this.instances.get(container);
+      const isVertical = container.classList.contains('tabs-vertical');
+
+      return this.getLinks(container)
+        .map(link => this.getItem(link))
+        .filter(item => item !== instance.dragging && !item.classList.contains('is-overflowed'))
+        .find(item => {
+          const rect = item.getBoundingClientRect();
+          return isVertical ? y < rect.top + rect.height / 2 : x < rect.left + rect.width / 2;
+        }) || null;
+    },
+
+    /**
+     * Fetch a tab's data-tab-src into its pane, once
+     * @param {HTMLElement} container - Tabs container
+     * @param {HTMLElement} tab - Tab link
+     * @param {HTMLElement|null} pane - Tab pane
+     * @returns {Promise<boolean>} Resolves true once the content is shown
+     */
+    loadPane: function(container, tab, pane) {
+      const instance = this.instances.get(container);
+      const src = tab.getAttribute('data-tab-src');
+
+      if (!instance || !pane || !src || instance.loaded.has(pane) || instance.requests.has(pane)) {
+        return Promise.resolve(false);
+      }
+
+      if (typeof window.loadFragment !== 'function') {
+        console.warn('[Vanduo Tabs] Loading data-tab-src needs js/utils/helpers.js');
+        return Promise.resolve(false);
+      }
+
+      const request = window.loadFragment(pane, src, {
+        prefix: 'vd-tab',
+        sanitize: instance.options.sanitize,
+        labels: {
+          loading: this.t('loading', 'Loading...'),
+          loadError: this.t('loadError', 'The content could not be loaded.'),
+          retry: this.t('retry', 'Retry')
+        },
+        onLoad: content => {
+          instance.loaded.add(pane);
+          this.showContent(container, tab, pane, content, src);
+        },
+        onError: error => {
+          container.dispatchEvent(new CustomEvent('tab:loaderror', {
+            bubbles: true,
+            detail: { tab: tab, pane: pane, tabId: this.getTabId(tab), src: src, error: error }
+          }));
+        },
+        onRetry: () => {
+          this.loadPane(container, tab, pane);
+        }
+      }).then(shown => {
+        if (instance.requests.get(pane) === request) {
+          instance.requests.delete(pane);
+        }
+        return shown;
+      });
+      instance.requests.set(pane, request);
+      return request;
+    },
+
+    /**
+     * Insert a loaded fragment and initialize its components
+     * @param {HTMLElement} container - Tabs container
+     * @param {HTMLElement} tab - Tab link
+     * @param {HTMLElement} pane - Tab pane
+     * @param {string} content - Processed HTML
+     * @param {string} src - Fragment URL
+     */
+    showContent: function(container, tab, pane, content, src) {
+      pane.innerHTML = content;
+
+      if (window.Vanduo && typeof window.Vanduo.scope === 'function') {
+        window.Vanduo.scope(pane).init();
+      }
+
+      container.dispatchEvent(new CustomEvent('tab:load', {
+        bubbles: true,
+        detail: { tab: tab, pane: pane, tabId: this.getTabId(tab), src: src }
+      }));
+    },
+
+    /**
+     * Create the "more" menu holding tabs that do not fit
+     * @param {HTMLElement} container - Tabs container
+     * @param {Object} instance - Tabs instance
+     */
+    createOverflow: function(container, instance) {
+      const tabList = instance.tabList;
+      const menuId = `${container.id || this.getTabId(this.getLinks(container)[0]) || 'tabs'}-more`;
+
+      const more = document.createElement(tabList.tagName === 'UL' || tabList.tagName === 'OL' ? 'li' : 'div');
+      more.className = 'vd-tab-item vd-tab-more';
+      more.setAttribute('role', 'presentation');
+      more.hidden = true;
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'vd-tab-more-toggle';
+      toggle.setAttribute('aria-haspopup', 'menu');
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', menuId);
+      toggle.textContent = this.t('more', 'More');
+
+      const menu = document.createElement('div');
+      menu.className = 'vd-tab-more-menu';
+      menu.id = menuId;
+      menu.setAttribute('role', 'menu');
+      menu.hidden = true;
+
+      more.appendChild(toggle);
+      more.appendChild(menu);
+      tabList.classList.add('vd-tab-list-overflow');
+      tabList.appendChild(more);
+      instance.more = more;
+
+      const toggleHandler = () => {
+        if (menu.hidden) {
+          this.openMore(container);
+        } else {
+          this.closeMore(container);
+        }
+      };
+
+      const menuClickHandler = (e) => {
+        const option = e.target.closest('.vd-tab-more-item');
+        const link = option && this.findTab(container, option.getAttribute('data-tab-target'));
+        if (!link) return;
+
+        this.closeMore(container);
+        if (this.activateTab(container, link, this.getLinks(container), this.getPanes(container))) {
+          link.focus();
+        }
+      };
+
+      const keydownHandler = (e) => {
+        if (e.target === toggle && (e.key === 'ArrowDown' || e.key === 'ArrowUp') && menu.hidden) {
+          e.preventDefault();
+          this.openMore(container, e.key === 'ArrowUp' ? -1 : 0);
+          return;
+        }
+        if (menu.hidden) return;
+
+        const options = Array.from(menu.querySelectorAll('.vd-tab-more-item:not([disabled])'));
+        const index = options.indexOf(document.activeElement);
+        let next;
+
+        switch (e.key) {
+          case 'ArrowDown':
+            next = options[index < options.length - 1 ? index + 1 : 0];
+            break;
+          case 'ArrowUp':
+            next = options[index > 0 ? index - 1 : options.length - 1];
+            break;
+          case 'Home':
+            next = options[0];
+            break;
+          case 'End':
+            next = options[options.length - 1];
+            break;
+          case 'Escape':
+            e.preventDefault();
+            this.closeMore(container);
+            toggle.focus();
+            return;
+          case 'Tab':
+            this.closeMore(container);
+            return;
+          default:
+            return;
+        }
+
+        e.preventDefault();
+        if (next) {
+          next.focus();
+        }
+      };
+
+      const outsideClickHandler = (e) => {
+        if (!menu.hidden && !more.contains(e.target)) {
+          this.closeMore(container);
+        }
+      };
+
+      toggle.addEventListener('click', toggleHandler);
+      menu.addEventListener('click', menuClickHandler);
+      more.addEventListener('keydown', keydownHandler);
+      document.addEventListener('click', outsideClickHandler);
+
+      // Recount whenever the list changes width
+      const update = () => this.updateOverflow(container);
+      let observer = null;
+      if (typeof window.ResizeObserver === 'function') {
+        observer = new window.ResizeObserver(update);
+        observer.observe(tabList);
+      } else {
+        window.addEventListener('resize', update);
+      }
+
+      instance.cleanup.push(() => {
+        toggle.removeEventListener('click', toggleHandler);
+        menu.removeEventListener('click', menuClickHandler);
+        more.removeEventListener('keydown', keydownHandler);
+        document.removeEventListener('click', outsideClickHandler);
+        if (observer) {
+          observer.disconnect();
+        } else {
+          window.removeEventListener('resize', update);
+        }
+        this.getLinks(container).forEach(link => this.getItem(link).classList.remove('is-overflowed'));
+        tabList.classList.remove('vd-tab-list-overflow');
+        more.remove();
+      });
+    },
+
+    /**
+     * Move the tabs that do not fit on one line into the "more" menu
+     * The active tab always stays visible. Only horizontal tab lists overflow.
+     * @param {HTMLElement} container - Tabs container
+     */
+    updateOverflow: function(container) {
+      const instance = this.instances.get(container);
+      if (!instance || !instance.more) return;
+
+      const tabList = instance.tabList;
+      const more = instance.more;
+      const links = this.getLinks(container);
+
+      links.forEach(link => this.getItem(link).classList.remove('is-overflowed'));
+      more.hidden = true;
+
+      if (!container.classList.contains('tabs-vertical') && tabList.scrollWidth > tabList.clientWidth) {
+        more.hidden = false;
+        for (let i = links.length - 1; i >= 0 && tabList.scrollWidth > tabList.clientWidth; i--) {
+          if (!links[i].classList.contains('is-active')) {
+            this.getItem(links[i]).classList.add('is-overflowed');
+          }
+        }
+      }
+
+      if (more.hidden) {
+        this.closeMore(container);
+      } else {
+        this.renderMore(container);
+      }
+    },
+
+    /**
+     * Fill the "more" menu with the overflowed tabs
+     * @param {HTMLElement} container - Tabs container
+     */
+    renderMore: function(container) {
+      const instance = this.instances.get(container);
+      const menu = instance.more.querySelector('.vd-tab-more-menu');
+
+      const options = this.getLinks(container)
+        .filter(link => this.getItem(link).classList.contains('is-overflowed'))
+        .map(link => {
+          const option = document.createElement('button');
+          option.type = 'button';
+          option.className = 'vd-tab-more-item';
+          option.setAttribute('role', 'menuitem');
+          option.setAttribute('data-tab-target', this.getTabId(link));
+          option.tabIndex = -1;
+          option.textContent = link.textContent.trim();
+          option.disabled = link.classList.contains('disabled') || Boolean(link.disabled);
+          return option;
+        });
+
+      menu.replaceChildren(...options);
+    },
+
+    /**
+     * Open the "more" menu
+     * @param {HTMLElement} container - Tabs container
+     * @param {number} [focusIndex=0] - Menu item to focus (negative counts from the end)
+     */
+    openMore: function(container, focusIndex) {
+      const instance = this.instances.get(container);
+      if (!instance || !instance.more || instance.more.hidden) return;
+
+      const toggle = instance.more.querySelector('.vd-tab-more-toggle');
+      const menu = instance.more.querySelector('.vd-tab-more-menu');
+      this.renderMore(container);
+      menu.hidden = false;
+      instance.more.classList.add('is-open');
+      toggle.setAttribute('aria-expanded', 'true');
+
+      const options = Array.from(menu.querySelectorAll('.vd-tab-more-item:not([disabled])'));
+      const index = focusIndex || 0;
+      const option = options[index < 0 ? options.length + index : index];
+      if (option) {
+        option.focus();
+      }
+    },
+
+    /**
+     * Close the "more" menu
+     * @param {HTMLElement} container - Tabs container
+     */
+    closeMore: function(container) {
+      const instance = this.instances.get(container);
+      if (!instance || !instance.more) return;
+
+      instance.more.querySelector('.vd-tab-more-menu').hidden = true;
+      instance.more.classList.remove('is-open');
+      instance.more.querySelector('.vd-tab-more-toggle').setAttribute('aria-expanded', 'false');
+    },
+
     /**
      * Destroy a tabs instance and clean up event listeners
      * @param {HTMLElement} container - Tabs container
@@ -281,6 +1282,7 @@
       const instance = this.instances.get(container);
       if (!instance) return;
 
+      instance.requests.forEach((request, pane) => window.abortFragment(pane));
       instance.cleanup.forEach(fn => fn());
       this.instances.delete(container);
     },
@@ -295,9 +1297,18 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Tabs;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('tabs', Tabs);
   }
 
+  // Expose globally
+  window.VanduoTabs = Tabs;
+
 })();
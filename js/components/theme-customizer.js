@@ -7,7 +7,15 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   const ThemeCustomizer = {
+    // Registered component name (used by Vanduo.use)
+    name: 'themeCustomizer',
+
     // Storage keys
     STORAGE_KEYS: {
       PRIMARY: 'vanduo-primary-color',
@@ -92,6 +100,9 @@
     isInitialized: false,
     _cleanup: [],
 
+    // Stops repositioning the open panel (set while open)
+    _stopAutoUpdate: null,
+
     // DOM references
     elements: {
       customizer: null,
@@ -114,6 +125,7 @@
       this.isInitialized = true;
       this._cleanup = [];
 
+      this.applyConfig();
       this.loadPreferences();
       this.applyAllPreferences();
       this.bindExistingElements();
@@ -141,6 +153,47 @@
       return theme === 'dark' ? this.DEFAULTS.PRIMARY_DARK : this.DEFAULTS.PRIMARY_LIGHT;
     },
 
+    /**
+     * Apply Vanduo.configure() settings: the storage key prefix and default
+     * values from Vanduo.config.themeCustomizer
+     * (primaryLight, primaryDark, neutral, radius, font, theme)
+     */
+    applyConfig: function () {
+      const key = typeof window.storageKey === 'function'
+        ? window.storageKey
+        : (name) => 'vanduo-' + name;
+
+      this.STORAGE_KEYS = {
+        PRIMARY: key('primary-color'),
+        NEUTRAL: key('neutral-color'),
+        RADIUS: key('radius'),
+        FONT: key('font-preference'),
+        THEME: key('theme-preference')
+      };
+
+      this._builtinDefaults = this._builtinDefaults || Object.assign({}, this.DEFAULTS);
+      this.DEFAULTS = Object.assign({}, this._builtinDefaults);
+
+      const config = window.Vanduo && window.Vanduo.config && window.Vanduo.config.themeCustomizer;
+      if (!config) return;
+
+      const names = {
+        primaryLight: 'PRIMARY_LIGHT',
+        primaryDark: 'PRIMARY_DARK',
+        neutral: 'NEUTRAL',
+        radius: 'RADIUS',
+        font: 'FONT',
+        theme: 'THEME'
+      };
+      Object.keys(config).forEach((option) => {
+        if (!names[option]) {
+          console.warn('[Vanduo] Unknown themeCustomizer option "' + option + '" in Vanduo.config');
+          return;
+        }
+        this.DEFAULTS[names[option]] = String(config[option]);
+      });
+    },
+
     /**
      * Load preferences from localStorage
      */
@@ -360,9 +413,6 @@
 
       // Bind panel events after creation
       this.bindPanelEvents();
-
-      // Reposition on resize
-      this.addListener(window, 'resize', () => this.positionPanel());
     },
 
     /**
@@ -371,37 +421,34 @@
     positionPanel: function () {
       if (!this.elements.panel || !this.elements.trigger) return;
 
+      const panel = this.elements.panel;
       const isMobile = window.innerWidth < 768;
 
       if (isMobile) {
         // Mobile: full height slide-in from right - let CSS handle it
-        this.elements.panel.style.top = '';
-        this.elements.panel.style.right = '';
-        this.elements.panel.style.left = '';
-        this.elements.panel.style.height = '';
-        this.elements.panel.style.maxHeight = '';
-      } else {
-        // Desktop: position directly below the trigger button, aligned to its right edge
-        const triggerRect = this.elements.trigger.getBoundingClientRect();
-        const panelWidth = 320; // --customizer-width
-        const panelTop = triggerRect.bottom + 8;
-
-        // Calculate right position: align panel's right edge with trigger's right edge
-        // But ensure it doesn't overflow the viewport
-        const viewportWidth = window.innerWidth;
-        let panelRight = viewportWidth - triggerRect.right;
-
-        // Ensure panel doesn't overflow left side of viewport
-        const panelLeft = viewportWidth - panelRight - panelWidth;
-        if (panelLeft < 8) {
-          panelRight = viewportWidth - panelWidth - 8;
-        }
+        ['top', 'right', 'bottom', 'left', 'height', 'maxHeight'].forEach(prop => {
+          panel.style[prop] = '';
+        });
+      } else if (window.VanduoPosition) {
+        // Desktop: directly below the trigger button, aligned to its right edge
+        panel.style.height = 'auto';
+        const result = window.VanduoPosition.position(this.elements.trigger, panel, {
+          placement: 'bottom-end',
+          strategy: 'fixed',
+          offset: 8,
+          flip: false
+        });
+        panel.style.maxHeight = 'calc(100vh - ' + Math.max(Math.round(result.y), 0) + 'px)';
+      }
+    },
 
-        this.elements.panel.style.top = panelTop + 'px';
-        this.elements.panel.style.right = panelRight + 'px';
-        this.elements.panel.style.left = '';
-        this.elements.panel.style.height = 'auto';
-        this.elements.panel.style.maxHeight = 'calc(100vh - ' + panelTop + 'px)';
+    /**
+     * Stop repositioning the panel on scroll/resize
+     */
+    stopAutoUpdate: function () {
+      if (this._stopAutoUpdate) {
+        this._stopAutoUpdate();
+        this._stopAutoUpdate = null;
       }
     },
 
@@ -635,8 +682,11 @@
     open: function () {
       this.state.isOpen = true;
 
-      // Ensure panel is positioned correctly before opening
+      // Ensure panel is positioned correctly before opening, and keep it there
       this.positionPanel();
+      if (!this._stopAutoUpdate && window.VanduoPosition && this.elements.panel && this.elements.trigger) {
+        this._stopAutoUpdate = window.VanduoPosition.autoUpdate(this.elements.trigger, this.elements.panel, () => this.positionPanel());
+      }
 
       if (this.elements.panel) {
         this.elements.panel.classList.add('is-open');
@@ -656,6 +706,7 @@
      */
     close: function () {
       this.state.isOpen = false;
+      this.stopAutoUpdate();
 
       if (this.elements.panel) {
         this.elements.panel.classList.remove('is-open');
@@ -774,6 +825,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = ThemeCustomizer;
+    return;
+  }
+
   // Register component
   if (window.Vanduo) {
     window.Vanduo.register('themeCustomizer', ThemeCustomizer);
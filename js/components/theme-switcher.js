@@ -6,13 +6,24 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   const ThemeSwitcher = {
+    // Registered component name (used by Vanduo.use)
+    name: 'themeSwitcher',
+
     isInitialized: false,
     _mediaQuery: null,
     _onMediaChange: null,
 
     init: function () {
-      this.STORAGE_KEY = 'vanduo-theme-preference';
+      // Prefix follows Vanduo.configure({ storagePrefix })
+      this.STORAGE_KEY = typeof window.storageKey === 'function'
+        ? window.storageKey('theme-preference')
+        : 'vanduo-theme-preference';
       this.state = {
         preference: this.getPreference() // 'light', 'dark', or 'system'
       };
@@ -176,6 +187,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = ThemeSwitcher;
+    return;
+  }
+
   // Register component
   if (window.Vanduo) {
     window.Vanduo.register('themeSwitcher', ThemeSwitcher);
@@ -6,22 +6,55 @@
 (function() {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Toast Component
    */
   const Toast = {
+    // Registered component name (used by Vanduo.use)
+    name: 'toast',
+
     // Default options
     defaults: {
       position: 'top-right',
       duration: 5000,
       dismissible: true,
       showProgress: true,
-      pauseOnHover: true
+      pauseOnHover: true,
+      solid: false,
+      // Swipe sideways to dismiss (needs VanduoGesture)
+      swipeToDismiss: true,
+      // Toasts shown at once per container (0 = no limit); the rest wait in a queue
+      maxVisible: 0
     },
 
     // Container cache
     containers: {},
 
+    // Position -> toasts waiting for a free slot (FIFO)
+    queues: {},
+
+    // Dedupe key -> live toast
+    keys: new Map(),
+
+    /**
+     * Look up a UI string, overridable via Vanduo.i18n['toast.<key>']
+     * @param {string} key - String key
+     * @param {string} fallback - Default text
+     * @param {Object} [vars] - Placeholder values, e.g. { count: 3 }
+     * @returns {string}
+     */
+    t: function(key, fallback, vars) {
+      if (typeof window.translate === 'function') {
+        return window.translate('toast.' + key, fallback, vars);
+      }
+      return fallback.replace(/\{(\w+)\}/g, (match, name) => (vars && name in vars ? String(vars[name]) : match));
+    },
+
     /**
      * Get or create a toast container for a position
      * @param {string} position - Container position
@@ -45,10 +78,13 @@
 
     /**
      * Show a toast notification
+     * When the container already shows `maxVisible` toasts, the toast is
+     * queued and appears once a slot frees up. A toast with the same `key`
+     * (or `id`) as a live one bumps that toast's counter instead.
      * @param {Object|string} options - Toast options or message string
      * @param {string} [type] - Toast type (success, error, warning, info)
      * @param {number} [duration] - Auto-dismiss duration in ms
-     * @returns {HTMLElement} Toast element
+     * @returns {HTMLElement} Toast element (the existing one when deduplicated)
      */
     show: function(options, type, duration) {
       // Support simple API: Toast.show('Message', 'success', 3000)
@@ -60,7 +96,20 @@
         };
       }
 
-      const config = Object.assign({}, this.defaults, options);
+      // Global defaults from Vanduo.config.toast sit between built-ins and per-call options
+      const base = typeof window.resolveOptions === 'function'
+        ? window.resolveOptions(null, 'toast', this.defaults)
+        : this.defaults;
+      const config = Object.assign({}, base, options);
+      const key = config.key !== undefined && config.key !== null ? config.key : config.id;
+
+      // Repeat of a live toast: count it instead of stacking a duplicate
+      if (key !== undefined && key !== null && this.keys.has(String(key))) {
+        const existing = this.keys.get(String(key));
+        this.bump(existing);
+        return existing;
+      }
+
       const container = this.getContainer(config.position);
 
       // Create toast element
@@ -108,11 +157,19 @@
       if (config.message) {
         html += `<div class="vd-toast-message">${_esc(String(config.message))}</div>`;
       }
+      const actions = Array.isArray(config.actions) ? config.actions : [];
+      if (actions.length) {
+        html += '<div class="vd-toast-actions">';
+        actions.forEach(action => {
+          html += `<button type="button" class="vd-toast-action">${_esc(String(action.label))}</button>`;
+        });
+        html += '</div>';
+      }
       html += '</div>';
 
       // Close button
       if (config.dismissible) {
-        html += '<button type="button" class="vd-toast-close" aria-label="Close"></button>';
+        html += `<button type="button" class="vd-toast-close" aria-label="${_esc(this.t('close', 'Close'))}"></button>`;
       }
 
       // Progress bar
@@ -123,9 +180,6 @@
 
       toast.innerHTML = html;
 
-      // Add to container
-      container.appendChild(toast);
-
       toast._toastCleanup = [];
 
       // Set up close button handler
@@ -138,16 +192,35 @@
         toast._toastCleanup.push(() => closeBtn.removeEventListener('click', onClose));
       }
 
-      // Pause on hover
+      // Action buttons (e.g. "Undo"); they dismiss the toast unless dismiss: false
+      toast.querySelectorAll('.vd-toast-action').forEach((button, index) => {
+        const action = actions[index];
+        const onAction = (e) => {
+          if (typeof action.onClick === 'function') {
+            action.onClick(e, toast);
+          }
+          if (action.dismiss !== false) {
+            this.dismiss(toast);
+          }
+        };
+        button.addEventListener('click', onAction);
+        toast._toastCleanup.push(() => button.removeEventListener('click', onAction));
+      });
+
+      // Pause on hover and while focus is inside the toast
       let timeoutId = null;
       let remainingTime = config.duration;
       let startTime = null;
+      let hovered = false;
+      let focused = false;
 
       const startTimer = () => {
-        if (config.duration > 0) {
+        if (config.duration > 0 && !timeoutId) {
           startTime = Date.now();
           timeoutId = setTimeout(() => {
-            this.dismiss(toast);
+            timeoutId = null;
+            toast._toastTimeoutId = null;
+            this.dismiss(toast, true);
           }, remainingTime);
           toast._toastTimeoutId = timeoutId;
 
@@ -174,41 +247,448 @@
         }
       };
 
+      // Restart the full duration (e.g. when a duplicate arrives)
+      const resetTimer = () => {
+        if (timeoutId) {
+          clearTimeout(timeoutId);
+          timeoutId = null;
+          toast._toastTimeoutId = null;
+        }
+        remainingTime = config.duration;
+
+        const progress = toast.querySelector('.vd-toast-progress');
+        if (progress) {
+          progress.style.animationName = 'none';
+          void progress.offsetWidth; // Reflow so the animation starts over
+          progress.style.animationName = '';
+        }
+
+        // Queued toasts start their timer once shown
+        if (toast.classList.contains('is-visible') && !hovered && !focused) {
+          startTimer();
+        }
+      };
+
+      // Start again unless the pointer or focus is still on the toast
+      const resumeTimer = () => {
+        if (!hovered && !focused) {
+          startTimer();
+        }
+      };
+
+      toast._toastTimer = { start: startTimer, pause: pauseTimer, resume: resumeTimer, reset: resetTimer };
+
       if (config.pauseOnHover) {
-        toast.addEventListener('mouseenter', pauseTimer);
-        toast.addEventListener('mouseleave', startTimer);
+        const onEnter = () => {
+          hovered = true;
+          pauseTimer();
+        };
+        const onLeave = () => {
+          hovered = false;
+          if (!focused) startTimer();
+        };
+        // Keyboard users get the same pause while tabbing through actions
+        const onFocusIn = () => {
+          focused = true;
+          pauseTimer();
+        };
+        const onFocusOut = (e) => {
+          if (toast.contains(e.relatedTarget)) return;
+          focused = false;
+          if (!hovered) startTimer();
+        };
+        toast.addEventListener('mouseenter', onEnter);
+        toast.addEventListener('mouseleave', onLeave);
+        toast.addEventListener('focusin', onFocusIn);
+        toast.addEventListener('focusout', onFocusOut);
         toast._toastCleanup.push(
-          () => toast.removeEventListener('mouseenter', pauseTimer),
-          () => toast.removeEventListener('mouseleave', startTimer)
+          () => toast.removeEventListener('mouseenter', onEnter),
+          () => toast.removeEventListener('mouseleave', onLeave),
+          () => toast.removeEventListener('focusin', onFocusIn),
+          () => toast.removeEventListener('focusout', onFocusOut)
         );
       }
 
-      // Trigger enter animation
-      requestAnimationFrame(() => {
-        toast.classList.add('is-visible');
-        startTimer();
-      });
+      if (config.swipeToDismiss && window.VanduoGesture) {
+        this.bindSwipe(toast);
+      }
 
       // Store config on element for later access
       toast._toastConfig = config;
 
-      // Dispatch show event
-      const showEvent = new CustomEvent('toast:show', {
-        bubbles: true,
-        detail: { toast, config }
+      if (key !== undefined && key !== null) {
+        toast._toastKey = String(key);
+        toast.setAttribute('data-toast-key', toast._toastKey);
+        this.keys.set(toast._toastKey, toast);
+      }
+
+      const display = () => {
+        // Add to container, above the "+N more" stack
+        container.insertBefore(toast, container.querySelector('.vd-toast-more'));
+
+        // Trigger enter animation
+        requestAnimationFrame(() => {
+          toast.classList.add('is-visible');
+          startTimer();
+        });
+
+        // Dispatch show event
+        const showEvent = new CustomEvent('toast:show', {
+          bubbles: true,
+          detail: { toast, config }
+        });
+        toast.dispatchEvent(showEvent);
+      };
+
+      const queue = this.queues[config.position] || (this.queues[config.position] = []);
+      if (queue.length > 0 || this.isFull(container, config)) {
+        toast._toastDisplay = display;
+        queue.push(toast);
+        this.updateStack(config.position);
+      } else {
+        display();
+      }
+
+      return toast;
+    },
+
+    /**
+     * Let a toast be swiped sideways to dismiss it
+     * The toast follows the pointer (unless reduced motion is preferred);
+     * a long enough swipe or a quick flick dismisses it, anything less snaps back.
+     * @param {HTMLElement} toast - Toast element
+     */
+    bindSwipe: function(toast) {
+      const Gesture = window.VanduoGesture;
+
+      const reset = () => {
+        toast.classList.remove('is-swiping');
+        toast.style.transform = '';
+        toast.style.opacity = '';
+      };
+
+      Gesture.swipe(toast, {
+        axis: 'x',
+        name: 'toast',
+        onStart: () => {
+          if (!toast.classList.contains('is-visible')) return false;
+          toast.classList.add('is-swiping');
+          toast._toastTimer.pause();
+        },
+        onMove: (state) => {
+          if (Gesture.prefersReducedMotion()) return;
+          toast.style.transform = `translateX(${state.dx}px)`;
+          toast.style.opacity = String(Math.max(0, 1 - Math.abs(state.dx) / (toast.offsetWidth || 1)));
+        },
+        onEnd: (state) => {
+          const direction = state.dx < 0 ? -1 : 1;
+          if (Gesture.isSwipe(state, toast.offsetWidth, direction)) {
+            toast.classList.remove('is-swiping');
+            if (!Gesture.prefersReducedMotion()) {
+              // Leave in the direction of the swipe
+              toast.style.transform = `translateX(${direction * 100}%)`;
+              toast.style.opacity = '0';
+            }
+            this.dismiss(toast);
+            if (toast.classList.contains('is-exiting')) return;
+          }
+          reset();
+          toast._toastTimer.resume();
+        },
+        onCancel: () => {
+          reset();
+          toast._toastTimer.resume();
+        }
       });
-      toast.dispatchEvent(showEvent);
+
+      toast._toastCleanup.push(() => Gesture.release(toast));
+    },
+
+    /**
+     * Check whether a container has no free slot for a toast
+     * @param {HTMLElement} container - Toast container
+     * @param {Object} config - Toast config (maxVisible)
+     * @returns {boolean}
+     */
+    isFull: function(container, config) {
+      const limit = parseInt(config.maxVisible, 10) || 0;
+      return limit > 0 && container.querySelectorAll('.vd-toast').length >= limit;
+    },
+
+    /**
+     * Show queued toasts while their container has free slots
+     * @param {string} position - Container position
+     */
+    showNext: function(position) {
+      const queue = this.queues[position];
+      const container = this.containers[position];
+      if (!queue || !container) return;
+
+      while (queue.length > 0 && !this.isFull(container, queue[0]._toastConfig)) {
+        const toast = queue.shift();
+        const display = toast._toastDisplay;
+        delete toast._toastDisplay;
+        display();
+      }
+
+      this.updateStack(position);
+    },
+
+    /**
+     * Render the collapsed "+N more" stack for queued toasts
+     * @param {string} position - Container position
+     */
+    updateStack: function(position) {
+      const container = this.containers[position];
+      if (!container) return;
+
+      const count = (this.queues[position] || []).length;
+      let stack = container.querySelector('.vd-toast-more');
+
+      if (count === 0) {
+        if (stack) {
+          stack.parentElement.removeChild(stack);
+        }
+        return;
+      }
+
+      if (!stack) {
+        stack = document.createElement('div');
+        stack.className = 'vd-toast-more';
+        container.appendChild(stack);
+      }
+      stack.textContent = this.t('more', '+{count} more', { count });
+    },
+
+    /**
+     * Count a repeat of a toast and restart its dismiss timer
+     * @param {HTMLElement} toast - Toast element
+     */
+    bump: function(toast) {
+      toast._toastCount = (toast._toastCount || 1) + 1;
+
+      let badge = toast.querySelector('.vd-toast-count');
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'vd-toast-count';
+        toast.insertBefore(badge, toast.querySelector('.vd-toast-close'));
+      }
+      badge.textContent = '\u00D7' + toast._toastCount;
+
+      if (toast._toastTimer) {
+        toast._toastTimer.reset();
+      }
+    },
+
+    /**
+     * Change a toast's text or type in place
+     * Works for visible and queued toasts, e.g. turning "Uploading..." into "Uploaded".
+     * @param {HTMLElement} toast - Toast element
+     * @param {Object} changes - Any of { title, message, type, duration }; null or '' removes
+     *   a title/message, and a new duration restarts the dismiss timer (0 keeps the toast open)
+     * @returns {HTMLElement} The toast
+     */
+    update: function(toast, changes) {
+      if (!toast || !toast._toastConfig || !changes) return toast;
+
+      const config = toast._toastConfig;
+      const content = toast.querySelector('.vd-toast-content');
+
+      ['title', 'message'].forEach(field => {
+        if (changes[field] === undefined) return;
+
+        config[field] = changes[field];
+        let el = content.querySelector(`.vd-toast-${field}`);
+
+        if (changes[field] === null || changes[field] === '') {
+          if (el) {
+            el.parentElement.removeChild(el);
+          }
+          return;
+        }
+
+        if (!el) {
+          el = document.createElement('div');
+          el.className = `vd-toast-${field}`;
+          content.insertBefore(el, field === 'title' ? content.firstChild : null);
+        }
+        el.textContent = String(changes[field]);
+      });
+
+      if (changes.type !== undefined) {
+        if (config.type) {
+          toast.classList.remove(`vd-toast-${config.type}`);
+        }
+        config.type = changes.type;
+        if (config.type) {
+          toast.classList.add(`vd-toast-${config.type}`);
+        }
+
+        // Default icons follow the type; custom icons stay
+        if (!config.icon) {
+          const svg = config.type ? this.getDefaultIcon(config.type) : '';
+          let icon = toast.querySelector('.vd-toast-icon');
+          if (svg && !icon) {
+            icon = document.createElement('span');
+            icon.className = 'vd-toast-icon';
+            toast.insertBefore(icon, toast.firstChild);
+          }
+          if (svg) {
+            icon.innerHTML = svg;
+          } else if (icon) {
+            icon.parentElement.removeChild(icon);
+          }
+        }
+      }
+
+      if (changes.duration !== undefined) {
+        config.duration = parseInt(changes.duration, 10) || 0;
+
+        let progress = toast.querySelector('.vd-toast-progress');
+        const showProgress = config.showProgress && config.duration > 0;
+        toast.classList.toggle('vd-toast-with-progress', showProgress);
+        if (showProgress && !progress) {
+          progress = document.createElement('div');
+          progress.className = 'vd-toast-progress';
+          toast.appendChild(progress);
+        } else if (!showProgress && progress) {
+          progress.parentElement.removeChild(progress);
+          progress = null;
+        }
+        if (progress) {
+          progress.style.animationDuration = `${config.duration}ms`;
+        }
+
+        if (toast._toastTimer) {
+          toast._toastTimer.reset();
+        }
+      }
 
       return toast;
     },
 
+    /**
+     * Track a promise with a single toast
+     * Shows a persistent loading toast, then switches it to success or error.
+     * Each state is a string, a function receiving the value (or error) that
+     * returns one, or an object of update() changes such as { title, message }.
+     * @param {Promise|*} promise - Promise (or value) to track
+     * @param {Object} [states] - { loading, success, error }
+     * @param {Object} [options] - Extra show() options; `duration` applies once settled
+     * @returns {Promise} The original promise, for chaining
+     */
+    promise: function(promise, states, options) {
+      const messages = states || {};
+      const base = typeof window.resolveOptions === 'function'
+        ? window.resolveOptions(null, 'toast', this.defaults)
+        : this.defaults;
+      const settings = Object.assign({}, options);
+      const duration = settings.duration !== undefined ? settings.duration : base.duration;
+
+      const toast = this.show(Object.assign(settings, {
+        type: 'loading',
+        duration: 0
+      }, this.promiseContent(messages.loading, undefined, this.t('loading', 'Loading...'))));
+
+      const settle = (type, content) => {
+        this.update(toast, Object.assign({ title: null, type, duration }, content));
+      };
+
+      Promise.resolve(promise).then(value => {
+        const fallback = typeof value === 'string' ? value : this.t('success', 'Done');
+        settle('success', this.promiseContent(messages.success, value, fallback));
+      }, error => {
+        const fallback = error && error.message ? error.message : this.t('error', 'Something went wrong');
+        settle('error', this.promiseContent(messages.error, error, fallback));
+      });
+
+      return promise;
+    },
+
+    /**
+     * Resolve a promise() state into update() changes
+     * @param {string|Function|Object} state - Message, message factory or changes object
+     * @param {*} arg - Resolved value or rejection reason
+     * @param {string} fallback - Message used when the state is missing
+     * @returns {Object} Changes, e.g. { message }
+     */
+    promiseContent: function(state, arg, fallback) {
+      const content = typeof state === 'function' ? state(arg) : state;
+      if (content && typeof content === 'object') {
+        return content;
+      }
+      return { message: content !== undefined && content !== null && content !== '' ? String(content) : fallback };
+    },
+
+    /**
+     * Forget a toast's dedupe key so a new toast with that key can be shown
+     * @param {HTMLElement} toast - Toast element
+     */
+    releaseKey: function(toast) {
+      if (toast._toastKey && this.keys.get(toast._toastKey) === toast) {
+        this.keys.delete(toast._toastKey);
+      }
+    },
+
+    /**
+     * Remove a toast from its queue, if it is waiting there
+     * @param {HTMLElement} toast - Toast element
+     * @returns {boolean} true if the toast was queued
+     */
+    dequeue: function(toast) {
+      const position = toast._toastConfig && toast._toastConfig.position;
+      const queue = this.queues[position];
+      const index = queue ? queue.indexOf(toast) : -1;
+      if (index === -1) return false;
+
+      queue.splice(index, 1);
+      delete toast._toastDisplay;
+      this.cleanup(toast);
+      this.updateStack(position);
+      return true;
+    },
+
+    /**
+     * Run a toast's cleanup functions and forget its key
+     * @param {HTMLElement} toast - Toast element
+     */
+    cleanup: function(toast) {
+      if (toast._toastTimeoutId) {
+        clearTimeout(toast._toastTimeoutId);
+        toast._toastTimeoutId = null;
+      }
+      if (toast._toastCleanup) {
+        toast._toastCleanup.forEach(fn => fn());
+        delete toast._toastCleanup;
+      }
+      this.releaseKey(toast);
+    },
+
     /**
      * Dismiss a toast
      * @param {HTMLElement} toast - Toast element to dismiss
+     * @param {boolean} [auto] - Called by the auto-dismiss timer
      */
-    dismiss: function(toast) {
+    dismiss: function(toast, auto) {
       if (!toast || toast.classList.contains('is-exiting')) return;
 
+      // Queued toasts were never shown; just drop them
+      if (this.dequeue(toast)) return;
+
+      // Allow listeners to veto dismissal
+      const beforeDismiss = new CustomEvent('toast:beforedismiss', {
+        bubbles: true,
+        cancelable: true,
+        detail: { toast }
+      });
+      if (!toast.dispatchEvent(beforeDismiss)) {
+        // A vetoed auto-dismiss runs the full duration again
+        if (auto && toast._toastTimer) {
+          toast._toastTimer.reset();
+        }
+        return;
+      }
+
       if (toast._toastTimeoutId) {
         clearTimeout(toast._toastTimeoutId);
         toast._toastTimeoutId = null;
@@ -216,6 +696,7 @@
 
       toast.classList.remove('is-visible');
       toast.classList.add('is-exiting');
+      this.releaseKey(toast);
 
       // Dispatch dismiss event
       const dismissEvent = new CustomEvent('toast:dismiss', {
@@ -224,30 +705,20 @@
       });
       toast.dispatchEvent(dismissEvent);
 
-      // Remove after animation
-      const handleTransitionEnd = () => {
-        toast.removeEventListener('transitionend', handleTransitionEnd);
-        if (toast._toastCleanup) {
-          toast._toastCleanup.forEach(fn => fn());
-          delete toast._toastCleanup;
-        }
+      // Remove after animation, then let a queued toast take the slot
+      const remove = () => {
+        toast.removeEventListener('transitionend', remove);
+        this.cleanup(toast);
         if (toast.parentElement) {
           toast.parentElement.removeChild(toast);
+          this.showNext(toast._toastConfig.position);
         }
       };
 
-      toast.addEventListener('transitionend', handleTransitionEnd);
+      toast.addEventListener('transitionend', remove);
 
       // Fallback removal if transition doesn't fire
-      setTimeout(() => {
-        if (toast._toastCleanup) {
-          toast._toastCleanup.forEach(fn => fn());
-          delete toast._toastCleanup;
-        }
-        if (toast.parentElement) {
-          toast.parentElement.removeChild(toast);
-        }
-      }, 400);
+      setTimeout(remove, 400);
     },
 
     /**
@@ -260,24 +731,22 @@
 
         const toasts = container.querySelectorAll('.vd-toast');
         toasts.forEach(toast => {
-          if (toast._toastTimeoutId) {
-            clearTimeout(toast._toastTimeoutId);
-          }
-          if (toast._toastCleanup) {
-            toast._toastCleanup.forEach(fn => fn());
-            delete toast._toastCleanup;
-          }
+          this.cleanup(toast);
           if (toast.parentElement) {
             toast.parentElement.removeChild(toast);
           }
         });
 
+        (this.queues[position] || []).forEach(toast => this.cleanup(toast));
+
         if (container.parentElement) {
           container.parentElement.removeChild(container);
         }
       });
 
       this.containers = {};
+      this.queues = {};
+      this.keys.clear();
     },
 
     /**
@@ -285,6 +754,12 @@
      * @param {string} [position] - Optional position to clear (clears all if not specified)
      */
     dismissAll: function(position) {
+      // Drop queued toasts first so they don't fill the freed slots
+      Object.keys(this.queues).forEach(queuePosition => {
+        if (position && queuePosition !== position) return;
+        this.queues[queuePosition].slice().forEach(toast => this.dequeue(toast));
+      });
+
       if (position && this.containers[position]) {
         const toasts = this.containers[position].querySelectorAll('.vd-toast');
         toasts.forEach(toast => this.dismiss(toast));
@@ -297,15 +772,16 @@
     },
 
     /**
-     * Get default icon SVG for a type
+     * Get default icon markup for a type
      * @param {string} type - Toast type
-     * @returns {string} SVG icon markup
+     * @returns {string} SVG icon markup (a spinner for the loading type)
      */
     getDefaultIcon: function(type) {
       const icons = {
         success: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>',
         error: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>',
         warning: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg>',
+        loading: '<span class="vd-spinner vd-spinner-sm" aria-hidden="true"></span>',
         info: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line></svg>'
       };
 
@@ -332,6 +808,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Toast;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('toast', Toast);
@@ -339,5 +821,6 @@
 
   // Also expose globally for convenience
   window.Toast = Toast;
+  window.VanduoToast = Toast;
 
 })();
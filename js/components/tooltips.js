@@ -6,13 +6,42 @@
 (function () {
   'use strict';
 
+  // Components need a DOM; skip setup when imported during server-side rendering
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   /**
    * Tooltips Component
    */
   const Tooltips = {
+    // Registered component name (used by Vanduo.use)
+    name: 'tooltips',
+
     tooltips: new Map(),
     delayTimers: new Map(),
 
+    // Set once the missing-VanduoPosition warning has been shown
+    _warnedPosition: false,
+
+    // Default options (override via Vanduo.config.tooltips, data-vd-options or data-vd-*)
+    DEFAULTS: {
+      placement: 'top',
+      delay: 0,
+      variant: '',
+      size: '',
+      offset: 8
+    },
+
+    // Legacy attributes still honored for each option
+    ATTRIBUTES: {
+      placement: ['data-tooltip-placement', 'data-placement'],
+      delay: 'data-tooltip-delay',
+      variant: 'data-tooltip-variant',
+      size: 'data-tooltip-size',
+      offset: 'data-tooltip-offset'
+    },
+
     /**
      * Sanitize HTML — delegates to shared sanitizeHtml from helpers.js
      * @param {string} input
@@ -71,6 +100,18 @@
       this.tooltips.set(element, { tooltip, cleanup: cleanupFunctions });
     },
 
+    /**
+     * Resolve options for a tooltip target
+     * @param {HTMLElement} element - Target element
+     * @returns {Object} Options
+     */
+    getOptions: function (element) {
+      if (typeof window.resolveOptions === 'function') {
+        return window.resolveOptions(element, 'tooltips', this.DEFAULTS, this.ATTRIBUTES);
+      }
+      return Object.assign({}, this.DEFAULTS);
+    },
+
     /**
      * Create tooltip element
      * @param {HTMLElement} element - Target element
@@ -98,25 +139,31 @@
         tooltip.textContent = textContent;
       }
 
-      // Get placement
-      const placement = element.dataset.tooltipPlacement || element.dataset.placement || 'top';
-      tooltip.setAttribute('data-placement', placement);
-      tooltip.classList.add(`vd-tooltip-${placement}`);
+      const options = this.getOptions(element);
+
+      // Get placement (any of the 12 VanduoPosition placements, e.g. 'top-start')
+      const placement = options.placement || 'top';
+      tooltip.dataset.preferredPlacement = placement;
+      this.setPlacement(tooltip, placement);
 
       // Get variant
-      if (element.dataset.tooltipVariant) {
-        tooltip.classList.add(`vd-tooltip-${element.dataset.tooltipVariant}`);
+      if (options.variant) {
+        tooltip.classList.add(`vd-tooltip-${options.variant}`);
       }
 
       // Get size
-      if (element.dataset.tooltipSize) {
-        tooltip.classList.add(`vd-tooltip-${element.dataset.tooltipSize}`);
+      if (options.size) {
+        tooltip.classList.add(`vd-tooltip-${options.size}`);
       }
 
       // Get delay
-      const delay = parseInt(element.dataset.tooltipDelay) || 0;
+      const delay = parseInt(options.delay) || 0;
       tooltip.dataset.delay = delay;
 
+      // Gap between target and tooltip (px)
+      const offset = parseInt(options.offset);
+      tooltip.dataset.offset = isNaN(offset) ? 8 : offset;
+
       document.body.appendChild(tooltip);
 
       return tooltip;
@@ -132,15 +179,30 @@
 
       if (delay > 0) {
         const timer = setTimeout(() => {
-          this.positionTooltip(element, tooltip);
-          tooltip.classList.add('is-visible');
-          tooltip.setAttribute('aria-hidden', 'false');
+          this.delayTimers.delete(element);
+          this.revealTooltip(element, tooltip);
         }, delay);
         this.delayTimers.set(element, timer);
       } else {
-        this.positionTooltip(element, tooltip);
-        tooltip.classList.add('is-visible');
-        tooltip.setAttribute('aria-hidden', 'false');
+        this.revealTooltip(element, tooltip);
+      }
+    },
+
+    /**
+     * Position and reveal a tooltip, keeping it in place while visible
+     * @param {HTMLElement} element - Target element
+     * @param {HTMLElement} tooltip - Tooltip element
+     */
+    revealTooltip: function (element, tooltip) {
+      this.positionTooltip(element, tooltip);
+      tooltip.classList.add('is-visible');
+      tooltip.setAttribute('aria-hidden', 'false');
+
+      const data = this.tooltips.get(element);
+      if (data && !data.stopAutoUpdate && window.VanduoPosition) {
+        data.stopAutoUpdate = window.VanduoPosition.autoUpdate(element, tooltip, () => {
+          this.positionTooltip(element, tooltip);
+        });
       }
     },
 
@@ -159,61 +221,103 @@
 
       tooltip.classList.remove('is-visible');
       tooltip.setAttribute('aria-hidden', 'true');
+      this.stopAutoUpdate(element);
+    },
+
+    /**
+     * Stop repositioning a tooltip on scroll/resize
+     * @param {HTMLElement} element - Target element
+     */
+    stopAutoUpdate: function (element) {
+      const data = this.tooltips.get(element);
+      if (data && data.stopAutoUpdate) {
+        data.stopAutoUpdate();
+        data.stopAutoUpdate = null;
+      }
+    },
+
+    /**
+     * Apply the placement a tooltip is shown at (may differ from the
+     * preferred one after flipping)
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} placement - Placement, e.g. 'bottom-end'
+     */
+    setPlacement: function (tooltip, placement) {
+      const side = placement.split('-')[0];
+      tooltip.classList.remove('vd-tooltip-top', 'vd-tooltip-bottom', 'vd-tooltip-left', 'vd-tooltip-right');
+      tooltip.classList.add(`vd-tooltip-${side}`);
+      tooltip.setAttribute('data-placement', placement);
     },
 
     /**
      * Position tooltip relative to element
+     * Flips to the opposite side and shifts along it to stay in view.
      * @param {HTMLElement} element - Target element
      * @param {HTMLElement} tooltip - Tooltip element
      */
     positionTooltip: function (element, tooltip) {
-      const placement = tooltip.dataset.placement || 'top';
+      const placement = tooltip.dataset.preferredPlacement || 'top';
+      const offset = parseInt(tooltip.dataset.offset) || 0;
+
+      if (!window.VanduoPosition) {
+        this.positionFallback(element, tooltip, placement, offset);
+        return;
+      }
+
+      const result = window.VanduoPosition.position(element, tooltip, {
+        placement: placement,
+        offset: offset,
+        arrow: parseFloat(getComputedStyle(tooltip).getPropertyValue('--tooltip-arrow-size')) || 5
+      });
+      this.setPlacement(tooltip, result.placement);
+    },
+
+    /**
+     * Basic placement used when js/utils/position.js is not loaded:
+     * centered on the preferred side and clamped to the viewport, no flipping
+     * @param {HTMLElement} element - Target element
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string} placement - Preferred placement
+     * @param {number} offset - Distance from the target in px
+     */
+    positionFallback: function (element, tooltip, placement, offset) {
+      if (!this._warnedPosition) {
+        this._warnedPosition = true;
+        console.warn('[Vanduo Tooltips] VanduoPosition not found; load js/utils/position.js for flipping and alignment');
+      }
+
+      const side = placement.split('-')[0];
       const rect = element.getBoundingClientRect();
       const tooltipRect = tooltip.getBoundingClientRect();
-      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-      const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-
-      let top = 0;
-      let left = 0;
+      const padding = 8;
+      let top;
+      let left;
 
-      switch (placement) {
-        case 'top':
-          top = rect.top + scrollTop - tooltipRect.height - 8;
-          left = rect.left + scrollLeft + (rect.width / 2) - (tooltipRect.width / 2);
-          break;
+      switch (side) {
         case 'bottom':
-          top = rect.bottom + scrollTop + 8;
-          left = rect.left + scrollLeft + (rect.width / 2) - (tooltipRect.width / 2);
+          top = rect.bottom + offset;
+          left = rect.left + (rect.width - tooltipRect.width) / 2;
           break;
         case 'left':
-          top = rect.top + scrollTop + (rect.height / 2) - (tooltipRect.height / 2);
-          left = rect.left + scrollLeft - tooltipRect.width - 8;
+          top = rect.top + (rect.height - tooltipRect.height) / 2;
+          left = rect.left - tooltipRect.width - offset;
           break;
         case 'right':
-          top = rect.top + scrollTop + (rect.height / 2) - (tooltipRect.height / 2);
-          left = rect.right + scrollLeft + 8;
+          top = rect.top + (rect.height - tooltipRect.height) / 2;
+          left = rect.right + offset;
           break;
+        default:
+          top = rect.top - tooltipRect.height - offset;
+          left = rect.left + (rect.width - tooltipRect.width) / 2;
       }
 
-      // Prevent overflow
-      const viewportWidth = window.innerWidth;
-      const viewportHeight = window.innerHeight;
-      const padding = 8;
-
-      if (left < padding) {
-        left = padding;
-      } else if (left + tooltipRect.width > viewportWidth - padding) {
-        left = viewportWidth - tooltipRect.width - padding;
-      }
+      // Keep it inside the viewport
+      left = Math.max(padding, Math.min(left, window.innerWidth - tooltipRect.width - padding));
+      top = Math.max(padding, Math.min(top, window.innerHeight - tooltipRect.height - padding));
 
-      if (top < scrollTop + padding) {
-        top = scrollTop + padding;
-      } else if (top + tooltipRect.height > scrollTop + viewportHeight - padding) {
-        top = scrollTop + viewportHeight - tooltipRect.height - padding;
-      }
-
-      // Use single style assignment with transform for better performance
-      tooltip.style.cssText = `position: absolute; top: 0; left: 0; transform: translate(${left}px, ${top}px);`;
+      tooltip.style.left = Math.round(left + window.scrollX) + 'px';
+      tooltip.style.top = Math.round(top + window.scrollY) + 'px';
+      this.setPlacement(tooltip, side);
     },
 
     /**
@@ -275,6 +379,7 @@
         this.delayTimers.delete(element);
       }
 
+      this.stopAutoUpdate(element);
       data.cleanup.forEach(fn => fn());
 
       // Remove tooltip element from DOM
@@ -295,6 +400,12 @@
     }
   };
 
+  // Module builds (dist/esm) export the component instead of registering it
+  if (typeof vanduoModule !== 'undefined') {
+    vanduoModule.exports = Tooltips;
+    return;
+  }
+
   // Register with Vanduo framework if available
   if (typeof window.Vanduo !== 'undefined') {
     window.Vanduo.register('tooltips', Tooltips);
@@ -0,0 +1,32 @@
+/**
+ * Vanduo Framework - Core Entry Point
+ * The framework runtime without any components.
+ *
+ * Pair it with the per-component entry points, which export their
+ * component without registering it or touching globals:
+ *
+ *   import { Vanduo } from 'vanduo-framework/core';
+ *   import Toast from 'vanduo-framework/toast';
+ *   import Modals from 'vanduo-framework/modals';
+ *
+ *   Vanduo.use(Toast).use(Modals);
+ *   Vanduo.init();
+ *
+ * The core itself still creates window.Vanduo, window.VanduoLifecycle,
+ * window.VanduoPosition, window.VanduoGesture and the helpers.js functions
+ * components look up at runtime (window.resolveOptions, window.sanitizeHtml,
+ * window.safeStorageGet, ...).
+ */
+
+// Utilities (must load first — helpers defines `ready()`, `safeStorageGet()` etc.)
+import './utils/helpers.js';
+import './utils/lifecycle.js';
+import './utils/position.js';
+import './utils/gesture.js';
+
+// Core framework object (creates window.Vanduo)
+import './vanduo.js';
+
+const Vanduo = (typeof window !== 'undefined' ? window : globalThis).Vanduo;
+export { Vanduo };
+export default Vanduo;
@@ -15,18 +15,23 @@
  * For ESM/CJS consumers we re-export `window.Vanduo` as the default
  * and named export so `import { Vanduo }` and `const { Vanduo } = require()`
  * both work.
+ *
+ * The entry is safe to import without a DOM (server-side rendering): every
+ * module guards its window/document access. Call Vanduo.hydrate() on the
+ * client to attach behavior to the server-rendered markup.
+ *
+ * To ship only some components, import `js/core.js` and the per-component
+ * entry points instead (see scripts/build.js) and register them with
+ * Vanduo.use().
  */
 
-// Utilities (must load first — helpers defines `ready()`, `safeStorageGet()` etc.)
-import './utils/helpers.js';
-import './utils/lifecycle.js';
-
-// Core framework object (creates window.Vanduo)
-import './vanduo.js';
+// Utilities and core framework object (creates window.Vanduo)
+import { Vanduo } from './core.js';
 
 // Components (each registers itself with window.Vanduo)
 import './components/code-snippet.js';
 import './components/collapsible.js';
+import './components/context-menu.js';
 import './components/dropdown.js';
 import './components/font-switcher.js';
 import './components/grid.js';
@@ -46,7 +51,7 @@ import './components/tooltips.js';
 import './components/doc-search.js';
 import './components/draggable.js';
 
-// Re-export for ESM / CJS consumers
-const Vanduo = window.Vanduo;
+// Re-export for ESM / CJS consumers. Without a DOM (SSR) the components skip
+// their setup and the core lives on globalThis, where init() is a no-op.
 export { Vanduo };
 export default Vanduo;
@@ -0,0 +1,241 @@
+/**
+ * Vanduo Framework - Gesture Utility
+ * Pointer-based swipe and drag tracking shared by components
+ * (toast swipe-to-dismiss, sidenav edge-swipe and drag-to-close)
+ */
+
+(function() {
+  'use strict';
+
+  // Only recent movement counts towards the release velocity (ms)
+  const VELOCITY_WINDOW = 100;
+
+  const now = function() {
+    return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+  };
+
+  /**
+   * Gesture Utility
+   */
+  const Gesture = {
+    // Default options for swipe()
+    DEFAULTS: {
+      axis: 'x',         // Tracked axis: 'x' or 'y'
+      threshold: 8,      // Movement (px) before a drag starts; shorter moves stay taps
+      mouse: true,       // Also track mouse drags (touch and pen are always tracked)
+      name: 'gesture',   // Component name used for the lifecycle registration
+      target: null,      // Where pointers go down (e.g. document); defaults to the element
+      accept: null,      // function(event) - return false to ignore a pointerdown
+      onStart: null,     // function(state) - return false to ignore this drag
+      onMove: null,      // function(state)
+      onEnd: null,       // function(state) - pointer released after dragging
+      onCancel: null     // function(state) - the browser took over (e.g. scrolling)
+    },
+
+    // A release past this share of the element's size counts as a swipe
+    SWIPE_DISTANCE: 0.35,
+
+    // ...and so does a flick faster than this (px/ms)
+    SWIPE_VELOCITY: 0.5,
+
+    // Element -> stop functions of its gestures
+    _stops: new WeakMap(),
+
+    /**
+     * Whether the user asked for reduced motion
+     * Components should skip finger-following animations when true.
+     * @returns {boolean}
+     */
+    prefersReducedMotion: function() {
+      return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    },
+
+    /**
+     * Whether a released drag counts as a swipe in a direction
+     * @param {Object} state - State passed to onEnd
+     * @param {number} size - Size of the dragged element along the axis (px)
+     * @param {number} direction - 1 (right/down) or -1 (left/up)
+     * @returns {boolean}
+     */
+    isSwipe: function(state, size, direction) {
+      return state.delta * direction > size * this.SWIPE_DISTANCE ||
+        state.velocity * direction > this.SWIPE_VELOCITY;
+    },
+
+    /**
+     * Track swipes along one axis on an element
+     * Drags that start mostly along the other axis are ignored, so pages
+     * still scroll. Callbacks receive a state object:
+     *   { dx, dy, delta, velocity, event }
+     * where `delta` is the movement along the axis and `velocity` its recent
+     * speed in px/ms (negative towards left/up). A click that ends a drag is
+     * swallowed.
+     * The gesture is registered with VanduoLifecycle, so destroying the
+     * element's container also removes its listeners.
+     * @param {HTMLElement} element - Element that starts the gesture (and owns it
+     *   when options.target listens elsewhere)
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {Function} Stop tracking and remove listeners
+     */
+    swipe: function(element, options) {
+      const opts = Object.assign({}, this.DEFAULTS, options);
+      const horizontal = opts.axis !== 'y';
+      let active = null;
+      let suppressClick = false;
+      let stopped = false;
+
+      const track = (e) => {
+        const time = now();
+        const samples = active.samples;
+        samples.push({ x: e.clientX, y: e.clientY, t: time });
+        while (samples.length > 2 && time - samples[0].t > VELOCITY_WINDOW) {
+          samples.shift();
+        }
+
+        const first = samples[0];
+        const dx = e.clientX - active.startX;
+        const dy = e.clientY - active.startY;
+        const travelled = horizontal ? e.clientX - first.x : e.clientY - first.y;
+
+        return {
+          dx: dx,
+          dy: dy,
+          delta: horizontal ? dx : dy,
+          velocity: travelled / Math.max(time - first.t, 1),
+          event: e
+        };
+      };
+
+      const release = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        document.removeEventListener('pointercancel', onUp);
+        active = null;
+      };
+
+      const onMove = (e) => {
+        if (!active || e.pointerId !== active.pointerId) return;
+        const state = track(e);
+
+        if (!active.dragging) {
+          const along = Math.abs(state.delta);
+          const across = Math.abs(horizontal ? state.dy : state.dx);
+          if (Math.max(along, across) < opts.threshold) return;
+
+          if (along < across || (typeof opts.onStart === 'function' && opts.onStart(state) === false)) {
+            release();
+            return;
+          }
+          active.dragging = true;
+        }
+
+        if (e.cancelable) {
+          e.preventDefault();
+        }
+        if (typeof opts.onMove === 'function') {
+          opts.onMove(state);
+        }
+      };
+
+      const onUp = (e) => {
+        if (!active || e.pointerId !== active.pointerId) return;
+        const dragging = active.dragging;
+        const state = track(e);
+        release();
+
+        if (!dragging) return;
+
+        // The click that follows pointerup belongs to the drag
+        suppressClick = true;
+        setTimeout(() => {
+          suppressClick = false;
+        }, 0);
+
+        const callback = e.type === 'pointercancel' ? opts.onCancel : opts.onEnd;
+        if (typeof callback === 'function') {
+          callback(state);
+        }
+      };
+
+      const onDown = (e) => {
+        if (active || !e.isPrimary || e.button !== 0) return;
+        if (e.pointerType === 'mouse' && !opts.mouse) return;
+        if (typeof opts.accept === 'function' && opts.accept(e) === false) return;
+
+        active = {
+          pointerId: e.pointerId,
+          startX: e.clientX,
+          startY: e.clientY,
+          dragging: false,
+          samples: [{ x: e.clientX, y: e.clientY, t: now() }]
+        };
+        document.addEventListener('pointermove', onMove, { passive: false });
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+      };
+
+      const onClick = (e) => {
+        if (suppressClick) {
+          suppressClick = false;
+          e.preventDefault();
+          e.stopPropagation();
+        }
+      };
+
+      const target = opts.target || element;
+      target.addEventListener('pointerdown', onDown);
+      target.addEventListener('click', onClick, true);
+
+      const stop = () => {
+        if (stopped) return;
+        stopped = true;
+        release();
+        target.removeEventListener('pointerdown', onDown);
+        target.removeEventListener('click', onClick, true);
+
+        const stops = this._stops.get(element);
+        if (stops) {
+          stops.splice(stops.indexOf(stop), 1);
+          if (stops.length === 0) this._stops.delete(element);
+        }
+        if (window.VanduoLifecycle) {
+          window.VanduoLifecycle.removeCleanup(element, [stop]);
+        }
+      };
+
+      if (!this._stops.has(element)) {
+        this._stops.set(element, []);
+      }
+      this._stops.get(element).push(stop);
+
+      if (window.VanduoLifecycle) {
+        window.VanduoLifecycle.register(element, opts.name, [stop]);
+      }
+
+      return stop;
+    },
+
+    /**
+     * Stop every gesture on an element
+     * Each stop also leaves the element's lifecycle registration, so cleanups
+     * other components registered on the element are kept.
+     * @param {HTMLElement} element - Element passed to swipe()
+     */
+    release: function(element) {
+      const stops = this._stops.get(element);
+      if (stops) {
+        stops.slice().forEach(stop => stop());
+      }
+    }
+  };
+
+  // Gestures need a DOM (e.g. skip during server-side rendering)
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  // Expose globally
+  window.VanduoGesture = Gesture;
+
+})();
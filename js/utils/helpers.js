@@ -304,3 +304,298 @@ function sanitizeHtml(input) {
 
 
 
+
+/**
+ * Convert a data attribute string into a typed option value.
+ * When a default is given its type wins (so "0.5" stays a string for string
+ * options); otherwise booleans, numbers, null and JSON are detected.
+ * @param {string} value - Raw attribute value
+ * @param {*} [defaultValue] - Default used as a type hint
+ * @returns {*}
+ */
+function parseOptionValue(value, defaultValue) {
+  var hint = typeof defaultValue;
+
+  if (hint === 'string') return value;
+  if (hint === 'boolean') {
+    if (value === '' || value === 'true') return true;
+    if (value === 'false') return false;
+    return value; // keyword values such as data-backdrop="static"
+  }
+  if (hint === 'number') {
+    var num = Number(value);
+    return isNaN(num) ? defaultValue : num;
+  }
+
+  if (value === '' || value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (/^\s*[{[]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (_e) {
+      return value;
+    }
+  }
+  return value;
+}
+
+// Options that change how HTML is treated; markup may be user-authored, so
+// these come from JS (defaults, Vanduo.config) only, never from attributes
+var JS_ONLY_OPTIONS = ['sanitize'];
+
+/**
+ * Resolve component options for an element.
+ * Sources, lowest to highest precedence:
+ *   1. defaults
+ *   2. global config (Vanduo.config[componentName])
+ *   3. legacy attributes named in attributeMap (e.g. data-total-pages)
+ *   4. JSON in data-vd-options
+ *   5. typed data-vd-* attributes (data-vd-max-visible="5" -> maxVisible: 5)
+ * Keys not present in defaults are ignored with a console warning, and so
+ * are JS_ONLY_OPTIONS (e.g. sanitize) set through attributes.
+ * @param {HTMLElement|null} element - Element carrying the attributes
+ * @param {string} componentName - Component name used for Vanduo.config lookup
+ * @param {Object} defaults - Known option keys and their default values
+ * @param {Object} [attributeMap] - Option key -> legacy attribute name (or array of names, first found wins)
+ * @returns {Object} Resolved options
+ */
+function resolveOptions(element, componentName, defaults, attributeMap) {
+  var options = Object.assign({}, defaults);
+
+  var assign = function (source, origin, fromMarkup) {
+    if (!source || typeof source !== 'object') return;
+    Object.keys(source).forEach(function (key) {
+      if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        console.warn('[Vanduo] Unknown ' + componentName + ' option "' + key + '" in ' + origin);
+        return;
+      }
+      if (fromMarkup && JS_ONLY_OPTIONS.indexOf(key) !== -1) {
+        console.warn('[Vanduo] The ' + componentName + ' option "' + key + '" can only be set from JavaScript, not ' + origin);
+        return;
+      }
+      options[key] = source[key];
+    });
+  };
+
+  var vanduo = typeof window !== 'undefined' ? window.Vanduo : undefined;
+  if (vanduo && vanduo.config) {
+    assign(vanduo.config[componentName], 'Vanduo.config');
+  }
+
+  if (!element) return options;
+
+  if (attributeMap) {
+    Object.keys(attributeMap).forEach(function (key) {
+      if (JS_ONLY_OPTIONS.indexOf(key) !== -1) return;
+      var names = [].concat(attributeMap[key]);
+      for (var i = 0; i < names.length; i++) {
+        var raw = element.getAttribute(names[i]);
+        if (raw !== null) {
+          options[key] = parseOptionValue(raw, defaults[key]);
+          return;
+        }
+      }
+    });
+  }
+
+  var json = element.getAttribute('data-vd-options');
+  if (json) {
+    try {
+      assign(JSON.parse(json), 'data-vd-options', true);
+    } catch (e) {
+      console.warn('[Vanduo] Invalid JSON in data-vd-options:', e);
+    }
+  }
+
+  var typed = {};
+  Array.from(element.attributes).forEach(function (attr) {
+    if (attr.name.indexOf('data-vd-') !== 0 || attr.name === 'data-vd-options') return;
+    var key = attr.name.slice(8).replace(/-([a-z])/g, function (_m, c) { return c.toUpperCase(); });
+    typed[key] = parseOptionValue(attr.value, defaults[key]);
+  });
+  assign(typed, 'data-vd-* attributes', true);
+
+  return options;
+}
+
+/**
+ * Build a localStorage key using the configured prefix
+ * @param {string} name - Key name without prefix, e.g. 'theme-preference'
+ * @returns {string} Prefixed key ('vanduo-theme-preference' by default)
+ */
+function storageKey(name) {
+  var vanduo = typeof window !== 'undefined' ? window.Vanduo : undefined;
+  var prefix = vanduo && typeof vanduo.storagePrefix === 'string' ? vanduo.storagePrefix : 'vanduo-';
+  return prefix + name;
+}
+
+/**
+ * Look up a UI string in Vanduo.i18n
+ * Placeholders like {count} are replaced from `vars` in both the
+ * translation and the fallback.
+ * @param {string} key - String key, e.g. 'pagination.next'
+ * @param {string} fallback - Default (English) string
+ * @param {Object} [vars] - Placeholder values
+ * @returns {string}
+ */
+function translate(key, fallback, vars) {
+  var vanduo = typeof window !== 'undefined' ? window.Vanduo : undefined;
+  var strings = vanduo && vanduo.i18n;
+  var text = strings && typeof strings[key] === 'string' ? strings[key] : fallback;
+
+  if (!vars) return text;
+  return String(text).replace(/\{(\w+)\}/g, function (match, name) {
+    return Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match;
+  });
+}
+
+/**
+ * Apply a component's sanitize option to HTML
+ * Throws when sanitizing is on but sanitizeHtml is missing, so callers fail
+ * instead of inserting unsanitized (or escaped) markup.
+ * @param {string} html - Markup to insert
+ * @param {boolean|Function} sanitize - true (sanitizeHtml), false (as is) or function(html)
+ * @returns {string} HTML to insert
+ */
+function sanitizeContent(html, sanitize) {
+  if (typeof sanitize === 'function') {
+    return String(sanitize(html));
+  }
+  if (sanitize === false) {
+    return html;
+  }
+  if (typeof sanitizeHtml !== 'function') {
+    throw new Error('sanitizeHtml is not available; load js/utils/helpers.js or pass a sanitize function');
+  }
+  return sanitizeHtml(html);
+}
+
+// Element -> pending loadFragment request
+var fragmentRequests = new WeakMap();
+
+/**
+ * Fetch an HTML fragment into an element, with loading and error states
+ * Backs data-modal-src and data-tab-src. One load is pending per target:
+ * starting another, or abortFragment(), makes the earlier one resolve false
+ * without touching the target.
+ * @param {HTMLElement} target - Element the spinner, error or content replaces
+ * @param {string} url - Fragment URL
+ * @param {Object} config
+ * @param {string} config.prefix - State class prefix ('vd-tab' -> vd-tab-loading, vd-tab-error, vd-tab-retry)
+ * @param {HTMLElement} [config.host] - Element flagged is-loading / aria-busy (defaults to target)
+ * @param {boolean|Function} config.sanitize - Sanitize option, see sanitizeContent()
+ * @param {Object} config.labels - Translated { loading, loadError, retry } strings
+ * @param {Function} config.onLoad - function(content): insert the sanitized HTML
+ * @param {Function} [config.onError] - function(error): called after the error state is shown
+ * @param {Function} [config.onRetry] - Called by the retry button
+ * @returns {Promise<boolean>} true once onLoad has run
+ */
+function loadFragment(target, url, config) {
+  var host = config.host || target;
+  var labels = config.labels;
+
+  abortFragment(target);
+
+  // The request object doubles as a token, so stale responses are ignored
+  var request = typeof window.AbortController === 'function' ? new window.AbortController() : {};
+  fragmentRequests.set(target, request);
+
+  var settle = function () {
+    fragmentRequests.delete(target);
+    host.classList.remove('is-loading');
+    host.removeAttribute('aria-busy');
+  };
+
+  host.classList.add('is-loading');
+  host.setAttribute('aria-busy', 'true');
+  var status = document.createElement('div');
+  status.className = config.prefix + '-loading';
+  status.setAttribute('role', 'status');
+  var spinner = document.createElement('span');
+  spinner.className = 'vd-spinner';
+  spinner.setAttribute('aria-hidden', 'true');
+  var text = document.createElement('span');
+  text.className = 'sr-only';
+  text.textContent = labels.loading;
+  status.appendChild(spinner);
+  status.appendChild(text);
+  target.replaceChildren(status);
+
+  return window.fetch(url, { credentials: 'same-origin', signal: request.signal })
+    .then(function (response) {
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status);
+      }
+      return response.text();
+    })
+    .then(function (html) {
+      if (fragmentRequests.get(target) !== request) {
+        return false;
+      }
+      // Sanitize first: if it throws, the catch below still sees this request
+      var content = sanitizeContent(html, config.sanitize);
+      settle();
+      config.onLoad(content);
+      return true;
+    })
+    .catch(function (error) {
+      if (fragmentRequests.get(target) !== request) {
+        return false;
+      }
+      settle();
+
+      var alert = document.createElement('div');
+      alert.className = config.prefix + '-error vd-alert vd-alert-error';
+      alert.setAttribute('role', 'alert');
+      var message = document.createElement('p');
+      message.textContent = labels.loadError;
+      var retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'vd-btn vd-btn-sm vd-btn-secondary ' + config.prefix + '-retry';
+      retry.textContent = labels.retry;
+      alert.appendChild(message);
+      alert.appendChild(retry);
+      target.replaceChildren(alert);
+
+      // Replaced along with the error markup, so no cleanup entry is needed
+      if (config.onRetry) {
+        retry.addEventListener('click', config.onRetry);
+      }
+      if (config.onError) {
+        config.onError(error);
+      }
+      return false;
+    });
+}
+
+/**
+ * Abort a pending loadFragment() request
+ * @param {HTMLElement} target - Element passed to loadFragment()
+ * @returns {boolean} true when a request was pending
+ */
+function abortFragment(target) {
+  var request = fragmentRequests.get(target);
+  if (!request) return false;
+  fragmentRequests.delete(target);
+  if (typeof request.abort === 'function') {
+    request.abort();
+  }
+  return true;
+}
+
+// Expose the helpers components look up at runtime on window so they can
+// reach them from the bundled builds, where helper declarations are not global.
+if (typeof window !== 'undefined') {
+  window.resolveOptions = resolveOptions;
+  window.storageKey = storageKey;
+  window.translate = translate;
+  window.escapeHtml = escapeHtml;
+  window.sanitizeHtml = sanitizeHtml;
+  window.safeStorageGet = safeStorageGet;
+  window.safeStorageSet = safeStorageSet;
+  window.sanitizeContent = sanitizeContent;
+  window.loadFragment = loadFragment;
+  window.abortFragment = abortFragment;
+}
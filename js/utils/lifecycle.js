@@ -15,6 +15,17 @@
     // Map of element -> { componentName, cleanupFunctions }
     instances: new Map(),
 
+    // Diagnostics mode: warn about duplicate registrations and leaks
+    diagnostics: false,
+
+    /**
+     * Turn diagnostics mode on or off
+     * @param {boolean} [enabled=true] - Whether to enable diagnostics
+     */
+    setDiagnostics: function(enabled) {
+      this.diagnostics = enabled !== false;
+    },
+
     /**
      * Register a component instance
      * @param {HTMLElement} element - The DOM element
@@ -26,11 +37,19 @@
         // Already registered, merge cleanup functions
         const existing = this.instances.get(element);
         existing.cleanup = existing.cleanup.concat(cleanupFns);
+
+        if (existing.components.indexOf(componentName) === -1) {
+          existing.components.push(componentName);
+          if (this.diagnostics) {
+            console.warn('[Vanduo Lifecycle] Element registered as both "' + existing.components.join('" and "') + '":', element);
+          }
+        }
         return;
       }
 
       this.instances.set(element, {
         component: componentName,
+        components: [componentName],
         cleanup: cleanupFns,
         registeredAt: Date.now()
       });
@@ -56,6 +75,26 @@
       this.instances.delete(element);
     },
 
+    /**
+     * Drop cleanup functions from an element's registration without running them
+     * For helpers that stop their own listeners while the element stays
+     * registered for others. The registration goes away once no cleanup is left.
+     * @param {HTMLElement} element - The registered element
+     * @param {Array<Function>} cleanupFns - Functions passed to register()
+     */
+    removeCleanup: function(element, cleanupFns) {
+      const instance = this.instances.get(element);
+      if (!instance) return;
+
+      // A new array, so an unregister() running these cleanups is unaffected
+      instance.cleanup = instance.cleanup.filter(function(fn) {
+        return cleanupFns.indexOf(fn) === -1;
+      });
+      if (instance.cleanup.length === 0) {
+        this.instances.delete(element);
+      }
+    },
+
     /**
      * Destroy all instances of a specific component
      * @param {string} componentName - Optional component name filter
@@ -109,6 +148,83 @@
       return result;
     },
 
+    /**
+     * Inspect tracked instances for leaks
+     * Covers elements registered here and the instance maps of components
+     * registered with Vanduo. In diagnostics mode, problems are also logged.
+     * @returns {Object} Report: { total, detached, listeners, duplicates }
+     *   - detached: [{ element, components }] tracked elements no longer in the document
+     *   - listeners: { componentName: count } cleanup functions (registered listeners) per component
+     *   - duplicates: [{ element, components }] elements tracked under more than one name
+     */
+    diagnose: function() {
+      const owners = new Map();
+      const listeners = {};
+      // element -> cleanup functions already counted, so a function kept by
+      // both the lifecycle entry and the component's instance map counts once
+      const counted = new Map();
+
+      const track = function(element, name, cleanups) {
+        if (!element || element.nodeType !== 1) return;
+
+        const names = owners.get(element) || [];
+        if (names.indexOf(name) === -1) names.push(name);
+        owners.set(element, names);
+
+        const seen = counted.get(element) || new Set();
+        counted.set(element, seen);
+        let count = 0;
+        cleanups.forEach(function(fn) {
+          if (!seen.has(fn)) {
+            seen.add(fn);
+            count++;
+          }
+        });
+        listeners[name] = (listeners[name] || 0) + count;
+      };
+
+      this.instances.forEach(function(instance, element) {
+        // Merged cleanups can't be attributed per name; count them for the first
+        instance.components.forEach(function(name, i) {
+          track(element, name, i === 0 ? instance.cleanup : []);
+        });
+      });
+
+      const vanduo = window.Vanduo;
+      if (vanduo && vanduo.components) {
+        Object.keys(vanduo.components).forEach(function(name) {
+          const component = vanduo.components[name];
+          const map = component && component[(vanduo.instanceMaps && vanduo.instanceMaps[name]) || 'instances'];
+          if (!(map instanceof Map)) return;
+
+          map.forEach(function(data, element) {
+            track(element, name, data && Array.isArray(data.cleanup) ? data.cleanup : []);
+          });
+        });
+      }
+
+      const report = { total: owners.size, detached: [], listeners: listeners, duplicates: [] };
+      owners.forEach(function(names, element) {
+        if (!element.isConnected) {
+          report.detached.push({ element: element, components: names });
+        }
+        if (names.length > 1) {
+          report.duplicates.push({ element: element, components: names });
+        }
+      });
+
+      if (this.diagnostics) {
+        report.detached.forEach(function(entry) {
+          console.warn('[Vanduo Lifecycle] Detached element still tracked by "' + entry.components.join('", "') + '":', entry.element);
+        });
+        report.duplicates.forEach(function(entry) {
+          console.warn('[Vanduo Lifecycle] Element tracked as "' + entry.components.join('" and "') + '":', entry.element);
+        });
+      }
+
+      return report;
+    },
+
     /**
      * Check if an element is registered
      * @param {HTMLElement} element - The element to check
@@ -119,6 +235,11 @@
     }
   };
 
+  // Nothing to track without a DOM (e.g. server-side rendering)
+  if (typeof window === 'undefined') {
+    return;
+  }
+
   // Auto-cleanup on page unload
   window.addEventListener('beforeunload', function() {
     Lifecycle.destroyAll();
@@ -0,0 +1,370 @@
+/**
+ * Vanduo Framework - Position Engine
+ * Places floating elements (tooltips, menus, panels) next to a reference
+ * element, keeping them inside the visible area
+ */
+
+(function() {
+  'use strict';
+
+  // Side -> opposite side (used when flipping)
+  const OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+  const clamp = function(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+  };
+
+  /**
+   * Position Engine
+   * Supports 12 placements (`top`, `top-start`, `top-end`, `right`, ... `left-end`),
+   * flipping to the opposite side, shifting along the edge, arrows, scrolling
+   * ancestors and containing blocks created by transformed ancestors.
+   */
+  const Position = {
+    // Default options for compute() and position()
+    DEFAULTS: {
+      placement: 'bottom',
+      strategy: 'absolute', // CSS position of the floating element: 'absolute' or 'fixed'
+      offset: 0,            // Gap between reference and floating element (px)
+      padding: 8,           // Minimum distance from the boundary edges (px)
+      flip: true,           // Move to the opposite side when there's more room there
+      shift: true,          // Slide along the side to stay inside the boundary
+      arrow: null           // Arrow element inside the floating element, or arrow size (px)
+    },
+
+    /**
+     * Split a placement into side and alignment
+     * @param {string} placement - e.g. 'top', 'right-end'
+     * @returns {Object} { side, align } (align is 'start', 'end' or null)
+     */
+    parsePlacement: function(placement) {
+      const parts = String(placement || '').split('-');
+      const side = OPPOSITE[parts[0]] ? parts[0] : 'bottom';
+      const align = parts[1] === 'start' || parts[1] === 'end' ? parts[1] : null;
+      return { side: side, align: align };
+    },
+
+    /**
+     * Ancestors that clip or scroll their content
+     * @param {HTMLElement} element - Element to start from
+     * @returns {Array<HTMLElement>}
+     */
+    getScrollParents: function(element) {
+      const parents = [];
+      let node = element && element.parentElement;
+
+      while (node && node !== document.body && node !== document.documentElement) {
+        const style = getComputedStyle(node);
+        if (/auto|scroll|overlay|hidden|clip/.test(style.overflow + style.overflowX + style.overflowY)) {
+          parents.push(node);
+        }
+        node = node.parentElement;
+      }
+
+      return parents;
+    },
+
+    /**
+     * Whether an element's computed style makes it the containing block of
+     * fixed (and absolute) descendants
+     * @param {CSSStyleDeclaration} style - Computed style
+     * @returns {boolean}
+     */
+    isTransformed: function(style) {
+      return (style.transform && style.transform !== 'none') ||
+        (style.perspective && style.perspective !== 'none') ||
+        (style.filter && style.filter !== 'none') ||
+        (style.backdropFilter && style.backdropFilter !== 'none') ||
+        /paint|layout|strict|content/.test(style.contain || '') ||
+        /transform|perspective|filter/.test(style.willChange || '');
+    },
+
+    /**
+     * Find the element the floating element is positioned against
+     * @param {HTMLElement} floating - Floating element
+     * @param {string} strategy - 'absolute' or 'fixed'
+     * @returns {HTMLElement|null} Containing block, or null for the document/viewport
+     */
+    getContainingBlock: function(floating, strategy) {
+      let node = floating.parentElement;
+
+      while (node && node !== document.documentElement) {
+        const style = getComputedStyle(node);
+        if (this.isTransformed(style) || (strategy !== 'fixed' && style.position !== 'static')) {
+          return node;
+        }
+        node = node.parentElement;
+      }
+
+      return null;
+    },
+
+    /**
+     * Viewport coordinates of the containing block's origin
+     * @param {HTMLElement} floating - Floating element
+     * @param {string} strategy - 'absolute' or 'fixed'
+     * @returns {Object} { x, y }
+     */
+    getOrigin: function(floating, strategy) {
+      const block = this.getContainingBlock(floating, strategy);
+
+      if (block) {
+        const rect = block.getBoundingClientRect();
+        return {
+          x: rect.left + block.clientLeft - block.scrollLeft,
+          y: rect.top + block.clientTop - block.scrollTop
+        };
+      }
+
+      if (strategy === 'fixed') {
+        return { x: 0, y: 0 };
+      }
+
+      return {
+        x: -(window.pageXOffset || document.documentElement.scrollLeft || 0),
+        y: -(window.pageYOffset || document.documentElement.scrollTop || 0)
+      };
+    },
+
+    /**
+     * Visible area (viewport coordinates) the floating element should stay in:
+     * the viewport, clipped by any scrolling ancestor that also clips it
+     * @param {HTMLElement} floating - Floating element
+     * @param {string} strategy - 'absolute' or 'fixed'
+     * @returns {Object} { top, right, bottom, left }
+     */
+    getBoundary: function(floating, strategy) {
+      const boundary = {
+        top: 0,
+        left: 0,
+        right: document.documentElement.clientWidth || window.innerWidth,
+        bottom: document.documentElement.clientHeight || window.innerHeight
+      };
+
+      // Fixed elements escape scrolling ancestors
+      if (strategy === 'fixed') {
+        return boundary;
+      }
+
+      this.getScrollParents(floating).forEach(parent => {
+        const rect = parent.getBoundingClientRect();
+        const left = rect.left + parent.clientLeft;
+        const top = rect.top + parent.clientTop;
+
+        boundary.left = Math.max(boundary.left, left);
+        boundary.top = Math.max(boundary.top, top);
+        boundary.right = Math.min(boundary.right, left + parent.clientWidth);
+        boundary.bottom = Math.min(boundary.bottom, top + parent.clientHeight);
+      });
+
+      return boundary;
+    },
+
+    /**
+     * Coordinates for a side/alignment before any adjustment
+     * @returns {Object} { x, y } in viewport coordinates
+     */
+    getCoords: function(ref, width, height, side, align, offset) {
+      const vertical = side === 'top' || side === 'bottom';
+      const coords = { x: 0, y: 0 };
+
+      if (side === 'top') coords.y = ref.top - height - offset;
+      if (side === 'bottom') coords.y = ref.bottom + offset;
+      if (side === 'left') coords.x = ref.left - width - offset;
+      if (side === 'right') coords.x = ref.right + offset;
+
+      if (vertical) {
+        coords.x = align === 'start' ? ref.left
+          : align === 'end' ? ref.right - width
+            : ref.left + (ref.width / 2) - (width / 2);
+      } else {
+        coords.y = align === 'start' ? ref.top
+          : align === 'end' ? ref.bottom - height
+            : ref.top + (ref.height / 2) - (height / 2);
+      }
+
+      return coords;
+    },
+
+    /**
+     * How far (px) the floating element sticks out past the boundary on a side
+     * @returns {number} Overflow, negative when it fits
+     */
+    getOverflow: function(coords, width, height, boundary, padding, side) {
+      switch (side) {
+        case 'top': return boundary.top + padding - coords.y;
+        case 'bottom': return coords.y + height - (boundary.bottom - padding);
+        case 'left': return boundary.left + padding - coords.x;
+        default: return coords.x + width - (boundary.right - padding);
+      }
+    },
+
+    /**
+     * Compute where a floating element should go, without moving it
+     * @param {HTMLElement|Object} reference - Element, or virtual element with getBoundingClientRect()
+     * @param {HTMLElement} floating - Floating element
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {Object} { x, y, placement, arrow } - x/y in viewport coordinates;
+     *   arrow is { x, y } (arrow center relative to the floating element) or null
+     */
+    compute: function(reference, floating, options) {
+      const opts = Object.assign({}, this.DEFAULTS, options);
+      const ref = reference.getBoundingClientRect();
+      const width = floating.offsetWidth;
+      const height = floating.offsetHeight;
+      const offset = Number(opts.offset) || 0;
+      const padding = Number(opts.padding) || 0;
+      const boundary = this.getBoundary(floating, opts.strategy);
+
+      const parsed = this.parsePlacement(opts.placement);
+      let side = parsed.side;
+      let coords = this.getCoords(ref, width, height, side, parsed.align, offset);
+
+      if (opts.flip) {
+        const overflow = this.getOverflow(coords, width, height, boundary, padding, side);
+        if (overflow > 0) {
+          const opposite = OPPOSITE[side];
+          const flipped = this.getCoords(ref, width, height, opposite, parsed.align, offset);
+          if (this.getOverflow(flipped, width, height, boundary, padding, opposite) < overflow) {
+            side = opposite;
+            coords = flipped;
+          }
+        }
+      }
+
+      const vertical = side === 'top' || side === 'bottom';
+
+      if (opts.shift) {
+        if (vertical) {
+          coords.x = clamp(coords.x, boundary.left + padding, boundary.right - padding - width);
+        } else {
+          coords.y = clamp(coords.y, boundary.top + padding, boundary.bottom - padding - height);
+        }
+      }
+
+      let arrow = null;
+      if (opts.arrow) {
+        const arrowEl = typeof opts.arrow === 'object' ? opts.arrow : null;
+        const size = arrowEl
+          ? (vertical ? arrowEl.offsetWidth : arrowEl.offsetHeight)
+          : Number(opts.arrow) || 0;
+
+        // Point at the reference's center, without leaving the floating element
+        if (vertical) {
+          const center = ref.left + (ref.width / 2) - coords.x;
+          arrow = { x: clamp(center, size, width - size), y: null };
+        } else {
+          const center = ref.top + (ref.height / 2) - coords.y;
+          arrow = { x: null, y: clamp(center, size, height - size) };
+        }
+      }
+
+      return {
+        x: coords.x,
+        y: coords.y,
+        placement: side + (parsed.align ? '-' + parsed.align : ''),
+        arrow: arrow
+      };
+    },
+
+    /**
+     * Compute and apply the position of a floating element
+     * Sets left/top relative to its containing block. The element's CSS
+     * `position` must match `options.strategy`. With an arrow, the
+     * `--vd-arrow-x` / `--vd-arrow-y` custom properties are set on the floating
+     * element and an arrow element is moved into place.
+     * @param {HTMLElement|Object} reference - Element, or virtual element with getBoundingClientRect()
+     * @param {HTMLElement} floating - Floating element
+     * @param {Object} [options] - See DEFAULTS
+     * @returns {Object} Result of compute()
+     */
+    position: function(reference, floating, options) {
+      const opts = Object.assign({}, this.DEFAULTS, options);
+      const result = this.compute(reference, floating, opts);
+      const origin = this.getOrigin(floating, opts.strategy);
+      const style = getComputedStyle(floating);
+
+      // Margins offset the rendered box; compensate so the box lands on x/y
+      const left = result.x - origin.x - (parseFloat(style.marginLeft) || 0);
+      const top = result.y - origin.y - (parseFloat(style.marginTop) || 0);
+
+      floating.style.left = Math.round(left) + 'px';
+      floating.style.top = Math.round(top) + 'px';
+      floating.style.right = 'auto';
+      floating.style.bottom = 'auto';
+
+      if (result.arrow) {
+        const arrowEl = typeof opts.arrow === 'object' ? opts.arrow : null;
+
+        if (result.arrow.x !== null) {
+          floating.style.setProperty('--vd-arrow-x', Math.round(result.arrow.x) + 'px');
+          floating.style.removeProperty('--vd-arrow-y');
+          if (arrowEl) {
+            arrowEl.style.left = Math.round(result.arrow.x - arrowEl.offsetWidth / 2) + 'px';
+            arrowEl.style.top = '';
+          }
+        } else {
+          floating.style.setProperty('--vd-arrow-y', Math.round(result.arrow.y) + 'px');
+          floating.style.removeProperty('--vd-arrow-x');
+          if (arrowEl) {
+            arrowEl.style.top = Math.round(result.arrow.y - arrowEl.offsetHeight / 2) + 'px';
+            arrowEl.style.left = '';
+          }
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Re-run `update` while the floating element is open: on scroll of any
+     * scrolling ancestor, on window resize and when either element resizes
+     * @param {HTMLElement|Object} reference - Reference element (or virtual element)
+     * @param {HTMLElement} floating - Floating element
+     * @param {Function} update - Called (at most once per frame) to reposition
+     * @returns {Function} Cleanup function that stops updating
+     */
+    autoUpdate: function(reference, floating, update) {
+      let frame = null;
+      const schedule = () => {
+        if (frame !== null) return;
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          update();
+        });
+      };
+
+      const targets = [window];
+      const isElement = reference && reference.nodeType === 1;
+      (isElement ? this.getScrollParents(reference) : []).concat(this.getScrollParents(floating)).forEach(parent => {
+        if (targets.indexOf(parent) === -1) targets.push(parent);
+      });
+
+      targets.forEach(target => target.addEventListener('scroll', schedule, { passive: true }));
+      window.addEventListener('resize', schedule);
+
+      let observer = null;
+      if (typeof ResizeObserver !== 'undefined') {
+        observer = new ResizeObserver(schedule);
+        if (isElement) observer.observe(reference);
+        observer.observe(floating);
+      }
+
+      return function() {
+        targets.forEach(target => target.removeEventListener('scroll', schedule));
+        window.removeEventListener('resize', schedule);
+        if (observer) observer.disconnect();
+        if (frame !== null) cancelAnimationFrame(frame);
+      };
+    }
+  };
+
+  // Positioning needs a DOM (e.g. skip during server-side rendering)
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  // Expose globally
+  window.VanduoPosition = Position;
+
+})();
@@ -13,24 +13,200 @@
     version: '1.1.6',
     components: {},
 
+    // Global component options, keyed by component name (read by resolveOptions)
+    config: {},
+
+    // Prefix for localStorage keys (read by storageKey)
+    storagePrefix: 'vanduo-',
+
+    // UI string overrides, e.g. { 'pagination.next': 'Suivant' } (read by translate)
+    i18n: {},
+
+    // Short names accepted by configure(), mapped to registered component names
+    configAliases: {
+      grid: 'gridLayout',
+      modal: 'modals',
+      tab: 'tabs',
+      tooltip: 'tooltips'
+    },
+
+    // Active MutationObserver (null when DOM observation is off)
+    observer: null,
+
+    /**
+     * Selectors watched by the DOM observer, keyed by component name.
+     * Components listed here are initialized when matching nodes are added
+     * and destroyed when matching nodes are removed from the document.
+     */
+    observedSelectors: {
+      codeSnippet: '.vd-code-snippet',
+      collapsible: '.vd-collapsible, .accordion',
+      contextMenu: '[data-context-menu]',
+      draggable: '.vd-draggable, [data-draggable], .vd-draggable-item, .vd-draggable-container, .vd-draggable-container-vertical, .vd-drop-zone',
+      dropdown: '.vd-dropdown',
+      gridLayout: '[data-layout-mode], [data-grid-toggle]',
+      modals: '.vd-modal, [data-modal]',
+      navbar: '.vd-navbar',
+      pagination: '.vd-pagination[data-pagination]',
+      select: 'select.vd-custom-select-input, select[data-custom-select]',
+      sidenav: '.vd-sidenav, [data-sidenav-toggle]',
+      tabs: '.vd-tabs, [data-tabs]',
+      tooltips: '[data-tooltip], [data-tooltip-html]'
+    },
+
+    /**
+     * Per-component instance map property, for components that don't use
+     * the conventional `instances` Map
+     */
+    instanceMaps: {
+      modals: 'modals',
+      parallax: 'parallaxElements',
+      sidenav: 'sidenavs',
+      tooltips: 'tooltips'
+    },
+
+    /**
+     * Component events forwarded to Vanduo.on() subscribers, keyed by
+     * component name. Plugins can add their own via an `events` array.
+     */
+    events: {
+      codeSnippet: ['codesnippet:toggle', 'codesnippet:tabchange', 'codesnippet:copy'],
+      collapsible: ['collapsible:beforeopen', 'collapsible:open', 'collapsible:close'],
+      contextMenu: ['contextMenu:open', 'contextMenu:close'],
+      draggable: ['draggable:start', 'draggable:drag', 'draggable:end', 'draggable:drop', 'draggable:reorder'],
+      dropdown: ['dropdown:beforeopen', 'dropdown:select'],
+      fontSwitcher: ['font:change'],
+      gridLayout: ['grid:modechange'],
+      imageBox: ['imageBox:open', 'imageBox:close'],
+      modals: ['modal:beforeopen', 'modal:open', 'modal:beforeclose', 'modal:close', 'modal:load', 'modal:loaderror'],
+      pagination: ['pagination:change'],
+      preloader: ['progress:update', 'progress:complete'],
+      select: ['select:create', 'select:load', 'select:loaderror', 'select:reorder'],
+      sidenav: ['sidenav:open', 'sidenav:beforeclose', 'sidenav:close'],
+      tabs: ['tab:beforechange', 'tab:change', 'tab:beforeclose', 'tab:close', 'tab:reorder', 'tab:load', 'tab:loaderror'],
+      themeCustomizer: [
+        'theme:change', 'theme:primary-change', 'theme:neutral-change', 'theme:radius-change',
+        'theme:font-change', 'theme:mode-change', 'theme:panel-open', 'theme:panel-close', 'theme:reset'
+      ],
+      toast: ['toast:show', 'toast:beforedismiss', 'toast:dismiss']
+    },
+
+    // Event bus subscriptions: [{ pattern, namespace, handler, once }]
+    _subscriptions: [],
+
+    // Event type -> document capture listener installed for the bus
+    _busListeners: {},
+
+    // element -> { componentName: handle } (see getInstance)
+    _handles: new WeakMap(),
+
+    // Root of the subtree being hydrated (set only while hydrate() runs)
+    _hydrateRoot: null,
+
     /**
      * Initialize framework
      * Call this after DOM is ready and all components are loaded
+     * @param {Object} [options] - Init options
+     * @param {boolean} [options.observe=false] - Watch the DOM and init/destroy components automatically
      */
-    init: function() {
-      // Initialize components when DOM is ready
-      if (typeof ready !== 'undefined') {
-        ready(() => {
+    init: function(options) {
+      const observe = !!(options && options.observe);
+
+      this._whenReady(() => {
+        this.initComponents();
+        if (observe) {
+          this.observe();
+        }
+      });
+    },
+
+    /**
+     * Set framework-wide configuration
+     * Call before init() so components pick the values up when they initialize.
+     * Component keys (e.g. `toast`, `tooltip`, `docSearch`) are merged into
+     * Vanduo.config; `storagePrefix` replaces the `vanduo-` localStorage key
+     * prefix; `i18n` strings are merged into Vanduo.i18n.
+     * @param {Object} options - Configuration
+     * @returns {Object} Vanduo (chainable)
+     */
+    configure: function(options) {
+      if (!options || typeof options !== 'object') {
+        return this;
+      }
+
+      Object.keys(options).forEach((key) => {
+        const value = options[key];
+
+        if (key === 'storagePrefix') {
+          if (typeof value === 'string') {
+            this.storagePrefix = value;
+          } else {
+            console.warn('[Vanduo] storagePrefix must be a string');
+          }
+          return;
+        }
+
+        if (key === 'i18n') {
+          Object.assign(this.i18n, value);
+          return;
+        }
+
+        if (!value || typeof value !== 'object') {
+          console.warn('[Vanduo] Ignoring non-object configuration for "' + key + '"');
+          return;
+        }
+
+        const name = this.configAliases[key] || key;
+        this.config[name] = Object.assign({}, this.config[name], value);
+      });
+
+      return this;
+    },
+
+    /**
+     * Attach behavior to server-rendered markup
+     * Works like init(), but components that generate markup (Pagination,
+     * Select) reuse what the server already rendered inside `root` instead
+     * of rendering it again.
+     * @param {HTMLElement} [root=document.documentElement] - Server-rendered subtree
+     */
+    hydrate: function(root) {
+      this._whenReady(() => {
+        this._hydrateRoot = root || document.documentElement;
+        try {
           this.initComponents();
-        });
+        } finally {
+          this._hydrateRoot = null;
+        }
+      });
+    },
+
+    /**
+     * Check whether an element is being initialized by hydrate()
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean}
+     */
+    isHydrating: function(element) {
+      return !!(this._hydrateRoot && element && this._hydrateRoot.contains(element));
+    },
+
+    /**
+     * Run a callback once the DOM is ready (never without a DOM, e.g. during SSR)
+     * @param {Function} callback - Function to run
+     */
+    _whenReady: function(callback) {
+      if (typeof document === 'undefined') {
+        return;
+      }
+
+      if (typeof ready !== 'undefined') {
+        ready(callback);
       } else {
         // Fallback if helpers.js is not loaded
         if (document.readyState === 'loading') {
-          document.addEventListener('DOMContentLoaded', () => {
-            this.initComponents();
-          });
+          document.addEventListener('DOMContentLoaded', callback);
         } else {
-          this.initComponents();
+          callback();
         }
       }
     },
@@ -65,6 +241,124 @@
       // Call Vanduo.init() explicitly after all components are registered
     },
 
+    /**
+     * Register a component imported from its own ESM entry point
+     * (e.g. `import Toast from 'vanduo-framework/toast'`) or a plugin.
+     *
+     * Plugins describe a per-element component and leave discovery and
+     * cleanup to the core:
+     *   - name {string}            Component name (Vanduo.config key, reinit name)
+     *   - selector {string}        Elements to initialize
+     *   - init(el, options)        Set up one element; the return value is kept as its instance
+     *   - destroy(el, instance)    Optional; tear down one element
+     *   - defaults {Object}        Optional; known options, resolved like built-in components
+     *   - open/close/toggle(el)    Optional; used by instance handles
+     *   - events {Array<string>}   Optional; event types forwarded to Vanduo.on()
+     *
+     * Like built-in components, plugins are initialized by Vanduo.init() or
+     * Vanduo.reinit(name), not on registration.
+     * @param {Object} component - Component object or plugin with a `name` property
+     * @returns {Object} Vanduo, for chaining
+     */
+    use: function(component) {
+      // Component entries export undefined without a DOM (SSR)
+      if (!component) {
+        return this;
+      }
+
+      if (!component.name) {
+        console.warn('[Vanduo] Cannot use a component without a name:', component);
+        return this;
+      }
+
+      if (typeof component.selector === 'string') {
+        if (typeof component.init !== 'function') {
+          console.warn('[Vanduo] Plugin "' + component.name + '" must implement init(el, options)');
+          return this;
+        }
+
+        this.observedSelectors[component.name] = component.selector;
+        if (Array.isArray(component.events)) {
+          this.events[component.name] = component.events.slice();
+          this._updateBusListeners();
+        }
+        this.register(component.name, this._createPluginComponent(component));
+        return this;
+      }
+
+      this.register(component.name, component);
+      return this;
+    },
+
+    /**
+     * Wrap a plugin in a component object that behaves like the built-in ones
+     * (init/destroy/destroyAll, an `instances` Map and VanduoLifecycle entries)
+     * @param {Object} plugin - Plugin definition (see use)
+     * @returns {Object} Component object
+     */
+    _createPluginComponent: function(plugin) {
+      const component = {
+        name: plugin.name,
+        plugin: plugin,
+        instances: new Map(),
+
+        init: function() {
+          document.querySelectorAll(plugin.selector).forEach((el) => {
+            if (!this.instances.has(el)) {
+              this.initElement(el);
+            }
+          });
+        },
+
+        initElement: function(el) {
+          const defaults = plugin.defaults || {};
+          const options = typeof window.resolveOptions === 'function'
+            ? window.resolveOptions(el, plugin.name, defaults)
+            : Object.assign({}, defaults);
+
+          const instance = plugin.init(el, options);
+          this.instances.set(el, { instance: instance, options: options });
+
+          if (typeof window.VanduoLifecycle !== 'undefined') {
+            window.VanduoLifecycle.register(el, plugin.name, [() => this.destroy(el)]);
+          }
+        },
+
+        destroy: function(el) {
+          const entry = this.instances.get(el);
+          if (!entry) return;
+
+          this.instances.delete(el);
+          if (typeof plugin.destroy === 'function') {
+            plugin.destroy(el, entry.instance);
+          }
+
+          // Drop the lifecycle entry unless another component owns it
+          const lifecycle = window.VanduoLifecycle;
+          if (lifecycle) {
+            const registered = lifecycle.instances.get(el);
+            if (registered && registered.component === plugin.name) {
+              lifecycle.unregister(el);
+            }
+          }
+        },
+
+        destroyAll: function() {
+          Array.from(this.instances.keys()).forEach((el) => this.destroy(el));
+        }
+      };
+
+      ['open', 'close', 'toggle', 'show', 'hide'].forEach(function(method) {
+        if (typeof plugin[method] === 'function') {
+          component[method] = function(el) {
+            return plugin[method](el);
+          };
+        }
+      });
+
+      return component;
+    },
+
     /**
      * Re-initialize a component (useful after dynamic DOM changes)
      * @param {string} name - Component name
@@ -80,11 +374,367 @@
       }
     },
 
+    /**
+     * Subscribe to component events from every component in one place
+     * Handlers receive `{ type, detail, originalEvent }`, where detail is
+     * `{ component, element, instance, ...payload }` for every event.
+     * Types may be exact ('modal:open'), a component prefix ('modal:*') or
+     * '*' for everything, optionally namespaced for bulk removal
+     * ('modal:open.analytics', then Vanduo.off('.analytics')).
+     * Events are picked up by capture listeners on document, so only events
+     * dispatched on elements in the document reach subscribers (built-in
+     * components fire theirs before removing an element).
+     * @param {string} type - Event type or pattern, with optional .namespace
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on: function(type, handler) {
+      return this._subscribe(type, handler, false);
+    },
+
+    /**
+     * Subscribe to a component event for a single call
+     * @param {string} type - Event type or pattern, with optional .namespace
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    once: function(type, handler) {
+      return this._subscribe(type, handler, true);
+    },
+
+    /**
+     * Remove event bus subscriptions
+     * `off('modal:open', fn)` removes one handler, `off('modal:open')` all
+     * handlers for the type, `off('.analytics')` everything in a namespace.
+     * @param {string} type - Event type or pattern, with optional .namespace
+     * @param {Function} [handler] - Specific handler to remove
+     */
+    off: function(type, handler) {
+      const parsed = this._parseEventType(type);
+
+      this._subscriptions = this._subscriptions.filter(function(sub) {
+        const matches = (!parsed.pattern || sub.pattern === parsed.pattern) &&
+          (!parsed.namespace || sub.namespace === parsed.namespace) &&
+          (!handler || sub.handler === handler);
+        return !matches;
+      });
+
+      this._updateBusListeners();
+    },
+
+    /**
+     * Add a bus subscription
+     * @param {string} type - Event type or pattern
+     * @param {Function} handler - Event handler
+     * @param {boolean} once - Remove after the first call
+     * @returns {Function} Unsubscribe function
+     */
+    _subscribe: function(type, handler, once) {
+      const parsed = this._parseEventType(type);
+      if (!parsed.pattern || typeof handler !== 'function') {
+        console.warn('[Vanduo] Invalid event subscription:', type);
+        return function() {};
+      }
+
+      const sub = { pattern: parsed.pattern, namespace: parsed.namespace, handler: handler, once: once };
+      this._subscriptions.push(sub);
+      this._updateBusListeners();
+
+      return () => {
+        const index = this._subscriptions.indexOf(sub);
+        if (index !== -1) {
+          this._subscriptions.splice(index, 1);
+          this._updateBusListeners();
+        }
+      };
+    },
+
+    /**
+     * Split 'modal:open.analytics' into pattern and namespace
+     * @param {string} type - Event type
+     * @returns {Object} { pattern, namespace }
+     */
+    _parseEventType: function(type) {
+      const parts = String(type || '').split('.');
+      return { pattern: parts[0], namespace: parts.slice(1).join('.') };
+    },
+
+    /**
+     * Check whether a subscription pattern matches an event type
+     * @param {string} pattern - '*', 'modal:*' or an exact type
+     * @param {string} type - Event type
+     * @returns {boolean}
+     */
+    _patternMatches: function(pattern, type) {
+      if (pattern === '*') return true;
+      if (pattern.slice(-2) === ':*') {
+        return type.indexOf(pattern.slice(0, -1)) === 0;
+      }
+      return pattern === type;
+    },
+
+    /**
+     * Install document listeners for every event type a subscriber can
+     * receive, and remove them once nobody is subscribed
+     */
+    _updateBusListeners: function() {
+      if (typeof document === 'undefined') {
+        return;
+      }
+
+      const wanted = {};
+      if (this._subscriptions.length > 0) {
+        Object.keys(this.events).forEach((name) => {
+          this.events[name].forEach((type) => { wanted[type] = true; });
+        });
+        this._subscriptions.forEach((sub) => {
+          if (sub.pattern.indexOf('*') === -1) wanted[sub.pattern] = true;
+        });
+      }
+
+      Object.keys(this._busListeners).forEach((type) => {
+        if (!wanted[type]) {
+          document.removeEventListener(type, this._busListeners[type], true);
+          delete this._busListeners[type];
+        }
+      });
+
+      Object.keys(wanted).forEach((type) => {
+        if (!this._busListeners[type]) {
+          // Capture phase, so non-bubbling events are seen as well
+          this._busListeners[type] = (event) => this._emit(event);
+          document.addEventListener(type, this._busListeners[type], true);
+        }
+      });
+    },
+
+    /**
+     * Forward a component DOM event to matching bus subscribers
+     * @param {Event} event - Component event
+     */
+    _emit: function(event) {
+      const subs = this._subscriptions.filter((sub) => this._patternMatches(sub.pattern, event.type));
+      if (subs.length === 0) {
+        return;
+      }
+
+      const component = this._componentForEvent(event.type);
+      const element = event.target && event.target.nodeType === 1 ? event.target : null;
+      const payload = event.detail && typeof event.detail === 'object' ? event.detail : {};
+      const busEvent = {
+        type: event.type,
+        detail: Object.assign({}, payload, {
+          component: component,
+          element: element,
+          instance: element ? this._findInstance(element, component) : null
+        }),
+        originalEvent: event
+      };
+
+      subs.forEach((sub) => {
+        if (sub.once) {
+          const index = this._subscriptions.indexOf(sub);
+          if (index !== -1) this._subscriptions.splice(index, 1);
+        }
+        try {
+          sub.handler(busEvent);
+        } catch (e) {
+          console.warn('[Vanduo] Event handler for "' + event.type + '" failed:', e);
+        }
+      });
+
+      if (subs.some((sub) => sub.once)) {
+        this._updateBusListeners();
+      }
+    },
+
+    /**
+     * Look up which component fires an event type
+     * @param {string} type - Event type
+     * @returns {string} Component name (falls back to the type prefix)
+     */
+    _componentForEvent: function(type) {
+      const names = Object.keys(this.events);
+      for (let i = 0; i < names.length; i++) {
+        if (this.events[names[i]].indexOf(type) !== -1) {
+          return names[i];
+        }
+      }
+      return type.split(':')[0];
+    },
+
+    /**
+     * Find the instance handle for the element (or nearest ancestor) a component tracks
+     * @param {HTMLElement} element - Event target
+     * @param {string} name - Component name
+     * @returns {Object|null} Handle, or null
+     */
+    _findInstance: function(element, name) {
+      for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        if (this.hasInstance(node, name)) {
+          return this.getInstance(node, name);
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Start watching the DOM for added and removed component markup
+     * Added nodes re-run the matching component's init (which skips
+     * already-initialized elements); removed nodes are destroyed.
+     * @param {HTMLElement} [root=document.body] - Subtree to observe
+     */
+    observe: function(root) {
+      if (typeof MutationObserver === 'undefined') {
+        return;
+      }
+
+      this.unobserve();
+
+      this.observer = new MutationObserver((mutations) => {
+        this.handleMutations(mutations);
+      });
+      this.observer.observe(root || document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Stop watching the DOM
+     */
+    unobserve: function() {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+    },
+
+    /**
+     * Process a batch of DOM mutations
+     * @param {Array<MutationRecord>} mutations - Records from the observer
+     */
+    handleMutations: function(mutations) {
+      const added = [];
+      const removed = [];
+
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === 1) added.push(node);
+        });
+        mutation.removedNodes.forEach((node) => {
+          if (node.nodeType === 1) removed.push(node);
+        });
+      });
+
+      // Nodes that were only moved (e.g. Select wrapping its <select>) are
+      // still connected and must keep their instances.
+      removed.forEach((node) => {
+        if (!node.isConnected) {
+          this._destroyWithin(node);
+        }
+      });
+
+      const toInit = [];
+      added.forEach((node) => {
+        if (!node.isConnected) return;
+        Object.keys(this.observedSelectors).forEach((name) => {
+          if (toInit.indexOf(name) === -1 && this._matchWithin(node, this.observedSelectors[name]).length > 0) {
+            toInit.push(name);
+          }
+        });
+      });
+
+      toInit.forEach((name) => {
+        this.reinit(name);
+      });
+    },
+
+    /**
+     * Find a node and its descendants that match a selector
+     * @param {HTMLElement} node - Root node
+     * @param {string} selector - CSS selector
+     * @returns {Array<HTMLElement>}
+     */
+    _matchWithin: function(node, selector) {
+      const matches = Array.from(node.querySelectorAll(selector));
+      if (node.matches(selector)) {
+        matches.unshift(node);
+      }
+      return matches;
+    },
+
+    /**
+     * Destroy every component instance inside a subtree
+     * @param {HTMLElement} node - Subtree root (e.g. a removed node)
+     */
+    _destroyWithin: function(node) {
+      Object.keys(this.observedSelectors).forEach((name) => {
+        const component = this.components[name];
+        if (!component || typeof component.destroy !== 'function') return;
+
+        this._matchWithin(node, this.observedSelectors[name]).forEach((el) => {
+          try {
+            component.destroy(el);
+          } catch (e) {
+            console.warn('[Vanduo] Failed to destroy component "' + name + '":', e);
+          }
+        });
+      });
+
+      if (typeof window.VanduoLifecycle !== 'undefined') {
+        window.VanduoLifecycle.destroyAllInContainer(node);
+      }
+    },
+
+    /**
+     * Get a handle that initializes or destroys every component inside a
+     * container, e.g. a route outlet in a single-page app
+     * @param {HTMLElement|string} container - Container element or selector
+     * @returns {Object|null} Scope with init()/destroy(), or null if not found
+     */
+    scope: function(container) {
+      const el = typeof container === 'string' ? document.querySelector(container) : container;
+      if (!el) {
+        return null;
+      }
+
+      const self = this;
+      const scope = {
+        container: el,
+
+        /**
+         * Initialize components with markup inside the container
+         * (already-initialized elements are skipped by each component)
+         * @returns {Object} The scope, for chaining
+         */
+        init: function() {
+          Object.keys(self.observedSelectors).forEach(function(name) {
+            if (self._matchWithin(el, self.observedSelectors[name]).length > 0) {
+              self.reinit(name);
+            }
+          });
+          return scope;
+        },
+
+        /**
+         * Destroy every component instance inside the container
+         * @returns {Object} The scope, for chaining
+         */
+        destroy: function() {
+          self._destroyWithin(el);
+          return scope;
+        }
+      };
+
+      return scope;
+    },
+
     /**
      * Destroy all component instances and clean up event listeners
-     * Uses lifecycle manager for memory leak prevention
+     * Uses lifecycle manager for memory leak prevention.
+     * Also stops DOM observation started by observe().
      */
     destroyAll: function() {
+      this.unobserve();
+
       // First, destroy components that have their own destroyAll
       var names = Object.keys(this.components);
       for (var i = 0; i < names.length; i++) {
@@ -111,10 +761,165 @@
      */
     getComponent: function(name) {
       return this.components[name] || null;
+    },
+
+    /**
+     * Check whether an element is tracked as an instance of a component
+     * @param {HTMLElement} element - Element to look up
+     * @param {string} name - Component name
+     * @returns {boolean}
+     */
+    hasInstance: function(element, name) {
+      const component = this.components[name];
+      if (component) {
+        const map = component[this.instanceMaps[name] || 'instances'];
+        if (map instanceof Map && map.has(element)) {
+          return true;
+        }
+      }
+
+      if (typeof window.VanduoLifecycle !== 'undefined') {
+        const entry = window.VanduoLifecycle.instances.get(element);
+        if (entry && entry.component === name) {
+          return true;
+        }
+      }
+
+      return false;
+    },
+
+    /**
+     * Get a handle for the component instance attached to an element
+     * @param {HTMLElement|string} element - Element or selector
+     * @param {string} name - Component name (e.g. 'dropdown')
+     * @returns {Object|null} Handle with open/close/toggle/destroy/on, or null
+     */
+    getInstance: function(element, name) {
+      const el = typeof element === 'string' ? document.querySelector(element) : element;
+      if (!el || !this.hasInstance(el, name)) {
+        return null;
+      }
+
+      let handles = this._handles.get(el);
+      if (!handles) {
+        handles = {};
+        this._handles.set(el, handles);
+      }
+      if (!handles[name]) {
+        handles[name] = this._createHandle(el, name);
+      }
+      return handles[name];
+    },
+
+    /**
+     * Get the instance handle for an element, initializing the component first if needed
+     * @param {HTMLElement|string} element - Element or selector
+     * @param {string} name - Component name
+     * @returns {Object|null} Handle, or null if the element is not a valid target
+     */
+    getOrCreateInstance: function(element, name) {
+      const el = typeof element === 'string' ? document.querySelector(element) : element;
+      if (!el) {
+        return null;
+      }
+
+      if (!this.hasInstance(el, name)) {
+        this.reinit(name);
+      }
+      return this.getInstance(el, name);
+    },
+
+    /**
+     * Build an instance handle
+     * Methods delegate to the component object; open/close fall back to
+     * show/hide for components that use that naming (Tabs, Tooltips).
+     * Container components (Collapsible, Tabs) accept the item/tab to act on.
+     * @param {HTMLElement} el - Instance element
+     * @param {string} name - Component name
+     * @returns {Object}
+     */
+    _createHandle: function(el, name) {
+      const self = this;
+      const listeners = [];
+
+      const call = function(methods, target) {
+        const component = self.components[name];
+        for (let i = 0; i < methods.length; i++) {
+          if (component && typeof component[methods[i]] === 'function') {
+            return component[methods[i]](target || el);
+          }
+        }
+        console.warn('[Vanduo] Component "' + name + '" does not support ' + methods[0] + '()');
+        return undefined;
+      };
+
+      const handle = {
+        element: el,
+        component: name,
+
+        open: function(target) {
+          call(['open', 'show'], target);
+          return handle;
+        },
+
+        close: function(target) {
+          call(['close', 'hide'], target);
+          return handle;
+        },
+
+        toggle: function(target) {
+          call(['toggle'], target);
+          return handle;
+        },
+
+        /**
+         * Listen for a component event on the instance element
+         * @param {string} type - Event name (e.g. 'dropdown:select')
+         * @param {Function} handler - Event handler
+         * @returns {Function} Unsubscribe function
+         */
+        on: function(type, handler) {
+          el.addEventListener(type, handler);
+          const off = function() {
+            el.removeEventListener(type, handler);
+          };
+          listeners.push(off);
+          return off;
+        },
+
+        /**
+         * Destroy the instance and remove listeners added through on()
+         */
+        destroy: function() {
+          listeners.forEach(function(off) { off(); });
+          listeners.length = 0;
+
+          const component = self.components[name];
+          if (component && typeof component.destroy === 'function') {
+            component.destroy(el);
+          }
+          // Drop the lifecycle entry unless another component owns it
+          const lifecycle = window.VanduoLifecycle;
+          if (lifecycle) {
+            const registered = lifecycle.instances.get(el);
+            if (registered && registered.component === name) {
+              lifecycle.unregister(el);
+            }
+          }
+
+          const handles = self._handles.get(el);
+          if (handles) {
+            delete handles[name];
+          }
+        }
+      };
+
+      return handle;
     }
   };
 
-  // Expose to global scope
-  window.Vanduo = Vanduo;
+  // Expose to global scope (globalThis when there is no window, e.g. during SSR)
+  const root = typeof window !== 'undefined' ? window : globalThis;
+  root.Vanduo = Vanduo;
 
 })();
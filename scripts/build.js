@@ -9,6 +9,7 @@ import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, statSy
 import { resolve, dirname, join, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
+import { componentModulePlugin } from './component-module-plugin.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const rootDir = resolve(__dirname, '..');
@@ -301,6 +302,41 @@ async function buildJSCJS(banner) {
     }
 }
 
+// Build JS - per-component ESM entries (dist/esm/core.js, dist/esm/toast.js, ...)
+async function buildJSModules(banner) {
+    const outDir = resolve(distDir, 'esm');
+    const componentsDir = resolve(rootDir, 'js/components');
+    const entryPoints = {
+        core: resolve(rootDir, 'js/core.js')
+    };
+
+    readdirSync(componentsDir)
+        .filter((file) => file.endsWith('.js'))
+        .forEach((file) => {
+            entryPoints[file.replace(/\.js$/, '')] = join(componentsDir, file);
+        });
+
+    try {
+        await esbuild.build({
+            entryPoints,
+            bundle: true,
+            minify: isMinify,
+            sourcemap: true,
+            outdir: outDir,
+            format: 'esm',
+            target: ['es2020'],
+            banner: { js: banner },
+            plugins: [componentModulePlugin],
+            logLevel: 'warning'
+        });
+
+        console.log(`✅ JS (ESM modules): esm/ (${Object.keys(entryPoints).length} entries)`);
+    } catch (error) {
+        console.error('❌ JS ESM modules build failed:', error.message);
+        process.exit(1);
+    }
+}
+
 // Run builds
 async function build() {
     const buildInfo = getBuildInfo();
@@ -315,6 +351,7 @@ async function build() {
     await buildJS(banner);
     await buildJSESM(banner);
     await buildJSCJS(banner);
+    await buildJSModules(banner);
     console.log('─'.repeat(50));
     console.log('🎉 Build complete!');
 }
@@ -0,0 +1,39 @@
+/**
+ * esbuild plugin that turns a component script into an ES module.
+ * Component files are classic-script IIFEs. Each one hands its component to
+ * `vanduoModule.exports` when that variable exists and skips registering
+ * with window.Vanduo and setting globals. This plugin defines the variable
+ * and exports what the component stored, so importing a per-component entry
+ * has no global side effects; consumers register it with Vanduo.use().
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const componentsDir = resolve(rootDir, 'js/components');
+
+export const componentModulePlugin = {
+    name: 'vanduo-component-module',
+    setup(pluginBuild) {
+        pluginBuild.onLoad({ filter: /\.js$/ }, (args) => {
+            if (dirname(args.path) !== componentsDir) {
+                return undefined;
+            }
+
+            const source = readFileSync(args.path, 'utf8');
+            if (!source.includes('vanduoModule.exports =')) {
+                throw new Error(`${relative(rootDir, args.path)} does not assign vanduoModule.exports`);
+            }
+
+            const contents = 'const vanduoModule = { exports: undefined };\n' +
+                source +
+                '\nexport default vanduoModule.exports;\n';
+
+            return { contents, loader: 'js' };
+        });
+    }
+};
+
+export default componentModulePlugin;
@@ -2,7 +2,8 @@
  * Collapsible Component Tests
  *
  * Tests for js/components/collapsible.js
- * Covers: initialization, toggle, open/close, accordion behavior, events
+ * Covers: initialization, toggle, open/close, accordion behavior, events, persistence,
+ *         expand/collapse all, hash deep links
  */
 
 import { test, expect } from '@playwright/test';
@@ -82,6 +83,17 @@ test.describe('Collapsible Component @component', () => {
       const eventFired = await page.evaluate(() => (window as any).closeEvent);
       expect(eventFired).toBe(true);
     });
+
+    test('cancelling collapsible:beforeopen keeps item closed', async ({ page }) => {
+      await page.evaluate(() => {
+        document.querySelector('#basic-collapsible')?.addEventListener('collapsible:beforeopen', (e) => e.preventDefault());
+      });
+
+      const item = page.locator('#basic-collapsible .vd-collapsible-item').first();
+      await page.locator('#basic-collapsible .vd-collapsible-header').first().click();
+
+      await expect(item).not.toHaveClass(/is-open/);
+    });
   });
 
   test.describe('Accordion Behavior', () => {
@@ -130,4 +142,64 @@ test.describe('Collapsible Component @component', () => {
       await expect(firstItem).not.toHaveClass(/is-open/);
     });
   });
+
+  test.describe('Persistence', () => {
+    test('remembers open items across reloads', async ({ page }) => {
+      await page.locator('#faq-returns .vd-collapsible-header').click();
+      await page.locator('#faq-payment .vd-collapsible-header').click();
+
+      await page.reload();
+
+      await expect(page.locator('#faq-returns')).toHaveClass(/is-open/);
+      await expect(page.locator('#faq-payment')).toHaveClass(/is-open/);
+      await expect(page.locator('#faq-shipping')).not.toHaveClass(/is-open/);
+    });
+
+    test('remembers closing every item', async ({ page }) => {
+      await page.locator('#faq-returns .vd-collapsible-header').click();
+      await page.locator('#faq-returns .vd-collapsible-header').click();
+
+      await page.reload();
+
+      await expect(page.locator('#faq .vd-collapsible-item.is-open')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Expand/Collapse All', () => {
+    test('buttons open and close every item', async ({ page }) => {
+      await page.click('#faq-expand');
+      await expect(page.locator('#faq .vd-collapsible-item.is-open')).toHaveCount(3);
+
+      await page.click('#faq-collapse');
+      await expect(page.locator('#faq .vd-collapsible-item.is-open')).toHaveCount(0);
+    });
+
+    test('accordions keep one item open', async ({ page }) => {
+      await page.click('#accordion-expand');
+      await expect(page.locator('#accordion-test .accordion-item.is-open')).toHaveCount(1);
+
+      await page.evaluate(() => {
+        (window as any).VanduoCollapsible.collapseAll('#accordion-test');
+        (window as any).VanduoCollapsible.expandAll('#accordion-test');
+      });
+      await expect(page.locator('#accordion-test .accordion-item.is-open')).toHaveCount(1);
+      await expect(page.locator('#accordion-test .accordion-item').first()).toHaveClass(/is-open/);
+    });
+  });
+
+  test.describe('Deep Links', () => {
+    test('opens and scrolls to the item named by the hash', async ({ page }) => {
+      await page.goto('/tests/fixtures/collapsible.html#faq-payment');
+
+      await expect(page.locator('#faq-payment')).toHaveClass(/is-open/);
+      await expect(page.locator('#faq-payment')).toBeInViewport();
+    });
+
+    test('opens the item holding the linked element on hashchange', async ({ page }) => {
+      await page.evaluate(() => { window.location.hash = 'faq-cards'; });
+
+      await expect(page.locator('#faq-payment')).toHaveClass(/is-open/);
+      await expect(page.locator('#faq-cards')).toBeVisible();
+    });
+  });
 });
@@ -0,0 +1,187 @@
+/**
+ * Context Menu Component Tests
+ *
+ * Tests for js/components/context-menu.js
+ * Covers: right-click, keyboard invocation, long-press, positioning, select event target,
+ *         open/close events, cleanup
+ */
+
+import { test, expect } from '@playwright/test';
+
+test.describe('Context Menu Component @component', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.setViewportSize({ width: 800, height: 600 });
+    await page.goto('/tests/fixtures/context-menu.html');
+    await page.waitForFunction(() => (window as any).VanduoContextMenu && (window as any).VanduoContextMenu.instances.size > 0);
+  });
+
+  test.describe('Opening', () => {
+    test('right-click opens the menu at the pointer', async ({ page }) => {
+      const row = page.locator('#row-2');
+      const box = (await row.boundingBox())!;
+      await page.mouse.click(box.x + 40, box.y + 5, { button: 'right' });
+
+      const menu = page.locator('#row-menu');
+      await expect(menu).toHaveClass(/is-open/);
+      await expect(menu).toHaveAttribute('aria-hidden', 'false');
+      await expect(page.locator('#row-menu [data-value="open"]')).toBeFocused();
+
+      const rect = (await menu.boundingBox())!;
+      expect(Math.round(rect.x)).toBe(Math.round(box.x + 40));
+      expect(rect.y).toBeGreaterThanOrEqual(box.y + 5);
+    });
+
+    test('stays inside the viewport near the edges', async ({ page }) => {
+      await page.evaluate(() => (window as any).VanduoContextMenu.open('#row-1', { x: 795, y: 595 }));
+
+      const rect = (await page.locator('#row-menu').boundingBox())!;
+      expect(rect.x + rect.width).toBeLessThanOrEqual(800);
+      expect(rect.y + rect.height).toBeLessThanOrEqual(600);
+    });
+
+    test('Shift+F10 and the ContextMenu key open the menu below the focused target', async ({ page }) => {
+      await page.focus('#row-3');
+      await page.keyboard.press('Shift+F10');
+
+      const menu = page.locator('#row-menu');
+      await expect(menu).toHaveClass(/is-open/);
+      await expect(page.locator('#row-menu [data-value="open"]')).toBeFocused();
+
+      await page.keyboard.press('Escape');
+      await expect(menu).not.toHaveClass(/is-open/);
+      await expect(page.locator('#row-3')).toBeFocused();
+
+      await page.keyboard.press('ContextMenu');
+      await expect(menu).toHaveClass(/is-open/);
+    });
+
+    test('a long touch press opens the menu', async ({ page }) => {
+      await page.evaluate(() => {
+        const row = document.getElementById('row-1')!;
+        row.dispatchEvent(new PointerEvent('pointerdown', {
+          bubbles: true, pointerType: 'touch', isPrimary: true, clientX: 60, clientY: 40
+        }));
+      });
+
+      await expect(page.locator('#row-menu')).toHaveClass(/is-open/);
+    });
+
+    test('moving the finger cancels the long-press', async ({ page }) => {
+      await page.evaluate(() => {
+        const row = document.getElementById('row-1')!;
+        const init = { bubbles: true, pointerType: 'touch', isPrimary: true, clientY: 40 };
+        row.dispatchEvent(new PointerEvent('pointerdown', { ...init, clientX: 60 }));
+        row.dispatchEvent(new PointerEvent('pointermove', { ...init, clientX: 90 }));
+      });
+      await page.waitForTimeout(700);
+
+      await expect(page.locator('#row-menu')).not.toHaveClass(/is-open/);
+    });
+  });
+
+  test.describe('Selection', () => {
+    test('dropdown:select reports the right-clicked target', async ({ page }) => {
+      await page.evaluate(() => {
+        document.addEventListener('dropdown:select', (e: any) => {
+          (window as any).selectDetail = { value: e.detail.value, target: e.detail.target.dataset.id };
+        });
+      });
+
+      await page.click('#row-2', { button: 'right' });
+      await page.click('#row-menu [data-value="rename"]');
+
+      expect(await page.evaluate(() => (window as any).selectDetail)).toEqual({ value: 'rename', target: '2' });
+      await expect(page.locator('#row-menu')).not.toHaveClass(/is-open/);
+    });
+
+    test('reuses dropdown keyboard navigation and submenus', async ({ page }) => {
+      await page.click('#row-1', { button: 'right' });
+      await page.keyboard.press('End');
+      await expect(page.locator('#row-menu [data-value="delete"]')).toBeFocused();
+
+      await page.keyboard.press('ArrowUp');
+      await page.keyboard.press('ArrowRight');
+      await expect(page.locator('#share-submenu')).toHaveClass(/is-open/);
+      await expect(page.locator('#row-menu [data-value="email"]')).toBeFocused();
+    });
+
+    test('right-clicking another row moves the menu to it', async ({ page }) => {
+      await page.click('#row-1', { button: 'right' });
+      await page.click('#row-3', { button: 'right' });
+
+      const target = await page.evaluate(() => {
+        const menu = document.getElementById('row-menu');
+        return (window as any).VanduoDropdown.instances.get(menu).toggle.id;
+      });
+      expect(target).toBe('row-3');
+      await expect(page.locator('#row-menu')).toHaveClass(/is-open/);
+    });
+
+    test('fires contextMenu:open and contextMenu:close on the target', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).__events = [];
+        ['contextMenu:open', 'contextMenu:close'].forEach(type => {
+          document.addEventListener(type, (e: any) => (window as any).__events.push(type + ' ' + e.detail.target.id));
+        });
+      });
+
+      await page.click('#row-1', { button: 'right' });
+      await page.click('#row-3', { button: 'right' });
+      await page.keyboard.press('Escape');
+
+      expect(await page.evaluate(() => (window as any).__events)).toEqual([
+        'contextMenu:open row-1', 'contextMenu:close row-1', 'contextMenu:open row-3', 'contextMenu:close row-3'
+      ]);
+    });
+
+    test('closes on outside click', async ({ page }) => {
+      await page.click('#row-1', { button: 'right' });
+      await page.click('h1');
+
+      await expect(page.locator('#row-menu')).not.toHaveClass(/is-open/);
+    });
+
+    test('closes on a right-click outside any target', async ({ page }) => {
+      await page.click('#row-1', { button: 'right' });
+      await page.click('h1', { button: 'right' });
+
+      await expect(page.locator('#row-menu')).not.toHaveClass(/is-open/);
+    });
+
+    test('closes when a context menu is requested elsewhere without a pointer', async ({ page }) => {
+      await page.click('#row-1', { button: 'right' });
+      await page.evaluate(() => {
+        document.querySelector('h1')!.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+      });
+
+      await expect(page.locator('#row-menu')).not.toHaveClass(/is-open/);
+    });
+
+    test('a right-click inside the open menu keeps it open', async ({ page }) => {
+      await page.click('#row-1', { button: 'right' });
+      await page.click('#row-menu [data-value="delete"]', { button: 'right' });
+
+      await expect(page.locator('#row-menu')).toHaveClass(/is-open/);
+    });
+  });
+
+  test.describe('Cleanup', () => {
+    test('destroy() stops opening and releases the shared menu with its last target', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const ContextMenu = (window as any).VanduoContextMenu;
+        const menu = document.getElementById('row-menu');
+        ContextMenu.open('#row-1', { x: 10, y: 10 });
+        ContextMenu.destroyAll();
+
+        const event = new MouseEvent('contextmenu', { bubbles: true, cancelable: true });
+        document.getElementById('row-2')!.dispatchEvent(event);
+        return {
+          prevented: event.defaultPrevented,
+          open: menu!.classList.contains('is-open'),
+          dropdown: (window as any).VanduoDropdown.instances.has(menu)
+        };
+      });
+      expect(result).toEqual({ prevented: false, open: false, dropdown: false });
+    });
+  });
+});
@@ -2,7 +2,7 @@
  * Dropdown Component Tests
  * 
  * Tests for js/components/dropdown.js
- * Covers: initialization, opening, closing, keyboard navigation
+ * Covers: initialization, opening, closing, keyboard navigation, submenus, checkable items, typeahead
  */
 
 import { test, expect } from '@playwright/test';
@@ -154,6 +154,57 @@ test.describe('Dropdown Component @component', () => {
     });
   });
 
+  test.describe('Events', () => {
+    test('cancelling dropdown:beforeopen keeps menu closed', async ({ page }) => {
+      await page.evaluate(() => {
+        document.querySelector('#basic-dropdown')?.addEventListener('dropdown:beforeopen', (e) => e.preventDefault());
+      });
+
+      await page.click('#basic-dropdown .vd-dropdown-toggle');
+
+      await expect(page.locator('#basic-dropdown')).not.toHaveClass(/is-open/);
+      await expect(page.locator('#basic-dropdown .vd-dropdown-toggle')).toHaveAttribute('aria-expanded', 'false');
+    });
+  });
+
+  test.describe('Positioning', () => {
+    test('places the menu below the toggle by default', async ({ page }) => {
+      await page.click('#basic-dropdown .vd-dropdown-toggle');
+
+      const menu = page.locator('#basic-dropdown .vd-dropdown-menu');
+      await expect(menu).toHaveAttribute('data-placement', 'bottom-start');
+    });
+
+    test('flips the menu above the toggle when there is no room below', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const dropdown = document.getElementById('basic-dropdown')!;
+        dropdown.style.position = 'fixed';
+        dropdown.style.bottom = '0';
+        (window as any).VanduoDropdown.open(dropdown);
+        const menu = dropdown.querySelector('.vd-dropdown-menu')!;
+        return {
+          placement: menu.getAttribute('data-placement'),
+          above: menu.getBoundingClientRect().bottom <= dropdown.getBoundingClientRect().top
+        };
+      });
+      expect(result).toEqual({ placement: 'top-start', above: true });
+    });
+
+    test('honors data-dropdown-placement', async ({ page }) => {
+      await page.evaluate(() => {
+        const dropdown = document.getElementById('dropdown-with-disabled')!;
+        dropdown.setAttribute('data-dropdown-placement', 'bottom-end');
+        const Dropdown = (window as any).VanduoDropdown;
+        Dropdown.destroy(dropdown);
+        Dropdown.initDropdown(dropdown);
+        Dropdown.open(dropdown);
+      });
+
+      const menu = page.locator('#dropdown-with-disabled .vd-dropdown-menu');
+      await expect(menu).toHaveAttribute('data-placement', 'bottom-end');
+    });
+  });
+
   test.describe('Programmatic API', () => {
     test('opens programmatically via VanduoDropdown.open()', async ({ page }) => {
       await page.evaluate(() => {
@@ -175,4 +226,122 @@ test.describe('Dropdown Component @component', () => {
       await expect(dropdown).not.toHaveClass(/is-open/);
     });
   });
+
+  test.describe('Submenus', () => {
+    test('ArrowRight opens a submenu and ArrowLeft closes it', async ({ page }) => {
+      await page.click('#toolbar-dropdown .vd-dropdown-toggle');
+      await page.focus('#panels-submenu > .vd-dropdown-item');
+      await page.keyboard.press('ArrowRight');
+
+      const trigger = page.locator('#panels-submenu > .vd-dropdown-item');
+      await expect(page.locator('#panels-submenu')).toHaveClass(/is-open/);
+      await expect(trigger).toHaveAttribute('aria-expanded', 'true');
+      await expect(page.locator('#toolbar-dropdown [data-value="layers"]')).toBeFocused();
+
+      await page.keyboard.press('ArrowLeft');
+      await expect(page.locator('#panels-submenu')).not.toHaveClass(/is-open/);
+      await expect(trigger).toBeFocused();
+      await expect(page.locator('#toolbar-dropdown')).toHaveClass(/is-open/);
+    });
+
+    test('arrow keys stay within the focused submenu', async ({ page }) => {
+      await page.click('#toolbar-dropdown .vd-dropdown-toggle');
+      await page.focus('#panels-submenu > .vd-dropdown-item');
+      await page.keyboard.press('ArrowRight');
+      await page.keyboard.press('ArrowUp');
+
+      await expect(page.locator('#more-submenu > .vd-dropdown-item')).toBeFocused();
+    });
+
+    test('Escape closes only the innermost submenu', async ({ page }) => {
+      await page.click('#toolbar-dropdown .vd-dropdown-toggle');
+      await page.focus('#panels-submenu > .vd-dropdown-item');
+      await page.keyboard.press('ArrowRight');
+      await page.keyboard.press('Escape');
+
+      await expect(page.locator('#panels-submenu')).not.toHaveClass(/is-open/);
+      await expect(page.locator('#toolbar-dropdown')).toHaveClass(/is-open/);
+    });
+
+    test('opens on hover after the intent delay and closes with the dropdown', async ({ page }) => {
+      await page.click('#toolbar-dropdown .vd-dropdown-toggle');
+      await page.hover('#panels-submenu > .vd-dropdown-item');
+
+      const submenu = page.locator('#panels-submenu');
+      expect(await submenu.evaluate(el => el.classList.contains('is-open'))).toBe(false);
+      await expect(submenu).toHaveClass(/is-open/);
+
+      await page.click('#toolbar-dropdown [data-value="history"]');
+      await expect(page.locator('#toolbar-dropdown')).not.toHaveClass(/is-open/);
+      await expect(submenu).not.toHaveClass(/is-open/);
+    });
+
+    test('places the submenu beside its trigger', async ({ page }) => {
+      await page.click('#toolbar-dropdown .vd-dropdown-toggle');
+      await page.click('#panels-submenu > .vd-dropdown-item');
+
+      const submenuMenu = page.locator('#panels-submenu > .vd-dropdown-menu');
+      await expect(submenuMenu).toHaveAttribute('data-placement', /^(right|left)-start$/);
+    });
+  });
+
+  test.describe('Checkable Items', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).selected = [];
+        document.querySelector('#toolbar-dropdown')?.addEventListener('dropdown:select', (e: any) => {
+          (window as any).selected.push({ value: e.detail.value, checked: e.detail.checked });
+        });
+      });
+      await page.click('#toolbar-dropdown .vd-dropdown-toggle');
+    });
+
+    test('checkbox items toggle aria-checked and keep the menu open', async ({ page }) => {
+      const ruler = page.locator('#toolbar-dropdown [data-value="ruler"]');
+      await expect(ruler).toHaveAttribute('aria-checked', 'false');
+
+      await ruler.click();
+      await expect(ruler).toHaveAttribute('aria-checked', 'true');
+      await expect(page.locator('#toolbar-dropdown')).toHaveClass(/is-open/);
+
+      await page.keyboard.press('Space');
+      await expect(ruler).toHaveAttribute('aria-checked', 'false');
+
+      const selected = await page.evaluate(() => (window as any).selected);
+      expect(selected).toEqual([{ value: 'ruler', checked: true }, { value: 'ruler', checked: false }]);
+    });
+
+    test('radio items check one item per group', async ({ page }) => {
+      await page.click('#toolbar-dropdown [data-value="200"]');
+
+      await expect(page.locator('#toolbar-dropdown [data-value="200"]')).toHaveAttribute('aria-checked', 'true');
+      await expect(page.locator('#toolbar-dropdown [data-value="100"]')).toHaveAttribute('aria-checked', 'false');
+      await expect(page.locator('#toolbar-dropdown')).toHaveClass(/is-open/);
+    });
+
+    test('plain items report checked as null', async ({ page }) => {
+      await page.click('#toolbar-dropdown [data-value="fullscreen"]');
+
+      const selected = await page.evaluate(() => (window as any).selected);
+      expect(selected).toEqual([{ value: 'fullscreen', checked: null }]);
+    });
+  });
+
+  test.describe('Typeahead', () => {
+    test('jumps to the next item starting with the typed characters', async ({ page }) => {
+      await page.click('#typeahead-dropdown .vd-dropdown-toggle');
+      await expect(page.locator('#typeahead-dropdown [data-value="apple"]')).toBeFocused();
+
+      await page.keyboard.type('bl');
+      await expect(page.locator('#typeahead-dropdown [data-value="blueberry"]')).toBeFocused();
+    });
+
+    test('repeating a character cycles through matching items', async ({ page }) => {
+      await page.click('#typeahead-dropdown .vd-dropdown-toggle');
+      await expect(page.locator('#typeahead-dropdown [data-value="apple"]')).toBeFocused();
+
+      await page.keyboard.type('cc');
+      await expect(page.locator('#typeahead-dropdown [data-value="cranberry"]')).toBeFocused();
+    });
+  });
 });
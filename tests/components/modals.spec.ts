@@ -2,7 +2,7 @@
  * Modal Component Tests
  * 
  * Tests for js/components/modals.js
- * Covers: initialization, opening, closing, focus management
+ * Covers: initialization, opening, closing, focus management, programmatic dialogs, native <dialog> backend, remote content
  */
 
 import { test, expect } from '@playwright/test';
@@ -131,6 +131,29 @@ test.describe('Modal Component @component', () => {
       const eventFired = await page.evaluate(() => (window as any).modalCloseFired);
       expect(eventFired).toBe(true);
     });
+
+    test('cancelling modal:beforeopen keeps modal closed', async ({ page }) => {
+      await page.evaluate(() => {
+        document.querySelector('#test-modal')?.addEventListener('modal:beforeopen', (e) => e.preventDefault());
+      });
+
+      await page.click('[data-modal="#test-modal"]');
+
+      const modal = page.locator('#test-modal');
+      await expect(modal).not.toHaveClass(/is-open/);
+      await expect(modal).toHaveAttribute('aria-hidden', 'true');
+    });
+
+    test('cancelling modal:beforeclose keeps modal open', async ({ page }) => {
+      await page.evaluate(() => {
+        document.querySelector('#test-modal')?.addEventListener('modal:beforeclose', (e) => e.preventDefault());
+      });
+
+      await page.click('[data-modal="#test-modal"]');
+      await page.keyboard.press('Escape');
+
+      await expect(page.locator('#test-modal')).toHaveClass(/is-open/);
+    });
   });
 
   test.describe('Programmatic API', () => {
@@ -153,5 +176,349 @@ test.describe('Modal Component @component', () => {
       const modal = page.locator('#test-modal');
       await expect(modal).not.toHaveClass(/is-open/);
     });
+
+    test('reads options at init and changes them through configure()', async ({ page }) => {
+      await page.evaluate(() => {
+        document.getElementById('test-modal')!.setAttribute('data-keyboard', 'false');
+        (window as any).VanduoModals.open('#test-modal');
+      });
+      await page.keyboard.press('Escape');
+      await expect(page.locator('#test-modal')).not.toHaveClass(/is-open/);
+
+      await page.evaluate(() => {
+        (window as any).VanduoModals.configure('#test-modal', { keyboard: false });
+        (window as any).VanduoModals.open('#test-modal');
+      });
+      await page.keyboard.press('Escape');
+      await expect(page.locator('#test-modal')).toHaveClass(/is-open/);
+    });
+  });
+
+  test.describe('Programmatic Creation', () => {
+    test('create() builds an initialized modal with escaped content', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Modals = (window as any).VanduoModals;
+        const modal = Modals.create({
+          title: '<b>Title</b>',
+          body: '<img src=x onerror="window.__xss = true">',
+          size: 'lg',
+          footerButtons: [{ label: 'Done', value: 'done', variant: 'primary' }]
+        });
+        return {
+          initialized: Modals.modals.has(modal),
+          title: modal.querySelector('.vd-modal-title').textContent,
+          images: modal.querySelectorAll('img').length,
+          size: modal.classList.contains('vd-modal-lg'),
+          button: modal.querySelector('.vd-modal-footer .vd-btn-primary').textContent
+        };
+      });
+      expect(result).toEqual({ initialized: true, title: '<b>Title</b>', images: 0, size: true, button: 'Done' });
+    });
+
+    test('create({ html: true }) sanitizes the body instead of escaping it', async ({ page }) => {
+      const body = await page.evaluate(() => {
+        const modal = (window as any).VanduoModals.create({
+          title: 'Rich',
+          body: '<strong>Bold</strong><img src=x onerror="window.__xss = true">',
+          html: true
+        });
+        return {
+          strong: modal.querySelector('.vd-modal-body strong')?.textContent,
+          images: modal.querySelectorAll('img').length
+        };
+      });
+      expect(body).toEqual({ strong: 'Bold', images: 0 });
+    });
+
+    test('footer buttons close the modal and report their value', async ({ page }) => {
+      await page.evaluate(() => {
+        const Modals = (window as any).VanduoModals;
+        const modal = Modals.create({ title: 'Pick', footerButtons: [{ label: 'Keep', value: 'keep' }] });
+        modal.id = 'created-modal';
+        modal.addEventListener('modal:close', (e: any) => { (window as any).__result = e.detail.result; });
+        Modals.open(modal);
+      });
+
+      await page.click('#created-modal .vd-modal-footer .vd-btn');
+
+      await expect(page.locator('#created-modal')).not.toHaveClass(/is-open/);
+      expect(await page.evaluate(() => (window as any).__result)).toBe('keep');
+    });
+
+    test('confirm() resolves true when confirmed and removes the modal', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoModals.confirm({ title: 'Delete?', message: 'This cannot be undone.' })
+          .then((value: boolean) => { (window as any).__confirmed = value; });
+      });
+
+      await page.click('.vd-modal-confirm .vd-btn-primary');
+
+      await expect.poll(() => page.evaluate(() => (window as any).__confirmed)).toBe(true);
+      await expect(page.locator('.vd-modal-confirm')).toHaveCount(0);
+    });
+
+    test('confirm() resolves false when dismissed with Escape', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoModals.confirm('Sure?').then((value: boolean) => { (window as any).__confirmed = value; });
+      });
+      await expect(page.locator('.vd-modal-confirm')).toHaveClass(/is-open/);
+
+      await page.keyboard.press('Escape');
+
+      await expect.poll(() => page.evaluate(() => (window as any).__confirmed)).toBe(false);
+    });
+
+    test('confirm() and prompt() settle and clean up when modal:beforeopen is vetoed', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const veto = (e: Event) => e.preventDefault();
+        document.addEventListener('modal:beforeopen', veto);
+        const Modals = (window as any).VanduoModals;
+        const confirmed = await Modals.confirm('Sure?');
+        const entered = await Modals.prompt('Name?');
+        document.removeEventListener('modal:beforeopen', veto);
+        return { confirmed, entered, left: document.querySelectorAll('[data-modal-generated]').length };
+      });
+
+      expect(result).toEqual({ confirmed: false, entered: null, left: 0 });
+    });
+
+    test('alert() resolves once dismissed', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoModals.alert('Saved').then(() => { (window as any).__alerted = true; });
+      });
+
+      await page.click('.vd-modal-alert .vd-btn-primary');
+
+      await expect.poll(() => page.evaluate(() => (window as any).__alerted)).toBe(true);
+    });
+
+    test('prompt() resolves with the entered text on Enter', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoModals.prompt({ title: 'Rename', message: 'New name', value: 'draft' })
+          .then((value: string | null) => { (window as any).__prompted = value; });
+      });
+
+      const input = page.locator('.vd-modal-prompt input');
+      await expect(input).toBeFocused();
+      await input.fill('final');
+      await input.press('Enter');
+
+      await expect.poll(() => page.evaluate(() => (window as any).__prompted)).toBe('final');
+    });
+
+    test('prompt() resolves null when cancelled', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoModals.prompt('Name?').then((value: string | null) => { (window as any).__prompted = value; });
+      });
+
+      await page.click('.vd-modal-prompt .vd-modal-footer .vd-btn-secondary');
+
+      await expect.poll(() => page.evaluate(() => (window as any).__prompted)).toBeNull();
+    });
+  });
+
+  test.describe('Native Dialog Backend', () => {
+    test('opens in the top layer without a generated backdrop', async ({ page }) => {
+      const backdrops = await page.locator('.vd-modal-backdrop').count();
+      await page.click('[data-modal="#native-modal"]');
+
+      const modal = page.locator('#native-modal');
+      await expect(modal).toHaveClass(/is-open/);
+      expect(await modal.evaluate((el: any) => el.open && el.matches(':modal'))).toBe(true);
+      await expect(page.locator('.vd-modal-backdrop')).toHaveCount(backdrops);
+      await expect(page.locator('body')).toHaveClass(/body-modal-open/);
+    });
+
+    test('Escape closes through modal:close unless data-keyboard="false"', async ({ page }) => {
+      await page.evaluate(() => {
+        const modal = document.getElementById('native-modal')!;
+        const Modals = (window as any).VanduoModals;
+        modal.addEventListener('modal:close', () => { (window as any).__closed = ((window as any).__closed || 0) + 1; });
+        // Options are read at init
+        Modals.destroy(modal);
+        modal.setAttribute('data-keyboard', 'false');
+        Modals.initModal(modal);
+        Modals.open(modal);
+      });
+      await page.keyboard.press('Escape');
+      await expect(page.locator('#native-modal')).toHaveClass(/is-open/);
+
+      await page.evaluate(() => (window as any).VanduoModals.configure('#native-modal', { keyboard: true }));
+      await page.keyboard.press('Escape');
+
+      await expect(page.locator('#native-modal')).not.toHaveClass(/is-open/);
+      expect(await page.locator('#native-modal').evaluate((el: any) => el.open)).toBe(false);
+      expect(await page.evaluate(() => (window as any).__closed)).toBe(1);
+    });
+
+    test('repeated Escape presses keep a data-keyboard="false" dialog open', async ({ page }) => {
+      await page.evaluate(() => {
+        const modal = document.getElementById('native-modal')!;
+        const Modals = (window as any).VanduoModals;
+        Modals.destroy(modal);
+        modal.setAttribute('data-keyboard', 'false');
+        Modals.initModal(modal);
+        Modals.open(modal);
+      });
+      await page.keyboard.press('Escape');
+      await page.keyboard.press('Escape');
+
+      await expect(page.locator('#native-modal')).toHaveClass(/is-open/);
+      expect(await page.locator('#native-modal').evaluate((el: any) => el.open)).toBe(true);
+    });
+
+    test('backdrop clicks close unless data-backdrop="static"', async ({ page }) => {
+      await page.evaluate(() => {
+        const modal = document.getElementById('native-modal')!;
+        const Modals = (window as any).VanduoModals;
+        Modals.destroy(modal);
+        modal.setAttribute('data-backdrop', 'static');
+        Modals.initModal(modal);
+        Modals.open(modal);
+      });
+      await page.mouse.click(5, 5);
+      await expect(page.locator('#native-modal')).toHaveClass(/is-open/);
+
+      await page.evaluate(() => (window as any).VanduoModals.configure('#native-modal', { backdrop: true }));
+      await page.mouse.click(5, 5);
+      await expect(page.locator('#native-modal')).not.toHaveClass(/is-open/);
+    });
+
+    test('form method="dialog" closes with the submitter value as result', async ({ page }) => {
+      await page.evaluate(() => {
+        const modal = document.getElementById('native-modal')!;
+        modal.addEventListener('modal:close', (e: any) => { (window as any).__result = e.detail.result; });
+        (window as any).VanduoModals.open(modal);
+      });
+
+      await page.click('#native-modal .native-submit');
+
+      await expect(page.locator('#native-modal')).not.toHaveClass(/is-open/);
+      expect(await page.evaluate(() => (window as any).__result)).toBe('confirm');
+      await expect(page.locator('body')).not.toHaveClass(/body-modal-open/);
+    });
+
+    test('create({ native: true }) renders a <dialog>', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const Modals = (window as any).VanduoModals;
+        const done = Modals.confirm({ message: 'Native?', native: true });
+        const modal = document.querySelector('.vd-modal-confirm') as any;
+        const info = { tag: modal.tagName, open: modal.open };
+        (modal.querySelector('.vd-btn-primary') as HTMLElement).click();
+        return Object.assign(info, { confirmed: await done });
+      });
+      expect(result).toEqual({ tag: 'DIALOG', open: true, confirmed: true });
+    });
+  });
+
+  test.describe('Remote Content', () => {
+    test('shows a spinner, then the sanitized fragment', async ({ page }) => {
+      let release: () => void = () => {};
+      const held = new Promise<void>(resolve => { release = resolve; });
+      await page.route('**/fragments/modal-content.html', async route => {
+        await held;
+        await route.fulfill({ contentType: 'text/html', body: '<b>Loaded</b><img src=x onerror="window.__xss = 1">' });
+      });
+
+      await page.click('[data-modal="#remote-modal"]');
+      const modal = page.locator('#remote-modal');
+      await expect(modal.locator('.vd-modal-loading .vd-spinner')).toBeVisible();
+      await expect(modal).toHaveAttribute('aria-busy', 'true');
+
+      release();
+
+      await expect(modal.locator('.vd-modal-body b')).toHaveText('Loaded');
+      await expect(modal.locator('.vd-modal-body img')).toHaveCount(0);
+      await expect(modal).not.toHaveAttribute('aria-busy', 'true');
+    });
+
+    test('a vetoed open does not keep the trigger\'s fragment for the next open', async ({ page }) => {
+      let calls = 0;
+      await page.route('**/fragments/modal-content.html', route => {
+        calls++;
+        return route.fulfill({ contentType: 'text/html', body: '<b>Loaded</b>' });
+      });
+      await page.evaluate(() => {
+        const modal = document.getElementById('remote-modal')!;
+        const veto = (e: Event) => e.preventDefault();
+        modal.addEventListener('modal:beforeopen', veto, { once: true });
+      });
+
+      await page.click('[data-modal="#remote-modal"]');
+      await expect(page.locator('#remote-modal')).not.toHaveClass(/is-open/);
+
+      await page.evaluate(() => (window as any).VanduoModals.open('#remote-modal'));
+
+      await expect(page.locator('#remote-modal')).toHaveClass(/is-open/);
+      await expect(page.locator('#remote-modal .remote-placeholder')).toHaveText('Placeholder');
+      expect(calls).toBe(0);
+    });
+
+    test('fails the load instead of escaping when sanitizeHtml is missing', async ({ page }) => {
+      await page.route('**/fragments/modal-content.html', route =>
+        route.fulfill({ contentType: 'text/html', body: '<b>Loaded</b>' }));
+      await page.evaluate(() => { (window as any).sanitizeHtml = undefined; });
+
+      await page.click('[data-modal="#remote-modal"]');
+
+      await expect(page.locator('#remote-modal .vd-modal-error')).toBeVisible();
+      await expect(page.locator('#remote-modal .vd-modal-body')).not.toContainText('Loaded');
+    });
+
+    test('shows an error with a working retry button', async ({ page }) => {
+      let calls = 0;
+      await page.route('**/fragments/modal-content.html', route => {
+        calls++;
+        return calls === 1
+          ? route.fulfill({ status: 500, body: 'Oops' })
+          : route.fulfill({ contentType: 'text/html', body: '<p>Second try</p>' });
+      });
+
+      await page.click('[data-modal="#remote-modal"]');
+      const retry = page.locator('#remote-modal .vd-modal-error .vd-modal-retry');
+      await expect(retry).toBeVisible();
+
+      await retry.click();
+
+      await expect(page.locator('#remote-modal .vd-modal-body')).toHaveText('Second try');
+    });
+
+    test('initializes fragment components and cleans them up on close', async ({ page }) => {
+      await page.route('**/fragments/modal-content.html', route =>
+        route.fulfill({ contentType: 'text/html', body: '<button type="button" id="fragment-tip" data-tooltip="Hi">Tip</button>' }));
+      // Trusted markup: sanitize can only be turned off from JS
+      await page.evaluate(() => (window as any).VanduoModals.configure('#remote-modal', { sanitize: false }));
+
+      await page.click('[data-modal="#remote-modal"]');
+      await expect(page.locator('#fragment-tip')).toBeVisible();
+      const initialized = await page.evaluate(() =>
+        (window as any).VanduoTooltips.tooltips.has(document.getElementById('fragment-tip')));
+
+      await page.click('#remote-modal .vd-modal-close');
+
+      const after = await page.evaluate(() => ({
+        tracked: Array.from((window as any).VanduoTooltips.tooltips.keys()).some((el: any) => el.id === 'fragment-tip'),
+        placeholder: document.querySelector('#remote-modal .remote-placeholder') !== null
+      }));
+      expect(initialized).toBe(true);
+      expect(after).toEqual({ tracked: false, placeholder: true });
+    });
+
+    test('reuses cached fragments when the cache option is on', async ({ page }) => {
+      let calls = 0;
+      await page.route('**/fragments/modal-content.html', route => {
+        calls++;
+        return route.fulfill({ contentType: 'text/html', body: '<p>Cached</p>' });
+      });
+      await page.evaluate(() => (window as any).VanduoModals.configure('#remote-modal', { cache: true }));
+
+      for (let i = 0; i < 2; i++) {
+        await page.click('[data-modal="#remote-modal"]');
+        await expect(page.locator('#remote-modal .vd-modal-body')).toHaveText('Cached');
+        await page.click('#remote-modal .vd-modal-close');
+      }
+
+      expect(calls).toBe(1);
+    });
   });
 });
@@ -26,6 +26,23 @@ test.describe('Pagination Component @component', () => {
       expect(count).toBeGreaterThanOrEqual(3);
     });
 
+    test('reads options from data-vd-* attributes', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const ul = document.createElement('ul');
+        ul.className = 'vd-pagination';
+        ul.setAttribute('data-pagination', '');
+        ul.setAttribute('data-vd-options', '{"totalPages": 4}');
+        ul.setAttribute('data-vd-current-page', '3');
+        document.body.appendChild(ul);
+        (window as any).VanduoPagination.init();
+        return {
+          totalPages: ul.dataset.totalPages,
+          active: ul.querySelector('.vd-pagination-item.active')?.getAttribute('data-page')
+        };
+      });
+      expect(result).toEqual({ totalPages: '4', active: '3' });
+    });
+
     test('renders previous button', async ({ page }) => {
       const prevButton = page.locator('#basic-pagination .vd-pagination-prev');
       await expect(prevButton).toHaveCount(1);
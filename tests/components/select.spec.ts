@@ -2,10 +2,11 @@
  * Select Component Tests
  *
  * Tests for js/components/select.js
- * Covers: initialization, custom dropdown, search, keyboard navigation, multi-select
+ * Covers: initialization, custom dropdown, search, keyboard navigation, multi-select, remote options,
+ *   creatable options, virtualized lists, chip mode, rich options
  */
 
-import { test, expect } from '@playwright/test';
+import { test, expect, type Page } from '@playwright/test';
 
 test.describe('Select Component @component', () => {
   test.beforeEach(async ({ page }) => {
@@ -16,7 +17,7 @@ test.describe('Select Component @component', () => {
   test.describe('Initialization', () => {
     test('initializes custom selects', async ({ page }) => {
       const wrappers = page.locator('.custom-select-wrapper');
-      await expect(wrappers).toHaveCount(7);
+      await expect(wrappers).toHaveCount(12);
     });
 
     test('creates custom button for each select', async ({ page }) => {
@@ -241,4 +242,322 @@ test.describe('Select Component @component', () => {
       await expect(parent).toHaveClass(/custom-select-wrapper/);
     });
   });
+
+  test.describe('Keyboard Selection', () => {
+    test('arrow keys highlight options via aria-activedescendant', async ({ page }) => {
+      const button = page.locator('#basic-select').locator('..').locator('.custom-select-button');
+      await button.focus();
+      await page.keyboard.press('ArrowDown');
+      await page.keyboard.press('ArrowDown');
+
+      const active = page.locator('#basic-select').locator('..').locator('.custom-select-option.is-active');
+      await expect(active).toHaveText('Option 1');
+      const activeId = await active.getAttribute('id');
+      await expect(button).toHaveAttribute('aria-activedescendant', activeId as string);
+    });
+
+    test('Enter selects the highlighted option', async ({ page }) => {
+      const button = page.locator('#basic-select').locator('..').locator('.custom-select-button');
+      await button.focus();
+      await page.keyboard.press('ArrowDown');
+      await page.keyboard.press('ArrowDown');
+      await page.keyboard.press('ArrowDown');
+      await page.keyboard.press('Enter');
+
+      await expect(page.locator('#basic-select')).toHaveValue('2');
+      await expect(button).toHaveText('Option 2');
+    });
+  });
+
+  test.describe('Remote Options', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.route('**/api/fruits*', async (route) => {
+        const query = new URL(route.request().url()).searchParams.get('q') || '';
+        const fruits = ['Apple', 'Apricot', 'Banana', 'Cherry']
+          .filter(name => name.toLowerCase().includes(query.toLowerCase()))
+          .map(name => ({ value: name.toLowerCase(), label: name }));
+        await route.fulfill({ json: fruits });
+      });
+    });
+
+    test('loads options from the URL template on open', async ({ page }) => {
+      const wrapper = page.locator('#remote-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+
+      await expect(wrapper.locator('.custom-select-option')).toHaveCount(4);
+    });
+
+    test('loads options for the search term and selects a result', async ({ page }) => {
+      const wrapper = page.locator('#remote-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      await wrapper.locator('.custom-select-search input').fill('ap');
+
+      await expect(wrapper.locator('.custom-select-option')).toHaveText(['Apple', 'Apricot']);
+
+      await wrapper.locator('.custom-select-option', { hasText: 'Apricot' }).click();
+      await expect(page.locator('#remote-select')).toHaveValue('apricot');
+      await expect(wrapper.locator('.custom-select-button')).toHaveText('Apricot');
+    });
+
+    test('shows a loading state while the request is pending', async ({ page }) => {
+      const loaded = await page.evaluate(async () => {
+        const select = document.getElementById('remote-select') as HTMLSelectElement;
+        const api = (window as any).VanduoSelect;
+        let finish: (value: unknown) => void = () => {};
+        api.configure(select, {
+          loadOptions: () => new Promise(resolve => { finish = resolve; })
+        });
+        api.openDropdown(select);
+
+        const dropdown = select.parentElement!.querySelector('.custom-select-dropdown')!;
+        const busy = dropdown.classList.contains('is-loading') && dropdown.getAttribute('aria-busy') === 'true';
+        finish([{ value: 'kiwi', label: 'Kiwi' }]);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return {
+          busy,
+          done: !dropdown.classList.contains('is-loading'),
+          count: dropdown.querySelectorAll('.custom-select-option').length
+        };
+      });
+
+      expect(loaded).toEqual({ busy: true, done: true, count: 1 });
+    });
+
+    test('shows an error message when loading fails', async ({ page }) => {
+      await page.unroute('**/api/fruits*');
+      await page.route('**/api/fruits*', route => route.fulfill({ status: 500, body: '' }));
+
+      const wrapper = page.locator('#remote-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+
+      await expect(wrapper.locator('.custom-select-status')).toHaveText('Could not load options');
+    });
+  });
+
+  test.describe('Creatable Options', () => {
+    test('offers to create an option for unmatched text', async ({ page }) => {
+      const wrapper = page.locator('#creatable-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      await wrapper.locator('.custom-select-search input').fill('Research');
+
+      await expect(wrapper.locator('.custom-select-create')).toHaveText('Create "Research"');
+    });
+
+    test('creating adds and selects a native option', async ({ page }) => {
+      await page.evaluate(() => {
+        document.getElementById('creatable-select')!.addEventListener('select:create', (e) => {
+          (window as any).__created = (e as CustomEvent).detail.value;
+        });
+      });
+
+      const wrapper = page.locator('#creatable-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      const search = wrapper.locator('.custom-select-search input');
+      await search.fill('Research');
+      await expect(wrapper.locator('.custom-select-create')).toHaveClass(/is-active/);
+      await search.press('Enter');
+
+      expect(await page.evaluate(() => (window as any).__created)).toBe('Research');
+      const selected = await page.locator('#creatable-select').evaluate(
+        (select: HTMLSelectElement) => Array.from(select.selectedOptions).map(option => option.value)
+      );
+      expect(selected).toEqual(['Research']);
+    });
+
+    test('does not offer existing options', async ({ page }) => {
+      const wrapper = page.locator('#creatable-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      await wrapper.locator('.custom-select-search input').fill('design');
+
+      await expect(wrapper.locator('.custom-select-create')).toHaveCount(0);
+      await expect(wrapper.locator('.custom-select-option')).toHaveText(['Design']);
+    });
+  });
+
+  test.describe('Virtualized Lists', () => {
+    test('renders only the visible rows of a long list', async ({ page }) => {
+      const wrapper = page.locator('#large-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+
+      await expect(wrapper.locator('.custom-select-options')).toHaveClass(/is-virtual/);
+      const rows = await wrapper.locator('.custom-select-option').count();
+      expect(rows).toBeGreaterThan(0);
+      expect(rows).toBeLessThan(50);
+    });
+
+    test('renders rows that scroll into view', async ({ page }) => {
+      const wrapper = page.locator('#large-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      await wrapper.locator('.custom-select-dropdown').evaluate(el => { el.scrollTop = el.scrollHeight; });
+
+      await expect(wrapper.locator('.custom-select-option', { hasText: 'Item 10000' })).toBeVisible();
+    });
+
+    test('End key highlights the last option', async ({ page }) => {
+      const wrapper = page.locator('#large-select').locator('..');
+      const button = wrapper.locator('.custom-select-button');
+      await button.click();
+      await button.focus();
+      await page.keyboard.press('End');
+
+      await expect(wrapper.locator('.custom-select-option.is-active')).toHaveText('Item 10000');
+    });
+
+    test('search filters the full list', async ({ page }) => {
+      const wrapper = page.locator('#large-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      await wrapper.locator('.custom-select-search input').fill('Item 9999');
+
+      await expect(wrapper.locator('.custom-select-option')).toHaveText(['Item 9999']);
+    });
+  });
+
+  test.describe('Chip Mode', () => {
+    const chipValues = (page: Page) => page.locator('#chips-select').locator('..').locator('.custom-select-chip')
+      .evaluateAll(chips => chips.map(chip => (chip as HTMLElement).dataset.value));
+    const selectedValues = (page: Page) => page.locator('#chips-select').evaluate(
+      (select: HTMLSelectElement) => Array.from(select.selectedOptions).map(option => option.value)
+    );
+
+    test('renders a chip for each selected option', async ({ page }) => {
+      const wrapper = page.locator('#chips-select').locator('..');
+      await expect(wrapper.locator('.custom-select-chip')).toHaveText(['HTML', 'CSS']);
+      await expect(wrapper.locator('.custom-select-chips')).toHaveAttribute('role', 'list');
+    });
+
+    test('remove button deselects the option', async ({ page }) => {
+      const wrapper = page.locator('#chips-select').locator('..');
+      await wrapper.getByRole('button', { name: 'Remove HTML' }).click();
+
+      expect(await selectedValues(page)).toEqual(['css']);
+      expect(await chipValues(page)).toEqual(['css']);
+    });
+
+    test('Backspace on the button removes the last chip', async ({ page }) => {
+      const button = page.locator('#chips-select').locator('..').locator('.custom-select-button');
+      await button.focus();
+      await page.keyboard.press('Backspace');
+
+      expect(await selectedValues(page)).toEqual(['html']);
+      await expect(button).toBeFocused();
+    });
+
+    test('chips stay in sync with the native select', async ({ page }) => {
+      await page.locator('#chips-select').evaluate((select: HTMLSelectElement) => {
+        select.options[4].selected = true;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+
+      expect(await chipValues(page)).toEqual(['html', 'css', 'go']);
+    });
+
+    test('data-max-selected blocks further selections with feedback', async ({ page }) => {
+      const wrapper = page.locator('#chips-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      await wrapper.locator('.custom-select-option', { hasText: 'JavaScript' }).click();
+
+      await expect(wrapper).toHaveClass(/is-limit-reached/);
+      await expect(wrapper.locator('.custom-select-status')).toHaveText('You can select up to 3 options');
+      const go = wrapper.locator('.custom-select-option', { hasText: 'Go' });
+      await expect(go).toHaveAttribute('aria-disabled', 'true');
+
+      await go.click();
+      expect(await selectedValues(page)).toEqual(['html', 'css', 'js']);
+    });
+
+    test('select all respects the limit and clear all empties the selection', async ({ page }) => {
+      const wrapper = page.locator('#chips-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+
+      await wrapper.getByRole('button', { name: 'Clear all' }).click();
+      expect(await selectedValues(page)).toEqual([]);
+      await expect(wrapper.locator('.custom-select-chip')).toHaveCount(0);
+
+      await wrapper.getByRole('button', { name: 'Select all' }).click();
+      expect(await selectedValues(page)).toEqual(['html', 'css', 'js']);
+    });
+
+    test('Alt+ArrowLeft moves a chip and reorders the options', async ({ page }) => {
+      const wrapper = page.locator('#chips-select').locator('..');
+      await wrapper.getByRole('button', { name: 'Remove CSS' }).focus();
+      await page.keyboard.press('Alt+ArrowLeft');
+
+      expect(await chipValues(page)).toEqual(['css', 'html']);
+      expect(await selectedValues(page)).toEqual(['css', 'html']);
+      await expect(wrapper.getByRole('button', { name: 'Remove CSS' })).toBeFocused();
+    });
+
+    test('dragging a chip reorders the options', async ({ page }) => {
+      const wrapper = page.locator('#chips-select').locator('..');
+      await wrapper.locator('.custom-select-chip', { hasText: 'CSS' })
+        .dragTo(wrapper.locator('.custom-select-chip', { hasText: 'HTML' }), { targetPosition: { x: 2, y: 2 } });
+
+      expect(await selectedValues(page)).toEqual(['css', 'html']);
+    });
+  });
+
+  test.describe('Rich Options', () => {
+    test('renders avatar, icon, description and badge', async ({ page }) => {
+      const wrapper = page.locator('#rich-select').locator('..');
+      const ada = wrapper.locator('.custom-select-option[data-value="ada"]');
+
+      await expect(ada).toHaveClass(/custom-select-option-rich/);
+      await expect(ada.locator('.vd-avatar img')).toHaveCount(1);
+      await expect(ada.locator('.custom-select-option-description')).toHaveText('Platform team');
+      await expect(ada.locator('.vd-badge')).toHaveText('Lead');
+      await expect(wrapper.locator('.custom-select-option[data-value="grace"] i.ph.ph-user')).toHaveCount(1);
+    });
+
+    test('options without rich data stay plain', async ({ page }) => {
+      const option = page.locator('#basic-select').locator('..').locator('.custom-select-option').nth(1);
+      await expect(option).not.toHaveClass(/custom-select-option-rich/);
+    });
+
+    test('search also matches descriptions', async ({ page }) => {
+      const wrapper = page.locator('#rich-select').locator('..');
+      await wrapper.locator('.custom-select-button').click();
+      await wrapper.locator('.custom-select-search input').fill('compil');
+
+      await expect(wrapper.locator('.custom-select-option-label')).toHaveText(['Grace Hopper']);
+    });
+
+    test('button shows a compact version of the selection', async ({ page }) => {
+      const wrapper = page.locator('#rich-select').locator('..');
+      const button = wrapper.locator('.custom-select-button');
+      await button.click();
+      await wrapper.locator('.custom-select-option[data-value="grace"]').click();
+
+      await expect(button).toHaveText('Grace Hopper');
+      await expect(button.locator('i.ph-user')).toHaveCount(1);
+      await expect(button.locator('.custom-select-option-description')).toHaveCount(0);
+    });
+
+    test('renderOption hook replaces the row content', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoSelect.configure('#rich-select', {
+          renderOption: (option: { label: string; description: string }) => {
+            const row = document.createElement('strong');
+            row.className = 'custom-row';
+            row.textContent = option.label + (option.description ? ' - ' + option.description : '');
+            return row;
+          }
+        });
+      });
+
+      const rows = page.locator('#rich-select').locator('..').locator('.custom-row');
+      await expect(rows).toHaveText(['Assign to...', 'Ada Lovelace - Platform team', 'Grace Hopper - Compilers', 'Alan Turing']);
+    });
+
+    test('renderOption strings are sanitized', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoSelect.configure('#rich-select', {
+          renderOption: (option: { label: string }) => `<b>${option.label}</b><img src="x" onerror="window.__xss = true">`
+        });
+      });
+
+      const wrapper = page.locator('#rich-select').locator('..');
+      await expect(wrapper.locator('.custom-select-option b')).toHaveText(['Assign to...', 'Ada Lovelace', 'Grace Hopper', 'Alan Turing']);
+      await expect(wrapper.locator('.custom-select-option img')).toHaveCount(0);
+    });
+  });
 });
\ No newline at end of file
@@ -2,7 +2,7 @@
  * Sidenav Component Tests
  *
  * Tests for js/components/sidenav.js
- * Covers: initialization, drawer open/close, overlay, push variant, keyboard navigation
+ * Covers: initialization, drawer open/close, overlay, push variant, keyboard navigation, swipe gestures
  */
 
 import { test, expect } from '@playwright/test';
@@ -201,6 +201,17 @@ test.describe('Sidenav Component @component', () => {
       const eventFired = await page.evaluate(() => (window as any).closeEventFired);
       expect(eventFired).toBe(true);
     });
+
+    test('cancelling sidenav:beforeclose keeps sidenav open', async ({ page }) => {
+      await page.evaluate(() => {
+        document.addEventListener('sidenav:beforeclose', (e) => e.preventDefault());
+      });
+
+      await page.locator('[data-sidenav-toggle="#basic-sidenav"]').click();
+      await page.locator('#basic-sidenav .vd-sidenav-close').click();
+
+      await expect(page.locator('#basic-sidenav')).toHaveClass(/is-open/);
+    });
   });
 
   test.describe('Programmatic API', () => {
@@ -291,4 +302,66 @@ test.describe('Sidenav Component @component', () => {
       expect(hasHandler).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  test.describe('Swipe Gestures', () => {
+    // Touch pointer sequence along the x axis, dispatched directly; 'page'
+    // starts it on the page content, as edge swipes do
+    const swipe = (page: any, selector: string, from: number, to: number) => page.evaluate(
+      async ({ selector, from, to }: { selector: string; from: number; to: number }) => {
+        const target = (selector === 'page' ? document.body : document.querySelector(selector)) as HTMLElement;
+        const init = (x: number) => ({
+          bubbles: true, cancelable: true, isPrimary: true, pointerId: 1, pointerType: 'touch', clientX: x, clientY: 300
+        });
+        target.dispatchEvent(new PointerEvent('pointerdown', init(from)));
+        for (let i = 1; i <= 5; i++) {
+          await new Promise(resolve => setTimeout(resolve, 16));
+          document.dispatchEvent(new PointerEvent('pointermove', init(from + ((to - from) * i) / 5)));
+        }
+        document.dispatchEvent(new PointerEvent('pointerup', init(to)));
+      },
+      { selector, from, to }
+    );
+
+    test('does not cover the page edge with a swipe area', async ({ page }) => {
+      await expect(page.locator('.vd-sidenav-edge')).toHaveCount(0);
+    });
+
+    test('swiping in from the edge opens a drawer sidenav', async ({ page }) => {
+      await swipe(page, 'page', 5, 200);
+      await expect(page.locator('#basic-sidenav')).toHaveClass(/is-open/);
+    });
+
+    test('only the first sidenav on an edge opens from a swipe', async ({ page }) => {
+      await swipe(page, 'page', 5, 200);
+      await expect(page.locator('#basic-sidenav')).toHaveClass(/is-open/);
+      await expect(page.locator('#static-sidenav')).not.toHaveClass(/is-open/);
+      await expect(page.locator('#no-keyboard-sidenav')).not.toHaveClass(/is-open/);
+    });
+
+    test('swipes that start away from the edge are ignored', async ({ page }) => {
+      await swipe(page, 'page', 100, 300);
+      await expect(page.locator('#basic-sidenav')).not.toHaveClass(/is-open/);
+    });
+
+    test('sidenavs with data-vd-edge-swipe="false" do not open from the edge', async ({ page }) => {
+      const width = await page.evaluate(() => window.innerWidth);
+      await swipe(page, 'page', width - 5, width - 200);
+      await expect(page.locator('#right-sidenav')).not.toHaveClass(/is-open/);
+    });
+
+    test('dragging an open sidenav closes it', async ({ page }) => {
+      await page.evaluate(() => (window as any).VanduoSidenav.open('#basic-sidenav'));
+      await swipe(page, '#basic-sidenav', 200, 20);
+      await expect(page.locator('#basic-sidenav')).not.toHaveClass(/is-open/);
+    });
+
+    test('a short drag snaps back open', async ({ page }) => {
+      await page.evaluate(() => (window as any).VanduoSidenav.open('#basic-sidenav'));
+      await swipe(page, '#basic-sidenav', 200, 185);
+
+      const sidenav = page.locator('#basic-sidenav');
+      await expect(sidenav).toHaveClass(/is-open/);
+      expect(await sidenav.evaluate((el: HTMLElement) => el.style.transform)).toBe('');
+    });
+  });
+});
@@ -2,10 +2,11 @@
  * Tabs Component Tests
  *
  * Tests for js/components/tabs.js
- * Covers: initialization, tab switching, keyboard navigation, programmatic API
+ * Covers: initialization, tab switching, keyboard navigation, programmatic API, URL history, nested tabs,
+ *         closable/reorderable/lazy tabs, overflow menu
  */
 
-import { test, expect } from '@playwright/test';
+import { test, expect, type Page } from '@playwright/test';
 
 test.describe('Tabs Component @component', () => {
   test.beforeEach(async ({ page }) => {
@@ -78,6 +79,24 @@ test.describe('Tabs Component @component', () => {
       expect(eventDetail).toBeTruthy();
       expect(eventDetail.tabId).toBe('tab2');
     });
+
+    test('cancelling tab:beforechange keeps current tab active', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).beforeChangeTabId = null;
+        document.querySelector('#basic-tabs')?.addEventListener('tab:beforechange', (e: any) => {
+          (window as any).beforeChangeTabId = e.detail.tabId;
+          e.preventDefault();
+        });
+      });
+
+      const firstTab = page.locator('#basic-tabs .vd-tab-link').first();
+      const secondTab = page.locator('#basic-tabs .vd-tab-link').nth(1);
+      await secondTab.click();
+
+      await expect(firstTab).toHaveClass(/is-active/);
+      await expect(secondTab).not.toHaveClass(/is-active/);
+      expect(await page.evaluate(() => (window as any).beforeChangeTabId)).toBe('tab2');
+    });
   });
 
   test.describe('Keyboard Navigation', () => {
@@ -202,4 +221,257 @@ test.describe('Tabs Component @component', () => {
       await expect(thirdPane).toHaveClass(/is-active/);
     });
   });
+
+  test.describe('URL History', () => {
+    const tab = (page: Page, id: string) => page.locator(`.vd-tab-link[data-tab="${id}"]`);
+
+    test('writes the active tab to the hash', async ({ page }) => {
+      await tab(page, 'settings').click();
+
+      await expect(page).toHaveURL(/tabs\.html#settings$/);
+    });
+
+    test('restores the tab named by the hash on load', async ({ page }) => {
+      await page.goto('/tests/fixtures/tabs.html#billing');
+
+      await expect(tab(page, 'settings')).toHaveClass(/is-active/);
+      await expect(tab(page, 'billing')).toHaveClass(/is-active/);
+      await expect(page.locator('[data-tab-pane="billing"]')).toBeVisible();
+    });
+
+    test('back and forward switch tabs', async ({ page }) => {
+      await tab(page, 'settings').click();
+      await tab(page, 'billing').click();
+      await expect(page).toHaveURL(/#billing$/);
+
+      await page.goBack();
+      await expect(page).toHaveURL(/#settings$/);
+      await expect(tab(page, 'settings')).toHaveClass(/is-active/);
+
+      await page.goBack();
+      await expect(tab(page, 'profile')).toHaveClass(/is-active/);
+
+      await page.goForward();
+      await expect(tab(page, 'settings')).toHaveClass(/is-active/);
+    });
+
+    test('going back fires tab:change once', async ({ page }) => {
+      await tab(page, 'settings').click();
+      await expect(page).toHaveURL(/#settings$/);
+      await page.evaluate(() => {
+        (window as any).__changes = 0;
+        document.getElementById('account-tabs')!.addEventListener('tab:change', (e) => {
+          if (e.target === e.currentTarget) (window as any).__changes++;
+        });
+      });
+
+      await page.goBack();
+      await expect(tab(page, 'profile')).toHaveClass(/is-active/);
+      await page.waitForTimeout(100);
+
+      expect(await page.evaluate(() => (window as any).__changes)).toBe(1);
+    });
+
+    test('hashchange activates the named tab', async ({ page }) => {
+      await page.evaluate(() => { window.location.hash = 'billing'; });
+
+      await expect(tab(page, 'billing')).toHaveClass(/is-active/);
+      await expect(tab(page, 'settings')).toHaveClass(/is-active/);
+    });
+
+    test('hashes that name no tab are ignored', async ({ page }) => {
+      await page.goto('/tests/fixtures/tabs.html#nothing');
+
+      await expect(tab(page, 'profile')).toHaveClass(/is-active/);
+      await expect(tab(page, 'general')).toHaveClass(/is-active/);
+    });
+
+    test('query mode writes and restores its parameter', async ({ page }) => {
+      await tab(page, 'details').click();
+      await expect(page).toHaveURL(/\?view=details/);
+
+      await page.goto('/tests/fixtures/tabs.html?view=details');
+      await expect(tab(page, 'details')).toHaveClass(/is-active/);
+      await expect(page.locator('[data-tab-pane="details"]')).toBeVisible();
+    });
+
+    test('tabs without data-tabs-history leave the URL alone', async ({ page }) => {
+      await page.locator('#basic-tabs .vd-tab-link').nth(1).click();
+
+      await expect(page).toHaveURL(/tabs\.html$/);
+    });
+  });
+
+  test.describe('Nested Tabs', () => {
+    test('outer tabs do not claim the nested tab set', async ({ page }) => {
+      await page.locator('.vd-tab-link[data-tab="settings"]').click();
+      await page.locator('.vd-tab-link[data-tab="billing"]').click();
+      await page.locator('.vd-tab-link[data-tab="profile"]').click();
+      await page.locator('.vd-tab-link[data-tab="settings"]').click();
+
+      await expect(page.locator('.vd-tab-link[data-tab="billing"]')).toHaveClass(/is-active/);
+      await expect(page.locator('[data-tab-pane="billing"]')).toHaveClass(/is-active/);
+    });
+
+    test('arrow keys stay within one tab set', async ({ page }) => {
+      await page.locator('.vd-tab-link[data-tab="settings"]').click();
+      await page.locator('.vd-tab-link[data-tab="settings"]').press('ArrowRight');
+
+      await expect(page.locator('.vd-tab-link[data-tab="profile"]')).toHaveClass(/is-active/);
+      await expect(page.locator('.vd-tab-link[data-tab="general"]')).toHaveClass(/is-active/);
+    });
+  });
+
+  test.describe('Dynamic Tabs', () => {
+    const tab = (page: Page, id: string) => page.locator(`#workspace-tabs .vd-tab-link[data-tab="${id}"]`);
+
+    test('close button removes the tab and activates its neighbour', async ({ page }) => {
+      await tab(page, 'users').click();
+      await page.locator('#workspace-tabs .vd-tab-item:has([data-tab="users"]) .vd-tab-close').click();
+
+      await expect(tab(page, 'users')).toHaveCount(0);
+      await expect(page.locator('[data-tab-pane="users"]')).toHaveCount(0);
+      await expect(tab(page, 'logs')).toHaveClass(/is-active/);
+    });
+
+    test('Delete closes the focused tab unless it is pinned', async ({ page }) => {
+      await tab(page, 'users').click();
+      await tab(page, 'users').press('Delete');
+      await expect(tab(page, 'users')).toHaveCount(0);
+      await expect(tab(page, 'logs')).toBeFocused();
+
+      await tab(page, 'dashboard').click();
+      await tab(page, 'dashboard').press('Delete');
+      await expect(tab(page, 'dashboard')).toHaveCount(1);
+    });
+
+    test('tab:beforeclose can keep a tab open', async ({ page }) => {
+      await page.evaluate(() => {
+        document.getElementById('workspace-tabs')!.addEventListener('tab:beforeclose', (e) => e.preventDefault());
+      });
+      await tab(page, 'users').click();
+      await tab(page, 'users').press('Delete');
+
+      await expect(tab(page, 'users')).toHaveCount(1);
+    });
+
+    test('Alt+Arrow reorders tabs', async ({ page }) => {
+      const order = page.evaluate(() => new Promise(resolve => {
+        document.getElementById('workspace-tabs')!.addEventListener('tab:reorder', (e) => resolve((e as CustomEvent).detail.order));
+      }));
+      await tab(page, 'users').click();
+      await tab(page, 'users').press('Alt+ArrowLeft');
+
+      expect(await order).toEqual(['users', 'dashboard', 'logs', 'reports', 'audit', 'exports']);
+      await expect(tab(page, 'users')).toBeFocused();
+    });
+
+    test('lazy panes load on first activation', async ({ page }) => {
+      let requests = 0;
+      await page.route('**/fragments/tab-logs.html', route => {
+        requests++;
+        return route.fulfill({ contentType: 'text/html', body: '<p>Log entries</p>' });
+      });
+
+      await tab(page, 'logs').click();
+      await expect(page.locator('[data-tab-pane="logs"]')).toHaveText('Log entries');
+
+      await tab(page, 'users').click();
+      await tab(page, 'logs').click();
+      expect(requests).toBe(1);
+    });
+
+    test('lazy panes fail instead of escaping when sanitizeHtml is missing', async ({ page }) => {
+      await page.route('**/fragments/tab-logs.html', route =>
+        route.fulfill({ contentType: 'text/html', body: '<b>Log entries</b>' }));
+      await page.evaluate(() => { (window as any).sanitizeHtml = undefined; });
+
+      await tab(page, 'logs').click();
+
+      const pane = page.locator('[data-tab-pane="logs"]');
+      await expect(pane.locator('.vd-tab-error')).toBeVisible();
+      await expect(pane).not.toContainText('Log entries');
+    });
+
+    test('failed lazy panes offer a retry', async ({ page }) => {
+      let fail = true;
+      await page.route('**/fragments/tab-logs.html', route => (fail
+        ? route.fulfill({ status: 500, body: '' })
+        : route.fulfill({ contentType: 'text/html', body: '<p>Log entries</p>' })));
+
+      await tab(page, 'logs').click();
+      const pane = page.locator('[data-tab-pane="logs"]');
+      await expect(pane.locator('.vd-tab-error')).toBeVisible();
+
+      fail = false;
+      await pane.locator('.vd-tab-retry').click();
+      await expect(pane).toHaveText('Log entries');
+    });
+
+    test('add() and remove() manage tabs programmatically', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoTabs.add('#workspace-tabs', { id: 'invoice-42', label: 'Invoice #42', content: 'Invoice details', closable: true });
+      });
+      await expect(tab(page, 'invoice-42')).toHaveClass(/is-active/);
+      await expect(page.locator('[data-tab-pane="invoice-42"]')).toHaveText('Invoice details');
+      await expect(page.locator('#workspace-tabs .vd-tab-item:has([data-tab="invoice-42"]) .vd-tab-close')).toHaveCount(1);
+
+      await page.evaluate(() => (window as any).VanduoTabs.remove('#workspace-tabs', 'invoice-42'));
+      await expect(tab(page, 'invoice-42')).toHaveCount(0);
+      await expect(page.locator('#workspace-tabs .vd-tab-link.is-active')).toHaveCount(1);
+    });
+
+    test('add() accepts ids that are not CSS identifiers', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoTabs.add('#workspace-tabs', { id: 1, label: 'First', content: 'Numeric id' });
+        (window as any).VanduoTabs.add('#workspace-tabs', { id: 'tab 2', label: 'Second', content: 'Spaced id' });
+      });
+
+      await expect(tab(page, 'tab 2')).toHaveClass(/is-active/);
+      await page.evaluate(() => (window as any).VanduoTabs.show('1'));
+      await expect(tab(page, '1')).toHaveClass(/is-active/);
+      await expect(page.locator('[data-tab-pane="1"]')).toHaveText('Numeric id');
+    });
+
+    test('remove() keeps the active tab when tab:beforechange vetoes the hand-off', async ({ page }) => {
+      await tab(page, 'users').click();
+      const removed = await page.evaluate(() => {
+        const container = document.getElementById('workspace-tabs')!;
+        container.addEventListener('tab:beforechange', (e) => e.preventDefault(), { once: true });
+        return (window as any).VanduoTabs.remove(container, 'users');
+      });
+
+      expect(removed).toBe(false);
+      await expect(tab(page, 'users')).toHaveClass(/is-active/);
+      await expect(page.locator('[data-tab-pane="users"]')).toHaveClass(/is-active/);
+    });
+
+    test('add({ html: true }) sanitizes pane content instead of escaping it', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoTabs.add('#workspace-tabs', {
+          id: 'notes',
+          content: '<strong>Pinned</strong><img src=x onerror="window.__xss = true">',
+          html: true
+        });
+      });
+      const pane = page.locator('[data-tab-pane="notes"]');
+      await expect(pane.locator('strong')).toHaveText('Pinned');
+      await expect(pane.locator('img')).toHaveCount(0);
+    });
+
+    test('tabs that do not fit move into the more menu', async ({ page }) => {
+      const more = page.locator('#workspace-tabs .vd-tab-more');
+      await expect(more).toBeVisible();
+      await expect(page.locator('#workspace-tabs .vd-tab-list')).toHaveCSS('flex-wrap', 'nowrap');
+
+      await more.locator('.vd-tab-more-toggle').click();
+      const item = more.locator('.vd-tab-more-item[data-tab-target="exports"]');
+      await expect(item).toBeVisible();
+      await item.click();
+
+      await expect(tab(page, 'exports')).toHaveClass(/is-active/);
+      await expect(tab(page, 'exports')).toBeVisible();
+      await expect(more.locator('.vd-tab-more-menu')).toBeHidden();
+    });
+  });
 });
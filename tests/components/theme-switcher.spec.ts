@@ -118,6 +118,20 @@ test.describe('Theme Switcher Component @component', () => {
       const selectValue = await page.locator('#theme-select').inputValue();
       expect(selectValue).toBe('dark');
     });
+
+    test('uses the storage prefix set via Vanduo.configure()', async ({ page }) => {
+      const stored = await page.evaluate(() => {
+        const w = window as any;
+        w.Vanduo.configure({ storagePrefix: 'myapp-' });
+        const switcher = w.Vanduo.components.themeSwitcher;
+        switcher.init();
+        switcher.setPreference('dark');
+        const result = localStorage.getItem('myapp-theme-preference');
+        localStorage.removeItem('myapp-theme-preference');
+        return result;
+      });
+      expect(stored).toBe('dark');
+    });
   });
 
   test.describe('UI Updates', () => {
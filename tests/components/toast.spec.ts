@@ -2,7 +2,7 @@
  * Toast Component Tests
  *
  * Tests for js/components/toast.js
- * Covers: show, dismiss, types, events, programmatic API
+ * Covers: show, dismiss, types, events, programmatic API, queue, dedupe, update, promise, actions, swipe
  */
 
 import { test, expect } from '@playwright/test';
@@ -123,6 +123,37 @@ test.describe('Toast Component @component', () => {
       const eventDetail = await page.evaluate(() => (window as any).toastDismissEvent);
       expect(eventDetail).toBeTruthy();
     });
+
+    test('cancelling toast:beforedismiss keeps the toast', async ({ page }) => {
+      await page.evaluate(() => {
+        document.addEventListener('toast:beforedismiss', (e) => e.preventDefault());
+      });
+
+      await page.click('#show-toast');
+      await page.click('.vd-toast-close');
+
+      const toast = page.locator('.vd-toast').first();
+      await expect(toast).toBeVisible();
+      await expect(toast).not.toHaveClass(/is-exiting/);
+    });
+
+    test('cancelling an auto-dismiss restarts the timer', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).__vetoes = 0;
+        document.addEventListener('toast:beforedismiss', (e) => {
+          if ((window as any).__vetoes++ === 0) e.preventDefault();
+        });
+        (window as any).Toast.show({ message: 'Vetoed once', duration: 300, pauseOnHover: false });
+      });
+
+      const toast = page.locator('.vd-toast').first();
+      await expect.poll(() => page.evaluate(() => (window as any).__vetoes)).toBe(1);
+      await expect(toast).not.toHaveClass(/is-exiting/);
+
+      // The second expiry is not vetoed, so the toast goes away
+      await expect.poll(() => page.evaluate(() => (window as any).__vetoes)).toBe(2);
+      await expect(toast).toHaveCount(0);
+    });
   });
 
   test.describe('Programmatic API', () => {
@@ -218,4 +249,148 @@ test.describe('Toast Component @component', () => {
       await expect(container).toBeVisible();
     });
   });
+
+  test.describe('Queue and Dedupe', () => {
+    test('queues toasts beyond maxVisible behind a "+N more" stack', async ({ page }) => {
+      await page.evaluate(() => {
+        ['One', 'Two', 'Three', 'Four'].forEach(message => {
+          (window as any).Toast.show({ message, maxVisible: 2, duration: 0 });
+        });
+      });
+
+      const container = page.locator('.vd-toast-container-top-right');
+      await expect(container.locator('.vd-toast')).toHaveCount(2);
+      await expect(container.locator('.vd-toast-more')).toHaveText('+2 more');
+
+      await container.locator('.vd-toast').first().locator('.vd-toast-close').click();
+
+      await expect(container.locator('.vd-toast-message')).toHaveText(['Two', 'Three']);
+      await expect(container.locator('.vd-toast-more')).toHaveText('+1 more');
+    });
+
+    test('toasts with the same key bump a counter instead of duplicating', async ({ page }) => {
+      const same = await page.evaluate(() => {
+        const Toast = (window as any).Toast;
+        const first = Toast.error('Poll failed', { key: 'poll' });
+        Toast.error('Poll failed', { key: 'poll' });
+        return Toast.error('Poll failed', { id: 'poll' }) === first;
+      });
+
+      expect(same).toBe(true);
+      await expect(page.locator('.vd-toast')).toHaveCount(1);
+      await expect(page.locator('.vd-toast-count')).toHaveText('×3');
+    });
+
+    test('update() changes message and type in place', async ({ page }) => {
+      await page.evaluate(() => {
+        const Toast = (window as any).Toast;
+        const toast = Toast.info('Uploading...', { duration: 0 });
+        Toast.update(toast, { message: 'Uploaded', type: 'success' });
+      });
+
+      const toast = page.locator('.vd-toast');
+      await expect(toast).toHaveCount(1);
+      await expect(toast).toHaveClass(/vd-toast-success/);
+      await expect(toast).not.toHaveClass(/vd-toast-info/);
+      await expect(toast.locator('.vd-toast-message')).toHaveText('Uploaded');
+    });
+  });
+
+  test.describe('Promise and Actions', () => {
+    test('promise() turns a loading toast into success', async ({ page }) => {
+      await page.evaluate(() => {
+        const w = window as any;
+        const done = new Promise(resolve => { w.__resolve = resolve; });
+        w.VanduoToast.promise(done, { loading: 'Saving...', success: (doc: any) => `Saved ${doc.name}` });
+      });
+
+      const toast = page.locator('.vd-toast');
+      await expect(toast).toHaveClass(/vd-toast-loading/);
+      await expect(toast.locator('.vd-toast-message')).toHaveText('Saving...');
+      await expect(toast.locator('.vd-toast-progress')).toHaveCount(0);
+
+      await page.evaluate(() => (window as any).__resolve({ name: 'report.pdf' }));
+
+      await expect(toast).toHaveClass(/vd-toast-success/);
+      await expect(toast.locator('.vd-toast-message')).toHaveText('Saved report.pdf');
+      await expect(toast.locator('.vd-toast-progress')).toHaveCount(1);
+    });
+
+    test('promise() shows the rejection message on error', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).VanduoToast.promise(Promise.reject(new Error('Disk full')), { loading: 'Uploading' })
+          .catch(() => {});
+      });
+
+      const toast = page.locator('.vd-toast');
+      await expect(toast).toHaveClass(/vd-toast-error/);
+      await expect(toast.locator('.vd-toast-message')).toHaveText('Disk full');
+    });
+
+    test('action buttons run their handler and dismiss the toast', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).Toast.show({
+          message: 'File deleted',
+          actions: [{ label: 'Undo', onClick: () => { (window as any).__undone = true; } }]
+        });
+      });
+
+      await page.click('.vd-toast-action');
+
+      expect(await page.evaluate(() => (window as any).__undone)).toBe(true);
+      await expect(page.locator('.vd-toast')).toHaveCount(0);
+    });
+
+    test('focusing an action pauses the dismiss timer', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).Toast.show({ message: 'Deleted', duration: 300, actions: [{ label: 'Undo' }] });
+      });
+      await page.locator('.vd-toast-action').focus();
+
+      await page.waitForTimeout(600);
+      await expect(page.locator('.vd-toast')).toHaveCount(1);
+
+      await page.locator('.vd-toast-action').blur();
+      await expect(page.locator('.vd-toast')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Swipe to Dismiss', () => {
+    const dragToast = async (page: any, distance: number, steps: number) => {
+      const box = await page.locator('.vd-toast').boundingBox();
+      const y = box.y + box.height / 2;
+      await page.mouse.move(box.x + 40, y);
+      await page.mouse.down();
+      await page.mouse.move(box.x + 40 + distance, y, { steps });
+      await page.mouse.up();
+    };
+
+    test('a long swipe dismisses the toast', async ({ page }) => {
+      await page.evaluate(() => (window as any).Toast.show({ message: 'Swipe me', duration: 0 }));
+      await expect(page.locator('.vd-toast')).toHaveClass(/is-visible/);
+
+      await dragToast(page, 250, 10);
+
+      await expect(page.locator('.vd-toast')).toHaveCount(0);
+    });
+
+    test('a short slow drag snaps back', async ({ page }) => {
+      await page.evaluate(() => (window as any).Toast.show({ message: 'Stay', duration: 0 }));
+      await expect(page.locator('.vd-toast')).toHaveClass(/is-visible/);
+      const box = await page.locator('.vd-toast').boundingBox();
+
+      await page.mouse.move(box!.x + 40, box!.y + 10);
+      await page.mouse.down();
+      for (let x = 5; x <= 30; x += 5) {
+        await page.mouse.move(box!.x + 40 + x, box!.y + 10);
+        await page.waitForTimeout(30);
+      }
+      await page.waitForTimeout(150);
+      await page.mouse.up();
+
+      const toast = page.locator('.vd-toast');
+      await expect(toast).not.toHaveClass(/is-exiting/);
+      expect(await toast.evaluate((el: HTMLElement) => el.style.transform)).toBe('');
+    });
+  });
 });
@@ -2,7 +2,7 @@
  * Tooltips Component Tests
  *
  * Tests for js/components/tooltips.js
- * Covers: initialization, show/hide, positioning, programmatic API
+ * Covers: initialization, show/hide, positioning (flip, aligned placements), programmatic API
  */
 
 import { test, expect } from '@playwright/test';
@@ -100,6 +100,59 @@ test.describe('Tooltips Component @component', () => {
       const tooltip = page.locator('.vd-tooltip.is-visible');
       await expect(tooltip).toHaveClass(/tooltip-right/);
     });
+
+    test('flips to the opposite side near the viewport edge', async ({ page }) => {
+      await page.locator('#tooltip-edge').hover();
+      await page.waitForTimeout(100);
+
+      const tooltip = page.locator('.vd-tooltip.is-visible');
+      await expect(tooltip).toHaveClass(/tooltip-bottom/);
+      await expect(tooltip).toHaveAttribute('data-placement', 'bottom');
+    });
+
+    test('supports aligned placements', async ({ page }) => {
+      const aligned = await page.evaluate(() => {
+        const trigger = document.getElementById('tooltip-bottom')!;
+        trigger.setAttribute('data-tooltip-placement', 'bottom-start');
+        const Tooltips = (window as any).VanduoTooltips;
+        Tooltips.destroy(trigger);
+        Tooltips.initTooltip(trigger);
+        Tooltips.show(trigger);
+        const tooltip = document.getElementById(trigger.getAttribute('aria-describedby')!)!;
+        return {
+          placement: tooltip.getAttribute('data-placement'),
+          left: Math.round(tooltip.getBoundingClientRect().left) === Math.round(trigger.getBoundingClientRect().left)
+        };
+      });
+      expect(aligned).toEqual({ placement: 'bottom-start', left: true });
+    });
+
+    test('places the tooltip below its target and warns once without VanduoPosition', async ({ page }) => {
+      const warnings: string[] = [];
+      page.on('console', (msg) => {
+        if (msg.type() === 'warning' && msg.text().includes('VanduoPosition')) warnings.push(msg.text());
+      });
+
+      const placed = await page.evaluate(() => {
+        delete (window as any).VanduoPosition;
+        const trigger = document.getElementById('tooltip-bottom')!;
+        const Tooltips = (window as any).VanduoTooltips;
+        Tooltips.show(trigger);
+        Tooltips.hide(trigger);
+        Tooltips.show(trigger);
+        const tooltip = document.getElementById(trigger.getAttribute('aria-describedby')!)!;
+        const triggerRect = trigger.getBoundingClientRect();
+        const tooltipRect = tooltip.getBoundingClientRect();
+        return {
+          placement: tooltip.getAttribute('data-placement'),
+          below: tooltipRect.top >= triggerRect.bottom,
+          centered: Math.abs((tooltipRect.left + tooltipRect.width / 2) - (triggerRect.left + triggerRect.width / 2)) <= 1
+        };
+      });
+
+      expect(placed).toEqual({ placement: 'bottom', below: true, centered: true });
+      expect(warnings).toHaveLength(1);
+    });
   });
 
   test.describe('Delayed Tooltip', () => {
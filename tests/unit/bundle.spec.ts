@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the bundled build
+ *
+ * Tests for js/index.js bundled as an IIFE (dist/vanduo.js)
+ * Covers: helpers that components reach through window (sanitizeHtml, escapeHtml,
+ *         safeStorageGet/Set for collapsible persistence, select search debouncing)
+ */
+
+import { test, expect } from '@playwright/test';
+import * as esbuild from 'esbuild';
+import { resolve } from 'path';
+
+let bundle = '';
+
+const page = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <div id="remote-modal" class="vd-modal">
+    <div class="vd-modal-dialog">
+      <div class="vd-modal-content">
+        <div class="vd-modal-body"></div>
+      </div>
+    </div>
+  </div>
+  <div id="faq" class="vd-collapsible" data-collapsible-persist="faq">
+    <div id="faq-returns" class="vd-collapsible-item">
+      <div class="vd-collapsible-header">Returns</div>
+      <div class="vd-collapsible-body"><p>Returns are accepted for 30 days.</p></div>
+    </div>
+  </div>
+  <select id="remote-select" class="vd-custom-select-input">
+    <option value="">Find a fruit...</option>
+  </select>
+  <script src="vanduo.js"></script>
+  <script>Vanduo.init();</script>
+</body>
+</html>`;
+
+test.describe('Bundled Build @unit', () => {
+  // Bundle in memory the way scripts/build.js writes dist/vanduo.js
+  test.beforeAll(async () => {
+    const result = await esbuild.build({
+      entryPoints: [resolve(process.cwd(), 'js/index.js')],
+      bundle: true,
+      format: 'iife',
+      target: ['es2020'],
+      write: false,
+      logLevel: 'silent'
+    });
+    bundle = result.outputFiles[0].text;
+  });
+
+  test.beforeEach(async ({ page: tab }) => {
+    await tab.route('**/bundle-test/**', (route) => {
+      const name = route.request().url().split('/').pop();
+      if (name === 'vanduo.js') {
+        return route.fulfill({ contentType: 'text/javascript', body: bundle });
+      }
+      if (name === 'fragment.html') {
+        return route.fulfill({ contentType: 'text/html', body: '<b>Loaded</b><img src="x" onerror="window.__injected = true">' });
+      }
+      return route.fulfill({ contentType: 'text/html', body: page });
+    });
+    await tab.goto('/bundle-test/index.html');
+    await tab.waitForFunction(() => (window as any).VanduoModals && (window as any).VanduoSelect);
+  });
+
+  test('exposes the sanitizer and storage helpers on window', async ({ page: tab }) => {
+    const helpers = await tab.evaluate(() => ({
+      sanitizeHtml: typeof (window as any).sanitizeHtml,
+      escapeHtml: typeof (window as any).escapeHtml,
+      safeStorageGet: typeof (window as any).safeStorageGet,
+      safeStorageSet: typeof (window as any).safeStorageSet
+    }));
+    expect(helpers).toEqual({ sanitizeHtml: 'function', escapeHtml: 'function', safeStorageGet: 'function', safeStorageSet: 'function' });
+  });
+
+  test('sanitizes fetched modal content instead of escaping it', async ({ page: tab }) => {
+    const loaded = await tab.evaluate(() => (window as any).VanduoModals.load('#remote-modal', 'fragment.html'));
+    expect(loaded).toBe(true);
+
+    const body = tab.locator('#remote-modal .vd-modal-body');
+    await expect(body.locator('b')).toHaveText('Loaded');
+    await expect(body.locator('img')).toHaveCount(0);
+    await expect(body).not.toContainText('<b>');
+  });
+
+  test('sanitizes create({ html: true }) modal bodies', async ({ page: tab }) => {
+    const body = await tab.evaluate(() => {
+      const modal = (window as any).VanduoModals.create({ body: '<strong>Bold</strong><img src="x">', html: true });
+      return modal.querySelector('.vd-modal-body').innerHTML;
+    });
+    expect(body).toBe('<strong>Bold</strong>');
+  });
+
+  test('persists open collapsible items across reloads', async ({ page: tab }) => {
+    await tab.locator('#faq-returns .vd-collapsible-header').click();
+    await expect.poll(() => tab.evaluate(() => localStorage.getItem('vanduo-collapsible-faq'))).toBe('["faq-returns"]');
+
+    await tab.reload();
+
+    await expect(tab.locator('#faq-returns')).toHaveClass(/is-open/);
+  });
+
+  test('loads remote select options once for a burst of typing', async ({ page: tab }) => {
+    await tab.evaluate(() => {
+      (window as any).__queries = [];
+      (window as any).VanduoSelect.configure('#remote-select', {
+        loadOptions: (query: string) => {
+          (window as any).__queries.push(query);
+          return Promise.resolve([{ value: 'apple', label: 'Apple' }]);
+        }
+      });
+      (window as any).VanduoSelect.openDropdown(document.getElementById('remote-select'));
+    });
+    await expect.poll(() => tab.evaluate(() => (window as any).__queries.length)).toBe(1);
+
+    const wrapper = tab.locator('#remote-select').locator('..');
+    await wrapper.locator('.custom-select-search input').pressSequentially('apple', { delay: 10 });
+
+    await expect(wrapper.locator('.custom-select-option')).toHaveText(['Apple']);
+    await tab.waitForTimeout(300);
+    expect(await tab.evaluate(() => (window as any).__queries)).toEqual(['', 'apple']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for the per-component ESM entries
+ *
+ * Tests for scripts/component-module-plugin.js
+ * Covers: building component entries, importing core + a component, registering with Vanduo.use()
+ */
+
+import { test, expect } from '@playwright/test';
+import * as esbuild from 'esbuild';
+import { readdirSync } from 'fs';
+import { basename, resolve } from 'path';
+import { componentModulePlugin } from '../../scripts/component-module-plugin.js';
+
+const rootDir = process.cwd();
+const componentsDir = resolve(rootDir, 'js/components');
+
+// Build entries in memory, the way scripts/build.js writes them to dist/esm
+async function buildEntries(entryPoints: Record<string, string>): Promise<Record<string, string>> {
+  const result = await esbuild.build({
+    entryPoints,
+    bundle: true,
+    format: 'esm',
+    target: ['es2020'],
+    outdir: resolve(rootDir, 'dist/esm'),
+    write: false,
+    plugins: [componentModulePlugin],
+    logLevel: 'silent'
+  });
+  return Object.fromEntries(result.outputFiles.map((file) => [basename(file.path), file.text]));
+}
+
+test.describe('Component ESM Entries @unit', () => {
+  test('every component builds to a default export', async () => {
+    const entryPoints: Record<string, string> = {};
+    readdirSync(componentsDir)
+      .filter((file) => file.endsWith('.js'))
+      .forEach((file) => {
+        entryPoints[file.replace(/\.js$/, '')] = resolve(componentsDir, file);
+      });
+
+    const files = await buildEntries(entryPoints);
+
+    Object.keys(entryPoints).forEach((name) => {
+      expect(files[`${name}.js`]).toMatch(/export\s*\{\s*\w+ as default\s*\}/);
+    });
+  });
+
+  test('core + component entry register through Vanduo.use()', async ({ page }) => {
+    const files = await buildEntries({
+      core: resolve(rootDir, 'js/core.js'),
+      toast: resolve(componentsDir, 'toast.js')
+    });
+
+    await page.route('**/esm-entries/**', (route) => {
+      const name = route.request().url().split('/').pop() as string;
+      if (name === 'index.html') {
+        return route.fulfill({
+          contentType: 'text/html',
+          body: `<!DOCTYPE html><html><body><script type="module">
+            import { Vanduo } from './core.js';
+            import Toast from './toast.js';
+            const before = { global: 'VanduoToast' in window, registered: 'toast' in Vanduo.components };
+            Vanduo.use(Toast);
+            window.__result = { before, name: Toast.name, registered: Vanduo.components.toast === Toast };
+          </script></body></html>`
+        });
+      }
+      if (!files[name]) {
+        return route.fulfill({ status: 404 });
+      }
+      return route.fulfill({ contentType: 'text/javascript', body: files[name] });
+    });
+
+    await page.goto('/esm-entries/index.html');
+    await page.waitForFunction(() => (window as any).__result);
+
+    expect(await page.evaluate(() => (window as any).__result)).toEqual({
+      before: { global: false, registered: false },
+      name: 'toast',
+      registered: true
+    });
+  });
+});
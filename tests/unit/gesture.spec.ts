@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for the Gesture Utility
+ *
+ * Tests for js/utils/gesture.js
+ * Covers: axis locking, thresholds, velocity, pointer types, click suppression, lifecycle
+ */
+
+import { test, expect } from '@playwright/test';
+
+test.describe('Gesture Utility @unit', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/tests/fixtures/vanduo.html');
+    await page.waitForFunction(() => (window as any).VanduoGesture && (window as any).Vanduo.observer);
+    await page.evaluate(() => {
+      const w = window as any;
+      w.Vanduo.unobserve();
+      document.getElementById('outlet')!.innerHTML =
+        '<div id="pad" style="position: fixed; top: 100px; left: 100px; width: 200px; height: 100px;"></div>';
+
+      // Dispatch a pointer sequence through the given points, `gap` ms apart
+      w.__drag = async (points: number[][], options: any = {}) => {
+        const pad = document.getElementById('pad')!;
+        const init = (p: number[]) => ({
+          bubbles: true, cancelable: true, isPrimary: true, pointerId: 1,
+          pointerType: options.pointerType || 'touch', clientX: p[0], clientY: p[1]
+        });
+        pad.dispatchEvent(new PointerEvent('pointerdown', init(points[0])));
+        for (const point of points.slice(1)) {
+          await new Promise(resolve => setTimeout(resolve, options.gap || 16));
+          document.dispatchEvent(new PointerEvent('pointermove', init(point)));
+        }
+        document.dispatchEvent(new PointerEvent('pointerup', init(points[points.length - 1])));
+      };
+    });
+  });
+
+  test('reports movement along the axis and ignores cross-axis drags', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const w = window as any;
+      const ends: any[] = [];
+      w.VanduoGesture.swipe(document.getElementById('pad'), { onEnd: (state: any) => ends.push(state.delta) });
+
+      await w.__drag([[150, 150], [170, 152], [210, 155]]);
+      await w.__drag([[150, 150], [152, 190], [155, 240]]);
+      return ends;
+    });
+    expect(result).toEqual([60]);
+  });
+
+  test('does not start below the threshold', async ({ page }) => {
+    const started = await page.evaluate(async () => {
+      const w = window as any;
+      let count = 0;
+      w.VanduoGesture.swipe(document.getElementById('pad'), { threshold: 10, onStart: () => { count++; } });
+      await w.__drag([[150, 150], [155, 150], [158, 150]]);
+      return count;
+    });
+    expect(started).toBe(0);
+  });
+
+  test('measures release velocity in px/ms', async ({ page }) => {
+    const velocity = await page.evaluate(async () => {
+      const w = window as any;
+      let value = 0;
+      w.VanduoGesture.swipe(document.getElementById('pad'), { onEnd: (state: any) => { value = state.velocity; } });
+      await w.__drag([[250, 150], [210, 150], [170, 150], [130, 150]], { gap: 20 });
+      return value;
+    });
+    expect(velocity).toBeLessThan(-1);
+  });
+
+  test('skips mouse drags when mouse is false', async ({ page }) => {
+    const ends = await page.evaluate(async () => {
+      const w = window as any;
+      let count = 0;
+      w.VanduoGesture.swipe(document.getElementById('pad'), { mouse: false, onEnd: () => { count++; } });
+      await w.__drag([[150, 150], [220, 150]], { pointerType: 'mouse' });
+      await w.__drag([[150, 150], [220, 150]], { pointerType: 'pen' });
+      return count;
+    });
+    expect(ends).toBe(1);
+  });
+
+  test('swallows the click that ends a drag', async ({ page }) => {
+    const clicks = await page.evaluate(async () => {
+      const w = window as any;
+      const pad = document.getElementById('pad')!;
+      let count = 0;
+      pad.addEventListener('click', () => { count++; });
+      w.VanduoGesture.swipe(pad, {});
+      await w.__drag([[150, 150], [220, 150]]);
+      pad.click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      pad.click();
+      return count;
+    });
+    expect(clicks).toBe(1);
+  });
+
+  test('release() stops tracking and unregisters from the lifecycle manager', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const w = window as any;
+      const pad = document.getElementById('pad')!;
+      let count = 0;
+      w.VanduoGesture.swipe(pad, { name: 'demo', onEnd: () => { count++; } });
+      const registered = w.VanduoLifecycle.has(pad);
+      w.VanduoGesture.release(pad);
+      await w.__drag([[150, 150], [220, 150]]);
+      return { registered, tracked: w.VanduoLifecycle.has(pad), count };
+    });
+    expect(result).toEqual({ registered: true, tracked: false, count: 0 });
+  });
+});
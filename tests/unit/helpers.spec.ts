@@ -224,4 +224,87 @@ test.describe('Helper Functions @unit', () => {
       expect(result).toContain('&lt;');
     });
   });
+
+  test.describe('Option Resolution', () => {
+    test('parseOptionValue() detects booleans, numbers and JSON', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const parse = (window as any).parseOptionValue;
+        return [parse('true'), parse('false'), parse(''), parse('42'), parse('{"a":1}'), parse('top')];
+      });
+      expect(result).toEqual([true, false, true, 42, { a: 1 }, 'top']);
+    });
+
+    test('parseOptionValue() follows the type of the default', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const parse = (window as any).parseOptionValue;
+        return [parse('0.5', 'x'), parse('7', 1), parse('abc', 3), parse('static', true)];
+      });
+      expect(result).toEqual(['0.5', 7, 3, 'static']);
+    });
+
+    test('resolveOptions() merges sources in precedence order', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const el = document.createElement('div');
+        el.setAttribute('data-size', 'legacy');
+        el.setAttribute('data-vd-options', '{"size":"json","count":2}');
+        el.setAttribute('data-vd-count', '5');
+        (window as any).Vanduo.config.demo = { label: 'global', size: 'global' };
+        const options = (window as any).resolveOptions(el, 'demo',
+          { label: 'default', size: 'default', count: 0, open: false },
+          { size: 'data-size' });
+        delete (window as any).Vanduo.config.demo;
+        return options;
+      });
+      expect(result).toEqual({ label: 'global', size: 'json', count: 5, open: false });
+    });
+
+    test('translate() reads Vanduo.i18n and fills placeholders', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const w = window as any;
+        w.Vanduo.i18n['demo.count'] = '{count} choisis';
+        const translated = w.translate('demo.count', '{count} selected', { count: 3 });
+        const fallback = w.translate('demo.missing', '{count} selected', { count: 3 });
+        delete w.Vanduo.i18n['demo.count'];
+        return [translated, fallback];
+      });
+      expect(result).toEqual(['3 choisis', '3 selected']);
+    });
+
+    test('storageKey() uses the vanduo- prefix by default', async ({ page }) => {
+      const key = await page.evaluate(() => (window as any).storageKey('radius'));
+      expect(key).toBe('vanduo-radius');
+    });
+
+    test('resolveOptions() ignores and warns about unknown keys', async ({ page }) => {
+      const warnings: string[] = [];
+      page.on('console', msg => {
+        if (msg.type() === 'warning') warnings.push(msg.text());
+      });
+
+      const result = await page.evaluate(() => {
+        const el = document.createElement('div');
+        el.setAttribute('data-vd-bogus', '1');
+        return (window as any).resolveOptions(el, 'demo', { size: 'md' });
+      });
+
+      expect(result).toEqual({ size: 'md' });
+      expect(warnings.some(w => w.includes('Unknown demo option "bogus"'))).toBe(true);
+    });
+
+    test('resolveOptions() only takes sanitize from JavaScript, not attributes', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const el = document.createElement('div');
+        el.setAttribute('data-vd-sanitize', 'false');
+        el.setAttribute('data-vd-options', '{"sanitize":false}');
+        el.setAttribute('data-sanitize', 'false');
+        const fromMarkup = (window as any).resolveOptions(el, 'demo', { sanitize: true }, { sanitize: 'data-sanitize' });
+
+        (window as any).Vanduo.config.demo = { sanitize: false };
+        const fromConfig = (window as any).resolveOptions(el, 'demo', { sanitize: true });
+        delete (window as any).Vanduo.config.demo;
+        return [fromMarkup.sanitize, fromConfig.sanitize];
+      });
+      expect(result).toEqual([true, false]);
+    });
+  });
 });
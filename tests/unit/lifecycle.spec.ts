@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for the Lifecycle Manager
+ *
+ * Tests for js/utils/lifecycle.js
+ * Covers: diagnostics (detached elements, listener counts, duplicate registrations),
+ * removing one helper's cleanups from a shared registration
+ */
+
+import { test, expect } from '@playwright/test';
+
+test.describe('Lifecycle Manager @unit', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/tests/fixtures/vanduo.html');
+    await page.waitForFunction(() => (window as any).VanduoLifecycle && (window as any).Vanduo.observer);
+    await page.evaluate(() => (window as any).Vanduo.unobserve());
+  });
+
+  test.describe('Diagnostics', () => {
+    test('reports registered elements that are no longer connected', async ({ page }) => {
+      const detached = await page.evaluate(() => {
+        const el = document.createElement('div');
+        document.body.appendChild(el);
+        (window as any).VanduoLifecycle.register(el, 'custom', [() => {}]);
+        el.remove();
+        return (window as any).VanduoLifecycle.diagnose().detached.map((entry: any) => entry.components);
+      });
+      expect(detached).toContainEqual(['custom']);
+    });
+
+    test('counts listeners per component', async ({ page }) => {
+      const listeners = await page.evaluate(() => {
+        const el = document.createElement('div');
+        document.body.appendChild(el);
+        (window as any).VanduoLifecycle.register(el, 'custom', [() => {}, () => {}]);
+        return (window as any).VanduoLifecycle.diagnose().listeners;
+      });
+      expect(listeners.custom).toBe(2);
+      expect(listeners.dropdown).toBeGreaterThan(0);
+    });
+
+    test('counts a listener kept by both the lifecycle and the component once', async ({ page }) => {
+      const counts = await page.evaluate(() => {
+        const Lifecycle = (window as any).VanduoLifecycle;
+        const Dropdown = (window as any).VanduoDropdown;
+        const before = Lifecycle.diagnose().listeners.dropdown;
+        const [element, data] = Array.from(Dropdown.instances.entries())[0] as [HTMLElement, any];
+        Lifecycle.register(element, 'dropdown', data.cleanup.slice());
+        return { before, after: Lifecycle.diagnose().listeners.dropdown };
+      });
+      expect(counts.after).toBe(counts.before);
+    });
+
+    test('warns when an element is registered under two names', async ({ page }) => {
+      const warnings: string[] = [];
+      page.on('console', (msg) => {
+        if (msg.type() === 'warning') warnings.push(msg.text());
+      });
+
+      const duplicates = await page.evaluate(() => {
+        const Lifecycle = (window as any).VanduoLifecycle;
+        Lifecycle.setDiagnostics(true);
+        const el = document.createElement('div');
+        document.body.appendChild(el);
+        Lifecycle.register(el, 'first', []);
+        Lifecycle.register(el, 'second', []);
+        return Lifecycle.diagnose().duplicates.map((entry: any) => entry.components);
+      });
+
+      expect(duplicates).toContainEqual(['first', 'second']);
+      expect(warnings.some((text) => text.includes('"first" and "second"'))).toBe(true);
+    });
+
+    test('stays quiet about duplicates when diagnostics are off', async ({ page }) => {
+      const warnings: string[] = [];
+      page.on('console', (msg) => {
+        if (msg.type() === 'warning') warnings.push(msg.text());
+      });
+
+      await page.evaluate(() => {
+        const el = document.createElement('div');
+        (window as any).VanduoLifecycle.register(el, 'first', []);
+        (window as any).VanduoLifecycle.register(el, 'second', []);
+      });
+
+      expect(warnings).toEqual([]);
+    });
+  });
+
+  test.describe('Shared registrations', () => {
+    test('releasing a gesture keeps cleanups other components registered on the element', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const w = window as any;
+        const el = document.createElement('div');
+        document.body.appendChild(el);
+        let foreignRuns = 0;
+        w.VanduoLifecycle.register(el, 'custom', [() => { foreignRuns++; }]);
+        w.VanduoGesture.swipe(el, { name: 'custom' });
+        w.VanduoGesture.release(el);
+
+        const afterRelease = { runs: foreignRuns, tracked: w.VanduoLifecycle.has(el) };
+        w.VanduoLifecycle.unregister(el);
+        return { afterRelease, afterUnregister: foreignRuns };
+      });
+
+      expect(result.afterRelease).toEqual({ runs: 0, tracked: true });
+      expect(result.afterUnregister).toBe(1);
+    });
+
+    test('removeCleanup() drops the registration once no cleanup is left', async ({ page }) => {
+      const tracked = await page.evaluate(() => {
+        const Lifecycle = (window as any).VanduoLifecycle;
+        const el = document.createElement('div');
+        const cleanup = () => {};
+        Lifecycle.register(el, 'custom', [cleanup]);
+        Lifecycle.removeCleanup(el, [cleanup]);
+        return Lifecycle.has(el);
+      });
+      expect(tracked).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for the Position Engine
+ *
+ * Tests for js/utils/position.js
+ * Covers: placements, flip, shift, arrow, containing blocks, auto update
+ */
+
+import { test, expect } from '@playwright/test';
+
+test.describe('Position Engine @unit', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.setViewportSize({ width: 800, height: 600 });
+    await page.goto('/tests/fixtures/vanduo.html');
+    await page.waitForFunction(() => (window as any).VanduoPosition && (window as any).Vanduo.observer);
+    await page.evaluate(() => {
+      (window as any).Vanduo.unobserve();
+      document.getElementById('outlet')!.innerHTML = `
+        <div id="ref" style="position: fixed; top: 200px; left: 300px; width: 100px; height: 40px;"></div>
+        <div id="float" style="position: absolute; width: 120px; height: 60px; margin: 0;"></div>`;
+    });
+  });
+
+  test('places the floating element on the requested side and alignment', async ({ page }) => {
+    const rects = await page.evaluate(() => {
+      const Position = (window as any).VanduoPosition;
+      const ref = document.getElementById('ref')!;
+      const float = document.getElementById('float')!;
+      const place = (placement: string) => {
+        const result = Position.position(ref, float, { placement, offset: 4 });
+        const rect = float.getBoundingClientRect();
+        return { placement: result.placement, top: rect.top, left: rect.left };
+      };
+      return [place('bottom-start'), place('top-end'), place('right')];
+    });
+
+    expect(rects[0]).toEqual({ placement: 'bottom-start', top: 244, left: 300 });
+    expect(rects[1]).toEqual({ placement: 'top-end', top: 136, left: 280 });
+    expect(rects[2]).toEqual({ placement: 'right', top: 190, left: 404 });
+  });
+
+  test('flips to the opposite side when there is no room', async ({ page }) => {
+    const placement = await page.evaluate(() => {
+      const ref = document.getElementById('ref')!;
+      ref.style.top = '10px';
+      return (window as any).VanduoPosition.position(ref, document.getElementById('float'), { placement: 'top' }).placement;
+    });
+    expect(placement).toBe('bottom');
+  });
+
+  test('shifts along the side to stay inside the viewport', async ({ page }) => {
+    const left = await page.evaluate(() => {
+      const ref = document.getElementById('ref')!;
+      ref.style.left = '760px';
+      ref.style.width = '20px';
+      const float = document.getElementById('float')!;
+      (window as any).VanduoPosition.position(ref, float, { placement: 'bottom', padding: 8 });
+      return float.getBoundingClientRect().left;
+    });
+    expect(left).toBe(800 - 8 - 120);
+  });
+
+  test('points the arrow at the reference center', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const ref = document.getElementById('ref')!;
+      ref.style.left = '760px';
+      ref.style.width = '20px';
+      const float = document.getElementById('float')!;
+      const computed = (window as any).VanduoPosition.position(ref, float, { placement: 'bottom', arrow: 5 });
+      return { arrow: computed.arrow, variable: float.style.getPropertyValue('--vd-arrow-x') };
+    });
+    // Reference center (770) minus the shifted floating element's left edge (672)
+    expect(result.arrow).toEqual({ x: 98, y: null });
+    expect(result.variable).toBe('98px');
+  });
+
+  test('positions fixed elements inside a transformed ancestor', async ({ page }) => {
+    const rect = await page.evaluate(() => {
+      document.getElementById('outlet')!.insertAdjacentHTML('beforeend', `
+        <div id="transformed" style="position: fixed; top: 50px; left: 50px; transform: translateX(0);">
+          <div id="fixed-float" style="position: fixed; width: 50px; height: 20px; margin: 0;"></div>
+        </div>`);
+      const float = document.getElementById('fixed-float')!;
+      (window as any).VanduoPosition.position(document.getElementById('ref'), float, { placement: 'bottom-start', strategy: 'fixed' });
+      const box = float.getBoundingClientRect();
+      return { top: box.top, left: box.left };
+    });
+    expect(rect).toEqual({ top: 240, left: 300 });
+  });
+
+  test('autoUpdate() repositions on scroll until stopped', async ({ page }) => {
+    const calls = await page.evaluate(async () => {
+      const Position = (window as any).VanduoPosition;
+      let count = 0;
+      const stop = Position.autoUpdate(document.getElementById('ref'), document.getElementById('float'), () => { count++; });
+      const frame = () => new Promise(resolve => requestAnimationFrame(() => resolve(null)));
+
+      // Let the initial ResizeObserver notification settle
+      await frame();
+      await frame();
+      const initial = count;
+      window.dispatchEvent(new Event('scroll'));
+      await frame();
+      const afterScroll = count;
+      stop();
+      window.dispatchEvent(new Event('scroll'));
+      await frame();
+      return { scrolled: afterScroll - initial, stopped: count - afterScroll };
+    });
+    expect(calls).toEqual({ scrolled: 1, stopped: 0 });
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Server-side Rendering Tests
+ *
+ * Tests for js/index.js
+ * Covers: importing the ESM entry in Node without a DOM
+ */
+
+import { test, expect } from '@playwright/test';
+import { execFileSync } from 'child_process';
+import { resolve } from 'path';
+
+test.describe('Server-side Rendering @unit', () => {
+  test('ESM entry imports without window or document', () => {
+    const entry = resolve(process.cwd(), 'js/index.js');
+    const script = `
+      const { Vanduo } = await import(${JSON.stringify(entry)});
+      Vanduo.init();
+      Vanduo.hydrate();
+      console.log(JSON.stringify({ type: typeof Vanduo, hasWindow: typeof window !== 'undefined' }));
+    `;
+
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8' });
+    expect(JSON.parse(output.trim())).toEqual({ type: 'object', hasWindow: false });
+  });
+});
@@ -0,0 +1,488 @@
+/**
+ * Unit Tests for the Vanduo core object
+ *
+ * Tests for js/vanduo.js
+ * Covers: DOM observation (auto init/destroy), instance handles, use(), plugins, event bus, scopes, hydration, configure()
+ */
+
+import { test, expect } from '@playwright/test';
+
+test.describe('Vanduo Core @unit', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/tests/fixtures/vanduo.html');
+    await page.waitForFunction(() => (window as any).Vanduo && (window as any).Vanduo.observer);
+  });
+
+  test.describe('DOM Observation', () => {
+    test('initializes components added after init', async ({ page }) => {
+      await page.evaluate(() => {
+        document.getElementById('outlet')!.innerHTML = `
+          <div class="vd-dropdown" id="dynamic-dropdown">
+            <button class="vd-dropdown-toggle btn">Dynamic</button>
+            <div class="vd-dropdown-menu"><a href="#" class="vd-dropdown-item">A</a></div>
+          </div>`;
+      });
+
+      await expect(page.locator('#dynamic-dropdown .vd-dropdown-toggle')).toHaveAttribute('aria-haspopup', 'true');
+    });
+
+    test('initializes tooltips on inserted elements', async ({ page }) => {
+      await page.evaluate(() => {
+        document.getElementById('outlet')!.innerHTML = '<button id="tip" data-tooltip="Hello">Tip</button>';
+      });
+
+      await expect(page.locator('#tip')).toHaveAttribute('aria-describedby', /tooltip-/);
+    });
+
+    test('destroys components when their nodes are removed', async ({ page }) => {
+      await page.evaluate(() => {
+        document.getElementById('outlet')!.innerHTML = '<button id="tip" data-tooltip="Hello">Tip</button>';
+      });
+      await expect(page.locator('.vd-tooltip')).toHaveCount(1);
+
+      await page.evaluate(() => {
+        document.getElementById('tip')!.remove();
+      });
+
+      await expect(page.locator('.vd-tooltip')).toHaveCount(0);
+      const tracked = await page.evaluate(() => (window as any).VanduoTooltips.tooltips.size);
+      expect(tracked).toBe(0);
+    });
+
+    test('unregisters lifecycle entries for removed nodes', async ({ page }) => {
+      const cleaned = await page.evaluate(async () => {
+        const el = document.createElement('div');
+        document.getElementById('outlet')!.appendChild(el);
+        let called = false;
+        (window as any).VanduoLifecycle.register(el, 'custom', [() => { called = true; }]);
+        el.remove();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return called && !(window as any).VanduoLifecycle.has(el);
+      });
+      expect(cleaned).toBe(true);
+    });
+
+    test('keeps instances of nodes that are only moved', async ({ page }) => {
+      const stillTracked = await page.evaluate(async () => {
+        const dropdown = document.getElementById('static-dropdown')!;
+        document.getElementById('outlet')!.appendChild(dropdown);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return (window as any).VanduoDropdown.instances.has(dropdown);
+      });
+      expect(stillTracked).toBe(true);
+    });
+
+    test('unobserve() stops automatic initialization', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).Vanduo.unobserve();
+        document.getElementById('outlet')!.innerHTML = '<button id="tip" data-tooltip="Hello">Tip</button>';
+      });
+      await page.waitForTimeout(50);
+
+      await expect(page.locator('#tip')).not.toHaveAttribute('aria-describedby', /tooltip-/);
+    });
+  });
+
+  test.describe('Instance API', () => {
+    test('getInstance() returns null for untracked elements', async ({ page }) => {
+      const result = await page.evaluate(() => (window as any).Vanduo.getInstance('#outlet', 'dropdown'));
+      expect(result).toBeNull();
+    });
+
+    test('getInstance() returns a cached handle for an initialized dropdown', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        const handle = Vanduo.getInstance('#static-dropdown', 'dropdown');
+        return {
+          same: handle === Vanduo.getInstance('#static-dropdown', 'dropdown'),
+          component: handle.component,
+          isElement: handle.element === document.getElementById('static-dropdown')
+        };
+      });
+      expect(result).toEqual({ same: true, component: 'dropdown', isElement: true });
+    });
+
+    test('handle open() and close() drive the component', async ({ page }) => {
+      await page.evaluate(() => (window as any).Vanduo.getInstance('#static-dropdown', 'dropdown').open());
+      await expect(page.locator('#static-dropdown .vd-dropdown-menu')).toHaveClass(/is-open/);
+
+      await page.evaluate(() => (window as any).Vanduo.getInstance('#static-dropdown', 'dropdown').close());
+      await expect(page.locator('#static-dropdown .vd-dropdown-menu')).not.toHaveClass(/is-open/);
+    });
+
+    test('handle on() subscribes to component events', async ({ page }) => {
+      const value = await page.evaluate(() => {
+        let selected = null;
+        const handle = (window as any).Vanduo.getInstance('#static-dropdown', 'dropdown');
+        handle.on('dropdown:select', (e: any) => { selected = e.detail.value; });
+        (document.querySelector('#static-dropdown .vd-dropdown-item') as HTMLElement).click();
+        return selected;
+      });
+      expect(value).toBe('Item 1');
+    });
+
+    test('handle destroy() removes the instance', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.getInstance('#static-dropdown', 'dropdown').destroy();
+        return Vanduo.getInstance('#static-dropdown', 'dropdown');
+      });
+      expect(result).toBeNull();
+    });
+
+    test('handle destroy() leaves lifecycle entries of other components alone', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        const Lifecycle = (window as any).VanduoLifecycle;
+        const el = document.getElementById('static-dropdown')!;
+        let cleaned = false;
+        Lifecycle.register(el, 'custom', [() => { cleaned = true; }]);
+        Vanduo.getInstance(el, 'dropdown').destroy();
+        return { cleaned, tracked: Lifecycle.instances.has(el) };
+      });
+      expect(result).toEqual({ cleaned: false, tracked: true });
+    });
+
+    test('getOrCreateInstance() initializes the element when needed', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.unobserve();
+        document.getElementById('outlet')!.innerHTML = '<button id="tip" data-tooltip="Hello">Tip</button>';
+        const before = Vanduo.getInstance('#tip', 'tooltips');
+        const handle = Vanduo.getOrCreateInstance('#tip', 'tooltips');
+        return { before, created: !!handle };
+      });
+      expect(result).toEqual({ before: null, created: true });
+    });
+  });
+
+  test.describe('Scopes', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).Vanduo.unobserve();
+        document.getElementById('outlet')!.innerHTML = `
+          <div class="vd-dropdown" id="scoped-dropdown">
+            <button class="vd-dropdown-toggle btn">Scoped</button>
+            <div class="vd-dropdown-menu"><a href="#" class="vd-dropdown-item">A</a></div>
+          </div>
+          <button id="scoped-tip" data-tooltip="Hello">Tip</button>`;
+      });
+    });
+
+    test('scope().init() initializes components inside the container', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.scope('#outlet').init();
+        return {
+          dropdown: Vanduo.hasInstance(document.getElementById('scoped-dropdown'), 'dropdown'),
+          tooltip: Vanduo.hasInstance(document.getElementById('scoped-tip'), 'tooltips')
+        };
+      });
+      expect(result).toEqual({ dropdown: true, tooltip: true });
+    });
+
+    test('scope().destroy() only destroys instances inside the container', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.scope('#outlet').init().destroy();
+        return {
+          scoped: Vanduo.hasInstance(document.getElementById('scoped-dropdown'), 'dropdown'),
+          outside: Vanduo.hasInstance(document.getElementById('static-dropdown'), 'dropdown')
+        };
+      });
+      expect(result).toEqual({ scoped: false, outside: true });
+    });
+
+    test('scope() returns null for a missing container', async ({ page }) => {
+      const scope = await page.evaluate(() => (window as any).Vanduo.scope('#missing'));
+      expect(scope).toBeNull();
+    });
+  });
+
+  test.describe('Configuration', () => {
+    test('configure() merges component options under their registered names', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        const returned = Vanduo.configure({ tooltip: { offset: 12 } }).configure({ tooltip: { delay: 50 } });
+        return { chained: returned === Vanduo, tooltips: Vanduo.config.tooltips };
+      });
+      expect(result).toEqual({ chained: true, tooltips: { offset: 12, delay: 50 } });
+    });
+
+    test('configure() sets the storage prefix', async ({ page }) => {
+      const key = await page.evaluate(() => {
+        (window as any).Vanduo.configure({ storagePrefix: 'myapp-' });
+        return (window as any).storageKey('theme-preference');
+      });
+      expect(key).toBe('myapp-theme-preference');
+    });
+
+    test('i18n strings replace component labels', async ({ page }) => {
+      const labels = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.configure({ i18n: { 'pagination.next': 'Suivant', 'pagination.page': 'Page n° {page}' } });
+        document.getElementById('outlet')!.innerHTML =
+          '<ul class="vd-pagination" id="i18n-pagination" data-pagination data-total-pages="3"></ul>';
+        Vanduo.reinit('pagination');
+        const pagination = document.getElementById('i18n-pagination')!;
+        return {
+          next: pagination.querySelector('.vd-pagination-next .vd-pagination-link')!.textContent,
+          page: pagination.querySelector('[data-page="2"] .vd-pagination-link')!.getAttribute('aria-label')
+        };
+      });
+      expect(labels).toEqual({ next: 'Suivant', page: 'Page n° 2' });
+    });
+  });
+
+  test.describe('Component Registration', () => {
+    test('use() registers a component by its name and chains', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        const Widget = { name: 'widget', init: () => {} };
+        const returned = Vanduo.use(Widget);
+        return { chained: returned === Vanduo, registered: Vanduo.components.widget === Widget };
+      });
+      expect(result).toEqual({ chained: true, registered: true });
+    });
+
+    test('use() ignores components without a name', async ({ page }) => {
+      const count = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        const before = Object.keys(Vanduo.components).length;
+        Vanduo.use({ init: () => {} });
+        Vanduo.use(undefined);
+        return Object.keys(Vanduo.components).length - before;
+      });
+      expect(count).toBe(0);
+    });
+
+    test('built-in components expose their registered name', async ({ page }) => {
+      const names = await page.evaluate(() => {
+        const components = (window as any).Vanduo.components;
+        return Object.keys(components).filter((key) => key !== 'lifecycle' && components[key].name !== key);
+      });
+      expect(names).toEqual([]);
+    });
+  });
+
+  test.describe('Event Bus', () => {
+    test('on() receives component events with a normalized detail', async ({ page }) => {
+      const detail = await page.evaluate(() => {
+        let received: any = null;
+        (window as any).Vanduo.on('dropdown:select', (e: any) => {
+          received = {
+            type: e.type,
+            component: e.detail.component,
+            element: e.detail.element.className,
+            instance: e.detail.instance && e.detail.instance.element.id,
+            value: e.detail.value
+          };
+        });
+        (document.querySelector('#static-dropdown .vd-dropdown-item') as HTMLElement).click();
+        return received;
+      });
+
+      expect(detail).toEqual({
+        type: 'dropdown:select',
+        component: 'dropdown',
+        element: expect.stringContaining('vd-dropdown-item'),
+        instance: 'static-dropdown',
+        value: 'Item 1'
+      });
+    });
+
+    test('wildcards match every event of a component', async ({ page }) => {
+      const types = await page.evaluate(() => {
+        const seen: string[] = [];
+        (window as any).Vanduo.on('dropdown:*', (e: any) => seen.push(e.type));
+        (document.querySelector('#static-dropdown .vd-dropdown-toggle') as HTMLElement).click();
+        (document.querySelector('#static-dropdown .vd-dropdown-item') as HTMLElement).click();
+        return seen;
+      });
+      expect(types).toEqual(['dropdown:beforeopen', 'dropdown:select']);
+    });
+
+    test('wildcards match context menu events', async ({ page }) => {
+      const received = await page.evaluate(() => {
+        const seen: string[] = [];
+        (window as any).Vanduo.on('contextMenu:*', (e: any) => seen.push(e.type + ' ' + e.detail.component));
+        const target = document.createElement('div');
+        document.body.appendChild(target);
+        ['contextMenu:open', 'contextMenu:close'].forEach(type => {
+          target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: { target: target } }));
+        });
+        target.remove();
+        return seen;
+      });
+      expect(received).toEqual(['contextMenu:open contextMenu', 'contextMenu:close contextMenu']);
+    });
+
+    test('once() unsubscribes after the first event', async ({ page }) => {
+      const count = await page.evaluate(() => {
+        let calls = 0;
+        (window as any).Vanduo.once('dropdown:select', () => { calls++; });
+        const item = document.querySelector('#static-dropdown .vd-dropdown-item') as HTMLElement;
+        item.click();
+        item.click();
+        return calls;
+      });
+      expect(count).toBe(1);
+    });
+
+    test('off() removes handlers by namespace', async ({ page }) => {
+      const count = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        let calls = 0;
+        Vanduo.on('dropdown:select.analytics', () => { calls++; });
+        Vanduo.on('*.analytics', () => { calls++; });
+        Vanduo.off('.analytics');
+        (document.querySelector('#static-dropdown .vd-dropdown-item') as HTMLElement).click();
+        return calls;
+      });
+      expect(count).toBe(0);
+    });
+
+    test('handlers can cancel before* events through originalEvent', async ({ page }) => {
+      await page.evaluate(() => {
+        (window as any).Vanduo.on('dropdown:beforeopen', (e: any) => e.originalEvent.preventDefault());
+      });
+      await page.click('#static-dropdown .vd-dropdown-toggle');
+      await expect(page.locator('#static-dropdown .vd-dropdown-menu')).not.toHaveClass(/is-open/);
+    });
+  });
+
+  test.describe('Plugins', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.unobserve();
+        (window as any).pluginLog = [];
+        Vanduo.use({
+          name: 'datePicker',
+          selector: '.date-picker',
+          defaults: { format: 'YYYY-MM-DD' },
+          init: (el: HTMLElement, options: any) => {
+            (window as any).pluginLog.push('init:' + el.id + ':' + options.format);
+            return { id: el.id };
+          },
+          destroy: (_el: HTMLElement, instance: any) => {
+            (window as any).pluginLog.push('destroy:' + instance.id);
+          },
+          open: (el: HTMLElement) => {
+            el.classList.add('is-open');
+          }
+        });
+        document.getElementById('outlet')!.innerHTML =
+          '<input class="date-picker" id="dp-1"><input class="date-picker" id="dp-2" data-vd-format="DD/MM">';
+        Vanduo.reinit('datePicker');
+      });
+    });
+
+    test('initializes matching elements with resolved options', async ({ page }) => {
+      const log = await page.evaluate(() => (window as any).pluginLog);
+      expect(log).toEqual(['init:dp-1:YYYY-MM-DD', 'init:dp-2:DD/MM']);
+    });
+
+    test('reinit skips elements that are already initialized', async ({ page }) => {
+      const log = await page.evaluate(() => {
+        (window as any).Vanduo.reinit('datePicker');
+        return (window as any).pluginLog;
+      });
+      expect(log).toHaveLength(2);
+    });
+
+    test('registers plugin instances with VanduoLifecycle', async ({ page }) => {
+      const registered = await page.evaluate(() => {
+        return (window as any).VanduoLifecycle.getAll()
+          .filter((entry: any) => entry.component === 'datePicker')
+          .map((entry: any) => entry.element.id);
+      });
+      expect(registered).toEqual(['dp-1', 'dp-2']);
+    });
+
+    test('destroyAll() destroys plugin instances', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        (window as any).Vanduo.destroyAll();
+        return {
+          log: (window as any).pluginLog.slice(2),
+          lifecycle: (window as any).VanduoLifecycle.getAll().filter((entry: any) => entry.component === 'datePicker').length
+        };
+      });
+      expect(result).toEqual({ log: ['destroy:dp-1', 'destroy:dp-2'], lifecycle: 0 });
+    });
+
+    test('instance handles delegate to plugin methods', async ({ page }) => {
+      await page.evaluate(() => (window as any).Vanduo.getInstance('#dp-1', 'datePicker').open());
+      await expect(page.locator('#dp-1')).toHaveClass(/is-open/);
+    });
+
+    test('observe mode initializes and destroys plugin elements', async ({ page }) => {
+      const log = await page.evaluate(async () => {
+        const Vanduo = (window as any).Vanduo;
+        const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+        Vanduo.observe();
+        document.getElementById('outlet')!.insertAdjacentHTML('beforeend', '<input class="date-picker" id="dp-3">');
+        await tick();
+        document.getElementById('dp-3')!.remove();
+        await tick();
+        return (window as any).pluginLog.slice(2);
+      });
+      expect(log).toEqual(['init:dp-3:YYYY-MM-DD', 'destroy:dp-3']);
+    });
+  });
+
+  test.describe('Hydration', () => {
+    test('hydrate() keeps server-rendered pagination items', async ({ page }) => {
+      const result = await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.unobserve();
+        const outlet = document.getElementById('outlet')!;
+        outlet.innerHTML = `
+          <ul class="vd-pagination" id="ssr-pagination" data-pagination data-total-pages="3">
+            <li class="vd-pagination-item" data-page="1"><a class="vd-pagination-link" href="#">1</a></li>
+            <li class="vd-pagination-item active" data-page="2"><a class="vd-pagination-link" href="#">2</a></li>
+            <li class="vd-pagination-item" data-page="3"><a class="vd-pagination-link" href="#">3</a></li>
+          </ul>`;
+        const first = outlet.querySelector('li');
+        Vanduo.hydrate(outlet);
+        return {
+          sameNode: outlet.querySelector('li') === first,
+          currentPage: (outlet.querySelector('ul') as HTMLElement).dataset.currentPage
+        };
+      });
+      expect(result).toEqual({ sameNode: true, currentPage: '2' });
+
+      await page.locator('#ssr-pagination [data-page="3"] a').click();
+      await expect(page.locator('#ssr-pagination')).toHaveAttribute('data-current-page', '3');
+    });
+
+    test('hydrate() reuses a server-rendered select wrapper', async ({ page }) => {
+      await page.evaluate(() => {
+        const Vanduo = (window as any).Vanduo;
+        Vanduo.unobserve();
+        const outlet = document.getElementById('outlet')!;
+        outlet.innerHTML = `
+          <div class="custom-select-wrapper">
+            <select id="ssr-select" data-custom-select>
+              <option value="a">Apple</option>
+              <option value="b">Banana</option>
+            </select>
+            <button type="button" class="custom-select-button">Apple</button>
+            <div class="custom-select-dropdown" role="listbox">
+              <div class="custom-select-option is-selected" role="option" data-value="a" data-index="0">Apple</div>
+              <div class="custom-select-option" role="option" data-value="b" data-index="1">Banana</div>
+            </div>
+          </div>`;
+        Vanduo.hydrate(outlet);
+      });
+
+      await expect(page.locator('#outlet .custom-select-wrapper')).toHaveCount(1);
+      await expect(page.locator('#outlet .custom-select-button')).toHaveCount(1);
+
+      await page.locator('#outlet .custom-select-button').click();
+      await page.locator('#outlet .custom-select-option[data-value="b"]').click();
+      await expect(page.locator('#ssr-select')).toHaveValue('b');
+      await expect(page.locator('#outlet .custom-select-button')).toHaveText('Banana');
+    });
+  });
+});